@@ -0,0 +1,173 @@
+// lib/aggregate.js – stored per-source fetches and the /reviews fan-out
+import { getSource } from "../scrapers/index.js";
+import { propertyKey, isFresh, knownReviewIds, mergeReviews, storedReviews } from "./reviewStore.js";
+import { rankCandidates, isAmbiguous } from "./match.js";
+import { analyzeReviews } from "./classify.js";
+import { normText, withTimeout, retry } from "./util.js";
+import { isBlocked } from "./diagnostics.js";
+
+const envInt = (name, def) => {
+  const n = parseInt(process.env[name] ?? "", 10);
+  return Number.isInteger(n) && n >= 0 ? n : def;
+};
+
+/**
+ * One source's reviews for a property ref, through the persistent review store.
+ * A fresh stored scrape is served as-is; otherwise the source is scraped with the ids we
+ * already hold (`knownIds`) so Newest-sorted sources can stop once they reach old reviews,
+ * and the result is the merged history, newest first, capped at `max`.
+ * A failed scrape is retried with exponential backoff (SCRAPE_RETRIES, default 2, after
+ * SCRAPE_RETRY_BASE_MS, default 2000, doubling) while `timeoutMs` leaves room; blocks are not
+ * retried (see lib/diagnostics.js). Each attempt gets the time that is left (at least 5 s) plus
+ * 5 s of grace; an attempt that runs over is aborted through its `signal`, so a browser scrape
+ * closes its page and frees its pool slot instead of running on unseen.
+ */
+export async function fetchSourceReviews(source, ref, { max = 80, timeoutMs, noCache = false, provider, onProgress = () => {} } = {}) {
+  const key = propertyKey(source.key, ref);
+  if (!noCache && isFresh(key, max)) {
+    onProgress({ phase: "stored" });
+    return storedReviews(key).slice(0, max);
+  }
+
+  const budget = timeoutMs || source.capabilities.defaultTimeoutMs;
+  const deadline = Date.now() + budget;
+  const retries = envInt("SCRAPE_RETRIES", 2);
+  const list = await retry((attempt) => {
+    const attemptMs = attempt === 1 ? budget : Math.max(5000, deadline - Date.now());
+    const controller = new AbortController();
+    return withTimeout(source.fetchReviews(ref, {
+      maxReviews: max,
+      timeoutMs: attemptMs,
+      knownIds: knownReviewIds(key),
+      provider,
+      onProgress,
+      signal: controller.signal
+    }), attemptMs + 5000, source.label, controller);
+  }, {
+    retries,
+    baseMs: envInt("SCRAPE_RETRY_BASE_MS", 2000),
+    deadline,
+    onRetry: (e, attempt, ms) => {
+      console.warn(`${source.key}: attempt ${attempt} failed, retrying in ${ms}ms –`, e?.message || e);
+      onProgress({ phase: `retrying in ${Math.ceil(ms / 1000)}s (attempt ${attempt + 1} of ${retries + 1})`, error: e?.message || String(e) });
+    }
+  });
+  mergeReviews(source.key, ref, list, { max });
+  return storedReviews(key).slice(0, max);
+}
+
+/** A source status from aggregateReviews() that produced nothing usable: failed or blocked. */
+export const sourceFailed = (s) => s?.status === "failed" || s?.status === "blocked";
+
+/**
+ * Runs the selected sources concurrently and merges their records.
+ * Returns { reviews: [{ ...record, source }], sources: { [key]: { label, status, count, error, ms, via } },
+ *           analysis } – see analyzeReviews() in lib/classify.js (`taxonomy` defaults to the built-in one)
+ *   status – "ok" (reviews found), "empty" (source answered with none), "blocked" (a CAPTCHA,
+ *            consent wall or bot challenge – `reason` says which) or "failed"
+ *   diagnosticId – for "blocked" and "failed": the saved screenshot/HTML (GET /diagnostics/:id)
+ *   via    – the provider that fetched them (sources with capabilities.providers), null when stored
+ * Dedupe is by review id, then by normalized text so cross-posted reviews only count once.
+ * `timeout` overrides the default only for browser-backed sources; it is the whole budget for a
+ * source, retries included (see fetchSourceReviews()).
+ * `refs` pins a source to an explicit property ({ [key]: ref } from /search-properties);
+ * sources without one take their first search hit for name + location.
+ * `via` picks a provider per source ({ google: "places" }); see scrapers/index.js.
+ * Hooks for background jobs:
+ *   onProgress(key, { phase, collected })      – as each scraper moves along
+ *   onSourceDone(key, { status, error }, list) – as each source settles, before the final merge
+ */
+export async function aggregateReviews({
+  name, location, sources, refs = {}, via = {}, max = 80, timeout, noCache = false, taxonomy, granularity,
+  onProgress = () => {}, onSourceDone = () => {}
+}) {
+  const adapters = sources.map(getSource).filter(Boolean);
+  const settled = await Promise.allSettled(adapters.map(async (src) => {
+    const timeoutMs = src.capabilities.browser && timeout ? timeout : src.capabilities.defaultTimeoutMs;
+    const t0 = Date.now();
+    let usedVia = null;
+    const progress = (p) => {
+      if (p.via) usedVia = p.via;
+      onProgress(src.key, p);
+    };
+    try {
+      const list = await fetchSourceReviews(src, refs[src.key] || { name, location }, {
+        max, timeoutMs, noCache, provider: via[src.key], onProgress: progress
+      });
+      onSourceDone(src.key, { status: list.length ? "ok" : "empty", error: null }, list);
+      return { list, ms: Date.now() - t0, via: usedVia };
+    } catch (e) {
+      onSourceDone(src.key, { status: isBlocked(e) ? "blocked" : "failed", error: e?.message || String(e), reason: e?.reason || null, diagnosticId: e?.diagnosticId || null }, []);
+      throw e;
+    }
+  }));
+
+  const reviews = [];
+  const status = {};
+  const seenIds = new Set(), seenTexts = new Set();
+  adapters.forEach((src, i) => {
+    const r = settled[i];
+    if (r.status === "rejected") {
+      const e = r.reason;
+      console.error(`reviews: ${src.key} ${isBlocked(e) ? "blocked" : "failed"}`, e);
+      status[src.key] = {
+        label: src.label,
+        status: isBlocked(e) ? "blocked" : "failed",
+        count: 0,
+        error: e?.message || String(e),
+        reason: e?.reason || null,
+        attempts: e?.attempts || 1,
+        diagnosticId: e?.diagnosticId || null
+      };
+      return;
+    }
+    let count = 0;
+    for (const rec of r.value.list) {
+      const t = normText(rec.text);
+      if (seenIds.has(rec.id) || seenTexts.has(t)) continue;
+      seenIds.add(rec.id); seenTexts.add(t);
+      reviews.push({ ...rec, source: src.key });
+      count++;
+    }
+    status[src.key] = { label: src.label, status: count ? "ok" : "empty", count, error: null, ms: r.value.ms, via: r.value.via };
+  });
+
+  return { reviews, sources: status, analysis: analyzeReviews(reviews, taxonomy, { granularity }) };
+}
+
+/**
+ * Asks every selected source for candidate properties.
+ * Returns { ambiguous, sources: { [key]: { label, status, ambiguous, candidates, error, reason?, diagnosticId? } } }
+ * (status as for aggregateReviews())
+ * with candidates ranked best-first (see lib/match.js).
+ */
+export async function searchProperties({ name, location, sources, limit = 8 }) {
+  const adapters = sources.map(getSource).filter(Boolean);
+  const settled = await Promise.allSettled(adapters.map(src =>
+    withTimeout(src.search(name, location), src.capabilities.browser ? 60000 : src.capabilities.defaultTimeoutMs, `${src.label} search`)
+  ));
+
+  const out = {};
+  adapters.forEach((src, i) => {
+    const r = settled[i];
+    if (r.status === "rejected") {
+      const e = r.reason;
+      console.error(`search-properties: ${src.key} failed`, e);
+      out[src.key] = {
+        label: src.label, status: isBlocked(e) ? "blocked" : "failed", ambiguous: false, candidates: [],
+        error: e?.message || String(e), reason: e?.reason || null, diagnosticId: e?.diagnosticId || null
+      };
+      return;
+    }
+    const candidates = rankCandidates(name, location, r.value).slice(0, limit);
+    out[src.key] = {
+      label: src.label,
+      status: candidates.length ? "ok" : "empty",
+      ambiguous: isAmbiguous(candidates),
+      candidates,
+      error: null
+    };
+  });
+
+  return { ambiguous: Object.values(out).some(s => s.ambiguous), sources: out };
+}
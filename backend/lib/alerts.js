@@ -0,0 +1,180 @@
+// lib/alerts.js – new flagged reviews found by the monitor, and their delivery
+//
+// alerts.json: id → {
+//   id, watchId, property: { name, location }, reviewId, source, url, date, rating, author,
+//   categories, severity, sentences: [{ sentence, categories }], createdAt,
+//   delivery: { webhook: { status, error, at }, email: { status, error, at } }
+// }
+// One alert per review (id "<watchId>:<reviewId>"), so a review re-seen later never alerts twice.
+// Delivery goes to the watch's webhookUrl / emailTo, falling back to ALERT_WEBHOOK_URL /
+// ALERT_EMAIL_TO; a channel with nowhere to go is "skipped".
+// Webhooks only go to public addresses: a URL naming localhost or a loopback, private or
+// link-local IP is refused when the watch is saved, and every address a host name resolves to
+// is checked again when connecting. ALERT_WEBHOOK_ALLOW_PRIVATE=1 lifts this for local setups.
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import fetch from "node-fetch";
+import { openCollection } from "./store.js";
+import { sendMail, smtpConfigFromEnv } from "./smtp.js";
+
+const alerts = () => openCollection("alerts");
+
+/**
+ * Findings from one check → alert records, one per review with a finding in one of the
+ * watch's alert categories.
+ */
+export function buildAlerts(watch, findings, { labels = {}, now = new Date() } = {}) {
+  const byReview = new Map();
+  for (const f of findings) {
+    const cats = f.categories.filter(k => watch.alertCategories.includes(k));
+    if (!cats.length) continue;
+    const id = `${watch.id}:${f.reviewId}`;
+    let a = byReview.get(id);
+    if (!a) {
+      a = {
+        id, watchId: watch.id, property: { name: watch.name, location: watch.location },
+        reviewId: f.reviewId, source: f.source, url: f.url || null, date: f.date || null,
+        rating: f.rating ?? null, author: f.author || null,
+        categories: [], labels: {}, severity: 0, sentences: [], createdAt: now.toISOString(), delivery: {}
+      };
+      byReview.set(id, a);
+    }
+    for (const k of cats) if (!a.categories.includes(k)) { a.categories.push(k); a.labels[k] = labels[k] || k; }
+    a.severity = Math.max(a.severity, f.severity || 0);
+    a.sentences.push({ sentence: f.sentence, categories: cats });
+  }
+  return Array.from(byReview.values()).sort((a, b) => b.severity - a.severity);
+}
+
+/** Stores alerts that are not on file yet; returns the ones added. */
+export function recordAlerts(list) {
+  const added = list.filter(a => !alerts().has(a.id));
+  for (const a of added) alerts().set(a.id, a);
+  return added;
+}
+
+/** Newest first; `watchId` narrows to one watch. */
+export function listAlerts({ watchId, limit = 100 } = {}) {
+  return alerts().values()
+    .filter(a => !watchId || a.watchId === watchId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.severity - a.severity)
+    .slice(0, limit);
+}
+
+export function deleteAlertsForWatch(watchId) {
+  for (const a of alerts().values()) if (a.watchId === watchId) alerts().delete(a.id);
+}
+
+/** Subject and plain-text body for one check's alerts. */
+export function alertEmail(watch, list) {
+  const where = `${watch.name} (${watch.location})`;
+  const top = list[0];
+  const subject = list.length === 1
+    ? `New ${Object.values(top.labels).join(" / ").toLowerCase()} review – ${where}`
+    : `${list.length} new flagged reviews – ${where}`;
+  const lines = [`New reviews for ${where} mention ${Array.from(new Set(list.flatMap(a => Object.values(a.labels)))).join(", ").toLowerCase()}.`, ""];
+  for (const a of list) {
+    lines.push(`[${Object.values(a.labels).join(", ")}] ${[a.source, a.date, a.rating != null && `${a.rating}★`, a.author].filter(Boolean).join(" · ")}`);
+    for (const s of a.sentences) lines.push(`  “${s.sentence}”`);
+    if (a.url) lines.push(`  ${a.url}`);
+    lines.push("");
+  }
+  return { subject, text: lines.join("\n") };
+}
+
+// Unspecified, "this network", private (RFC 1918, unique-local), shared (CGNAT), loopback and
+// link-local (where cloud metadata services listen) ranges. IPv4-mapped IPv6 hits the IPv4 rules.
+const PRIVATE = new net.BlockList();
+for (const [a, p] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]]) PRIVATE.addSubnet(a, p, "ipv4");
+for (const [a, p] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10]]) PRIVATE.addSubnet(a, p, "ipv6");
+
+export const privateAddress = (ip) => PRIVATE.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+
+/**
+ * What is wrong with `url` as a webhook target, as far as can be told without resolving it:
+ * not http(s), or localhost / a literal private address. Null when it looks fine.
+ */
+export function webhookUrlProblem(url, { allowPrivate = false } = {}) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "webhookUrl must be an http(s) URL";
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return "webhookUrl must be an http(s) URL";
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!allowPrivate && (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && privateAddress(host)))) {
+    return "webhookUrl must not point at a loopback, private or link-local address";
+  }
+  return null;
+}
+
+// dns.lookup that fails when the host resolves to a private address, so a public name that
+// points (or later re-points) inward is refused at connect time.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const bad = (Array.isArray(address) ? address : [{ address }]).find(a => privateAddress(a.address));
+    if (!bad) return callback(null, address, family);
+    const e = new Error(`Webhook host ${hostname} resolves to a private address (${bad.address})`);
+    e.code = "EPRIVATEADDRESS";
+    callback(e);
+  });
+}
+const publicAgents = { "http:": new http.Agent({ lookup: publicLookup }), "https:": new https.Agent({ lookup: publicLookup }) };
+
+async function postWebhook(url, payload, { timeoutMs = 15000, allowPrivate = false } = {}) {
+  const problem = webhookUrlProblem(url, { allowPrivate });
+  if (problem) throw new Error(problem);
+  // Redirects are not followed: a 3xx could send the request on to an internal address
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": "vidisky-reviews-monitor" },
+    body: JSON.stringify(payload),
+    redirect: "manual",
+    agent: allowPrivate ? undefined : (u) => publicAgents[u.protocol],
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+}
+
+/**
+ * Sends one check's alerts to the webhook and by e-mail, records each channel's outcome on
+ * the alerts and returns it ({ webhook, email }: { status: "sent" | "failed" | "skipped", error }).
+ * A failing channel does not stop the other.
+ */
+export async function deliverAlerts(watch, list, {
+  env = process.env, smtp = smtpConfigFromEnv(env), send = sendMail, post = postWebhook, now = () => new Date()
+} = {}) {
+  if (!list.length) return {};
+  const webhookUrl = watch.webhookUrl || env.ALERT_WEBHOOK_URL;
+  const emailTo = watch.emailTo || env.ALERT_EMAIL_TO;
+
+  const attempt = async (configured, fn) => {
+    if (!configured) return { status: "skipped", error: null, at: now().toISOString() };
+    try {
+      await fn();
+      return { status: "sent", error: null, at: now().toISOString() };
+    } catch (e) {
+      console.error(`alerts: delivery for ${watch.id} failed`, e);
+      return { status: "failed", error: e?.message || String(e), at: now().toISOString() };
+    }
+  };
+
+  const [webhook, email] = await Promise.all([
+    attempt(webhookUrl, () => post(webhookUrl, {
+      event: "review.alerts",
+      watch: { id: watch.id, name: watch.name, location: watch.location },
+      alerts: list.map(({ delivery, ...a }) => a)
+    }, { allowPrivate: env.ALERT_WEBHOOK_ALLOW_PRIVATE === "1" })),
+    attempt(emailTo && smtp, () => send(smtp, { to: emailTo, ...alertEmail(watch, list) }))
+  ]);
+
+  for (const a of list) {
+    const stored = alerts().get(a.id);
+    if (stored) alerts().set(a.id, { ...stored, delivery: { webhook, email } });
+  }
+  return { webhook, email };
+}
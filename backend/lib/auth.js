@@ -0,0 +1,310 @@
+// lib/auth.js – API keys, signed tokens, per-key rate limits, daily scrape quotas and CORS
+//
+// API_KEYS="alice:k_7f…,bob:k_91…:50" – name:secret[:scrapes per day], one entry per rep or
+// integration. A request sends the secret (or a token minted from it) as
+// "Authorization: Bearer <secret>" or "X-API-Key: <secret>". GET requests may also carry a
+// signed token (never a raw key) as ?access_token=, for links handed to tools that cannot set
+// headers; URLs end up in logs and browser history, so keep such tokens short-lived.
+// API_TOKEN_SECRET enables signed tokens: "vt1.<payload>.<signature>", payload { sub, iat, exp }.
+// POST /auth/token mints one from a key (sub = key name) – it is worth its key, and removing
+// the key revokes it. POST /auth/login mints one for a team account (sub = "user:<id>",
+// lib/users.js); deleting the account or changing its password revokes those.
+//
+// RATE_LIMIT_PER_MINUTE (default 60) caps requests per key, in memory per process.
+// SCRAPE_QUOTA_PER_DAY (default 200) caps scrapes per key per UTC day; usage.json keeps the
+// counts so a restart doesn't reset them. A scrape request reserves its cost before it runs,
+// so parallel requests cannot overshoot; failed ones are refunded.
+// AUTH_DISABLED=1 turns keys, limits and quotas off for local development. Without it and
+// without API_KEYS every protected route answers 401 – the proxy never runs open by accident.
+import crypto from "node:crypto";
+import { openCollection } from "./store.js";
+import { getUser, verifyLogin, recordLogin } from "./users.js";
+
+export const TOKEN_PREFIX = "vt1";
+export const MAX_TOKEN_HOURS = 24 * 30;
+export const USER_PREFIX = "user:";
+
+const usage = () => openCollection("usage");
+
+function fail(message, statusCode, extra = {}) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  Object.assign(e, extra);
+  return e;
+}
+
+const intEnv = (v, def) => {
+  const n = parseInt(v ?? "", 10);
+  return Number.isInteger(n) && n >= 0 ? n : def;
+};
+
+export const authDisabled = (env = process.env) => env.AUTH_DISABLED === "1";
+
+/** API_KEYS → [{ name, secret, quota }]; malformed entries are skipped with a warning. */
+export function parseKeys(value = process.env.API_KEYS, env = process.env) {
+  const defaultQuota = intEnv(env.SCRAPE_QUOTA_PER_DAY, 200);
+  const keys = [];
+  for (const entry of String(value || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [name, secret, quota] = entry.split(":").map(s => s.trim());
+    if (!name || !secret || secret.length < 16) {
+      console.warn(`API_KEYS: skipping "${name || entry.slice(0, 8)}…" (want name:secret with a secret of 16+ characters)`);
+      continue;
+    }
+    keys.push({ name, secret, quota: quota ? intEnv(quota, defaultQuota) : defaultQuota });
+  }
+  return keys;
+}
+
+// parseKeys() of the current environment, re-parsed only when it changes
+let configured = { id: null, keys: [] };
+function configuredKeys() {
+  const id = `${process.env.API_KEYS || ""}|${process.env.SCRAPE_QUOTA_PER_DAY || ""}`;
+  if (configured.id !== id) configured = { id, keys: parseKeys() };
+  return configured.keys;
+}
+
+const digest = (s) => crypto.createHash("sha256").update(s).digest();
+const sameSecret = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+// The second an account's password last changed; its tokens issued up to and including it are revoked
+const passwordChangedSecond = (u) => Math.floor(Date.parse(u.passwordChangedAt) / 1000);
+
+/**
+ * A token for key `name`, valid for `hours` (1 to MAX_TOKEN_HOURS) but never past `notAfter`.
+ * An account's token is dated at least a second after its last password change, so signing
+ * in right after a change (or after the account is created) is not taken for a revoked token.
+ */
+export function signToken(name, { hours = 12, notAfter = null, now = new Date(), secret = process.env.API_TOKEN_SECRET } = {}) {
+  if (!secret) throw fail("Signed tokens are not enabled on this proxy (set API_TOKEN_SECRET)", 400);
+  const h = Number(hours);
+  if (!(Number.isInteger(h) && h >= 1 && h <= MAX_TOKEN_HOURS)) throw fail(`hours must be 1–${MAX_TOKEN_HOURS}`, 400);
+  let iat = Math.floor(now.getTime() / 1000);
+  const account = name.startsWith(USER_PREFIX) ? getUser(name.slice(USER_PREFIX.length)) : null;
+  if (account) iat = Math.max(iat, passwordChangedSecond(account) + 1);
+  let exp = iat + h * 3600;
+  if (notAfter) exp = Math.min(exp, notAfter);
+  const payload = Buffer.from(JSON.stringify({ sub: name, iat, exp })).toString("base64url");
+  const body = `${TOKEN_PREFIX}.${payload}`;
+  return { token: `${body}.${sign(body, secret)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/** Token → { sub, exp }, or a 401 when it is malformed, forged or expired. */
+export function verifyToken(token, { now = new Date(), secret = process.env.API_TOKEN_SECRET } = {}) {
+  const [prefix, payload, signature] = String(token).split(".");
+  if (prefix !== TOKEN_PREFIX || !payload || !signature || !secret) throw fail("Invalid token", 401);
+  if (!sameSecret(signature, sign(`${prefix}.${payload}`, secret))) throw fail("Invalid token", 401);
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, "base64url").toString()); } catch { throw fail("Invalid token", 401); }
+  if (!claims?.sub || !Number.isInteger(claims.exp)) throw fail("Invalid token", 401);
+  if (claims.exp * 1000 <= now.getTime()) throw fail(`Token expired at ${new Date(claims.exp * 1000).toISOString()}`, 401);
+  return claims;
+}
+
+/**
+ * The credential a request carries: Authorization: Bearer, X-API-Key, or a signed token as
+ * ?access_token= on GET.
+ */
+export function requestCredential(req) {
+  const header = req.get?.("authorization") || "";
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  const key = req.get?.("x-api-key");
+  if (key) return key.trim();
+  const token = req.method === "GET" ? req.query?.access_token : null;
+  if (typeof token === "string" && token.startsWith(`${TOKEN_PREFIX}.`)) return token;
+  return "";
+}
+
+/**
+ * Who is calling: { name, quota, via: "key" | "token" | "user", exp?, user? }. `name` keys the
+ * rate limit and quota ("user:<id>" for accounts). 401 when the credential is missing,
+ * unknown or revoked, or when a raw key is sent and no keys are configured.
+ */
+export function authenticate(credential, { keys = configuredKeys(), now = new Date() } = {}) {
+  if (!credential) throw fail("Missing API key – send it as Authorization: Bearer <key>, or sign in", 401);
+  if (credential.startsWith(`${TOKEN_PREFIX}.`)) {
+    const claims = verifyToken(credential, { now });
+    if (claims.sub.startsWith(USER_PREFIX)) return userPrincipal(claims);
+    const key = keys.find(k => k.name === claims.sub);
+    if (!key) throw fail("Token was issued for a key that no longer exists", 401);
+    return { name: key.name, quota: key.quota, via: "token", exp: claims.exp };
+  }
+  if (!keys.length) throw fail("No API keys are configured on this proxy (set API_KEYS, or AUTH_DISABLED=1 for local development)", 401);
+  const key = keys.find(k => sameSecret(k.secret, credential));
+  if (!key) throw fail("Unknown API key", 401);
+  return { name: key.name, quota: key.quota, via: "key" };
+}
+
+function userPrincipal(claims) {
+  const u = getUser(claims.sub.slice(USER_PREFIX.length));
+  if (!u) throw fail("This account no longer exists", 401);
+  // iat is in whole seconds, so a token from the same second as the change is revoked too
+  if ((claims.iat ?? 0) <= passwordChangedSecond(u)) throw fail("Signed out – the password was changed; sign in again", 401);
+  return {
+    name: `${USER_PREFIX}${u.id}`,
+    quota: u.quota ?? intEnv(process.env.SCRAPE_QUOTA_PER_DAY, 200),
+    via: "user",
+    exp: claims.exp,
+    user: { id: u.id, name: u.name, email: u.email, role: u.role }
+  };
+}
+
+/** Who to credit a search to: { id, name } ("key:<name>" for keys), or null with auth off. */
+export function actorOf(principal) {
+  if (!principal) return null;
+  return principal.user ? { id: principal.user.id, name: principal.user.name } : { id: `key:${principal.name}`, name: principal.name };
+}
+
+/** Keys (the operator's) and admin accounts manage accounts; so does anyone with auth off. */
+export const isAdmin = (principal) => !principal || principal.via !== "user" || principal.user.role === "admin";
+
+/**
+ * E-mail + password → { token, expiresAt, user } for LOGIN_HOURS (default 12). Attempts are
+ * rate-limited per e-mail address like any key.
+ */
+export function login(email, password, { now = new Date() } = {}) {
+  takeRequest(`login:${String(email || "").trim().toLowerCase()}`, { limit: 10, now: now.getTime() });
+  const user = verifyLogin(email, password);
+  const signed = signToken(`${USER_PREFIX}${user.id}`, { hours: intEnv(process.env.LOGIN_HOURS, 12), now });
+  return { ...signed, user: recordLogin(user.id, now) };
+}
+
+// ---------------- per-minute rate limit (fixed window, in memory) ----------------
+
+// key name → { start, count }, oldest window first. Windows that ran out are swept once a
+// minute, and past MAX_WINDOWS the oldest is dropped – login attempts are keyed by whatever
+// e-mail address is typed, so the map must not grow with them.
+const windows = new Map();
+const MAX_WINDOWS = 10000;
+let sweptAt = 0;
+
+function sweepWindows(now) {
+  if (now - sweptAt < 60000) return;
+  sweptAt = now;
+  for (const [name, w] of windows) if (now - w.start >= 60000) windows.delete(name);
+}
+
+/** Counts one request for `name`. Returns { limit, remaining, resetAt }; 429 when over. */
+export function takeRequest(name, { limit = intEnv(process.env.RATE_LIMIT_PER_MINUTE, 60), now = Date.now() } = {}) {
+  sweepWindows(now);
+  let w = windows.get(name);
+  if (!w || now - w.start >= 60000) {
+    windows.delete(name);
+    if (windows.size >= MAX_WINDOWS) windows.delete(windows.keys().next().value);
+    windows.set(name, (w = { start: now, count: 0 }));
+  }
+  const resetAt = w.start + 60000;
+  if (w.count >= limit) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+    throw fail(`Rate limit of ${limit} requests per minute reached – retry in ${retryAfter}s`, 429, { retryAfter, limit });
+  }
+  w.count++;
+  return { limit, remaining: limit - w.count, resetAt };
+}
+
+export function resetRateLimits() {
+  windows.clear();
+  sweptAt = 0;
+}
+
+/** How many rate-limit windows are held in memory. */
+export const rateLimitWindows = () => windows.size;
+
+// ---------------- daily scrape quota (persisted) ----------------
+
+const utcDay = (now) => now.toISOString().slice(0, 10);
+const nextUtcMidnight = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+/** { used, quota, remaining, resetsAt } for the caller's key today (UTC). */
+export function scrapeUsage(principal, now = new Date()) {
+  const used = usage().get(`${principal.name}|${utcDay(now)}`)?.scrapes || 0;
+  return { used, quota: principal.quota, remaining: Math.max(0, principal.quota - used), resetsAt: nextUtcMidnight(now).toISOString() };
+}
+
+/** 429 when `cost` more scrapes would go over today's quota. */
+export function checkScrapeQuota(principal, cost = 1, now = new Date()) {
+  const u = scrapeUsage(principal, now);
+  if (u.used + cost > u.quota) {
+    const retryAfter = Math.ceil((Date.parse(u.resetsAt) - now.getTime()) / 1000);
+    const more = cost > 1 ? ` – this request needs ${cost}, ${u.remaining} left` : "";
+    throw fail(`Daily scrape quota of ${u.quota} reached for key "${principal.name}"${more}; resets at ${u.resetsAt}`, 429, { retryAfter, ...u });
+  }
+  return u;
+}
+
+/** Adds `cost` scrapes (a negative cost refunds them) to the caller's count for `now`'s day. */
+export function chargeScrapes(principal, cost = 1, now = new Date()) {
+  const id = `${principal.name}|${utcDay(now)}`;
+  const prev = usage().get(id);
+  return usage().set(id, { key: principal.name, day: utcDay(now), scrapes: Math.max(0, (prev?.scrapes || 0) + cost) });
+}
+
+// ---------------- express middleware ----------------
+
+function deny(res, e) {
+  if (e.statusCode === 401) res.set("WWW-Authenticate", 'Bearer realm="vidisky"');
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+  const error = e.statusCode === 401 ? "unauthorized" : e.used != null ? "scrape quota exceeded" : "rate limit exceeded";
+  res.status(e.statusCode).json({ error, message: e.message, ...(e.used != null && { used: e.used, quota: e.quota, resetsAt: e.resetsAt }) });
+}
+
+/**
+ * Authenticates and rate-limits every request except `publicRoutes` ([method, RegExp] pairs).
+ * Sets req.principal, req.rateLimit and the X-RateLimit-* headers.
+ */
+export function requireAuth({ publicRoutes = [] } = {}) {
+  return (req, res, next) => {
+    if (authDisabled() || req.method === "OPTIONS") return next();
+    if (publicRoutes.some(([method, re]) => method === req.method && re.test(req.path))) return next();
+    try {
+      req.principal = authenticate(requestCredential(req));
+      const rate = (req.rateLimit = takeRequest(req.principal.name));
+      res.set("X-RateLimit-Limit", String(rate.limit));
+      res.set("X-RateLimit-Remaining", String(rate.remaining));
+      next();
+    } catch (e) {
+      deny(res, e);
+    }
+  };
+}
+
+/**
+ * Guards a scraping route with the caller's daily quota. `cost(req)` is the number of
+ * properties the request scrapes; it is reserved before the route runs (check and charge in
+ * one step, so concurrent requests see each other) and refunded when the response fails or
+ * the connection closes before it is sent.
+ */
+export function scrapeQuota(cost = () => 1) {
+  return (req, res, next) => {
+    if (!req.principal) return next(); // AUTH_DISABLED
+    const now = new Date();
+    let n;
+    try {
+      n = Math.max(1, cost(req) || 1);
+      const u = checkScrapeQuota(req.principal, n, now);
+      chargeScrapes(req.principal, n, now);
+      res.set("X-Scrape-Quota-Remaining", String(u.remaining - n));
+    } catch (e) {
+      return deny(res, e);
+    }
+    res.on("close", () => {
+      if (!res.writableFinished || res.statusCode >= 400) chargeScrapes(req.principal, -n, now);
+    });
+    next();
+  };
+}
+
+// ---------------- CORS ----------------
+
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * The `origin` option for cors(): CORS_ORIGINS="https://app.vidisky.com,https://…" (or "*").
+ * Unset, only local dev servers are allowed. Requests without an Origin header (curl,
+ * server-to-server) are not a CORS matter and pass – the API key is what protects them.
+ */
+export function corsOrigin(value = process.env.CORS_ORIGINS) {
+  const list = String(value || "").split(",").map(s => s.trim().replace(/\/$/, "")).filter(Boolean);
+  if (list.includes("*")) return true;
+  return (origin, cb) => cb(null, !origin || (list.length ? list.includes(origin) : LOCAL_ORIGIN.test(origin)));
+}
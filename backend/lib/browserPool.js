@@ -0,0 +1,228 @@
+// lib/browserPool.js – shared Chromium instances for the Playwright scrapers
+//
+// Launching Chromium costs seconds and a few hundred MB, so browsers are kept warm and every
+// scrape gets its own isolated context (cookies, storage, cache) on one of them instead.
+//   - at most `maxConcurrency` contexts are open at once; further acquire() calls wait in
+//     FIFO order and fail with a 503 after `acquireTimeoutMs`
+//   - up to `maxBrowsers` browsers share the load (least busy first)
+//   - a browser is retired after `maxUses` contexts or `maxAgeMs`, and replaced if it crashes
+//   - when nothing has run for `idleCloseMs` every browser is closed to give the memory back
+import { chromium } from "playwright";
+
+const envInt = (name, def) => {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+const CHROMIUM_ARGS = ["--no-sandbox", "--disable-dev-shm-usage", "--disable-gpu", "--disable-blink-features=AutomationControlled"];
+
+const launchChromium = () => chromium.launch({
+  headless: true,
+  executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+  args: CHROMIUM_ARGS
+});
+
+function busyError(ms) {
+  const e = new Error(`All browsers busy – gave up after waiting ${Math.round(ms / 1000)}s`);
+  e.statusCode = 503;
+  return e;
+}
+
+/**
+ * Creates a pool. `launch()` must resolve to a Playwright-like browser
+ * ({ newContext, close, isConnected, on("disconnected") }); it defaults to headless Chromium.
+ */
+export function createBrowserPool({
+  launch = launchChromium,
+  maxConcurrency = envInt("BROWSER_POOL_CONCURRENCY", 2),
+  maxBrowsers = envInt("BROWSER_POOL_BROWSERS", 1),
+  maxUses = envInt("BROWSER_POOL_MAX_USES", 50),
+  maxAgeMs = envInt("BROWSER_POOL_MAX_AGE_MS", 1000 * 60 * 30),
+  acquireTimeoutMs = envInt("BROWSER_POOL_ACQUIRE_TIMEOUT_MS", 1000 * 60 * 2),
+  idleCloseMs = envInt("BROWSER_POOL_IDLE_CLOSE_MS", 1000 * 60 * 5),
+  now = Date.now
+} = {}) {
+  const browsers = [];   // { id, browser, ready, launchedAt, uses, active, retiring, closing }
+  const waiting = [];    // { resolve, reject, timer }
+  const counters = { launched: 0, recycled: 0, crashed: 0, timeouts: 0, served: 0 };
+  let active = 0;
+  let nextId = 1;
+  let idleTimer = null;
+  let closed = false;
+
+  const isStale = (b) => b.uses >= maxUses || now() - b.launchedAt >= maxAgeMs;
+
+  function startBrowser() {
+    const entry = { id: nextId++, browser: null, launchedAt: now(), uses: 0, active: 0, retiring: false, closing: false };
+    entry.ready = Promise.resolve().then(launch).then((browser) => {
+      entry.browser = browser;
+      counters.launched++;
+      browser.on?.("disconnected", () => {
+        if (entry.closing) return;
+        counters.crashed++;
+        console.warn(`browser #${entry.id} disconnected – replacing it`);
+        drop(entry);
+      });
+      return browser;
+    }, (e) => {
+      drop(entry);
+      throw e;
+    });
+    browsers.push(entry);
+    return entry;
+  }
+
+  function drop(entry) {
+    const i = browsers.indexOf(entry);
+    if (i !== -1) browsers.splice(i, 1);
+  }
+
+  async function retire(entry) {
+    if (entry.closing) return;
+    entry.closing = true;
+    drop(entry);
+    await entry.browser?.close().catch(() => {});
+  }
+
+  // Least busy healthy browser, or a fresh one while we're under maxBrowsers
+  function pickBrowser() {
+    for (const b of browsers) {
+      if (!b.retiring && b.browser?.isConnected && !b.browser.isConnected()) b.retiring = true;
+      if (!b.retiring && isStale(b)) {
+        b.retiring = true;
+        counters.recycled++;
+        if (!b.active) retire(b);
+      }
+    }
+    const healthy = browsers.filter(b => !b.retiring).sort((a, b) => a.active - b.active);
+    if (healthy.length && (healthy[0].active === 0 || browsers.length >= maxBrowsers)) return healthy[0];
+    if (browsers.length < maxBrowsers || !healthy.length) return startBrowser();
+    return healthy[0];
+  }
+
+  async function openContext(contextOptions) {
+    // One retry: a browser can die between being picked and opening the context
+    for (let attempt = 0; ; attempt++) {
+      const entry = pickBrowser();
+      entry.active++;
+      entry.uses++;
+      try {
+        const browser = await entry.ready;
+        const context = await browser.newContext(contextOptions);
+        return { entry, context };
+      } catch (e) {
+        entry.active--;
+        if (!entry.retiring) { entry.retiring = true; retire(entry); }
+        if (attempt >= 1) throw e;
+      }
+    }
+  }
+
+  function takeSlot(timeoutMs) {
+    if (closed) return Promise.reject(new Error("Browser pool is closed"));
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (active < maxConcurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        const i = waiting.indexOf(waiter);
+        if (i !== -1) waiting.splice(i, 1);
+        counters.timeouts++;
+        reject(busyError(timeoutMs));
+      }, timeoutMs);
+      waiting.push(waiter);
+    });
+  }
+
+  function giveSlot() {
+    const next = waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      return next.resolve(); // the slot passes straight to the next waiter
+    }
+    active--;
+    if (!active && idleCloseMs && !closed) {
+      idleTimer = setTimeout(() => { for (const b of [...browsers]) if (!b.active) retire(b); }, idleCloseMs);
+      idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Waits for a free slot and opens a new context. Always call release() when done – it
+   * closes the context and hands the slot to the next waiter.
+   */
+  async function acquire(contextOptions = {}, { timeoutMs = acquireTimeoutMs } = {}) {
+    await takeSlot(timeoutMs);
+    let opened;
+    try {
+      opened = await openContext(contextOptions);
+    } catch (e) {
+      giveSlot();
+      throw e;
+    }
+    const { entry, context } = opened;
+    counters.served++;
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      await context.close().catch(() => {});
+      entry.active--;
+      if (entry.retiring && !entry.active) await retire(entry);
+      giveSlot();
+    };
+    return { context, release };
+  }
+
+  /** acquire() + fn(context) + release(), whatever fn does. */
+  async function withContext(contextOptions, fn, opts) {
+    const { context, release } = await acquire(contextOptions, opts);
+    try {
+      return await fn(context);
+    } finally {
+      await release();
+    }
+  }
+
+  function stats() {
+    return {
+      maxConcurrency,
+      maxBrowsers,
+      active,
+      waiting: waiting.length,
+      browsers: browsers.map(b => ({
+        id: b.id,
+        activeContexts: b.active,
+        uses: b.uses,
+        ageMs: now() - b.launchedAt,
+        retiring: b.retiring
+      })),
+      ...counters
+    };
+  }
+
+  async function close() {
+    closed = true;
+    clearTimeout(idleTimer);
+    for (const w of waiting.splice(0)) {
+      clearTimeout(w.timer);
+      w.reject(new Error("Browser pool is closed"));
+    }
+    await Promise.all([...browsers].map(b => b.ready.then(() => retire(b), () => {})));
+  }
+
+  return { acquire, withContext, stats, close };
+}
+
+// The pool every Playwright adapter shares
+let shared = null;
+export function browserPool() {
+  if (!shared) shared = createBrowserPool();
+  return shared;
+}
+
+export const browserPoolStats = () => (shared ? shared.stats() : { started: false });
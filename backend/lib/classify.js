@@ -0,0 +1,282 @@
+// lib/classify.js – sentence classifier behind /classify and every fetched review set
+//
+// A taxonomy (lib/taxonomies.js) is a list of categories, each with match terms. Matching works on word tokens,
+// not substrings: "police" does not hit "policies", "loud" does not hit "cloudy". Both sides
+// go through the same light stemmer, so "break-in" also matches "break-ins" and "loitering"
+// matches "loiter". A match is negated when a negator ("not", "never", "no", "…n't", …)
+// appears up to NEGATION_WINDOW words before it in the same clause: "not unsafe at all" and
+// "never had any break-ins" are not complaints. Terms that are complaints even when negated
+// ("no security at night") opt out with `negatable: false`. A match that overlaps one of its
+// category's `exclude` phrases ("third party", "security deposit") does not count either.
+//
+// Term forms:  "catalytic"   |   { term: "dumpster", weight: 0.4, negatable: false }
+// Confidence per category is 1 − Π(1 − weight) over its non-negated matches; phrases weigh
+// more than single words by default.
+import { DEFAULT_TAXONOMY } from "./taxonomies.js";
+import { findingWeight, scoreRisk } from "./risk.js";
+import { buildTrends } from "./trends.js";
+
+const WORD_WEIGHT = 0.7;
+const PHRASE_WEIGHT = 0.9;
+const NEGATION_WINDOW = 3;
+const NEGATORS = new Set(["no", "not", "never", "none", "nothing", "without", "hardly", "barely", "zero", "cannot"]);
+const CLAUSE_WORDS = new Set(["but", "however", "though", "although", "yet", "except"]);
+
+const undouble = (w) => (/([b-df-hj-kmnp-rt-y])\1$/.test(w) ? w.slice(0, -1) : w);
+
+/** Light suffix stripper – only needs to map a word and its inflections to the same key. */
+export function stem(word) {
+  let w = word.toLowerCase();
+  if (w.includes("'")) return w;
+  if (w.length > 4 && w.endsWith("ies")) w = w.slice(0, -3) + "y";
+  else if (w.length > 4 && /(ss|x|z|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.length >= 3 && w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  else if (w.length > 5 && w.endsWith("ing")) w = undouble(w.slice(0, -3));
+  else if (w.length > 4 && w.endsWith("ed")) w = undouble(w.slice(0, -2));
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+/** Words with their character offsets: [{ word, stem, start, end }] */
+export function tokenize(text) {
+  const s = (text || "").replace(/[’‘]/g, "'");
+  const out = [];
+  for (const m of s.matchAll(/[a-z0-9]+(?:'[a-z]+)?/gi)) {
+    out.push({ word: m[0].toLowerCase(), stem: stem(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Words whose period does not end a sentence: titles and address parts that precede a name
+// ("Dr. Patel", "St. Petersburg", "Apt. 4B"). "No." only counts before a number ("No. 12").
+const NO_BREAK_AFTER = new Set(["mr", "mrs", "ms", "dr", "prof", "rev", "sr", "jr", "st", "mt", "ft", "apt", "ste", "bldg", "vs", "e.g", "i.e"]);
+const BOUNDARY = /[\r\n]+|[.!?\u2026]+["'\u201d\u2019)\]]*(?=\s)/g;
+
+// Whether the punctuation at [at, to) ends the sentence, judged by the word before and the text after
+function endsSentence(text, at, to) {
+  const mark = text.slice(at, to).replace(/["'\u201d\u2019)\]]+$/, "");
+  const next = text.slice(to).trimStart();
+  if (!next) return true;
+  if (/[!?]/.test(mark)) return true;
+  if (/^[a-z]/.test(next)) return false; // "etc. and", "2 a.m. when", "so... anyway"
+  if (mark !== ".") return true;
+  const words = text.slice(0, at).split(/\s+/);
+  const word = words[words.length - 1].replace(/^[("'\u201c\u2018]+/, "");
+  const prev = words[words.length - 2];
+  if (NO_BREAK_AFTER.has(word.toLowerCase())) return false;
+  if (/^no$/i.test(word) && /^\d/.test(next)) return false;
+  // an initial ("John F. Kennedy", "Ms. J. Smith") – but "building C. Nobody came" ends a sentence
+  if (/^[A-Z]$/.test(word)) return !!prev && !/^[A-Z]/.test(prev);
+  return true;
+}
+
+/**
+ * Review text → sentences with their character offsets in `text`: [{ text, start, end }].
+ * A newline always ends a sentence; . ! ? and … end one when followed by whitespace, except
+ * after titles and initials ("Dr. Lee", "St. Pete", "J. Smith") and before a lowercase word.
+ */
+export function sentenceSpans(text) {
+  const s = text || "";
+  const out = [];
+  let from = 0;
+  const push = (to) => {
+    const chunk = s.slice(from, to);
+    const lead = chunk.length - chunk.trimStart().length;
+    const body = chunk.trim();
+    if (body) out.push({ text: body, start: from + lead, end: from + lead + body.length });
+  };
+  for (const m of s.matchAll(BOUNDARY)) {
+    const to = m.index + m[0].length;
+    if (/^[\r\n]/.test(m[0])) {
+      push(m.index);
+      from = to;
+    } else if (endsSentence(s, m.index, to)) {
+      push(to);
+      from = to;
+    }
+  }
+  push(s.length);
+  return out;
+}
+
+/** Review text → sentences (see sentenceSpans()). */
+export function splitSentences(text) {
+  return sentenceSpans(text).map(s => s.text);
+}
+
+const isNegator = (w) => NEGATORS.has(w) || w.endsWith("n't");
+
+// Taxonomies are compiled once into stem sequences
+const compiled = new WeakMap();
+function compile(taxonomy) {
+  let c = compiled.get(taxonomy);
+  if (c) return c;
+  c = { terms: [], exclude: [] };
+  for (const cat of taxonomy.categories) {
+    for (const x of cat.exclude || []) {
+      const stems = tokenize(x).map(t => t.stem);
+      if (stems.length) c.exclude.push({ category: cat.key, stems });
+    }
+    for (const t of cat.terms || []) {
+      const def = typeof t === "string" ? { term: t } : t;
+      const stems = tokenize(def.term).map(x => x.stem);
+      if (!stems.length) continue;
+      c.terms.push({
+        category: cat.key,
+        term: def.term,
+        stems,
+        weight: def.weight ?? (stems.length > 1 ? PHRASE_WEIGHT : WORD_WEIGHT),
+        negatable: def.negatable !== false
+      });
+    }
+  }
+  c.terms.sort((a, b) => b.stems.length - a.stems.length); // longest first, see classifySentence
+  compiled.set(taxonomy, c);
+  return c;
+}
+
+// Token ranges [from, to) where `stems` occurs
+function occurrences(tokens, stems) {
+  const out = [];
+  const n = stems.length;
+  for (let i = 0; i + n <= tokens.length; i++) {
+    let hit = true;
+    for (let j = 0; j < n && hit; j++) hit = tokens[i + j].stem === stems[j];
+    if (hit) out.push([i, i + n]);
+  }
+  return out;
+}
+
+// True when a negator sits within the window before token `at`, without a clause break between
+function negatedAt(sentence, tokens, at) {
+  for (let i = at - 1; i >= 0 && i >= at - NEGATION_WINDOW; i--) {
+    if (/[,;:()]/.test(sentence.slice(tokens[i].end, tokens[i + 1].start))) return false;
+    if (CLAUSE_WORDS.has(tokens[i].word)) return false;
+    if (isNegator(tokens[i].word)) return true;
+  }
+  return false;
+}
+
+/**
+ * Classifies one sentence.
+ * Returns { categories, confidence, scores: { [key]: 0..1 },
+ *           matches: [{ category, term, text, start, end, weight, negated, excluded }] }
+ * `categories` lists keys with at least one counted match, strongest first; negated and
+ * excluded matches are still reported so the UI can show why a sentence was left out.
+ */
+export function classifySentence(sentence, taxonomy = DEFAULT_TAXONOMY) {
+  const tokens = tokenize(sentence);
+  const { terms, exclude } = compile(taxonomy);
+  const excluded = exclude.flatMap(x => occurrences(tokens, x.stems).map(([from, to]) => ({ category: x.category, from, to })));
+  const matches = [];
+  for (const t of terms) {
+    for (const [from, to] of occurrences(tokens, t.stems)) {
+      const start = tokens[from].start, end = tokens[to - 1].end;
+      // a longer term already covering this span wins ("pool party" over "party")
+      if (matches.some(m => m.category === t.category && m.start <= start && m.end >= end)) continue;
+      matches.push({
+        category: t.category,
+        term: t.term,
+        text: sentence.slice(start, end),
+        start,
+        end,
+        weight: t.weight,
+        negated: t.negatable && negatedAt(sentence, tokens, from),
+        excluded: excluded.some(x => x.category === t.category && x.from < to && from < x.to)
+      });
+    }
+  }
+
+  const miss = {};
+  for (const m of matches) {
+    if (m.negated || m.excluded) continue;
+    miss[m.category] = (miss[m.category] ?? 1) * (1 - m.weight);
+  }
+  const scores = Object.fromEntries(Object.entries(miss).map(([k, v]) => [k, Math.round((1 - v) * 100) / 100]));
+  const categories = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+  matches.sort((a, b) => a.start - b.start);
+  return { categories, confidence: categories.length ? scores[categories[0]] : 0, scores, matches };
+}
+
+/**
+ * Every sentence of `text` that lands in at least one category:
+ * [{ sentence, start, end, ...classifySentence }] – start/end are the offsets in `text`.
+ */
+export function classifyText(text, taxonomy = DEFAULT_TAXONOMY) {
+  return classifySpans(sentenceSpans(text), taxonomy).map(({ index, ...f }) => f);
+}
+
+// classifyText() on pre-split spans, keeping each hit's index so callers can find its neighbours
+function classifySpans(spans, taxonomy) {
+  const out = [];
+  spans.forEach(({ text, start, end }, index) => {
+    const c = classifySentence(text, taxonomy);
+    if (c.categories.length) out.push({ sentence: text, start, end, index, ...c });
+  });
+  return out;
+}
+
+/**
+ * The analysis attached to fetched reviews.
+ * Returns {
+ *   taxonomy:   { id, name },
+ *   categories: [{ key, label, severity }],
+ *   counts:     { total, [key]: n }   – sentences per category (a sentence can count twice)
+ *   findings:   [{ sentence, categories, confidence, scores, matches, severity, weight,
+ *                  reviewId, source, url, placeUrl, date, rating, author,
+ *                  start, end, context: { before, after }, reviewText, scrapedAt, lastSeenAt }],
+ *   risk:       see scoreRisk() in lib/risk.js
+ *   trends:     see buildTrends() in lib/trends.js (`granularity`: month | quarter | auto)
+ * }
+ * A finding's severity is the highest severity among its categories; findings are ranked
+ * by severity, then by weight (severity × confidence × recency).
+ *
+ * Every finding carries its provenance, so a quote can be checked against what the review
+ * said: the full review text, the sentence's offsets in it and the sentences either side
+ * (null at the edges), the review's own link (`url`; `placeUrl` is the listing when the
+ * source exposes both), and when this exact text was scraped (`scrapedAt`, see
+ * mergeReviews() in lib/reviewStore.js) and last seen unchanged on the site (`lastSeenAt`).
+ */
+export function analyzeReviews(reviews, taxonomy = DEFAULT_TAXONOMY, { now = Date.now(), granularity = "auto" } = {}) {
+  const counts = { total: 0 };
+  const severity = {};
+  for (const cat of taxonomy.categories) {
+    counts[cat.key] = 0;
+    severity[cat.key] = cat.severity ?? 3;
+  }
+  const findings = [];
+  for (const r of reviews) {
+    const spans = sentenceSpans(r.text);
+    for (const { index, ...f } of classifySpans(spans, taxonomy)) {
+      const finding = {
+        ...f,
+        severity: Math.max(...f.categories.map(k => severity[k])),
+        reviewId: r.id,
+        source: r.source,
+        url: r.url,
+        placeUrl: r.placeUrl || null,
+        date: r.date,
+        rating: r.rating,
+        author: r.author,
+        context: { before: spans[index - 1]?.text ?? null, after: spans[index + 1]?.text ?? null },
+        reviewText: r.text,
+        scrapedAt: r.scrapedAt || r.firstSeenAt || null,
+        lastSeenAt: r.lastSeenAt || null
+      };
+      finding.weight = findingWeight(finding, now);
+      findings.push(finding);
+      counts.total++;
+      for (const k of f.categories) counts[k]++;
+    }
+  }
+  findings.sort((a, b) => b.severity - a.severity || b.weight - a.weight);
+  const categories = taxonomy.categories.map(({ key, label }) => ({ key, label, severity: severity[key] }));
+  return {
+    taxonomy: { id: taxonomy.id, name: taxonomy.name },
+    categories,
+    counts,
+    findings,
+    risk: scoreRisk({ categories, findings, reviewCount: reviews.length }),
+    trends: buildTrends({ reviews, findings, categories, granularity, now })
+  };
+}
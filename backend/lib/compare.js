@@ -0,0 +1,153 @@
+// lib/compare.js – "you vs. the neighborhood"
+//
+// Finds the complexes Maps lists around a target property (the same Maps search the Google
+// scraper uses, for "apartments near {name}"), pulls each one's reviews and sets their category
+// rates side by side. Every property is read from Google only, so the rates come from the same
+// kind of reviewer and are comparable; a rate is the share of reviews flagged for a category,
+// per 100 reviews.
+import { aggregateReviews, sourceFailed } from "./aggregate.js";
+import { DEFAULT_TAXONOMY } from "./taxonomies.js";
+import { riskLevel } from "./risk.js";
+import { scoreCandidate, MIN_CONFIDENT_SCORE } from "./match.js";
+import { mapLimit } from "./util.js";
+import { getSource } from "../scrapers/index.js";
+
+export const MAX_NEARBY = 10;
+const SOURCE = "google";
+const CONCURRENCY = Math.max(1, parseInt(process.env.PORTFOLIO_CONCURRENCY || "2", 10) || 2);
+
+const per100 = (n, total) => (total ? Math.round((n / total) * 1000) / 10 : 0);
+
+const nearbySearch = (name, location) => getSource(SOURCE).searchNearby(name, location);
+
+/**
+ * Search results around the target, minus the target itself (same listing URL, or a name
+ * match confident enough that the picker would have chosen it). At most `limit`.
+ */
+export function pickNeighbors(candidates, { name, location, ref, limit = 5 }) {
+  const seen = new Set(ref?.url ? [ref.url] : []);
+  const out = [];
+  for (const c of candidates) {
+    if (out.length >= limit) break;
+    if (!c?.url || seen.has(c.url)) continue;
+    if (scoreCandidate(name, location, c) >= MIN_CONFIDENT_SCORE) continue;
+    seen.add(c.url);
+    out.push(c);
+  }
+  return out;
+}
+
+// One comparison row from an aggregateReviews() result
+function toRow(key, p, out, categories) {
+  const source = out.sources[SOURCE];
+  const failed = sourceFailed(source);
+  const reviewCount = out.reviews.length;
+  const mentions = Object.fromEntries(categories.map(c => [c.key, out.analysis.risk.byCategory[c.key]?.reviews || 0]));
+  return {
+    key,
+    name: p.name,
+    address: p.address || null,
+    url: p.url || null,
+    status: failed ? "failed" : "ok",
+    error: failed ? source.error : null,
+    reviewCount,
+    score: out.analysis.risk.score,
+    level: out.analysis.risk.level,
+    mentions,
+    rates: Object.fromEntries(categories.map(c => [c.key, per100(mentions[c.key], reviewCount)]))
+  };
+}
+
+const failedRow = (key, p, e) => ({
+  key, name: p.name, address: p.address || null, url: p.url || null, status: "failed", error: e?.message || String(e),
+  reviewCount: 0, score: null, level: null, mentions: {}, rates: {}
+});
+
+/**
+ * The neighborhood as one pooled property: flagged reviews over all reviews of the neighbors
+ * that returned any, so a complex with 200 reviews outweighs one with 8. `score` is the
+ * review-weighted average risk score.
+ */
+export function summarizeNeighborhood(rows, categories) {
+  const ok = rows.filter(r => r.status === "ok" && r.reviewCount > 0);
+  const reviews = ok.reduce((n, r) => n + r.reviewCount, 0);
+  const score = reviews ? Math.round(ok.reduce((n, r) => n + r.score * r.reviewCount, 0) / reviews) : 0;
+  const mentions = Object.fromEntries(categories.map(c => [c.key, ok.reduce((n, r) => n + (r.mentions[c.key] || 0), 0)]));
+  return {
+    properties: ok.length,
+    reviewCount: reviews,
+    score,
+    level: riskLevel(score),
+    mentions,
+    rates: Object.fromEntries(categories.map(c => [c.key, per100(mentions[c.key], reviews)]))
+  };
+}
+
+/**
+ * Per category: the target's rate, the neighborhood's, the difference in points and the ratio
+ * (null when the neighborhood has none). `position` is "above", "below" or "in line" – within
+ * 20% or 1 point of the neighborhood counts as in line.
+ */
+export function compareRates(target, neighborhood, categories) {
+  const out = {};
+  for (const c of categories) {
+    const t = target.rates[c.key] ?? 0, n = neighborhood.rates[c.key] ?? 0;
+    const delta = Math.round((t - n) * 10) / 10;
+    const close = Math.abs(delta) <= Math.max(1, n * 0.2);
+    out[c.key] = {
+      target: t,
+      neighborhood: n,
+      delta,
+      ratio: n ? Math.round((t / n) * 100) / 100 : null,
+      position: close ? "in line" : delta > 0 ? "above" : "below"
+    };
+  }
+  return out;
+}
+
+/**
+ * Target plus up to `limit` neighbors, fetched CONCURRENCY at a time. A neighbor that fails
+ * becomes a "failed" row; a failed target fails the comparison.
+ * Hooks: onProgress(key, { label?, phase, status }) with key "search", "target" or the
+ * neighbor's index, and onProperty(row) as each property settles.
+ * Returns { categories, target, neighbors, neighborhood, comparison }.
+ */
+export async function compareNearby({
+  name, location, ref = null, limit = 5, max = 60, timeout, taxonomy = DEFAULT_TAXONOMY, noCache = false,
+  onProgress = () => {}, onProperty = () => {}, search = nearbySearch, analyze = aggregateReviews
+}) {
+  const categories = taxonomy.categories.map(({ key, label, severity }) => ({ key, label, severity }));
+  const analyzeOne = (key, p) => analyze({
+    name: p.name, location: p.location, sources: [SOURCE], refs: p.ref ? { [SOURCE]: p.ref } : {},
+    max, timeout, noCache, taxonomy,
+    onProgress: (_, prog) => onProgress(key, { phase: prog.phase })
+  });
+
+  onProgress("search", { phase: "searching nearby", status: "running" });
+  const neighbors = pickNeighbors(await search(name, location), { name, location, ref, limit });
+  onProgress("search", { phase: `${neighbors.length} found`, status: "ok" });
+  neighbors.forEach((c, i) => onProgress(i, { label: c.name, phase: "queued", status: "pending" }));
+
+  onProgress("target", { phase: "fetching", status: "running" });
+  const target = toRow("target", { name, url: ref?.url }, await analyzeOne("target", { name, location, ref }), categories);
+  if (target.status === "failed") throw new Error(`${name}: ${target.error}`);
+  onProgress("target", { phase: "done", status: "ok" });
+  onProperty(target);
+
+  const rows = new Array(neighbors.length);
+  await mapLimit(neighbors, CONCURRENCY, async (c, i) => {
+    onProgress(i, { phase: "fetching", status: "running" });
+    const p = { name: c.name, location: c.address || location, address: c.address, url: c.url, ref: c.ref };
+    try {
+      rows[i] = toRow(i, p, await analyzeOne(i, p), categories);
+    } catch (e) {
+      console.error(`compare: ${c.name} failed`, e);
+      rows[i] = failedRow(i, p, e);
+    }
+    onProgress(i, { phase: "done", status: rows[i].status });
+    onProperty(rows[i]);
+  });
+
+  const neighborhood = summarizeNeighborhood(rows, categories);
+  return { categories, target, neighbors: rows, neighborhood, comparison: compareRates(target, neighborhood, categories) };
+}
@@ -0,0 +1,52 @@
+// lib/csv.js – minimal RFC 4180 reader/writer (quoted fields, embedded commas/newlines, "")
+
+/** CSV text → array of rows (arrays of strings). Blank lines are skipped. */
+export function parseCsv(text) {
+  const s = String(text || "").replace(/^﻿/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const endField = () => { row.push(field); field = ""; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === ",") endField();
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      endRow();
+    } else field += ch;
+  }
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+// Text a spreadsheet would run as a formula (=, +, -, @, or a leading tab/CR) gets a ' in
+// front – review text is written by strangers. Numbers are left alone, so -2 stays a number.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (typeof v !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Objects → CSV text. `columns` is [{ key, header }] or [key]; `key` may be a function(row).
+ * Lines end in CRLF so Excel opens the file cleanly. Strings that start like a formula are
+ * prefixed with ' (see FORMULA_START).
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map(c => (typeof c === "string" ? { key: c, header: c } : c));
+  const get = (row, key) => (typeof key === "function" ? key(row) : row[key]);
+  const lines = [cols.map(c => cell(c.header)).join(",")];
+  for (const row of rows) lines.push(cols.map(c => cell(get(row, c.key))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,162 @@
+// lib/diagnostics.js – telling "blocked" apart from "no reviews", and what a failed scrape saw
+//
+// detectBlock() recognizes CAPTCHAs, Google's "unusual traffic" page, consent walls and bot
+// challenges (Cloudflare, Akamai, PerimeterX). Scrapers turn a hit into blockedError(): an
+// Error named "BlockedError" with code "BLOCKED" and a `reason`, which /reviews reports as
+// status "blocked" and the single-source routes as a 503 – never as an empty result.
+//
+// saveDiagnostic() keeps what the scraper was looking at when it failed: the page HTML, a
+// screenshot for browser sources, the URL and the trail of steps it took.
+// diagnostics.json: id → { id, at, source, step, kind: "blocked" | "error", reason, message,
+//                          url, trail: [step notes], selectors: version of selectors.json,
+//                          files: { html?, screenshot? } }
+// Files live in <DATA_DIR>/diagnostics/; the newest DIAGNOSTICS_KEEP (default 100) are kept.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { openCollection, dataDir } from "./store.js";
+import { selectorsInfo } from "./selectors.js";
+
+// Elements that only render on a challenge page
+export const CAPTCHA_WIDGETS = [
+  'iframe[src*="recaptcha"]', ".g-recaptcha", 'iframe[src*="hcaptcha"]', ".h-captcha", ".cf-turnstile",
+  "#challenge-form", "#px-captcha", 'iframe[src*="captcha-delivery"]'
+].join(", ");
+
+const TEXT_PATTERNS = [
+  ["unusual traffic", /unusual traffic from your (computer )?network|our systems have detected unusual traffic/i],
+  ["captcha", /(complete|solve|enter) the captcha|i'?m not a robot|are you a (human|robot)\?|verify (that )?you are (a )?human/i],
+  ["consent wall", /before you continue to google/i],
+  ["bot challenge", /attention required! \| cloudflare|checking your browser before accessing|pardon our interruption|access denied[\s\S]{0,120}reference #|request unsuccessful\. incapsula/i]
+];
+
+/**
+ * What blocked a page, or null. Give it whatever is at hand:
+ *   status           – HTTP status (403 → "forbidden", 429 → "rate limited" when nothing more specific shows)
+ *   url              – the final URL (Google's /sorry/ and consent.google.com pages)
+ *   title, text      – the page title and its visible text (not scripts – Maps ships "captcha" in its JS)
+ *   hasCaptchaWidget – whether CAPTCHA_WIDGETS matched anything
+ * → { reason, detail }
+ */
+export function detectBlock({ status = 200, url = "", title = "", text = "", hasCaptchaWidget = false } = {}) {
+  if (/\/sorry\/(index)?/.test(url) && /google\./.test(url)) return { reason: "unusual traffic", detail: "Google's /sorry/ page" };
+  if (/^https?:\/\/consent\.(google|youtube)\./.test(url)) return { reason: "consent wall", detail: "Google's consent page" };
+  if (hasCaptchaWidget) return { reason: "captcha", detail: "a CAPTCHA widget is on the page" };
+  const sample = `${title}\n${String(text).slice(0, 20000)}`;
+  for (const [reason, re] of TEXT_PATTERNS) {
+    const m = sample.match(re);
+    if (m) return { reason, detail: `page says “${m[0]}”` };
+  }
+  if (status === 429) return { reason: "rate limited", detail: "HTTP 429" };
+  if (status === 403) return { reason: "forbidden", detail: "HTTP 403" };
+  return null;
+}
+
+/** The error scrapers throw when a site blocks them. Not retried: trying again only digs deeper. */
+export function blockedError(source, { reason, detail }, url) {
+  const e = new Error(`${source} blocked the scrape (${reason}${detail ? ` – ${detail}` : ""})`);
+  e.name = "BlockedError";
+  e.code = "BLOCKED";
+  e.reason = reason;
+  e.url = url || null;
+  e.statusCode = 503;
+  e.retryable = false;
+  return e;
+}
+
+export const isBlocked = (e) => e?.code === "BLOCKED";
+
+const diagnostics = () => openCollection("diagnostics");
+const dir = () => path.join(dataDir(), "diagnostics");
+const keep = () => {
+  const n = parseInt(process.env.DIAGNOSTICS_KEEP || "", 10);
+  return Number.isInteger(n) && n > 0 ? n : 100;
+};
+
+// A broken selectors.json must not stop a diagnostic being saved
+const selectorsVersion = () => {
+  try {
+    return selectorsInfo().version;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Saves a failed scrape's evidence and returns the record. `html` is a string, `screenshot`
+ * a PNG buffer; both optional. Never throws – a full disk must not mask the scrape's error.
+ */
+export function saveDiagnostic({ source, step = null, error, url = null, html = null, screenshot = null, trail = [], now = new Date() }) {
+  const id = `${now.toISOString().replace(/[-:.]/g, "").slice(0, 15)}-${source}-${crypto.randomBytes(3).toString("hex")}`;
+  const files = {};
+  try {
+    fs.mkdirSync(dir(), { recursive: true });
+    if (html != null) {
+      files.html = `${id}.html`;
+      fs.writeFileSync(path.join(dir(), files.html), html);
+    }
+    if (screenshot) {
+      files.screenshot = `${id}.png`;
+      fs.writeFileSync(path.join(dir(), files.screenshot), screenshot);
+    }
+  } catch (e) {
+    console.error("diagnostics: could not save files", e);
+  }
+  const record = {
+    id,
+    at: now.toISOString(),
+    source,
+    step,
+    kind: isBlocked(error) ? "blocked" : "error",
+    reason: error?.reason || null,
+    message: error?.message || String(error),
+    url: url || error?.url || null,
+    trail,
+    selectors: selectorsVersion(),
+    files
+  };
+  try {
+    diagnostics().set(id, record);
+    prune();
+  } catch (e) {
+    console.error("diagnostics: could not save record", e);
+  }
+  return record;
+}
+
+function prune() {
+  const old = diagnostics().values().sort((a, b) => b.at.localeCompare(a.at)).slice(keep());
+  for (const d of old) deleteDiagnostic(d.id);
+}
+
+/** Newest first; `source` and `kind` filter. */
+export function listDiagnostics({ source = null, kind = null, limit = 50 } = {}) {
+  return diagnostics().values()
+    .filter(d => (!source || d.source === source) && (!kind || d.kind === kind))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+export const getDiagnostic = (id) => diagnostics().get(id);
+
+/** Absolute path of a record's "html" or "screenshot" file, or null. */
+export function diagnosticFile(id, which) {
+  const name = getDiagnostic(id)?.files?.[which];
+  return name ? path.join(dir(), name) : null;
+}
+
+export function deleteDiagnostic(id) {
+  const d = getDiagnostic(id);
+  if (!d) return false;
+  for (const name of Object.values(d.files || {})) fs.rmSync(path.join(dir(), name), { force: true });
+  return diagnostics().delete(id);
+}
+
+/**
+ * Attaches a diagnostic to `error` (as error.diagnosticId) unless it already has one – the
+ * innermost step that saw the page wins – and returns the error for rethrowing.
+ */
+export function withDiagnostic(error, details) {
+  if (error && !error.diagnosticId) error.diagnosticId = saveDiagnostic({ ...details, error }).id;
+  return error;
+}
@@ -0,0 +1,200 @@
+// lib/emailTemplates.js – outreach e-mail templates
+//
+// emailTemplates.json: id → {
+//   id, name, description, subject, body, quotesPerCategory, createdAt, updatedAt
+// }
+//   subject, body     – lib/template.js syntax over the view lib/outreach.js builds
+//                       (property, recipient, sender, signature, risk, categories, flagged, …)
+//   quotesPerCategory – how many top quotes each category carries into the view (1–10)
+// The body is plain text; the HTML version is derived from it (paragraphs, "• "/"– " lists,
+// links), so one template serves the clipboard, HTML and .eml outputs.
+// Built-in templates are not stored and cannot be changed – save a copy instead.
+import { openCollection } from "./store.js";
+import { parseTemplate } from "./template.js";
+
+const FIRST_TOUCH = `Hi {{recipient.name}} —
+
+I pulled public reviews for {{property.name}} in {{property.location}} and filtered for {{categoryList}}.
+{{#risk}}
+Risk score: {{score}}/100 ({{level}}) – {{headline}}
+{{/risk}}
+Signals found: {{signals}}
+{{#categories}}
+• {{label}}: {{mentions}} (score {{score}})
+{{/categories}}
+{{#trend}}
+Trend (last {{unit}} vs the one before): {{summary}}
+{{/trend}}
+{{#comparison}}
+Vs {{properties}} nearby complexes (per 100 reviews): {{summary}}
+{{/comparison}}
+
+{{#flagged}}
+{{label}}:
+{{#quotes}}
+– “{{text}}”{{#date}} [{{date}}]{{/date}}
+{{/quotes}}
+
+{{/flagged}}
+How we help ({{sender.company}}):
+• AI + live agents monitor your existing cameras in real time
+• Voice-down trespassers, alert staff, or call police per protocol
+• Evidence-grade reports for insurers and PD
+
+Open to a 15-minute walkthrough to quantify impact?
+{{signature}}
+`;
+
+const FOLLOW_UP = `Hi {{recipient.name}},
+
+Following up on my note about {{property.name}}. I went back through the public reviews{{#comparison}} and lined them up against {{properties}} nearby complexes{{/comparison}}.
+{{#risk}}
+The property currently scores {{score}}/100 ({{level}}).
+{{/risk}}
+
+{{#flagged}}
+• {{label}}: {{mentions}} mention{{^single}}s{{/single}}{{#quotes.0}} – “{{text}}”{{/quotes.0}}
+{{/flagged}}
+{{^flagged}}
+Good news: nothing in the reviews points at security, safety or nuisance issues right now.
+{{/flagged}}
+{{#trend}}
+Recent trend: {{summary}}.
+{{/trend}}
+{{#comparison}}
+Against the neighborhood: {{summary}}.
+{{/comparison}}
+
+Would 15 minutes next week work to walk through what this means for your team?
+{{signature}}
+`;
+
+const EXECUTIVE_SUMMARY = `{{property.name}}, {{property.location}} – resident review risk summary ({{date}})
+
+{{reviewCount}} public reviews analyzed; {{signals}} flagged sentences.
+{{#risk}}
+Overall risk: {{score}}/100 ({{level}}). {{headline}}
+{{/risk}}
+
+By category:
+{{#categories}}
+• {{label}}: score {{score}} ({{level}}), {{mentions}} mention{{^single}}s{{/single}}{{#trend}}, {{direction}} {{previous}} → {{current}} per {{unit}}{{/trend}}
+{{/categories}}
+{{#comparison}}
+
+Neighborhood ({{properties}} nearby complexes, per 100 reviews): {{summary}}.
+{{/comparison}}
+
+Key quotes:
+{{#topQuotes}}
+– “{{text}}” ({{tags}}{{#date}}, {{date}}{{/date}}{{#source}}, {{source}}{{/source}})
+{{/topQuotes}}
+{{^topQuotes}}
+– none flagged
+{{/topQuotes}}
+
+{{signature}}
+`;
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "first-touch",
+    name: "First touch",
+    description: "Cold intro: score, category counts and the top quotes per category, then the pitch.",
+    subject: "Quick security takeaways – {{property.name}} ({{property.location}})",
+    body: FIRST_TOUCH,
+    quotesPerCategory: 3
+  },
+  {
+    id: "follow-up",
+    name: "Follow-up",
+    description: "Short nudge with one quote per flagged category and the trend.",
+    subject: "Following up – {{property.name}} reviews",
+    body: FOLLOW_UP,
+    quotesPerCategory: 1
+  },
+  {
+    id: "executive-summary",
+    name: "Executive summary",
+    description: "Neutral one-pager for owners and asset managers: scores, trends, neighborhood and key quotes.",
+    subject: "{{property.name}} – resident review risk summary",
+    body: EXECUTIVE_SUMMARY,
+    quotesPerCategory: 2
+  }
+].map(t => ({ ...t, builtIn: true }));
+
+const MAX_BODY = 20000;
+
+const templates = () => openCollection("emailTemplates");
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+const builtIn = (id) => BUILT_IN_TEMPLATES.find(t => t.id === id) || null;
+
+function invalid(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/** Built-ins first, then saved templates by name. */
+export function listEmailTemplates() {
+  const summary = (t) => ({ id: t.id, name: t.name, description: t.description || "", builtIn: !!t.builtIn, updatedAt: t.updatedAt || null });
+  const saved = templates().values().sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILT_IN_TEMPLATES, ...saved].map(summary);
+}
+
+export function getEmailTemplate(id) {
+  if (!id) return BUILT_IN_TEMPLATES[0];
+  return builtIn(id) || templates().get(id);
+}
+
+/** getEmailTemplate() for request params – unknown ids are a 404. */
+export function resolveEmailTemplate(id) {
+  const t = getEmailTemplate(String(id || "").trim());
+  if (!t) throw invalid(`Unknown e-mail template: ${id}`, 404);
+  return t;
+}
+
+/** Validates a template from a request body; subject and body must parse. */
+export function normalizeEmailTemplate(input) {
+  const name = String(input?.name || "").trim();
+  if (!name) throw invalid("Template needs a name");
+  const subject = String(input.subject || "").trim();
+  if (!subject) throw invalid("Template needs a subject");
+  const body = String(input.body || "").replace(/\r\n/g, "\n");
+  if (!body.trim()) throw invalid("Template needs a body");
+  if (body.length > MAX_BODY) throw invalid(`Template body is limited to ${MAX_BODY} characters`);
+  for (const [what, source] of [["Subject", subject], ["Body", body]]) {
+    try {
+      parseTemplate(source);
+    } catch (e) {
+      throw invalid(`${what}: ${e.message}`);
+    }
+  }
+  const quotes = input.quotesPerCategory == null || input.quotesPerCategory === "" ? 3 : Number(input.quotesPerCategory);
+  if (!(Number.isInteger(quotes) && quotes >= 1 && quotes <= 10)) throw invalid("Quotes per category must be 1–10");
+  return { name, description: String(input.description || "").trim(), subject, body, quotesPerCategory: quotes };
+}
+
+/** Creates a template (id derived from the name) and returns it. */
+export function createEmailTemplate(input, now = new Date()) {
+  const t = normalizeEmailTemplate(input);
+  const base = slug(t.name) || "template";
+  let id = base;
+  for (let n = 2; builtIn(id) || templates().has(id); n++) id = `${base}-${n}`;
+  const at = now.toISOString();
+  return templates().set(id, { id, ...t, createdAt: at, updatedAt: at });
+}
+
+/** Replaces a saved template; null when it does not exist. */
+export function updateEmailTemplate(id, input, now = new Date()) {
+  if (builtIn(id)) throw invalid("Built-in templates cannot be changed – save a copy under a new name");
+  const prev = templates().get(id);
+  if (!prev) return null;
+  return templates().set(id, { ...prev, ...normalizeEmailTemplate(input), updatedAt: now.toISOString() });
+}
+
+export function deleteEmailTemplate(id) {
+  if (builtIn(id)) throw invalid("Built-in templates cannot be deleted");
+  return templates().delete(id);
+}
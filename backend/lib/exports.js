@@ -0,0 +1,163 @@
+// lib/exports.js – reviews and classified sentences as CSV, JSON and XLSX
+//
+// Built from the same { property, analysis, reviews, taxonomy } input the PDF report and the
+// outreach e-mails use (see reportInput() in server.js), so an export always matches the
+// summary it was downloaded next to. Two datasets:
+//   reviews  – one row per fetched review, with the categories and terms of its findings
+//   findings – one row per classified sentence (analysis.findings, ranked by severity), with
+//              its offsets in the review, the sentences around it and when it was scraped
+// Spreadsheets join list fields with "; "; the JSON keeps them as arrays.
+import { toCsv } from "./csv.js";
+import { toXlsx } from "./xlsx.js";
+
+export const DATASETS = ["reviews", "findings"];
+export const FORMATS = ["csv", "json", "xlsx"];
+
+const join = (list) => (list || []).join("; ");
+
+// The terms that counted: excluded and negated matches are reported by classify but scored 0
+const countedTerms = (matches) => [...new Set(matches.filter(m => !m.negated && !m.excluded).map(m => m.term))];
+
+/** { property, taxonomy, categories, reviews: [...], findings: [...] } with plain row objects. */
+export function exportData({ property, analysis, reviews, sources = {}, taxonomy, generatedAt = new Date() }) {
+  const labelOf = Object.fromEntries(analysis.categories.map(c => [c.key, c.label]));
+  const sourceLabel = (key) => sources[key]?.label || key || "";
+
+  const findings = analysis.findings.map((f, i) => ({
+    rank: i + 1,
+    reviewId: f.reviewId,
+    source: sourceLabel(f.source),
+    url: f.url || "",
+    date: f.date || "",
+    rating: f.rating ?? null,
+    author: f.author || "",
+    sentence: f.sentence,
+    contextBefore: f.context?.before || "",
+    contextAfter: f.context?.after || "",
+    start: f.start ?? null,
+    end: f.end ?? null,
+    scrapedAt: f.scrapedAt || "",
+    lastSeenAt: f.lastSeenAt || "",
+    categories: f.categories.map(k => labelOf[k] || k),
+    terms: countedTerms(f.matches),
+    severity: f.severity,
+    confidence: Math.round(f.confidence * 100) / 100,
+    weight: Math.round((f.weight ?? 0) * 1000) / 1000
+  }));
+
+  const byReview = new Map();
+  for (const f of analysis.findings) {
+    const hit = byReview.get(f.reviewId) || { categories: new Set(), terms: new Set(), sentences: 0 };
+    f.categories.forEach(k => hit.categories.add(labelOf[k] || k));
+    countedTerms(f.matches).forEach(t => hit.terms.add(t));
+    hit.sentences++;
+    byReview.set(f.reviewId, hit);
+  }
+
+  const rows = reviews.map(r => {
+    const hit = byReview.get(r.id);
+    return {
+      id: r.id,
+      source: sourceLabel(r.source),
+      url: r.url || "",
+      date: r.date || "",
+      dateLabel: r.dateLabel || "",
+      rating: r.rating ?? null,
+      author: r.author || "",
+      text: r.text || "",
+      ownerReply: r.ownerReply || "",
+      scrapedAt: r.scrapedAt || r.firstSeenAt || "",
+      lastSeenAt: r.lastSeenAt || "",
+      categories: hit ? [...hit.categories] : [],
+      terms: hit ? [...hit.terms] : [],
+      flaggedSentences: hit?.sentences || 0
+    };
+  });
+
+  return {
+    property,
+    generatedAt: generatedAt.toISOString(),
+    taxonomy: { id: taxonomy.id, name: taxonomy.name },
+    categories: analysis.categories,
+    risk: analysis.risk ? { score: analysis.risk.score, level: analysis.risk.level } : null,
+    reviews: rows,
+    findings
+  };
+}
+
+const REVIEW_COLUMNS = [
+  { key: "id", header: "Review ID", width: 16 },
+  { key: "source", header: "Source", width: 16 },
+  { key: "url", header: "URL", width: 40 },
+  { key: "date", header: "Date", width: 12 },
+  { key: "dateLabel", header: "Date as shown", width: 14 },
+  { key: "rating", header: "Rating", width: 8 },
+  { key: "author", header: "Author", width: 18 },
+  { key: "text", header: "Review", width: 80 },
+  { key: "ownerReply", header: "Owner reply", width: 40 },
+  { key: "scrapedAt", header: "Scraped at", width: 20 },
+  { key: "lastSeenAt", header: "Last seen", width: 20 },
+  { key: (r) => join(r.categories), header: "Categories", width: 24 },
+  { key: (r) => join(r.terms), header: "Matched terms", width: 24 },
+  { key: "flaggedSentences", header: "Flagged sentences", width: 10 }
+];
+
+const FINDING_COLUMNS = [
+  { key: "rank", header: "Rank", width: 6 },
+  { key: "reviewId", header: "Review ID", width: 16 },
+  { key: "source", header: "Source", width: 16 },
+  { key: "url", header: "URL", width: 40 },
+  { key: "date", header: "Date", width: 12 },
+  { key: "rating", header: "Rating", width: 8 },
+  { key: "author", header: "Author", width: 18 },
+  { key: "sentence", header: "Sentence", width: 80 },
+  { key: "contextBefore", header: "Sentence before", width: 40 },
+  { key: "contextAfter", header: "Sentence after", width: 40 },
+  { key: "start", header: "Start offset", width: 8 },
+  { key: "end", header: "End offset", width: 8 },
+  { key: "scrapedAt", header: "Scraped at", width: 20 },
+  { key: "lastSeenAt", header: "Last seen", width: 20 },
+  { key: (f) => join(f.categories), header: "Categories", width: 24 },
+  { key: (f) => join(f.terms), header: "Matched terms", width: 24 },
+  { key: "severity", header: "Severity", width: 8 },
+  { key: "confidence", header: "Confidence", width: 10 },
+  { key: "weight", header: "Risk weight", width: 10 }
+];
+
+const COLUMNS = { reviews: REVIEW_COLUMNS, findings: FINDING_COLUMNS };
+const SHEET_NAMES = { reviews: "Reviews", findings: "Findings" };
+
+function invalid(message) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  return e;
+}
+
+/**
+ * One download: { body, contentType, extension }. `dataset` is "reviews", "findings" or
+ * "all" (JSON and XLSX only – a CSV holds one table).
+ */
+export function renderExport(data, dataset, format) {
+  if (!FORMATS.includes(format)) throw invalid(`Unknown export format: ${format} (${FORMATS.join(", ")})`);
+  if (dataset !== "all" && !DATASETS.includes(dataset)) throw invalid(`Unknown dataset: ${dataset} (${DATASETS.join(", ")} or all)`);
+  const sets = dataset === "all" ? DATASETS : [dataset];
+
+  if (format === "csv") {
+    if (sets.length > 1) throw invalid("A CSV export holds one dataset – ask for reviews or findings");
+    return { body: toCsv(data[dataset], COLUMNS[dataset]), contentType: "text/csv; charset=utf-8", extension: "csv" };
+  }
+  if (format === "json") {
+    const { reviews, findings, ...head } = data;
+    const body = { ...head, ...Object.fromEntries(sets.map(k => [k, data[k]])) };
+    return { body: JSON.stringify(body, null, 2), contentType: "application/json; charset=utf-8", extension: "json" };
+  }
+  return {
+    body: toXlsx(sets.map(k => ({ name: SHEET_NAMES[k], rows: data[k], columns: COLUMNS[k] }))),
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx"
+  };
+}
+
+/** "The-Reserve-Bradenton-FL-findings.csv" */
+export const exportFilename = ({ name, location }, dataset, extension) =>
+  `${[name || "Property", location, dataset === "all" ? "reviews-and-findings" : dataset].filter(Boolean).join(" ").replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "")}.${extension}`;
@@ -0,0 +1,105 @@
+// lib/history.js – the workspace's search history: who pulled which property, and when
+//
+// history.json: id → {
+//   id, ranAt, ranBy: { id, name } | null, jobId,
+//   property: { name, location }, sources: [keys], refs, taxonomy: { id, name },
+//   status: { [source]: { label, status, count, error, via, reason, diagnosticId } },
+//   reviewCount, counts, risk: { score, level } | null,
+//   reviews: { [propertyKey]: [reviewId, …] },
+//   savedBy: [actor ids]
+// }
+// An entry points into the review store (lib/reviewStore.js) instead of copying the reviews,
+// so reopening a past search reads what was stored – no scrape – and the file stays small.
+// The whole team sees every entry; "mine" and "saved" are filters on ranBy and savedBy.
+import crypto from "node:crypto";
+import { openCollection } from "./store.js";
+import { propertyKey, getProperty } from "./reviewStore.js";
+
+const history = () => openCollection("history");
+
+const norm = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** The list view of an entry: no review pointers; `saved` is for the asking actor. */
+const summary = ({ reviews, savedBy, ...h }, actorId) => ({ ...h, saved: !!actorId && savedBy.includes(actorId) });
+
+/**
+ * Records a finished search – `result` is aggregateReviews() output – and returns the entry.
+ * `ranBy` is actorOf(req.principal) (lib/auth.js).
+ */
+export function recordSearch({ query, taxonomy, result, ranBy = null, jobId = null, now = new Date() }) {
+  const { name, location, sources, refs = {} } = query;
+  const reviews = {};
+  for (const r of result.reviews) {
+    const key = propertyKey(r.source, refs[r.source] || { name, location });
+    (reviews[key] ||= []).push(r.id);
+  }
+  const status = Object.fromEntries(Object.entries(result.sources).map(([k, s]) => [k, { label: s.label, status: s.status, count: s.count, error: s.error, via: s.via ?? null, reason: s.reason ?? null, diagnosticId: s.diagnosticId ?? null }]));
+  const { risk, counts } = result.analysis;
+  const id = crypto.randomUUID();
+  return history().set(id, {
+    id,
+    ranAt: now.toISOString(),
+    ranBy,
+    jobId,
+    property: { name, location },
+    sources,
+    refs,
+    taxonomy: { id: taxonomy.id, name: taxonomy.name },
+    status,
+    reviewCount: result.reviews.length,
+    counts,
+    risk: risk ? { score: risk.score, level: risk.level } : null,
+    reviews,
+    savedBy: []
+  });
+}
+
+/**
+ * Newest first. Filters: `mine` (ran by `actorId`), `saved` (saved by `actorId`), `q` (in the
+ * property name or location). Each entry says whether `actorId` saved it.
+ */
+export function listHistory({ actorId = null, mine = false, saved = false, q = "", limit = 50 } = {}) {
+  const needle = norm(q);
+  return history().values()
+    .filter(h => !mine || h.ranBy?.id === actorId)
+    .filter(h => !saved || h.savedBy.includes(actorId))
+    .filter(h => !needle || norm(`${h.property.name} ${h.property.location}`).includes(needle))
+    .sort((a, b) => b.ranAt.localeCompare(a.ranAt))
+    .slice(0, limit)
+    .map(h => summary(h, actorId));
+}
+
+/**
+ * A past search with its reviews as they are stored now ({ ...summary, reviews }), each with
+ * its `source` like /reviews returns them. Null when unknown. Reviews a later scrape edited
+ * carry the earlier text in `revisions`.
+ */
+export function openHistory(id, actorId = null) {
+  const h = history().get(id);
+  if (!h) return null;
+  const reviews = [];
+  for (const [key, ids] of Object.entries(h.reviews)) {
+    const p = getProperty(key);
+    if (!p) continue;
+    for (const rid of ids) if (p.reviews[rid]) reviews.push({ ...p.reviews[rid], source: p.source });
+  }
+  return { ...summary(h, actorId), reviews };
+}
+
+/** Saves or un-saves an entry for `actorId`; null when unknown. */
+export function saveHistory(id, actorId, saved) {
+  const h = history().get(id);
+  if (!h) return null;
+  const savedBy = h.savedBy.filter(x => x !== actorId);
+  if (saved) savedBy.push(actorId);
+  return summary(history().set(id, { ...h, savedBy }), actorId);
+}
+
+export function getHistorySummary(id, actorId = null) {
+  const h = history().get(id);
+  return h ? summary(h, actorId) : null;
+}
+
+export function deleteHistory(id) {
+  return history().delete(id);
+}
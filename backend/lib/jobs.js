@@ -0,0 +1,158 @@
+// lib/jobs.js – in-process job queue for long scrapes
+//
+// submitJob() returns immediately with a job id; the work runs in the background with at
+// most JOB_CONCURRENCY jobs at once (the rest wait in FIFO order). Each job keeps a
+// progress block that callers poll (GET /jobs/:id) or follow as Server-Sent Events
+// (GET /jobs/:id/events). Finished jobs are kept for JOB_RETENTION_MS, then dropped.
+import { EventEmitter } from "node:events";
+import { randomUUID } from "node:crypto";
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || "2", 10) || 2);
+const JOB_RETENTION_MS = 1000 * 60 * 60; // 1 hour
+
+const jobs = new Map();
+const waiting = [];
+let running = 0;
+
+// Every job event goes out as ("job:<id>", { type, data })
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const emit = (job, type, data) => jobEvents.emit(`job:${job.id}`, { type, data });
+
+/** Public view of a job (no internal handles, partial reviews only as a count). */
+export function jobSnapshot(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    params: job.params,
+    position: job.status === "queued" ? waiting.indexOf(job) + 1 : 0,
+    progress: job.progress,
+    partialCount: job.partial.length,
+    error: job.error
+  };
+}
+
+export const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Queues `run(ctx)` and returns the job. `ctx` gives the runner:
+ *   id                    – the job's id
+ *   progress(key, patch)  – merge into job.progress[key] and notify listeners
+ *   partial(items, meta)  – append interim results (e.g. one source's reviews)
+ * Whatever `run` resolves to becomes job.result.
+ */
+export function submitJob(type, params, run, { initialProgress = {} } = {}) {
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: initialProgress,
+    partial: [],
+    result: null,
+    error: null,
+    run
+  };
+  jobs.set(job.id, job);
+  waiting.push(job);
+  pump();
+  return job;
+}
+
+function pump() {
+  while (running < CONCURRENCY && waiting.length) {
+    const job = waiting.shift();
+    running++;
+    execute(job).finally(() => {
+      running--;
+      setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+      pump();
+    });
+  }
+  // queue positions moved
+  for (const j of waiting) emit(j, "progress", jobSnapshot(j));
+}
+
+async function execute(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  emit(job, "progress", jobSnapshot(job));
+
+  const ctx = {
+    id: job.id,
+    progress(key, patch) {
+      job.progress[key] = { ...job.progress[key], ...patch };
+      emit(job, "progress", jobSnapshot(job));
+    },
+    partial(items, meta = {}) {
+      job.partial.push(...items);
+      emit(job, "partial", { ...meta, items });
+    }
+  };
+
+  try {
+    job.result = await job.run(ctx);
+    job.status = "done";
+  } catch (e) {
+    console.error(`job ${job.id} (${job.type}) failed`, e);
+    job.status = "failed";
+    job.error = e?.message || String(e);
+  }
+  job.finishedAt = new Date().toISOString();
+  delete job.run;
+  emit(job, job.status, job.status === "done" ? { ...jobSnapshot(job), result: job.result } : jobSnapshot(job));
+}
+
+export function queueStats() {
+  let done = 0, failed = 0;
+  for (const j of jobs.values()) {
+    if (j.status === "done") done++;
+    if (j.status === "failed") failed++;
+  }
+  return { concurrency: CONCURRENCY, running, queued: waiting.length, done, failed };
+}
+
+/**
+ * Streams a job to an Express response as Server-Sent Events:
+ *   progress – job snapshot      partial – { source, status, items }
+ *   done     – snapshot + result failed  – snapshot with error
+ * The stream starts with the current snapshot (and any partials already collected) and
+ * closes after done/failed.
+ */
+export function streamJob(job, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (job.partial.length) send("partial", { items: job.partial });
+  if (job.status === "done" || job.status === "failed") {
+    send(job.status, job.status === "done" ? { ...jobSnapshot(job), result: job.result } : jobSnapshot(job));
+    return res.end();
+  }
+  send("progress", jobSnapshot(job));
+
+  const onEvent = ({ type, data }) => {
+    send(type, data);
+    if (type === "done" || type === "failed") cleanup(true);
+  };
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), 15000);
+  const cleanup = (end) => {
+    clearInterval(keepAlive);
+    jobEvents.off(`job:${job.id}`, onEvent);
+    if (end) res.end();
+  };
+  jobEvents.on(`job:${job.id}`, onEvent);
+  req.on("close", () => cleanup(false));
+}
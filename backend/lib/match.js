@@ -0,0 +1,47 @@
+// lib/match.js – ranks search candidates against what the user typed
+//
+// Common complex names ("The Reserve", "Park Place") return several plausible hits, so
+// every candidate gets a 0–1 score and a source is "ambiguous" when the best hit doesn't
+// clearly beat the runner-up.
+
+const STOP = new Set(["the", "at", "on", "of", "and", "apartments", "apartment", "apts", "apt", "homes", "residences", "community", "luxury"]);
+
+const tokens = (s) => (s || "")
+  .toLowerCase()
+  .replace(/&/g, " and ")
+  .replace(/[^a-z0-9\s]/g, " ")
+  .split(/\s+/)
+  .filter(t => t && !STOP.has(t));
+
+/** Name overlap (Dice coefficient) plus a small bonus when the address mentions the location. */
+export function scoreCandidate(name, location, candidate) {
+  const q = new Set(tokens(name));
+  const c = new Set(tokens(candidate.name));
+  if (!q.size || !c.size) return 0;
+  let shared = 0;
+  for (const t of q) if (c.has(t)) shared++;
+  let score = (2 * shared) / (q.size + c.size);
+
+  const where = tokens(location).filter(t => !/^[a-z]{2}$/.test(t)); // drop state codes
+  const addr = (candidate.address || "").toLowerCase();
+  if (where.length && addr && where.every(t => addr.includes(t))) score += 0.1;
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
+/** Candidates sorted best-first, each with `score`. */
+export function rankCandidates(name, location, candidates) {
+  return candidates
+    .map((c, i) => ({ ...c, score: scoreCandidate(name, location, c), rank: i }))
+    .sort((a, b) => b.score - a.score || a.rank - b.rank)
+    .map(({ rank, ...c }) => c);
+}
+
+export const MIN_CONFIDENT_SCORE = 0.8;
+export const MIN_MARGIN = 0.2;
+
+/** True when a human should pick: several hits and no clear, confident winner. */
+export function isAmbiguous(ranked) {
+  if (ranked.length === 0) return false;
+  if (ranked[0].score < MIN_CONFIDENT_SCORE) return true;
+  return ranked.length > 1 && ranked[0].score - ranked[1].score < MIN_MARGIN;
+}
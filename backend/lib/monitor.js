@@ -0,0 +1,105 @@
+// lib/monitor.js – re-checks watched properties on their schedule and raises alerts
+//
+// An in-process timer looks for due watches every MONITOR_TICK_MS (default 1 minute) and
+// submits each as a "monitor" job, so checks share the job queue and browser pool with
+// interactive fetches. A check always re-scrapes (the 6-hour store cache would hide new
+// reviews), compares review ids against the watch's `seen` list, and turns findings on new
+// reviews in the watch's alert categories into alerts (lib/alerts.js).
+import { aggregateReviews, sourceFailed } from "./aggregate.js";
+import { submitJob } from "./jobs.js";
+import { getTaxonomy, DEFAULT_TAXONOMY } from "./taxonomies.js";
+import { watchState, dueWatches, recordRun } from "./watchlist.js";
+import { buildAlerts, recordAlerts, deliverAlerts } from "./alerts.js";
+
+const TICK_MS = Math.max(1000, parseInt(process.env.MONITOR_TICK_MS || "60000", 10) || 60000);
+const MAX_REVIEWS = Math.max(10, parseInt(process.env.MONITOR_MAX_REVIEWS || "60", 10) || 60);
+
+let timer = null;
+const inFlight = new Set(); // watch ids with a check queued or running
+
+function notFound(id) {
+  const e = new Error(`Unknown watch: ${id}`);
+  e.statusCode = 404;
+  return e;
+}
+
+/**
+ * One check of one watch. Returns {
+ *   status:     "baseline" (first run, nothing alerted) | "ok",
+ *   reviews, newReviews, alerts: [{ id, categories, severity, date, url }], delivery
+ * }. A failed scrape is booked on the watch and rethrown.
+ */
+export async function checkWatch(id, { analyze = aggregateReviews, deliver = deliverAlerts, onProgress = () => {}, now = () => new Date() } = {}) {
+  const w = watchState(id);
+  if (!w) throw notFound(id);
+  const taxonomy = getTaxonomy(w.taxonomy) || DEFAULT_TAXONOMY;
+
+  try {
+    const out = await analyze({
+      name: w.name, location: w.location, sources: w.sources, refs: w.refs, max: MAX_REVIEWS,
+      noCache: true, taxonomy, onProgress
+    });
+    const states = Object.values(out.sources);
+    if (states.length && states.every(sourceFailed)) {
+      throw new Error(states.map(s => `${s.label}: ${s.error}`).join("; "));
+    }
+    const seenIds = out.reviews.map(r => r.id);
+
+    if (!w.baselineAt) {
+      recordRun(id, { status: "baseline", seenIds }, now());
+      return { status: "baseline", reviews: out.reviews.length, newReviews: 0, alerts: [], delivery: {} };
+    }
+
+    const seen = new Set(w.seen);
+    const fresh = new Set(seenIds.filter(rid => !seen.has(rid)));
+    const labels = Object.fromEntries(out.analysis.categories.map(c => [c.key, c.label]));
+    const added = recordAlerts(buildAlerts(w, out.analysis.findings.filter(f => fresh.has(f.reviewId)), { labels, now: now() }));
+    const delivery = added.length ? await deliver(w, added) : {};
+    recordRun(id, { status: "ok", seenIds, newCount: fresh.size }, now());
+    return {
+      status: "ok",
+      reviews: out.reviews.length,
+      newReviews: fresh.size,
+      alerts: added.map(a => ({ id: a.id, categories: a.categories, severity: a.severity, date: a.date, url: a.url })),
+      delivery
+    };
+  } catch (e) {
+    if (watchState(id)) recordRun(id, { status: "failed", error: e?.message || String(e) }, now());
+    throw e;
+  }
+}
+
+/** Queues a check of one watch as a "monitor" job; null when one is already queued or running. */
+export function runWatch(id, opts = {}) {
+  const w = watchState(id);
+  if (!w) throw notFound(id);
+  if (inFlight.has(id)) return null;
+  inFlight.add(id);
+  return submitJob("monitor", { watchId: id, name: w.name, location: w.location }, async (ctx) => {
+    try {
+      return await checkWatch(id, { ...opts, onProgress: (key, p) => ctx.progress(key, p) });
+    } finally {
+      inFlight.delete(id);
+    }
+  }, { initialProgress: Object.fromEntries(w.sources.map(k => [k, { phase: "queued", status: "pending" }])) });
+}
+
+/** Queues every due watch that isn't already in flight; returns the jobs submitted. */
+export function tick(now = new Date()) {
+  return dueWatches(now).map(w => runWatch(w.id)).filter(Boolean);
+}
+
+export function startMonitor({ tickMs = TICK_MS } = {}) {
+  if (timer) return;
+  timer = setInterval(() => {
+    try { tick(); } catch (e) { console.error("monitor: tick failed", e); }
+  }, tickMs);
+  timer.unref();
+}
+
+export function stopMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export const monitorStats = () => ({ running: !!timer, tickMs: TICK_MS, inFlight: inFlight.size });
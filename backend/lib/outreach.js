@@ -0,0 +1,141 @@
+// lib/outreach.js – renders an e-mail template against one property's analysis
+//
+// buildEmailView() flattens the analysis (plus the optional neighborhood comparison and the
+// sender profile) into the placeholders templates use:
+//   property.name/location, recipient.name, sender.*, signature, date, reviewCount, signals,
+//   categoryList, risk { score, level, headline }, categories / flagged [{ key, label, mentions,
+//   single, reviews, score, level, trend, quotes: [{ text, date, source, url, rating }] }],
+//   topQuotes [{ …quote, tags }], trend { unit, summary, moving }, comparison { properties,
+//   summary, above }
+// `flagged` is `categories` minus those without mentions; trend/comparison are absent when
+// nothing moved or no comparison was run, so templates can wrap them in sections.
+import { renderTemplate } from "./template.js";
+import { escapeHtml } from "./reportHtml.js";
+import { buildMessage } from "./smtp.js";
+import { senderSignature } from "./senders.js";
+
+const TOP_QUOTES = 10;
+
+const longDate = (d) => d.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+
+
+export function buildEmailView({
+  property, analysis, reviewCount, sources = {}, comparison = null, sender, recipient = {}, quotesPerCategory = 3, now = new Date()
+}) {
+  const { categories, counts, findings, risk, trends } = analysis;
+  const quoteOf = (f) => ({
+    text: f.sentence, date: f.date || "", source: sources[f.source]?.label || f.source || "", url: f.url || "", rating: f.rating ?? null
+  });
+  const labelOf = Object.fromEntries(categories.map(c => [c.key, c.label]));
+  const unit = trends?.granularity === "quarter" ? "quarter" : "month";
+
+  const rows = categories.map(c => {
+    const r = risk?.byCategory[c.key];
+    const t = trends?.categories[c.key];
+    const mentions = counts[c.key] || 0;
+    return {
+      key: c.key,
+      label: c.label,
+      mentions,
+      single: mentions === 1,
+      reviews: r?.reviews ?? 0,
+      score: r?.score ?? 0,
+      level: r?.level || "low",
+      // findings come ranked by severity, so the first ones per category are the strongest
+      quotes: findings.filter(f => f.categories.includes(c.key)).slice(0, quotesPerCategory).map(quoteOf),
+      trend: t && t.direction !== "steady" ? { direction: t.direction, previous: t.previous, current: t.current, unit } : null
+    };
+  });
+
+  const moving = rows.filter(r => r.trend);
+  const above = comparison
+    ? comparison.categories.filter(c => comparison.comparison[c.key]?.position === "above")
+      .map(c => ({ label: c.label, target: comparison.comparison[c.key].target, neighborhood: comparison.comparison[c.key].neighborhood }))
+    : [];
+
+  return {
+    property: { name: property.name || "your community", location: property.location || "your area" },
+    recipient: { name: String(recipient.name || "").trim() || "[Name]", email: recipient.email || "" },
+    sender: { name: sender.name, title: sender.title, company: sender.company, email: sender.email, phone: sender.phone },
+    signature: senderSignature(sender),
+    date: longDate(now),
+    reviewCount,
+    signals: counts.total || 0,
+    categoryList: categories.map(c => c.label.toLowerCase()).join(", "),
+    risk: risk ? { score: risk.score, level: risk.level, headline: risk.explanation[0] || "" } : null,
+    categories: rows,
+    flagged: rows.filter(r => r.mentions > 0),
+    topQuotes: findings.slice(0, TOP_QUOTES).map(f => ({ ...quoteOf(f), tags: f.categories.map(k => labelOf[k] || k).join(", ") })),
+    trend: moving.length ? {
+      unit,
+      moving: moving.map(r => ({ label: r.label, ...r.trend })),
+      summary: moving.map(r => `${r.label} ${r.trend.direction} ${r.trend.previous} → ${r.trend.current}`).join("; ")
+    } : null,
+    comparison: comparison?.neighborhood.properties ? {
+      properties: comparison.neighborhood.properties,
+      above,
+      summary: above.length
+        ? above.map(a => `${a.label} ${a.target} vs ${a.neighborhood}`).join("; ")
+        : "in line with or below the neighborhood"
+    } : null
+  };
+}
+
+const LIST_ITEM = /^\s*[•–\-*]\s+/;
+const URL_RE = /\bhttps?:\/\/[^\s<>"”]+[^\s<>"”.,;:!?)\]]/g;
+
+const inline = (line) => escapeHtml(line).replace(URL_RE, (u) => `<a href="${u}">${u}</a>`);
+
+/**
+ * Plain text → simple HTML e-mail: blank lines separate paragraphs, runs of two or more
+ * "• "/"– "/"- " lines become lists (a lone "– Stan" stays a line), other line breaks are
+ * kept, URLs become links. Everything is escaped.
+ */
+export function textToHtml(text) {
+  const blocks = String(text).replace(/\r\n/g, "\n").trim().split(/\n{2,}/);
+  const html = blocks.map(block => {
+    const lines = block.split("\n");
+    const isItem = (i) => LIST_ITEM.test(lines[i]) && (LIST_ITEM.test(lines[i - 1] ?? "") || LIST_ITEM.test(lines[i + 1] ?? ""));
+    const out = [];
+    let para = [], items = [];
+    const flushPara = () => { if (para.length) out.push(`<p>${para.map(inline).join("<br>")}</p>`); para = []; };
+    const flushList = () => { if (items.length) out.push(`<ul>${items.map(i => `<li>${inline(i)}</li>`).join("")}</ul>`); items = []; };
+    lines.forEach((line, i) => {
+      if (isItem(i)) { flushPara(); items.push(line.replace(LIST_ITEM, "")); }
+      else { flushList(); para.push(line); }
+    });
+    flushPara();
+    flushList();
+    return out.join("\n");
+  });
+  return `<!doctype html>
+<html><head><meta charset="utf-8"></head>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.45;color:#0f172a">
+${html.join("\n")}
+</body></html>`;
+}
+
+/** { subject, text, html } for one template and view. */
+export function renderEmail(template, view) {
+  const subject = renderTemplate(template.subject, view).replace(/\s+/g, " ").trim();
+  const text = renderTemplate(template.body, view).replace(/\n{3,}/g, "\n\n").trim() + "\n";
+  return { subject, text, html: textToHtml(text) };
+}
+
+/** A draft .eml (multipart text + HTML) that mail clients open ready to send. */
+export function emailEml({ subject, text, html }, { sender, recipient = {}, now = new Date() }) {
+  const from = sender.email ? `${sender.name} <${sender.email}>` : sender.name;
+  return buildMessage({
+    from,
+    to: recipient.email || "",
+    subject,
+    text,
+    html,
+    date: now,
+    headers: { "X-Unsent": "1" }
+  });
+}
+
+/** "The-Reserve-Bradenton-FL-follow-up.eml" */
+export const emailFilename = ({ name, location }, templateId) =>
+  `${[name || "Property", location, templateId].filter(Boolean).join(" ").replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "")}.eml`;
@@ -0,0 +1,188 @@
+// lib/portfolio.js – batch mode: one management company's communities in one run
+//
+// Input is a CSV (or the same rows as JSON) with a header row:
+//   name, location[, google_url, apartmentratings_url, apartmentscom_url]
+// Header matching ignores case, spaces and punctuation ("Google URL" works; "city" is accepted
+// for location). A URL pins that source to the property; otherwise the source searches by
+// name + location exactly like a single-property fetch. Every property goes through
+// aggregateReviews(), so stored scrapes are reused and the browser pool caps Google.
+import { aggregateReviews, sourceFailed } from "./aggregate.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { DEFAULT_TAXONOMY } from "./taxonomies.js";
+import { riskLevel } from "./risk.js";
+import { sourceKeys } from "../scrapers/index.js";
+import { mapLimit } from "./util.js";
+
+export const MAX_PROPERTIES = 100;
+const CONCURRENCY = Math.max(1, parseInt(process.env.PORTFOLIO_CONCURRENCY || "2", 10) || 2);
+
+const normHeader = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function invalid(message) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  return e;
+}
+
+/** Validates one property ({ name, location, refs? }) and returns it trimmed. */
+function normalizeProperty(p, i) {
+  const name = String(p?.name || "").trim();
+  const location = String(p?.location || "").trim();
+  const refs = {};
+  for (const [key, ref] of Object.entries(p?.refs || {})) {
+    if (!sourceKeys().includes(key)) throw invalid(`Row ${i + 1}: unknown source ${key}`);
+    const url = String(ref?.url || "").trim();
+    if (url) refs[key] = { url };
+  }
+  if (!name || !location) throw invalid(`Row ${i + 1}: name and location are required`);
+  return { name, location, refs };
+}
+
+function checkCount(list) {
+  if (!list.length) throw invalid("No properties given");
+  if (list.length > MAX_PROPERTIES) throw invalid(`At most ${MAX_PROPERTIES} properties per batch`);
+  return list;
+}
+
+/** CSV text → [{ name, location, refs }] */
+export function parsePortfolioCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw invalid("CSV is empty");
+  const cols = header.map(normHeader);
+  const find = (...names) => cols.findIndex(c => names.includes(c));
+  const nameCol = find("name", "property", "propertyname", "community");
+  const locationCol = find("location", "city", "citystate");
+  if (nameCol === -1 || locationCol === -1) throw invalid("CSV needs a header row with name and location columns");
+  const urlCols = sourceKeys().map(key => [key, find(`${key}url`, key)]).filter(([, c]) => c !== -1);
+
+  return checkCount(rows.map((r, i) => normalizeProperty({
+    name: r[nameCol],
+    location: r[locationCol],
+    refs: Object.fromEntries(urlCols.map(([key, c]) => [key, { url: r[c] }]))
+  }, i)));
+}
+
+/** JSON body ({ properties: [...] }) → the same shape as parsePortfolioCsv */
+export function normalizePortfolio(properties) {
+  if (!Array.isArray(properties)) throw invalid("properties must be an array");
+  return checkCount(properties.map(normalizeProperty));
+}
+
+// One portfolio table row from an aggregateReviews() result
+function toRow(index, p, out) {
+  const { analysis, sources } = out;
+  const states = Object.values(sources);
+  const allFailed = states.length > 0 && states.every(sourceFailed);
+  return {
+    index,
+    name: p.name,
+    location: p.location,
+    status: allFailed ? "failed" : "ok",
+    error: allFailed ? states.map(s => `${s.label}: ${s.error}`).join("; ") : null,
+    reviewCount: out.reviews.length,
+    findings: analysis.counts.total,
+    counts: analysis.counts,
+    score: analysis.risk.score,
+    level: analysis.risk.level,
+    categoryScores: Object.fromEntries(Object.entries(analysis.risk.byCategory).map(([k, c]) => [k, c.score])),
+    sources: Object.fromEntries(Object.entries(sources).map(([k, s]) => [k, { status: s.status, count: s.count, error: s.error }]))
+  };
+}
+
+const failedRow = (index, p, e) => ({
+  index, name: p.name, location: p.location, status: "failed", error: e?.message || String(e),
+  reviewCount: 0, findings: 0, counts: {}, score: null, level: null, categoryScores: {}, sources: {}
+});
+
+/**
+ * Roll-up for the whole portfolio.
+ *   score         – review-weighted average risk, so big communities count for more
+ *   byCategory    – per category: mentions, average score, and the property with the top score
+ *   levels        – how many properties sit at each risk level
+ */
+export function summarizePortfolio(rows, categories) {
+  const ok = rows.filter(r => r.status === "ok");
+  const reviews = ok.reduce((n, r) => n + r.reviewCount, 0);
+  const weighted = ok.reduce((n, r) => n + r.score * r.reviewCount, 0);
+  const score = reviews ? Math.round(weighted / reviews) : 0;
+  const top = [...ok].sort((a, b) => b.score - a.score)[0] || null;
+
+  const byCategory = {};
+  for (const c of categories) {
+    const scored = ok.map(r => ({ r, s: r.categoryScores[c.key] ?? 0 }));
+    const best = scored.sort((a, b) => b.s - a.s)[0];
+    byCategory[c.key] = {
+      mentions: ok.reduce((n, r) => n + (r.counts[c.key] || 0), 0),
+      averageScore: ok.length ? Math.round(scored.reduce((n, x) => n + x.s, 0) / ok.length) : 0,
+      top: best && best.s > 0 ? { name: best.r.name, location: best.r.location, score: best.s } : null
+    };
+  }
+
+  const levels = { low: 0, moderate: 0, elevated: 0, high: 0 };
+  for (const r of ok) levels[r.level]++;
+
+  return {
+    properties: rows.length,
+    succeeded: ok.length,
+    failed: rows.length - ok.length,
+    reviews,
+    findings: ok.reduce((n, r) => n + r.findings, 0),
+    score,
+    level: riskLevel(score),
+    levels,
+    highest: top ? { name: top.name, location: top.location, score: top.score } : null,
+    byCategory
+  };
+}
+
+/**
+ * Fetches and scores every property, CONCURRENCY at a time. A failed property becomes a
+ * "failed" row instead of failing the batch.
+ * Hooks: onProgress(index, { phase, status }) and onRow(row) as each property settles.
+ * Returns { categories, rows (input order), summary }.
+ */
+export async function runPortfolio({
+  properties, sources, max = 80, timeout, taxonomy = DEFAULT_TAXONOMY, noCache = false,
+  onProgress = () => {}, onRow = () => {}, analyze = aggregateReviews
+}) {
+  const rows = new Array(properties.length);
+  let categories = null;
+
+  await mapLimit(properties, CONCURRENCY, async (p, i) => {
+    onProgress(i, { phase: "fetching", status: "running" });
+    try {
+      const out = await analyze({
+        name: p.name, location: p.location, sources, refs: p.refs, max, timeout, noCache, taxonomy,
+        onProgress: (key, prog) => onProgress(i, { phase: `${key}: ${prog.phase}` })
+      });
+      categories ??= out.analysis.categories;
+      rows[i] = toRow(i, p, out);
+    } catch (e) {
+      console.error(`portfolio: ${p.name} failed`, e);
+      rows[i] = failedRow(i, p, e);
+    }
+    onProgress(i, { phase: "done", status: rows[i].status });
+    onRow(rows[i]);
+  });
+
+  categories ??= taxonomy.categories.map(({ key, label, severity }) => ({ key, label, severity }));
+  return { categories, rows, summary: summarizePortfolio(rows, categories) };
+}
+
+/** The portfolio table as CSV: one row per property, a count and score column per category. */
+export function portfolioCsv({ categories, rows }) {
+  return toCsv(rows, [
+    { key: "name", header: "Name" },
+    { key: "location", header: "Location" },
+    { key: "status", header: "Status" },
+    { key: "reviewCount", header: "Reviews" },
+    { key: "findings", header: "Findings" },
+    { key: "score", header: "Risk score" },
+    { key: "level", header: "Risk level" },
+    ...categories.flatMap(c => [
+      { key: (r) => r.counts[c.key] ?? "", header: `${c.label} mentions` },
+      { key: (r) => r.categoryScores[c.key] ?? "", header: `${c.label} score` }
+    ]),
+    { key: "error", header: "Error" }
+  ]);
+}
@@ -0,0 +1,212 @@
+// lib/reportHtml.js – print template for the PDF report (rendered by lib/reportPdf.js)
+//
+// Pure function of the analysis, so it can be tested without a browser. Layout:
+//   1. cover          – property, headline risk score, what was analyzed
+//   2. summary        – explanation, per-category table, trend chart, neighborhood comparison
+//   3. one section per category with every quote, its review details and source link
+//   4. methodology    – how reviews were collected, classified and scored, and the taxonomy
+// Sections start on a new page; quotes never split across pages.
+import { HALF_LIFE_DAYS, LEVELS } from "./risk.js";
+
+const LEVEL_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
+const PALETTE = ["#dc2626", "#ea580c", "#2563eb", "#7c3aed", "#0d9488", "#ca8a04", "#db2777", "#4b5563"];
+const ARROWS = { rising: "▲", falling: "▼", steady: "▶" };
+
+export const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const esc = escapeHtml;
+
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" }) : "");
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+const CSS = `
+  @page { size: A4; margin: 18mm 16mm 20mm; }
+  * { box-sizing: border-box; }
+  body { font: 10.5pt/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #0f172a; margin: 0; }
+  h1 { font-size: 26pt; margin: 0 0 4mm; }
+  h2 { font-size: 16pt; margin: 0 0 4mm; padding-bottom: 2mm; border-bottom: 1px solid #e2e8f0; }
+  h3 { font-size: 12pt; margin: 6mm 0 2mm; }
+  a { color: #1d4ed8; word-break: break-all; }
+  .page { page-break-before: always; }
+  .cover { height: 250mm; display: flex; flex-direction: column; justify-content: center; }
+  .muted { color: #64748b; }
+  .small { font-size: 9pt; }
+  .score { font-size: 54pt; font-weight: 800; line-height: 1; }
+  table { border-collapse: collapse; width: 100%; margin: 2mm 0 4mm; }
+  th, td { text-align: left; padding: 1.5mm 2mm; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { font-size: 9pt; color: #475569; }
+  td.num, th.num { text-align: right; }
+  tr, .quote { page-break-inside: avoid; break-inside: avoid; }
+  .quote { margin: 0 0 3.5mm; padding-left: 3mm; border-left: 2px solid #e2e8f0; }
+  .quote p { margin: 0 0 0.8mm; }
+  ul { margin: 0 0 3mm; padding-left: 5mm; }
+  .bar { height: 3mm; border-radius: 1mm; margin: 0.6mm 0; }
+`;
+
+function trendSvg(trends, categories) {
+  if (!trends || trends.periods.length < 2) return "";
+  const periods = trends.periods;
+  const W = 640, H = 170, left = 28, right = 8, top = 8, bottom = 22;
+  const max = Math.max(1, ...periods.flatMap(p => categories.map(c => p.counts[c.key] || 0)));
+  const x = (i) => left + (i * (W - left - right)) / (periods.length - 1);
+  const y = (v) => top + (H - top - bottom) * (1 - v / max);
+  const every = Math.ceil(periods.length / 8);
+  const grid = [0, Math.ceil(max / 2), max].map(v =>
+    `<line x1="${left}" x2="${W - right}" y1="${y(v)}" y2="${y(v)}" stroke="#e5e7eb"/><text x="${left - 4}" y="${y(v) + 4}" font-size="10" text-anchor="end" fill="#94a3b8">${v}</text>`).join("");
+  const labels = periods.map((p, i) => (i % every === 0 || i === periods.length - 1)
+    ? `<text x="${x(i)}" y="${H - 6}" font-size="10" text-anchor="middle" fill="#94a3b8">${esc(p.label)}${p.partial ? "*" : ""}</text>` : "").join("");
+  const lines = categories.map((c, ci) =>
+    `<polyline fill="none" stroke="${PALETTE[ci % PALETTE.length]}" stroke-width="2" points="${periods.map((p, i) => `${x(i)},${y(p.counts[c.key] || 0)}`).join(" ")}"/>`).join("");
+  const legend = categories.map((c, ci) =>
+    `<span style="margin-right:4mm"><span style="display:inline-block;width:3mm;height:3mm;background:${PALETTE[ci % PALETTE.length]};margin-right:1mm"></span>${esc(c.label)}</span>`).join("");
+  const unit = trends.granularity === "quarter" ? "quarter" : "month";
+  return `
+    <h3>Mentions per ${unit}</h3>
+    <svg viewBox="0 0 ${W} ${H}" width="100%">${grid}${labels}${lines}</svg>
+    <div class="small">${legend}</div>
+    <div class="small muted">* ${unit} in progress${trends.undated ? ` · ${plural(trends.undated, "undated mention")} not charted` : ""}</div>`;
+}
+
+function comparisonBlock(cmp, name) {
+  if (!cmp?.neighborhood?.properties) return "";
+  const { categories, target, neighborhood: hood, comparison } = cmp;
+  const max = Math.max(1, ...categories.flatMap(c => [comparison[c.key].target, comparison[c.key].neighborhood]));
+  const rows = categories.map(c => {
+    const r = comparison[c.key];
+    return `<tr>
+      <td>${esc(c.label)}</td>
+      <td style="width:45%">
+        <div class="bar" style="width:${(r.target / max) * 100}%;background:#dc2626"></div>
+        <div class="bar" style="width:${(r.neighborhood / max) * 100}%;background:#94a3b8"></div>
+      </td>
+      <td class="num">${r.target}</td><td class="num">${r.neighborhood}</td><td>${esc(r.position)}</td>
+    </tr>`;
+  }).join("");
+  const neighbors = cmp.neighbors.map(n => `<li>${esc(n.name)}${n.status === "failed" ? " <span class=\"muted\">(failed)</span>" : ` – ${plural(n.reviewCount, "review")}, risk ${n.score}`}</li>`).join("");
+  return `
+    <h3>You vs. the neighborhood</h3>
+    <p>Reviews mentioning each category per 100 Google reviews: ${esc(name)} (${plural(target.reviewCount, "review")}, risk ${target.score})
+      against ${plural(hood.properties, "nearby complex")} pooled (${plural(hood.reviewCount, "review")}, average risk ${hood.score}).</p>
+    <table>
+      <tr><th>Category</th><th><span style="color:#dc2626">■</span> this property <span style="color:#94a3b8">■</span> neighborhood</th><th class="num">Here</th><th class="num">Nearby</th><th></th></tr>
+      ${rows}
+    </table>
+    <div class="small muted">Compared with:</div><ul class="small">${neighbors}</ul>`;
+}
+
+function quote(f, sourceLabels) {
+  const meta = [sourceLabels[f.source] || f.source, f.date && fmtDate(f.date), f.rating != null && `${f.rating}★`, f.author,
+    `severity ${f.severity}`, `${Math.round(f.confidence * 100)}% confidence`].filter(Boolean).join(" · ");
+  return `<div class="quote">
+    <p>“${esc(f.sentence)}”</p>
+    <div class="small muted">${esc(meta)}</div>
+    ${f.url ? `<div class="small"><a href="${esc(f.url)}">${esc(f.url)}</a>${f.scrapedAt ? ` <span class="muted">· captured ${esc(fmtDate(f.scrapedAt))}</span>` : ""}</div>` : ""}
+  </div>`;
+}
+
+function termList(terms) {
+  return terms.map(t => (typeof t === "string" ? esc(t) : `${esc(t.term)}${t.weight ? ` (×${t.weight})` : ""}`)).join(", ");
+}
+
+/**
+ * The full report as one HTML document.
+ *   property   – { name, location }
+ *   analysis   – analyzeReviews() output (every finding is printed)
+ *   reviewCount, sources (per-source status block, optional), taxonomy (full, for the appendix)
+ *   comparison – a /compare result (optional)
+ */
+export function renderReportHtml({ property, analysis, reviewCount, sources = {}, taxonomy, comparison = null, generatedAt = new Date() }) {
+  const { categories, counts, findings, risk, trends } = analysis;
+  const name = property.name || "Property";
+  const title = `${name}${property.location ? `, ${property.location}` : ""}`;
+  const sourceLabels = Object.fromEntries(Object.entries(sources).map(([k, s]) => [k, s.label || k]));
+  const sourceLine = Object.entries(sources).map(([k, s]) => `${s.label || k}: ${s.status === "failed" ? "failed" : plural(s.count ?? 0, "review")}`).join(" · ");
+
+  const cover = `
+    <section class="cover">
+      <div class="muted">VIDISKY · Review risk report</div>
+      <h1>${esc(name)}</h1>
+      <div style="font-size:14pt" class="muted">${esc(property.location || "")}</div>
+      <div style="margin-top:14mm">
+        <span class="score" style="color:${LEVEL_COLORS[risk.level]}">${risk.score}</span>
+        <span style="font-size:14pt"> / 100 · ${esc(risk.level)} risk</span>
+      </div>
+      <p style="margin-top:8mm">${plural(reviewCount, "review")} analyzed · ${plural(counts.total, "flagged sentence")} in ${plural(risk.flaggedReviews, "review")}</p>
+      ${sourceLine ? `<p class="small muted">${esc(sourceLine)}</p>` : ""}
+      <p class="small muted">Taxonomy: ${esc(analysis.taxonomy.name)} · generated ${esc(fmtDate(generatedAt))}</p>
+    </section>`;
+
+  const catRows = categories.map(c => {
+    const r = risk.byCategory[c.key] || {};
+    const t = trends?.categories[c.key];
+    return `<tr>
+      <td>${esc(c.label)}</td><td class="num">${c.severity}</td><td class="num">${counts[c.key] || 0}</td>
+      <td class="num">${r.reviews || 0}</td>
+      <td class="num" style="color:${LEVEL_COLORS[r.level] || "inherit"}">${r.score ?? 0} ${esc(r.level || "")}</td>
+      <td>${r.lastDate ? esc(fmtDate(r.lastDate)) : "–"}</td>
+      <td>${t ? `${ARROWS[t.direction]} ${esc(t.direction)} (${t.previous} → ${t.current})` : "–"}</td>
+    </tr>`;
+  }).join("");
+
+  const summary = `
+    <section class="page">
+      <h2>Summary</h2>
+      <ul>${risk.explanation.map(l => `<li>${esc(l)}</li>`).join("")}</ul>
+      <table>
+        <tr><th>Category</th><th class="num">Severity</th><th class="num">Mentions</th><th class="num">Reviews</th><th class="num">Score</th><th>Latest</th><th>Trend</th></tr>
+        ${catRows}
+      </table>
+      ${trendSvg(trends, categories)}
+      ${comparisonBlock(comparison, name)}
+    </section>`;
+
+  const sections = categories.map(c => {
+    const list = findings.filter(f => f.categories.includes(c.key));
+    const r = risk.byCategory[c.key] || {};
+    return `
+    <section class="page">
+      <h2>${esc(c.label)}</h2>
+      <p class="muted">${plural(list.length, "mention")} in ${plural(r.reviews || 0, "review")} · score ${r.score ?? 0} (${esc(r.level || "low")}) · severity ${c.severity}</p>
+      ${list.length ? list.map(f => quote(f, sourceLabels)).join("") : "<p>No mentions found.</p>"}
+    </section>`;
+  }).join("");
+
+  const taxRows = (taxonomy?.categories || []).map(c => `<tr>
+      <td>${esc(c.label)}</td><td class="num">${c.severity}</td>
+      <td class="small">${termList(c.terms || [])}</td>
+      <td class="small">${(c.exclude || []).map(esc).join(", ") || "–"}</td>
+    </tr>`).join("");
+
+  const methodology = `
+    <section class="page">
+      <h2>Methodology</h2>
+      <h3>Collection</h3>
+      <p>Public reviews were collected from ${esc(Object.values(sourceLabels).join(", ") || "the selected sources")} for the property above, newest first, and merged; a review posted on more than one site is counted once. Relative dates (“3 months ago”) are resolved on the day they were collected.</p>
+      <h3>Classification</h3>
+      <p>Each review is split into sentences. A sentence is flagged for a category when it contains one of the category's terms as whole words, with light stemming so “break-in” also matches “break-ins”. Mentions that are negated (“never had a break-in”) or that fall inside an excluded phrase (“security deposit”) are ignored. Confidence reflects how specific the matched terms are: multi-word phrases count more than single words, and weaker terms carry a lower weight.</p>
+      <h3>Risk score</h3>
+      <p>Every flagged sentence is weighted by its category's severity (1–5), its confidence and its age: the weight halves every ${HALF_LIFE_DAYS} days, and undated reviews count half. A review contributes at most its strongest mention per category. The total is divided by the number of reviews (plus a small prior, so a handful of reviews cannot max out the scale) and mapped onto 0–100.
+      Levels: ${LEVELS.map(([min, lvl]) => `${lvl} from ${min}`).join(", ")}.</p>
+      <h3>Trends</h3>
+      <p>Mentions are counted per month, or per quarter once the reviews span more than 18 months. A category is “rising” or “falling” when the last complete period differs from the one before by at least half and one of them has two or more mentions.</p>
+      ${comparison ? `<h3>Neighborhood comparison</h3><p>Nearby complexes are the apartment listings Google Maps returns around the property. Only Google reviews are used for every property so the rates are comparable; a rate is the share of reviews mentioning the category, per 100 reviews.</p>` : ""}
+      <h3>Taxonomy: ${esc(analysis.taxonomy.name)}</h3>
+      <table>
+        <tr><th>Category</th><th class="num">Severity</th><th>Terms</th><th>Excluded phrases</th></tr>
+        ${taxRows}
+      </table>
+      <h3>Limitations</h3>
+      <p class="small">Reviews are self-reported and unverified, and sites may filter or remove them. Keyword classification can miss paraphrased incidents and can flag sentences out of context; every flagged sentence is listed with a link to its source so it can be checked.</p>
+    </section>`;
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)} – review risk report</title><style>${CSS}</style></head>
+<body>${cover}${summary}${sections}${methodology}</body></html>`;
+}
+
+/** Running footer for page.pdf(): property name and page x of y. */
+export function footerTemplate(property) {
+  return `<div style="font-size:8px;color:#94a3b8;width:100%;padding:0 16mm;display:flex;justify-content:space-between">
+    <span>${esc(property.name || "")}${property.location ? ` · ${esc(property.location)}` : ""}</span>
+    <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+  </div>`;
+}
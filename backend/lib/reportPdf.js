@@ -0,0 +1,34 @@
+// lib/reportPdf.js – the PDF report, printed by Chromium from lib/reportHtml.js
+//
+// Uses a context from the shared browser pool, so report renders queue behind (and count
+// against) the same BROWSER_POOL_CONCURRENCY as Google scrapes. The page runs without
+// JavaScript and with every network request blocked: the template is self-contained.
+import { browserPool } from "./browserPool.js";
+import { renderReportHtml, footerTemplate } from "./reportHtml.js";
+
+const RENDER_TIMEOUT_MS = 60000;
+
+/** "The-Reserve-Bradenton-FL-review-report.pdf" */
+export const reportFilename = ({ name, location }) =>
+  `${[name || "Property", location].filter(Boolean).join(" ").replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "")}-review-report.pdf`;
+
+/**
+ * Renders the report (same input as renderReportHtml()) to a PDF Buffer: A4, selectable text,
+ * page x of y in the footer.
+ */
+export async function renderReportPdf(input, { pool = browserPool(), timeoutMs = RENDER_TIMEOUT_MS } = {}) {
+  const html = renderReportHtml(input);
+  return pool.withContext({ javaScriptEnabled: false }, async (context) => {
+    const page = await context.newPage();
+    await page.route("**/*", (route) => route.abort());
+    await page.setContent(html, { waitUntil: "load", timeout: timeoutMs });
+    return page.pdf({
+      format: "A4",
+      preferCSSPageSize: true,
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: footerTemplate(input.property)
+    });
+  }, { timeoutMs });
+}
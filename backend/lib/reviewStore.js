@@ -0,0 +1,88 @@
+// lib/reviewStore.js – every review ever pulled, per source + property
+//
+// properties.json: propertyKey → {
+//   key, source, ref, firstScrapedAt, lastScrapedAt, lastMax,
+//   reviews: { [reviewId]: { ...record, firstSeenAt, lastSeenAt, scrapedAt, revisions } }
+// }
+// `scrapedAt` is when the current text was first scraped; when a review is edited on the site
+// the text it replaced is kept in `revisions` ([{ text, scrapedAt, lastSeenAt }], oldest
+// first), so a quote taken earlier can still be shown to have been there.
+import { openCollection } from "./store.js";
+
+// A stored scrape younger than this is served without touching the site again.
+export const FRESH_MS = 1000 * 60 * 60 * 6; // 6 hours
+
+const properties = () => openCollection("properties");
+
+const norm = (s) => (s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** "google:https://…/place/x" or "google:the reserve|bradenton, fl" */
+export function propertyKey(source, ref) {
+  return `${source}:${ref?.url ? ref.url : `${norm(ref?.name)}|${norm(ref?.location)}`}`;
+}
+
+const byNewest = (a, b) => (b.date || "").localeCompare(a.date || "") || (b.firstSeenAt || "").localeCompare(a.firstSeenAt || "");
+
+export function getProperty(key) {
+  return properties().get(key);
+}
+
+export function listProperties() {
+  return properties().values().map(p => ({
+    key: p.key,
+    source: p.source,
+    ref: p.ref,
+    reviewCount: Object.keys(p.reviews).length,
+    firstScrapedAt: p.firstScrapedAt,
+    lastScrapedAt: p.lastScrapedAt
+  }));
+}
+
+/** Stored reviews for a property, newest first. */
+export function storedReviews(key) {
+  const p = getProperty(key);
+  return p ? Object.values(p.reviews).sort(byNewest) : [];
+}
+
+export function knownReviewIds(key) {
+  const p = getProperty(key);
+  return new Set(p ? Object.keys(p.reviews) : []);
+}
+
+/** True when the last scrape is recent enough and asked for at least `max` reviews. */
+export function isFresh(key, max, now = Date.now()) {
+  const p = getProperty(key);
+  return !!p && now - Date.parse(p.lastScrapedAt) < FRESH_MS && (p.lastMax || 0) >= max;
+}
+
+/**
+ * Upserts one scrape's records. New ids get firstSeenAt; every id in the batch gets lastSeenAt;
+ * new or changed text gets scrapedAt (and the old text moves to `revisions`).
+ * Returns { added, seen } counts.
+ */
+export function mergeReviews(source, ref, records, { max = 0, now = new Date() } = {}) {
+  const key = propertyKey(source, ref);
+  const ts = now.toISOString();
+  const p = getProperty(key) || { key, source, ref, firstScrapedAt: ts, reviews: {} };
+
+  let added = 0;
+  for (const rec of records) {
+    const prev = p.reviews[rec.id];
+    if (!prev) added++;
+    const edited = !!prev && prev.text !== rec.text;
+    p.reviews[rec.id] = {
+      ...prev,
+      ...rec,
+      firstSeenAt: prev?.firstSeenAt || ts,
+      lastSeenAt: ts,
+      scrapedAt: !prev || edited ? ts : prev.scrapedAt || prev.firstSeenAt,
+      revisions: edited
+        ? [...(prev.revisions || []), { text: prev.text, scrapedAt: prev.scrapedAt || prev.firstSeenAt, lastSeenAt: prev.lastSeenAt }]
+        : prev?.revisions || []
+    };
+  }
+  p.lastScrapedAt = ts;
+  p.lastMax = Math.max(max, p.lastMax || 0);
+  properties().set(key, p);
+  return { added, seen: records.length };
+}
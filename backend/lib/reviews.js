@@ -0,0 +1,128 @@
+// lib/reviews.js – the shared review record shape and parsing helpers
+import { createHash } from "node:crypto";
+import { firstMatch } from "./selectors.js";
+
+// ---------------- review record helpers ----------------
+// Every source returns the same record shape:
+//   { id, author, rating, date, dateLabel, text, ownerReply, url, placeUrl }
+// `date` is an ISO day (YYYY-MM-DD) or null; `dateLabel` keeps what the site printed.
+// `url` links the review itself where the site allows it (a permalink or an anchor on the
+// property page) and falls back to the property page, which is always `placeUrl`.
+
+const UNIT_DAYS = { minute: 1 / 1440, hour: 1 / 24, day: 1, week: 7, month: 30.44, year: 365.25 };
+
+/** "3 months ago", "a week ago", "Edited 2 years ago on Google", "yesterday" → Date | null */
+export function parseRelativeDate(label, now = Date.now()) {
+  const s = (label || "").toLowerCase().replace(/^edited\s+/, "").trim();
+  if (!s) return null;
+  if (/^(just now|today|moments? ago)/.test(s)) return new Date(now);
+  if (s.startsWith("yesterday")) return new Date(now - 86400000);
+  const m = s.match(/^(a|an|one|\d+)\s+(minute|hour|day|week|month|year)s?\s+ago/);
+  if (!m) return null;
+  const n = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : 1;
+  return new Date(now - n * UNIT_DAYS[m[2]] * 86400000);
+}
+
+/** Resolves a site's date label (relative or absolute) to YYYY-MM-DD, or null. */
+export function parseReviewDate(label, now = Date.now()) {
+  const raw = (label || "").trim();
+  if (!raw) return null;
+  const iso = raw.match(/^\d{4}-\d{2}-\d{2}/);
+  if (iso) return iso[0];
+  const rel = parseRelativeDate(raw, now);
+  if (rel) return rel.toISOString().slice(0, 10);
+  // Absolute labels ("March 14, 2024", "12/3/23") parse as local midnight – keep the local day
+  const t = Date.parse(raw.replace(/^(posted|reviewed|written)\s+(on\s+)?/i, ""));
+  if (Number.isNaN(t)) return null;
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/** Rating from "4 stars", "Rated 4.0 out of 5", "4/5" → number | null */
+export function parseRating(label) {
+  const m = String(label ?? "").match(/(\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  return n >= 0 && n <= 5 ? n : null;
+}
+
+/** Stable fallback ID for sites that don't expose one. */
+export function textId(prefix, text) {
+  return `${prefix}:${createHash("sha1").update(text.toLowerCase()).digest("hex").slice(0, 16)}`;
+}
+
+// Links a review card commonly carries to itself
+const PERMALINK = 'a[rel="bookmark"], a[itemprop="url"], a.review-permalink, a[href*="#review"]';
+
+// href relative to the page it was found on → absolute http(s) URL, or "" when unusable –
+// javascript:, data: and the like never reach a link in the app
+export function resolveUrl(href, pageUrl) {
+  if (!href) return "";
+  try {
+    const url = new URL(href, pageUrl);
+    return ["http:", "https:"].includes(url.protocol) ? url.toString() : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Shared review-card extraction for the HTML (cheerio) sources.
+ * `sel` maps each field to a fallback chain (lib/selectors.js): cards come from the first
+ * selector that matches on the page, and inside a card the first selector that matches wins.
+ * Falls back to bare text blocks (`sel.fallbackText`) when a site renders no recognizable cards.
+ * A card's `url` is its permalink (`sel.permalink`), else an anchor to the card's id.
+ */
+export function extractHtmlReviews($, { prefix, pageUrl, sel }) {
+  const out = [];
+  const seen = new Set();
+  const first = (card, chain) => firstMatch(s => card.find(s), chain).first();
+  const attrOrText = (el, attrs) => {
+    for (const a of attrs) { const v = el.attr(a); if (v) return v.trim(); }
+    return el.text().trim();
+  };
+
+  firstMatch(s => $(s), sel.card).each((_, node) => {
+    const card = $(node);
+    const text = first(card, sel.text).text().trim();
+    if (!text || text.length <= 30) return;
+
+    const siteId = card.attr("data-review-id") || card.attr("data-reviewid") || card.attr("id") || "";
+    const id = siteId ? `${prefix}:${siteId}` : textId(prefix, text);
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    const ratingEl = first(card, sel.rating);
+    let rating = ratingEl.length ? parseRating(attrOrText(ratingEl, ["content", "data-rating", "aria-label", "title"])) : null;
+    if (rating == null && sel.fullStar) rating = firstMatch(s => card.find(s), sel.fullStar).length || null;
+
+    const permalink = first(card, sel.permalink || [PERMALINK]).attr("href");
+
+    const dateEl = first(card, sel.date);
+    const dateLabel = dateEl.length ? attrOrText(dateEl, ["datetime", "content"]) : "";
+
+    out.push({
+      id,
+      author: first(card, sel.author).text().trim() || null,
+      rating,
+      date: parseReviewDate(dateLabel),
+      dateLabel: dateLabel || null,
+      text,
+      ownerReply: first(card, sel.reply).text().trim() || null,
+      url: resolveUrl(permalink, pageUrl) || (card.attr("id") ? `${pageUrl}#${card.attr("id")}` : pageUrl),
+      placeUrl: pageUrl
+    });
+  });
+
+  if (!out.length) {
+    firstMatch(s => $(s), sel.fallbackText || sel.text).each((_, el) => {
+      const text = $(el).text().trim();
+      if (!text || text.length <= 30) return;
+      const id = textId(prefix, text);
+      if (seen.has(id)) return;
+      seen.add(id);
+      out.push({ id, author: null, rating: null, date: null, dateLabel: null, text, ownerReply: null, url: pageUrl, placeUrl: pageUrl });
+    });
+  }
+  return out;
+}
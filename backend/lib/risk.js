@@ -0,0 +1,108 @@
+// lib/risk.js – property risk score from classified findings
+//
+// Every finding gets a weight:   severity / 5 × confidence × recency
+//   recency halves every HALF_LIFE_DAYS (undated reviews count as UNDATED_RECENCY)
+// A review contributes its heaviest finding per category, so one long rant does not count
+// five times. Contributions are divided by the review volume plus PRIOR_REVIEWS – two hits
+// in 5 reviews score far higher than two hits in 200, but a tiny sample cannot max out the
+// scale – and the rate is mapped onto 0–100 with 1 − e^(−K·rate).
+import { normText } from "./util.js";
+
+export const HALF_LIFE_DAYS = 365;
+const UNDATED_RECENCY = 0.5;
+const PRIOR_REVIEWS = 10;
+const K = 7; // rate 0.1 (one solid hit per ten reviews) ≈ 50
+
+export const LEVELS = [
+  [65, "high"],
+  [40, "elevated"],
+  [20, "moderate"],
+  [0, "low"]
+];
+
+export const riskLevel = (score) => LEVELS.find(([min]) => score >= min)[1];
+
+const DAY_MS = 86400000;
+
+/** 1 for today, 0.5 after HALF_LIFE_DAYS, … */
+export function recencyFactor(date, now = Date.now()) {
+  const t = date ? Date.parse(date) : NaN;
+  if (Number.isNaN(t)) return UNDATED_RECENCY;
+  const ageDays = Math.max(0, (now - t) / DAY_MS);
+  return Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+}
+
+const toScore = (sum, reviewCount) => Math.round(100 * (1 - Math.exp(-K * sum / (reviewCount + PRIOR_REVIEWS))));
+const round2 = (n) => Math.round(n * 100) / 100;
+const pct = (a, b) => (b ? Math.round((100 * a) / b) : 0);
+
+// Which review a finding came from: its id, else its review's text (findings from one review
+// share it), else the finding stands alone – id-less findings must not merge into one review
+const reviewKey = (f, i) =>
+  f.reviewId != null ? `id:${f.reviewId}` : f.reviewText ? `text:${normText(f.reviewText)}` : `finding:${i}`;
+
+/** severity / 5 × confidence × recency, rounded to 2 decimals */
+export function findingWeight(finding, now = Date.now()) {
+  return round2(((finding.severity ?? 3) / 5) * finding.confidence * recencyFactor(finding.date, now));
+}
+
+/**
+ * Scores a classified review set.
+ *   categories  – [{ key, label, severity }] from the analysis
+ *   findings    – with `weight` set (see findingWeight)
+ *   reviewCount – how many reviews were analyzed
+ * Returns {
+ *   score, level,                          – 0–100 and low | moderate | elevated | high
+ *   byCategory: { [key]: { score, level, reviews, findings, lastDate } },
+ *   reviewCount, flaggedReviews,
+ *   explanation: [string]                  – how the number was built, for the report
+ * }
+ */
+export function scoreRisk({ categories, findings, reviewCount }) {
+  const perReview = new Map(); // reviewKey → { [category]: heaviest weight }
+  const byCategory = {};
+  for (const c of categories) byCategory[c.key] = { score: 0, level: "low", reviews: 0, findings: 0, lastDate: null, sum: 0 };
+
+  findings.forEach((f, i) => {
+    const key = reviewKey(f, i);
+    const heaviest = perReview.get(key) || {};
+    for (const k of f.categories) {
+      const cat = byCategory[k];
+      if (!cat) continue;
+      cat.findings++;
+      if (f.date && (!cat.lastDate || f.date > cat.lastDate)) cat.lastDate = f.date;
+      heaviest[k] = Math.max(heaviest[k] ?? 0, f.weight);
+    }
+    perReview.set(key, heaviest);
+  });
+
+  let total = 0;
+  for (const heaviest of perReview.values()) {
+    for (const [k, w] of Object.entries(heaviest)) {
+      byCategory[k].sum += w;
+      byCategory[k].reviews++;
+      total += w;
+    }
+  }
+  for (const cat of Object.values(byCategory)) {
+    cat.score = toScore(cat.sum, reviewCount);
+    cat.level = riskLevel(cat.score);
+    delete cat.sum;
+  }
+
+  const score = toScore(total, reviewCount);
+  const flaggedReviews = perReview.size;
+  const explanation = [
+    `${flaggedReviews} of ${reviewCount} reviews (${pct(flaggedReviews, reviewCount)}%) raise at least one concern.`,
+    ...categories
+      .filter(c => byCategory[c.key].reviews)
+      .sort((a, b) => byCategory[b.key].score - byCategory[a.key].score)
+      .map(c => {
+        const s = byCategory[c.key];
+        return `${c.label} (severity ${c.severity}/5): ${s.reviews} review${s.reviews === 1 ? "" : "s"}, category score ${s.score}${s.lastDate ? `, latest ${s.lastDate}` : ""}.`;
+      }),
+    `Each mention is weighted by severity and match confidence, and loses half its weight every ${Math.round(HALF_LIFE_DAYS / 30.44)} months.`,
+    `Scores are normalized for review volume, so a handful of reviews cannot reach the top of the scale.`
+  ];
+  return { score, level: riskLevel(score), byCategory, reviewCount, flaggedReviews, explanation };
+}
@@ -0,0 +1,209 @@
+// lib/selectors.js – the scrapers' CSS selectors, from a versioned config file that reloads itself
+//
+// backend/selectors.json (SELECTORS_FILE points elsewhere):
+// {
+//   version: 3,                                  – bump on every edit; /selfcheck and diagnostics report it
+//   sources: {
+//     google: {
+//       reference: { name, location, url? },     – the property /selfcheck runs against
+//       required: ["reviews.card", …],           – "<page>.<step>"s /selfcheck fails on when nothing matches
+//       steps: { <page>: { <step>: [selector, fallback, …] } }
+//     }, …
+//   }
+// }
+// Every step is an ordered fallback chain: scrapers use the first selector that matches. An
+// entry may itself be a selector list ("li, article") where document order should decide.
+// The file is re-read when its mtime changes (looked at once every SELECTORS_CHECK_MS, default
+// 2 s), so fixing a selector after a site redesign is an edit, not a deploy. A file that does not
+// parse or validate is refused with a logged error, and the last good version stays in use.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { load } from "cheerio";
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "selectors.json");
+
+const configFile = () => path.resolve(process.env.SELECTORS_FILE || DEFAULT_FILE);
+const checkEvery = () => {
+  const n = parseInt(process.env.SELECTORS_CHECK_MS || "", 10);
+  return Number.isInteger(n) && n >= 0 ? n : 2000;
+};
+
+function invalid(message) {
+  const e = new Error(`${configFile()}: ${message}`);
+  e.statusCode = 500;
+  return e;
+}
+
+const isChain = (c) => Array.isArray(c) && c.length > 0 && c.every(s => typeof s === "string" && s.trim());
+
+/** Throws when `config` is not a usable selectors file. */
+export function validateSelectors(config) {
+  if (!config || typeof config !== "object") throw invalid("not a JSON object");
+  if (!Number.isInteger(config.version) || config.version < 1) throw invalid("version must be a positive integer");
+  if (!config.sources || typeof config.sources !== "object") throw invalid("sources is missing");
+  for (const [key, src] of Object.entries(config.sources)) {
+    if (!src?.steps || typeof src.steps !== "object") throw invalid(`${key}: steps is missing`);
+    for (const [page, steps] of Object.entries(src.steps)) {
+      if (!steps || typeof steps !== "object") throw invalid(`${key}.${page} must map steps to selector lists`);
+      for (const [step, chain] of Object.entries(steps)) {
+        if (!isChain(chain)) throw invalid(`${key}.${page}.${step} must be a non-empty list of selectors`);
+      }
+    }
+    for (const name of src.required || []) {
+      const [page, step] = String(name).split(".");
+      if (!src.steps[page]?.[step]) throw invalid(`${key}: required step "${name}" has no selectors`);
+    }
+  }
+  return config;
+}
+
+let state = null; // { file, mtimeMs, config, loadedAt, checkedAt, error }
+
+function read(file) {
+  const stat = fs.statSync(file);
+  const config = validateSelectors(JSON.parse(fs.readFileSync(file, "utf8")));
+  return { file, mtimeMs: stat.mtimeMs, config, loadedAt: new Date().toISOString(), checkedAt: Date.now(), error: null };
+}
+
+/**
+ * Re-reads the file now. A bad file keeps the previous config (its error is reported by
+ * selectorsInfo()); with nothing loaded yet, it throws.
+ */
+export function reloadSelectors() {
+  const file = configFile();
+  try {
+    const next = read(file);
+    if (state?.config && state.config.version !== next.config.version) {
+      console.log(`selectors: loaded version ${next.config.version} from ${file}`);
+    }
+    state = next;
+  } catch (e) {
+    if (!state || state.file !== file) throw e instanceof SyntaxError ? invalid(e.message) : e;
+    console.error(`selectors: keeping version ${state.config.version} –`, e.message);
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    state = { ...state, mtimeMs: stat?.mtimeMs ?? state.mtimeMs, checkedAt: Date.now(), error: e.message };
+  }
+  return selectorsInfo();
+}
+
+function current() {
+  if (!state || state.file !== configFile()) {
+    reloadSelectors();
+  } else if (Date.now() - state.checkedAt >= checkEvery()) {
+    const stat = fs.statSync(state.file, { throwIfNoEntry: false });
+    if (stat && stat.mtimeMs !== state.mtimeMs) reloadSelectors();
+    else state.checkedAt = Date.now();
+  }
+  return state.config;
+}
+
+/** { file, version, loadedAt, error } – `error` is set while a newer, broken file is being refused. */
+export function selectorsInfo() {
+  current();
+  return { file: state.file, version: state.config.version, loadedAt: state.loadedAt, error: state.error };
+}
+
+/** A source's selector chains by page and step: { search: { result: [...] }, … }. */
+export function selectors(source) {
+  const src = current().sources[source];
+  if (!src) throw invalid(`no selectors for "${source}"`);
+  return src.steps;
+}
+
+/** What /selfcheck runs `source` against: { reference, required }. */
+export function selfcheckSettings(source) {
+  const src = current().sources[source];
+  return { reference: src?.reference || null, required: src?.required || [] };
+}
+
+/**
+ * How each chain of a page fares on a document. `count(selector)` returns the number of
+ * matches (sync or async) and may throw for selectors the document engine cannot parse.
+ * → { [step]: { status: "ok" | "fallback" | "missing", used, selectors: [{ selector, matches, error? }] } }
+ *   "fallback" – the first selector found nothing but a later one did.
+ */
+export async function checkChains(steps, count) {
+  const out = {};
+  for (const [step, chain] of Object.entries(steps)) {
+    const results = [];
+    for (const selector of chain) {
+      try {
+        results.push({ selector, matches: await count(selector) });
+      } catch (e) {
+        results.push({ selector, matches: 0, error: e?.message || String(e) });
+      }
+    }
+    const used = results.findIndex(r => r.matches > 0);
+    out[step] = {
+      status: used === -1 ? "missing" : used === 0 ? "ok" : "fallback",
+      used: used === -1 ? null : chain[used],
+      selectors: results
+    };
+  }
+  return out;
+}
+
+/**
+ * Walks a chain with `find(selector)` (cheerio: s => $(s), or s => card.find(s)) and returns the
+ * first selection that is not empty – the last, empty one when nothing matches.
+ */
+export function firstMatch(find, chain) {
+  let hit = null;
+  for (const s of chain) {
+    hit = find(s);
+    if (hit.length) return hit;
+  }
+  return hit;
+}
+
+/**
+ * Every page's chains (or just `page`'s) on a saved page, in cheerio – submitted HTML never
+ * reaches a browser. Playwright's :has-text() is read as cheerio's :contains().
+ */
+async function checkSavedPage(source, html, page) {
+  const $ = load(html);
+  const steps = selectors(source);
+  const count = (s) => $(s.replace(/:has-text\(/g, ":contains(")).length;
+  const out = {};
+  for (const p of page ? [page] : Object.keys(steps)) out[p] = { url: null, steps: await checkChains(steps[p] || {}, count) };
+  return out;
+}
+
+/**
+ * Runs `adapter.selfcheck()` (scrapers/index.js) against the source's reference property, or
+ * checks a saved page when `html` is given (checkSavedPage), and judges it:
+ * → { source, label, version, mode: "reference" | "saved page", reference, ok, missing,
+ *     fallbacks, pages: { [page]: { url, steps | error } }, ms, error?, diagnosticId? }
+ *   missing   – required steps nothing matched (a page that could not be checked counts)
+ *   fallbacks – steps that only matched a later selector: still working, worth a look
+ * On a saved page `ok` is null unless `page` says which page it is – one page cannot fail
+ * another page's steps.
+ */
+export async function selfcheckSource(adapter, { html = null, page = null } = {}) {
+  const t0 = Date.now();
+  const { reference, required } = selfcheckSettings(adapter.key);
+  const saved = html != null;
+  const base = {
+    source: adapter.key,
+    label: adapter.label,
+    version: selectorsInfo().version,
+    mode: saved ? "saved page" : "reference",
+    reference: saved ? null : reference
+  };
+  if (!saved && !adapter.selfcheck) return { ...base, ok: null, error: "this source has no selfcheck", ms: 0 };
+  if (!saved && !reference) return { ...base, ok: false, error: `selectors.json has no reference property for ${adapter.key}`, ms: 0 };
+  try {
+    const pages = saved ? await checkSavedPage(adapter.key, html, page) : await adapter.selfcheck({ reference });
+    const judged = required.filter(name => !saved || name.startsWith(`${page}.`));
+    const missing = judged.filter(name => {
+      const [p, step] = name.split(".");
+      return !["ok", "fallback"].includes(pages[p]?.steps?.[step]?.status);
+    });
+    const fallbacks = Object.entries(pages).flatMap(([p, r]) =>
+      Object.entries(r.steps || {}).filter(([, st]) => st.status === "fallback").map(([step]) => `${p}.${step}`));
+    return { ...base, ok: saved && !page ? null : !missing.length, missing, fallbacks, pages, ms: Date.now() - t0 };
+  } catch (e) {
+    return { ...base, ok: false, error: e?.message || String(e), reason: e?.reason, diagnosticId: e?.diagnosticId, ms: Date.now() - t0 };
+  }
+}
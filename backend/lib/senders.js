@@ -0,0 +1,95 @@
+// lib/senders.js – sender profiles the outreach e-mails are signed with
+//
+// senders.json: id → { id, name, title, company, email, phone, signature, createdAt, updatedAt }
+//   signature – optional free text; without it one is built from the other fields
+// The built-in "default" profile is not stored and cannot be changed – save your own instead.
+import { openCollection } from "./store.js";
+
+export const DEFAULT_SENDER = {
+  id: "default",
+  name: "Stan",
+  title: "",
+  company: "VIDISKY",
+  email: "",
+  phone: "",
+  signature: "",
+  builtIn: true
+};
+
+const FIELDS = ["title", "company", "email", "phone"];
+
+const senders = () => openCollection("senders");
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+
+function invalid(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/**
+ * The profile's sign-off: its own signature text, or
+ *   – Name
+ *   Title, Company
+ *   phone · email
+ */
+export function senderSignature(sender) {
+  if (sender.signature) return sender.signature;
+  return [
+    `– ${sender.name}`,
+    [sender.title, sender.company].filter(Boolean).join(", "),
+    [sender.phone, sender.email].filter(Boolean).join(" · ")
+  ].filter(Boolean).join("\n");
+}
+
+/** Default first, then saved profiles by name. */
+export function listSenders() {
+  const saved = senders().values().sort((a, b) => a.name.localeCompare(b.name));
+  return [DEFAULT_SENDER, ...saved];
+}
+
+export function getSender(id) {
+  if (!id || id === DEFAULT_SENDER.id) return DEFAULT_SENDER;
+  return senders().get(id);
+}
+
+/** getSender() for request params – unknown ids are a 404. */
+export function resolveSender(id) {
+  const s = getSender(String(id || "").trim());
+  if (!s) throw invalid(`Unknown sender: ${id}`, 404);
+  return s;
+}
+
+export function normalizeSender(input) {
+  const name = String(input?.name || "").trim();
+  if (!name) throw invalid("Sender needs a name");
+  const out = { name };
+  for (const f of FIELDS) out[f] = String(input[f] || "").trim();
+  if (out.email && !/^[^\s@]+@[^\s@]+$/.test(out.email)) throw invalid(`Not an e-mail address: ${out.email}`);
+  out.signature = String(input.signature || "").replace(/\r\n/g, "\n").trim();
+  return out;
+}
+
+/** Creates a profile (id derived from the name) and returns it. */
+export function createSender(input, now = new Date()) {
+  const s = normalizeSender(input);
+  const base = slug(s.name) || "sender";
+  let id = base;
+  for (let n = 2; id === DEFAULT_SENDER.id || senders().has(id); n++) id = `${base}-${n}`;
+  const at = now.toISOString();
+  return senders().set(id, { id, ...s, createdAt: at, updatedAt: at });
+}
+
+/** Replaces a saved profile; null when it does not exist. */
+export function updateSender(id, input, now = new Date()) {
+  if (id === DEFAULT_SENDER.id) throw invalid("The default sender is built in – save your own profile");
+  const prev = senders().get(id);
+  if (!prev) return null;
+  return senders().set(id, { ...prev, ...normalizeSender(input), updatedAt: now.toISOString() });
+}
+
+export function deleteSender(id) {
+  if (id === DEFAULT_SENDER.id) throw invalid("The default sender cannot be deleted");
+  return senders().delete(id);
+}
@@ -0,0 +1,170 @@
+// lib/shares.js – read-only report snapshots reps can link prospects to
+//
+// shares.json: id → {
+//   id, createdAt, createdBy: { id, name } | null, expiresAt, views, firstViewedAt, lastViewedAt,
+//   property: { name, location }, reviewCount, sources, taxonomy: { id, name },
+//   analysis: { categories, counts, findings, risk, trends }, comparison
+// }
+// The id is 144 random bits (base64url) – the link is the only credential, so it must not be
+// guessable; anything not shaped like one is a 404 before the store is asked. Only the rep who
+// created a link (createdBy, actorOf() in lib/auth.js) or an admin may change or withdraw it.
+// A snapshot is frozen when shared: later taxonomy edits or re-scrapes don't change
+// it. Findings are stored without their per-term match details, which only the rep's UI uses.
+// View counters are batched: a link's views are written at most once per
+// SHARE_VIEWS_FLUSH_MS (default 60 s) and held in memory in between – every read includes
+// them, and flushShareViews() writes them on shutdown. A crash loses at most that window.
+import crypto from "node:crypto";
+import { openCollection } from "./store.js";
+
+export const MAX_EXPIRY_DAYS = 365;
+
+const shares = () => openCollection("shares");
+
+const SHARE_ID = /^[A-Za-z0-9_-]{24}$/; // 18 random bytes, base64url
+
+// The stored share for `id`, or null – ids that createShare() could not have made included
+const findShare = (id) => (typeof id === "string" && SHARE_ID.test(id) ? shares().get(id) : null);
+
+const flushEvery = () => {
+  const n = parseInt(process.env.SHARE_VIEWS_FLUSH_MS || "", 10);
+  return Number.isInteger(n) && n >= 0 ? n : 60000;
+};
+
+// Per collection (so a reopened DATA_DIR starts clean): id → { views, firstViewedAt,
+// lastViewedAt } not yet written, and id → when its views were last written
+const unsaved = new WeakMap();
+function viewsOf(col) {
+  if (!unsaved.has(col)) unsaved.set(col, { pending: new Map(), writtenAt: new Map() });
+  return unsaved.get(col);
+}
+
+// A stored share with its unsaved views added
+function withViews(s, col = shares()) {
+  const p = viewsOf(col).pending.get(s.id);
+  if (!p) return s;
+  return { ...s, views: s.views + p.views, firstViewedAt: s.firstViewedAt || p.firstViewedAt, lastViewedAt: p.lastViewedAt };
+}
+
+function writeViews(col, id, now) {
+  const { pending, writtenAt } = viewsOf(col);
+  const s = col.get(id);
+  if (s && pending.has(id)) col.set(id, withViews(s, col));
+  pending.delete(id);
+  writtenAt.set(id, now.getTime());
+}
+
+/** Writes every view counted but not yet saved (server shutdown). */
+export function flushShareViews(now = new Date()) {
+  const col = shares();
+  for (const id of [...viewsOf(col).pending.keys()]) writeViews(col, id, now);
+}
+
+function fail(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+const isExpired = (s, now) => !!s.expiresAt && Date.parse(s.expiresAt) <= now.getTime();
+
+/** What the rep sees in their list: no analysis, but the view counter. */
+const summary = ({ analysis, comparison, sources, ...s }, now = new Date()) => ({
+  ...s,
+  score: analysis.risk?.score ?? null,
+  level: analysis.risk?.level ?? null,
+  expired: isExpired(s, now)
+});
+
+/** What the prospect's link returns: the snapshot without the rep-only counters. */
+const publicShare = ({ views, firstViewedAt, lastViewedAt, createdBy, ...s }) => s;
+
+/** `expiresInDays` from a request body: null (never), or a whole number of days up to a year. */
+export function parseExpiry(value, now = new Date()) {
+  if (value == null || value === "" || value === 0 || value === "0") return null;
+  const days = Number(value);
+  if (!(Number.isInteger(days) && days >= 1 && days <= MAX_EXPIRY_DAYS)) throw fail(`expiresInDays must be 1–${MAX_EXPIRY_DAYS} (or empty for no expiry)`);
+  return new Date(now.getTime() + days * 86400000).toISOString();
+}
+
+/**
+ * Freezes a report input (reportInput() in server.js: property, analysis, reviewCount,
+ * sources, taxonomy, comparison) under a new random id. Returns the rep's summary.
+ */
+export function createShare({ property, analysis, reviewCount, sources = {}, taxonomy, comparison = null }, { expiresInDays, by = null, now = new Date() } = {}) {
+  const expiresAt = parseExpiry(expiresInDays, now);
+  let id;
+  do id = crypto.randomBytes(18).toString("base64url"); while (shares().has(id));
+  const share = shares().set(id, {
+    id,
+    createdAt: now.toISOString(),
+    createdBy: by,
+    expiresAt,
+    views: 0,
+    firstViewedAt: null,
+    lastViewedAt: null,
+    property: { name: property.name, location: property.location },
+    reviewCount,
+    sources,
+    taxonomy: { id: taxonomy.id, name: taxonomy.name },
+    analysis: {
+      categories: analysis.categories,
+      counts: analysis.counts,
+      findings: analysis.findings.map(({ matches, weight, ...f }) => f),
+      risk: analysis.risk,
+      trends: analysis.trends
+    },
+    comparison
+  });
+  return summary(share, now);
+}
+
+/** Newest first. */
+export function listShares(now = new Date()) {
+  return shares().values().sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(s => summary(withViews(s), now));
+}
+
+export function getShareSummary(id, now = new Date()) {
+  const s = findShare(id);
+  return s ? summary(withViews(s), now) : null;
+}
+
+/**
+ * The public read of a link: counts the view and returns the snapshot. Unknown ids are a
+ * 404, expired ones a 410 (and are not counted).
+ */
+export function viewShare(id, now = new Date()) {
+  const s = findShare(id);
+  if (!s) throw fail("This link does not exist or was withdrawn", 404);
+  const col = shares();
+  if (isExpired(s, now)) throw fail(`This link expired on ${s.expiresAt.slice(0, 10)}`, 410);
+  const { pending, writtenAt } = viewsOf(col);
+  const at = now.toISOString();
+  const p = pending.get(id) || { views: 0, firstViewedAt: at, lastViewedAt: at };
+  pending.set(id, { ...p, views: p.views + 1, lastViewedAt: at });
+  if (now.getTime() - (writtenAt.get(id) ?? -Infinity) >= flushEvery()) writeViews(col, id, now);
+  return publicShare(s);
+}
+
+/**
+ * 403 unless `by` (actorOf()) created link `id` or `admin` is set; unknown links pass, for the
+ * caller's 404.
+ */
+export function checkShareOwner(id, { by = null, admin = false } = {}) {
+  const s = findShare(id);
+  if (!s || admin) return;
+  if (!by || s.createdBy?.id !== by.id) throw fail("Only the rep who shared this link, or an admin, can change it", 403);
+}
+
+/** Changes the expiry of an existing link; null when it does not exist. */
+export function updateShareExpiry(id, expiresInDays, now = new Date()) {
+  const s = findShare(id);
+  if (!s) return null;
+  return summary(withViews(shares().set(id, { ...s, expiresAt: parseExpiry(expiresInDays, now) })), now);
+}
+
+export function deleteShare(id) {
+  if (!findShare(id)) return false;
+  const col = shares();
+  viewsOf(col).pending.delete(id);
+  return col.delete(id);
+}
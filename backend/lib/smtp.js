@@ -0,0 +1,144 @@
+// lib/smtp.js – just enough SMTP to hand an alert e-mail to a relay
+//
+// Plain text messages to one relay: EHLO, STARTTLS when the server offers it (or implicit TLS
+// with `secure`, port 465), AUTH PLAIN when a user is configured, then MAIL/RCPT/DATA/QUIT.
+// No attachments, pooling or retries – alerts that fail to send stay on the alert record.
+// buildMessage() also writes text + HTML messages, for the outreach .eml downloads.
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import crypto from "node:crypto";
+
+/** SMTP settings from SMTP_* env vars; null when SMTP_HOST is not set. */
+export function smtpConfigFromEnv(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const port = parseInt(env.SMTP_PORT || "587", 10) || 587;
+  return {
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "1" : port === 465,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.ALERT_EMAIL_FROM || env.SMTP_USER || "alerts@localhost"
+  };
+}
+
+// Line reader: resolves one complete (possibly multi-line) reply at a time as { code, lines }
+function replies(socket) {
+  let buf = "", lines = [];
+  const queue = [], waiters = [];
+  const onData = (chunk) => {
+    buf += chunk.toString("utf8");
+    let i;
+    while ((i = buf.indexOf("\n")) !== -1) {
+      const line = buf.slice(0, i).replace(/\r$/, "");
+      buf = buf.slice(i + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+        lines = [];
+        const w = waiters.shift();
+        w ? w.resolve(reply) : queue.push(reply);
+      }
+    }
+  };
+  const onEnd = (err) => { for (const w of waiters.splice(0)) w.reject(err || new Error("SMTP connection closed")); };
+  const attach = (s) => { s.on("data", onData); s.on("error", onEnd); s.on("close", () => onEnd()); };
+  attach(socket);
+  return {
+    next: () => (queue.length ? Promise.resolve(queue.shift()) : new Promise((resolve, reject) => waiters.push({ resolve, reject }))),
+    rebind(s) { socket.off("data", onData); attach(s); socket = s; }
+  };
+}
+
+const dotStuff = (text) => text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+
+const encodeHeader = (s) => (/^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`);
+
+// "Name <a@b>" with a non-ASCII display name encoded; bare addresses pass through
+const encodeAddress = (a) => String(a).replace(/^(.*?)\s*<([^>]+)>$/, (m, name, addr) => (name ? `${encodeHeader(name)} <${addr}>` : `<${addr}>`));
+
+/**
+ * RFC 5322 message text: plain text, or multipart/alternative when `html` is given.
+ * An empty `to` leaves the To header out (drafts saved as .eml).
+ */
+export function buildMessage({ from, to, subject, text, html, date = new Date(), headers = {} }) {
+  const recipients = [].concat(to || []).filter(Boolean);
+  const boundary = `=_part_${crypto.randomBytes(12).toString("hex")}`;
+  const head = {
+    From: encodeAddress(from),
+    ...(recipients.length ? { To: recipients.map(encodeAddress).join(", ") } : {}),
+    Subject: encodeHeader(subject),
+    Date: date.toUTCString(),
+    "MIME-Version": "1.0",
+    ...(html
+      ? { "Content-Type": `multipart/alternative; boundary="${boundary}"` }
+      : { "Content-Type": "text/plain; charset=utf-8", "Content-Transfer-Encoding": "8bit" }),
+    ...headers
+  };
+  const crlf = (s) => s.replace(/\r?\n/g, "\r\n");
+  const body = html
+    ? [
+      `--${boundary}`, "Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: 8bit", "", crlf(text),
+      `--${boundary}`, "Content-Type: text/html; charset=utf-8", "Content-Transfer-Encoding: 8bit", "", crlf(html),
+      `--${boundary}--`, ""
+    ].join("\r\n")
+    : text;
+  return `${Object.entries(head).map(([k, v]) => `${k}: ${v}`).join("\r\n")}\r\n\r\n${body}`;
+}
+
+/**
+ * Sends one message. `config` is smtpConfigFromEnv()'s shape; `to` a string or list.
+ * Resolves with { accepted: [...], response } or rejects with the server's reply.
+ */
+export async function sendMail(config, { to, subject, text, headers }, { timeoutMs = 20000 } = {}) {
+  const recipients = [].concat(to).flatMap(a => String(a).split(",")).map(a => a.trim()).filter(Boolean);
+  if (!recipients.length) throw new Error("No recipients");
+  const connect = () => new Promise((resolve, reject) => {
+    const s = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host }, () => resolve(s))
+      : net.connect({ host: config.host, port: config.port }, () => resolve(s));
+    // Armed before the connection is up, so a host that never answers (or never finishes the
+    // TLS handshake) fails after timeoutMs instead of hanging
+    s.setTimeout(timeoutMs, () => s.destroy(new Error(`SMTP ${config.host} timed out`)));
+    s.once("error", reject);
+  });
+
+  let socket = await connect();
+  const reader = replies(socket);
+  const expect = async (codes, what) => {
+    const r = await reader.next();
+    if (!codes.includes(r.code)) throw new Error(`SMTP ${what} failed: ${r.code} ${r.lines.join(" ")}`);
+    return r;
+  };
+  const cmd = (line, codes, what = line.split(" ")[0]) => { socket.write(`${line}\r\n`); return expect(codes, what); };
+
+  try {
+    await expect([220], "greeting");
+    const host = os.hostname() || "localhost";
+    let ehlo = await cmd(`EHLO ${host}`, [250]);
+    if (!config.secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await cmd("STARTTLS", [220]);
+      const plain = socket;
+      socket = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket: plain, servername: config.host }, () => resolve(s));
+        s.once("error", reject);
+      });
+      reader.rebind(socket);
+      ehlo = await cmd(`EHLO ${host}`, [250]);
+    }
+    if (config.user) {
+      const token = Buffer.from(`\0${config.user}\0${config.pass || ""}`).toString("base64");
+      await cmd(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+    await cmd(`MAIL FROM:<${config.from}>`, [250], "MAIL FROM");
+    for (const r of recipients) await cmd(`RCPT TO:<${r}>`, [250, 251], "RCPT TO");
+    await cmd("DATA", [354]);
+    const message = buildMessage({ from: config.from, to: recipients, subject, text, headers });
+    const done = await cmd(`${dotStuff(message)}\r\n.`, [250], "DATA");
+    await cmd("QUIT", [221]).catch(() => {});
+    return { accepted: recipients, response: done.lines.join(" ") };
+  } finally {
+    socket.destroy();
+  }
+}
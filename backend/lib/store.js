@@ -0,0 +1,121 @@
+// lib/store.js – persistent collections under DATA_DIR: a JSON snapshot plus an append-only log
+//
+// Each collection is `<DATA_DIR>/<name>.json`, an id → value snapshot, and `<name>.log`, one
+// JSON line per change since that snapshot ({ id, value } or { id, deleted: true }). It is
+// loaded on first use and kept in memory. A change appends one line, so a write costs the size
+// of the record rather than of the whole collection. Once the log has more than COMPACT_AFTER
+// lines, and more lines than the collection has items, the snapshot is rewritten atomically
+// (tmp file + rename) and the log starts over. Replaying a log onto a snapshot that already
+// holds it changes nothing, and a torn last line (a crash mid-append) is skipped.
+// Point DATA_DIR at a persistent disk in production (Render: a mounted disk), otherwise a
+// redeploy starts from an empty store.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+export const dataDir = () => process.env.DATA_DIR || DEFAULT_DIR;
+
+const COMPACT_AFTER = 1000;
+
+const open = new Map(); // snapshot file → { col, close }
+
+// Applies the log at `file` to `items`. → { lines, clean } – clean is false when a line could
+// not be read, so the caller compacts before appending behind it.
+function replayLog(file, items) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`store: could not read ${file}, ignoring it`, e);
+    return { lines: 0, clean: e.code === "ENOENT" };
+  }
+  let lines = 0, clean = !text || text.endsWith("\n");
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.error(`store: skipping an unreadable line in ${file}`);
+      clean = false;
+      continue;
+    }
+    if (entry.deleted) delete items[entry.id];
+    else items[entry.id] = entry.value;
+    lines++;
+  }
+  return { lines, clean };
+}
+
+export function openCollection(name) {
+  const file = path.join(dataDir(), `${name}.json`);
+  if (open.has(file)) return open.get(file).col;
+  const logFile = path.join(dataDir(), `${name}.log`);
+
+  // No prototype: ids such as "constructor" or "__proto__" are plain keys, not inherited members
+  const items = Object.create(null);
+  try {
+    Object.assign(items, JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`store: could not read ${file}, starting empty`, e);
+  }
+  let { lines, clean } = replayLog(logFile, items);
+  let size = Object.keys(items).length;
+  let fd = null;
+
+  const compact = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(items));
+    fs.renameSync(tmp, file);
+    if (fd != null) fs.ftruncateSync(fd, 0);
+    else if (fs.existsSync(logFile)) fs.truncateSync(logFile, 0);
+    lines = 0;
+  };
+
+  const append = (entry) => {
+    if (fd == null) {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fd = fs.openSync(logFile, "a");
+    }
+    fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+    if (++lines > COMPACT_AFTER && lines > size) compact();
+  };
+
+  if (!clean) compact();
+
+  const col = {
+    get: (id) => (col.has(id) ? items[id] : null),
+    has: (id) => Object.prototype.hasOwnProperty.call(items, id),
+    set: (id, value) => {
+      if (!col.has(id)) size++;
+      items[id] = value;
+      append({ id, value });
+      return value;
+    },
+    delete: (id) => {
+      const had = col.has(id);
+      if (had) {
+        delete items[id];
+        size--;
+        append({ id, deleted: true });
+      }
+      return had;
+    },
+    values: () => Object.values(items),
+    entries: () => Object.entries(items)
+  };
+  const close = () => {
+    if (fd != null) fs.closeSync(fd);
+    fd = null;
+  };
+  open.set(file, { col, close });
+  return col;
+}
+
+/** Drops every loaded collection so the next openCollection() re-reads DATA_DIR (tests). */
+export function closeAllCollections() {
+  for (const { close } of open.values()) close();
+  open.clear();
+}
@@ -0,0 +1,174 @@
+// lib/taxonomies.js – the category sets sentences are classified against
+//
+// taxonomies.json: id → {
+//   id, name, createdAt, updatedAt,
+//   categories: [{ key, label, severity, terms, exclude }]
+// }
+//   severity – 1 (minor) … 5 (serious); ranks findings and feeds the risk score
+//   terms    – "phrase" or { term, weight?, negatable? } (see lib/classify.js)
+//   exclude  – phrases that contain a term but mean something else ("third party")
+// The built-in "default" taxonomy is not stored and cannot be changed – save a copy instead.
+import { openCollection } from "./store.js";
+
+export const DEFAULT_TAXONOMY = {
+  id: "default",
+  name: "Default",
+  builtIn: true,
+  categories: [
+    {
+      key: "security",
+      label: "Security",
+      severity: 5,
+      terms: [
+        { term: "security", negatable: false }, "trespass", "trespasser", "loiter", "loitering", "crime",
+        "stolen", "break-in", "break in", "broken into", "burglary", "vandal", "vandalism",
+        "police", "weapon", "gun", "knife", "assault", "threatening", "suspicious",
+        "car break", "catalytic", "porch pirate", "package theft", { term: "mailroom", weight: 0.4 }
+      ],
+      exclude: ["security deposit", "police station nearby"]
+    },
+    {
+      key: "safety",
+      label: "Safety concerns",
+      severity: 4,
+      terms: [
+        "unsafe", "not safe", "dangerous", "hazard", "poorly lit", "no lighting", "lights out",
+        "broken gate", "gate is broken", "gate broken", "fire alarm", "injured", "tripped"
+      ],
+      exclude: []
+    },
+    {
+      key: "pet",
+      label: "Pet issues",
+      severity: 2,
+      terms: [
+        "pet waste", "dog poop", "poop", { term: "didn't pick up", negatable: false }, { term: "did not pick up", negatable: false },
+        "feces", "droppings", "dogs everywhere", "mess from dogs", "dog waste"
+      ],
+      exclude: []
+    },
+    {
+      key: "noise",
+      label: "Parties/Noise",
+      severity: 2,
+      terms: ["party", "parties", "pool party", "noise", "noisy", "loud"],
+      exclude: ["third party", "party room", "noise cancelling", "loud and clear"]
+    },
+    {
+      key: "amenity",
+      label: "Amenity misuse",
+      severity: 3,
+      terms: [
+        "amenity misuse", "after hours", "after-hours", "non-residents", "guests using", "gym crowd",
+        "smoking by pool", "smoke at pool", "parking unauthorized", "illegal parking", "trash dumping",
+        { term: "dumpster", weight: 0.4 }
+      ],
+      exclude: []
+    }
+  ]
+};
+
+const MAX_CATEGORIES = 30;
+const MAX_TERMS = 300;
+
+const taxonomies = () => openCollection("taxonomies");
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+
+function invalid(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/** Default first, then saved taxonomies by name. */
+export function listTaxonomies() {
+  const summary = (t) => ({ id: t.id, name: t.name, builtIn: !!t.builtIn, categories: t.categories.length, updatedAt: t.updatedAt || null });
+  const saved = taxonomies().values().sort((a, b) => a.name.localeCompare(b.name));
+  return [DEFAULT_TAXONOMY, ...saved].map(summary);
+}
+
+export function getTaxonomy(id) {
+  if (!id || id === DEFAULT_TAXONOMY.id) return DEFAULT_TAXONOMY;
+  return taxonomies().get(id);
+}
+
+/** getTaxonomy() for request params – unknown ids are a 404. */
+export function resolveTaxonomy(id) {
+  const t = getTaxonomy(String(id || "").trim());
+  if (!t) throw invalid(`Unknown taxonomy: ${id}`, 404);
+  return t;
+}
+
+function normalizeTerm(t, where) {
+  if (typeof t === "string") {
+    if (!t.trim()) throw invalid(`${where}: empty term`);
+    return t.trim();
+  }
+  if (!t || typeof t.term !== "string" || !t.term.trim()) throw invalid(`${where}: terms must be strings or { term }`);
+  const out = { term: t.term.trim() };
+  if (t.weight != null) {
+    const w = Number(t.weight);
+    if (!(w > 0 && w <= 1)) throw invalid(`${where}: weight for "${out.term}" must be between 0 and 1`);
+    out.weight = w;
+  }
+  if (t.negatable === false) out.negatable = false;
+  return out;
+}
+
+/**
+ * Validates a taxonomy from a request body. Returns { name, categories } with keys
+ * derived from labels where missing, severity defaulted to 3, and empty terms dropped.
+ */
+export function normalizeTaxonomy(input) {
+  const name = String(input?.name || "").trim();
+  if (!name) throw invalid("Taxonomy needs a name");
+  const cats = input.categories;
+  if (!Array.isArray(cats) || !cats.length) throw invalid("Taxonomy needs at least one category");
+  if (cats.length > MAX_CATEGORIES) throw invalid(`At most ${MAX_CATEGORIES} categories`);
+
+  const keys = new Set();
+  const categories = cats.map((c, i) => {
+    const label = String(c?.label || "").trim();
+    if (!label) throw invalid(`Category ${i + 1} needs a label`);
+    const key = slug(c.key || label);
+    if (!key || key === "total") throw invalid(`Category "${label}" needs a different key`);
+    if (keys.has(key)) throw invalid(`Duplicate category key: ${key}`);
+    keys.add(key);
+
+    const terms = (Array.isArray(c.terms) ? c.terms : []).filter(t => t !== "").map(t => normalizeTerm(t, label));
+    if (!terms.length) throw invalid(`Category "${label}" needs at least one term`);
+    if (terms.length > MAX_TERMS) throw invalid(`Category "${label}": at most ${MAX_TERMS} terms`);
+    const exclude = (Array.isArray(c.exclude) ? c.exclude : []).map(t => String(t).trim()).filter(Boolean);
+
+    const severity = c.severity == null || c.severity === "" ? 3 : Number(c.severity);
+    if (!(severity >= 1 && severity <= 5)) throw invalid(`Category "${label}": severity must be 1–5`);
+
+    return { key, label, severity, terms, exclude };
+  });
+  return { name, categories };
+}
+
+/** Creates a taxonomy (id derived from the name) and returns it. */
+export function createTaxonomy(input, now = new Date()) {
+  const t = normalizeTaxonomy(input);
+  const base = slug(t.name) || "taxonomy";
+  let id = base;
+  for (let n = 2; id === DEFAULT_TAXONOMY.id || taxonomies().has(id); n++) id = `${base}-${n}`;
+  const at = now.toISOString();
+  return taxonomies().set(id, { id, ...t, createdAt: at, updatedAt: at });
+}
+
+/** Replaces a saved taxonomy; null when it does not exist. */
+export function updateTaxonomy(id, input, now = new Date()) {
+  if (id === DEFAULT_TAXONOMY.id) throw invalid("The default taxonomy is built in – save a copy under a new name");
+  const prev = taxonomies().get(id);
+  if (!prev) return null;
+  const t = normalizeTaxonomy(input);
+  return taxonomies().set(id, { ...prev, ...t, updatedAt: now.toISOString() });
+}
+
+export function deleteTaxonomy(id) {
+  if (id === DEFAULT_TAXONOMY.id) throw invalid("The default taxonomy cannot be deleted");
+  return taxonomies().delete(id);
+}
@@ -0,0 +1,105 @@
+// lib/template.js – a small Mustache subset for the outreach e-mail templates
+//
+//   {{path.to.value}}        the value; missing values render as ""
+//   {{#name}}…{{/name}}      once per item of a non-empty list, or once when the value is truthy
+//                            (an object value becomes the context, so {{#risk}}{{score}}{{/risk}})
+//   {{^name}}…{{/name}}      only when the value is missing, false or an empty list
+//   {{.}}                    the current item itself (lists of strings)
+// Names resolve against the innermost context first, then outwards. A tag that is alone on
+// its line (sections, comments) removes the whole line, so sections can wrap lines cleanly.
+// No partials, lambdas or HTML escaping – e-mail HTML is built from the rendered text.
+
+const TAG = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+function invalid(message) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  return e;
+}
+
+// Drops the line around a standalone section/comment tag; keeps text and value tags as they are
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  for (const m of source.matchAll(TAG)) {
+    const [raw, kind, name] = m;
+    let start = m.index, end = m.index + raw.length;
+    if (kind) {
+      const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+      let lineEnd = source.indexOf("\n", end);
+      if (lineEnd === -1) lineEnd = source.length;
+      const before = source.slice(lineStart, start), after = source.slice(end, lineEnd);
+      if (!before.trim() && !after.trim() && lineStart >= last) {
+        start = lineStart;
+        end = Math.min(lineEnd + 1, source.length);
+      }
+    }
+    if (start > last) tokens.push({ type: "text", text: source.slice(last, start) });
+    if (kind !== "!") tokens.push({ type: kind || "value", name });
+    last = end;
+  }
+  if (last < source.length) tokens.push({ type: "text", text: source.slice(last) });
+  return tokens;
+}
+
+/** Parses a template into a tree; unbalanced sections are a 400. */
+export function parseTemplate(source) {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  for (const t of tokenize(String(source ?? ""))) {
+    const top = stack[stack.length - 1];
+    if (t.type === "#" || t.type === "^") {
+      const node = { type: t.type === "#" ? "section" : "inverted", name: t.name, children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (t.type === "/") {
+      if (top.name !== t.name) throw invalid(top.name ? `{{/${t.name}}} closes {{#${top.name}}}` : `{{/${t.name}}} has no opening tag`);
+      stack.pop();
+    } else {
+      top.children.push(t);
+    }
+  }
+  if (stack.length > 1) throw invalid(`{{#${stack[stack.length - 1].name}}} is never closed`);
+  return root;
+}
+
+function lookup(stack, name) {
+  if (name === ".") return stack[stack.length - 1];
+  const [head, ...rest] = name.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (ctx && typeof ctx === "object" && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+const isEmpty = (v) => v == null || v === false || v === "" || (Array.isArray(v) && !v.length);
+
+function renderNodes(nodes, stack) {
+  let out = "";
+  for (const n of nodes) {
+    if (n.type === "text") out += n.text;
+    else if (n.type === "value") {
+      const v = lookup(stack, n.name);
+      out += v == null ? "" : String(v);
+    } else {
+      const v = lookup(stack, n.name);
+      if (n.type === "inverted") {
+        if (isEmpty(v)) out += renderNodes(n.children, stack);
+      } else if (Array.isArray(v)) {
+        for (const item of v) out += renderNodes(n.children, [...stack, item]);
+      } else if (!isEmpty(v)) {
+        out += renderNodes(n.children, [...stack, v]);
+      }
+    }
+  }
+  return out;
+}
+
+/** Renders `source` (or an already parsed tree) against `view`. */
+export function renderTemplate(source, view) {
+  const tree = Array.isArray(source) ? source : parseTemplate(source);
+  return renderNodes(tree, [view]);
+}
@@ -0,0 +1,107 @@
+// lib/trends.js – category hits over time
+//
+// Findings are bucketed by their review's date (YYYY-MM-DD, see lib/reviews.js) into months
+// or quarters, from the oldest dated review up to the period containing `now` (at most
+// MAX_PERIODS buckets, empty ones included so charts have a continuous axis). Each category's
+// direction compares the last complete period with the one before it – the running period is
+// still filling up, so it is charted but not judged.
+
+const MAX_PERIODS = { month: 24, quarter: 12 };
+const AUTO_QUARTER_AFTER_MONTHS = 18;
+
+// "2024-05-03" → { y, m } (m 0-based)
+const ym = (date) => ({ y: +date.slice(0, 4), m: +date.slice(5, 7) - 1 });
+// Only YYYY-MM-DD dates are bucketed; anything else (a number, a free-form string posted to
+// /classify) counts as undated
+const hasDate = (x) => typeof x.date === "string" && /^\d{4}-\d{2}-\d{2}/.test(x.date);
+
+const periodIndex = ({ y, m }, granularity) => (granularity === "quarter" ? y * 4 + Math.floor(m / 3) : y * 12 + m);
+
+function periodOf(index, granularity) {
+  if (granularity === "quarter") {
+    const y = Math.floor(index / 4), q = index % 4;
+    const start = `${y}-${String(q * 3 + 1).padStart(2, "0")}-01`;
+    return { period: `${y}-Q${q + 1}`, start, label: `Q${q + 1} ${y}` };
+  }
+  const y = Math.floor(index / 12), m = index % 12;
+  const start = `${y}-${String(m + 1).padStart(2, "0")}-01`;
+  const label = new Date(`${start}T00:00:00Z`).toLocaleString("en-US", { month: "short", year: "numeric", timeZone: "UTC" });
+  return { period: start.slice(0, 7), start, label };
+}
+
+/**
+ * Up, down or flat between two hit counts. A move needs at least two hits on the busier side
+ * and a 50% change, so 1 → 2 stays "steady" but 2 → 6 is "rising".
+ */
+export function direction(previous, current) {
+  if (Math.max(previous, current) < 2) return "steady";
+  if (current >= previous * 1.5) return "rising";
+  if (current <= previous / 1.5) return "falling";
+  return "steady";
+}
+
+const monthsBetween = (a, b) => (b.y - a.y) * 12 + (b.m - a.m);
+
+/**
+ * Builds the time series for an analysis.
+ *   reviews     – the analyzed reviews (per-period volume)
+ *   findings    – analysis findings ({ reviewId, date, categories })
+ *   categories  – [{ key, label }]
+ *   granularity – "month" | "quarter" | "auto" (quarters once the span passes 18 months)
+ * Returns {
+ *   granularity,
+ *   periods:    [{ period, label, start, partial, reviews, total, counts: { [key]: n } }],
+ *   categories: { [key]: { previous, current, change, direction } },
+ *   undated:    findings without a YYYY-MM-DD date (left out of the series)
+ * }
+ * `change` is current / previous (null when previous is 0).
+ */
+export function buildTrends({ reviews, findings, categories, granularity = "auto", now = Date.now() }) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  const nowYm = ym(today);
+  const dated = reviews.filter(hasDate);
+  const oldest = dated.reduce((min, r) => (r.date < min ? r.date : min), today);
+  if (granularity !== "month" && granularity !== "quarter") {
+    granularity = monthsBetween(ym(oldest), nowYm) > AUTO_QUARTER_AFTER_MONTHS ? "quarter" : "month";
+  }
+
+  const last = periodIndex(nowYm, granularity);
+  const first = Math.max(periodIndex(ym(oldest), granularity), last - MAX_PERIODS[granularity] + 1);
+  const periods = [];
+  for (let i = first; i <= last; i++) {
+    const counts = Object.fromEntries(categories.map(c => [c.key, 0]));
+    periods.push({ ...periodOf(i, granularity), partial: i === last, reviews: 0, total: 0, counts });
+  }
+  const bucket = (date) => {
+    const i = periodIndex(ym(date), granularity);
+    return i >= first && i <= last ? periods[i - first] : null;
+  };
+
+  for (const r of dated) {
+    const p = bucket(r.date);
+    if (p) p.reviews++;
+  }
+  let undated = 0;
+  for (const f of findings) {
+    if (!hasDate(f)) { undated++; continue; }
+    const p = bucket(f.date);
+    if (!p) continue;
+    p.total++;
+    for (const k of f.categories) if (k in p.counts) p.counts[k]++;
+  }
+
+  // last two complete periods
+  const cur = periods[periods.length - 2], prev = periods[periods.length - 3];
+  const trend = {};
+  for (const c of categories) {
+    const current = cur ? cur.counts[c.key] : 0;
+    const previous = prev ? prev.counts[c.key] : 0;
+    trend[c.key] = {
+      previous,
+      current,
+      change: previous ? Math.round((current / previous) * 100) / 100 : null,
+      direction: direction(previous, current)
+    };
+  }
+  return { granularity, periods, categories: trend, undated };
+}
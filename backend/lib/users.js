@@ -0,0 +1,143 @@
+// lib/users.js – team accounts that sign in with e-mail and password
+//
+// users.json: id → { id, email, name, role, quota, passwordHash, passwordChangedAt,
+//                    createdAt, createdBy, updatedAt, lastLoginAt }
+//   role  – "admin" (manages accounts) or "member"
+//   quota – scrapes per day for this account; null = SCRAPE_QUOTA_PER_DAY
+// Everyone in the workspace sees the same history (lib/history.js); accounts are what records
+// who ran a search. Signing in returns a signed token (lib/auth.js), so API_TOKEN_SECRET must
+// be set. Passwords are stored as scrypt hashes ("scrypt$<salt>$<hash>", base64url).
+import crypto from "node:crypto";
+import { openCollection } from "./store.js";
+
+export const ROLES = ["admin", "member"];
+export const MIN_PASSWORD_LENGTH = 10;
+
+const users = () => openCollection("users");
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+
+function invalid(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString("base64url")}$${crypto.scryptSync(password, salt, 32).toString("base64url")}`;
+}
+
+export function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** What the API returns for an account – never the hash. */
+export const publicUser = ({ passwordHash, ...u }) => u;
+
+/** By name. */
+export function listUsers() {
+  return users().values().sort((a, b) => a.name.localeCompare(b.name)).map(publicUser);
+}
+
+export function getUser(id) {
+  return users().get(id);
+}
+
+const findByEmail = (email) => users().values().find(u => u.email === email) || null;
+
+/**
+ * Validates an account body. `partial` (updates) allows leaving fields out; a password is
+ * required on create only.
+ */
+export function normalizeUser(input, { partial = false } = {}) {
+  const out = {};
+  if (!partial || input?.email !== undefined) {
+    out.email = String(input?.email || "").trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(out.email)) throw invalid(`Not an e-mail address: ${out.email || "(empty)"}`);
+  }
+  if (!partial || input?.name !== undefined) {
+    out.name = String(input?.name || "").trim();
+    if (!out.name) throw invalid("Account needs a name");
+  }
+  if (!partial || input?.role !== undefined) {
+    out.role = input?.role ?? "member";
+    if (!ROLES.includes(out.role)) throw invalid(`role must be one of ${ROLES.join(", ")}`);
+  }
+  if (!partial || input?.quota !== undefined) {
+    const q = input?.quota;
+    out.quota = q == null || q === "" ? null : Number(q);
+    if (out.quota !== null && !(Number.isInteger(out.quota) && out.quota >= 0)) throw invalid("quota must be a whole number of scrapes per day");
+  }
+  if (!partial || input?.password !== undefined) {
+    const password = String(input?.password || "");
+    if (password.length < MIN_PASSWORD_LENGTH) throw invalid(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    out.password = password;
+  }
+  return out;
+}
+
+/** Creates an account (id derived from the name) and returns its public view. */
+export function createUser(input, { by = null, now = new Date() } = {}) {
+  const { password, ...u } = normalizeUser(input);
+  if (findByEmail(u.email)) throw invalid(`An account for ${u.email} already exists`, 409);
+  const base = slug(u.name) || "user";
+  let id = base;
+  for (let n = 2; users().has(id); n++) id = `${base}-${n}`;
+  const at = now.toISOString();
+  return publicUser(users().set(id, {
+    id, ...u, passwordHash: hashPassword(password), passwordChangedAt: at,
+    createdAt: at, createdBy: by, updatedAt: at, lastLoginAt: null
+  }));
+}
+
+/** Changes the given fields; a new password signs the account out everywhere. Null when unknown. */
+export function updateUser(id, input, now = new Date()) {
+  const prev = users().get(id);
+  if (!prev) return null;
+  const { password, ...u } = normalizeUser(input, { partial: true });
+  if (u.email && u.email !== prev.email && findByEmail(u.email)) throw invalid(`An account for ${u.email} already exists`, 409);
+  const at = now.toISOString();
+  const next = { ...prev, ...u, updatedAt: at };
+  if (password !== undefined) Object.assign(next, { passwordHash: hashPassword(password), passwordChangedAt: at });
+  if (prev.role === "admin" && next.role !== "admin" && !otherAdmins(id)) throw invalid("The workspace needs at least one admin");
+  return publicUser(users().set(id, next));
+}
+
+/**
+ * A member changing their own password must also send the current one: 400 when it is
+ * missing, 403 when it is wrong. Admins reset passwords without it.
+ */
+export function checkCurrentPassword(id, currentPassword) {
+  const u = users().get(id);
+  if (!u) return;
+  if (typeof currentPassword !== "string" || !currentPassword) throw invalid("Send currentPassword to change your password");
+  if (!checkPassword(currentPassword, u.passwordHash)) throw invalid("currentPassword is wrong", 403);
+}
+
+const otherAdmins = (id) => users().values().some(u => u.role === "admin" && u.id !== id);
+
+export function deleteUser(id) {
+  const u = users().get(id);
+  if (u?.role === "admin" && !otherAdmins(id)) throw invalid("The workspace needs at least one admin");
+  return users().delete(id);
+}
+
+/** The account for an e-mail/password pair, or a 401. */
+export function verifyLogin(email, password) {
+  const u = findByEmail(String(email || "").trim().toLowerCase());
+  // hash anyway so unknown e-mails take as long as wrong passwords
+  const ok = checkPassword(password, u?.passwordHash || hashPassword("timing"));
+  if (!u || !ok) throw invalid("Wrong e-mail or password", 401);
+  return publicUser(u);
+}
+
+/** Records a completed sign-in – once its token has been issued – and returns the account. */
+export function recordLogin(id, now = new Date()) {
+  const u = users().get(id);
+  return u ? publicUser(users().set(id, { ...u, lastLoginAt: now.toISOString() })) : null;
+}
@@ -0,0 +1,77 @@
+// lib/util.js – small helpers shared across routes and scrapers
+
+export function required(q, name) {
+  const v = (q[name] || "").toString().trim();
+  if (!v) {
+    const e = new Error(`Missing required query param: ${name}`);
+    e.statusCode = 400;
+    throw e;
+  }
+  return v;
+}
+
+export function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * Calls fn(attempt) until it resolves, retrying failures after an exponential backoff with
+ * jitter (baseMs, 2×, 4×… capped at maxMs, ±25%). Errors marked `retryable: false` fail at
+ * once, and no retry starts when its wait would run past `deadline` (epoch ms). The error that
+ * finally surfaces carries `attempts`. onRetry(error, attempt, delayMs) runs before each wait.
+ */
+export async function retry(fn, {
+  retries = 2, baseMs = 1000, maxMs = 30000, deadline = Infinity, onRetry = () => {},
+  wait = sleep, random = Math.random, now = Date.now
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      const delay = Math.round(Math.min(maxMs, baseMs * 2 ** (attempt - 1)) * (0.75 + random() / 2));
+      if (attempt > retries || e?.retryable === false || now() + delay >= deadline) {
+        if (e && typeof e === "object") e.attempts = attempt;
+        throw e;
+      }
+      onRetry(e, attempt, delay);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Rejects once `ms` pass without `promise` settling. Pass the AbortController whose signal the
+ * work runs under to have it aborted (with the same error) too, so it stops instead of running on.
+ */
+export function withTimeout(promise, ms, what, controller = null) {
+  let timer;
+  const t = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const e = new Error(`${what} timed out after ${Math.round(ms / 1000)}s`);
+      controller?.abort(e);
+      reject(e);
+    }, ms);
+  });
+  return Promise.race([promise, t]).finally(() => clearTimeout(timer));
+}
+
+/** A request's signal: `timeoutMs`, and the caller's `signal` when there is one. */
+export const withSignal = (signal, timeoutMs) =>
+  signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs);
+
+export function absoluteUrl(href, origin) {
+  if (!href) return "";
+  return href.startsWith("http") ? href : `${origin}${href.startsWith("/") ? "" : "/"}${href}`;
+}
+
+export const normText = (t) => (t || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** Runs fn(item, index) over items, at most `limit` at a time; resolves once all settle. */
+export async function mapLimit(items, limit, fn) {
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+}
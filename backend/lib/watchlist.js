@@ -0,0 +1,150 @@
+// lib/watchlist.js – saved properties the monitor re-checks on a schedule
+//
+// watchlist.json: id → {
+//   id, name, location, sources, refs, taxonomy, alertCategories, everyMinutes,
+//   webhookUrl, emailTo, paused, createdAt, updatedAt,
+//   baselineAt, lastRunAt, nextRunAt, lastStatus, lastError, lastNew, seen: [reviewId]
+// }
+// `seen` is every review id the monitor has already looked at. The first successful run only
+// fills it (status "baseline", sets baselineAt) so a new watch doesn't alert on years of old
+// reviews.
+import { openCollection } from "./store.js";
+import { webhookUrlProblem } from "./alerts.js";
+import { getTaxonomy } from "./taxonomies.js";
+import { sourceKeys } from "../scrapers/index.js";
+
+export const DEFAULT_ALERT_CATEGORIES = ["security", "pet", "noise"];
+export const DEFAULT_EVERY_MINUTES = 60 * 24;
+export const MIN_EVERY_MINUTES = 15;
+const MAX_SEEN = 5000;
+
+const watches = () => openCollection("watchlist");
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+
+function invalid(message) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  return e;
+}
+
+/** Public view: the seen-id list is internal, only its size goes out. */
+const publicWatch = ({ seen, ...w }) => ({ ...w, seenCount: seen.length });
+
+const addMinutes = (iso, minutes) => new Date(Date.parse(iso) + minutes * 60000).toISOString();
+
+/**
+ * Validates a watch from a request body. Returns the editable fields with defaults filled in:
+ * every source, the default taxonomy, security/pet/noise alerts, a daily check. The webhook URL
+ * may not name a private address unless `allowPrivate` (ALERT_WEBHOOK_ALLOW_PRIVATE=1).
+ */
+export function normalizeWatch(input, { allowPrivate = process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === "1" } = {}) {
+  const name = String(input?.name || "").trim();
+  const location = String(input?.location || "").trim();
+  if (!name || !location) throw invalid("A watch needs a name and location");
+
+  const sources = input.sources == null ? sourceKeys() : [].concat(input.sources).flatMap(s => String(s).split(",")).map(s => s.trim()).filter(Boolean);
+  const unknown = sources.filter(s => !sourceKeys().includes(s));
+  if (unknown.length) throw invalid(`Unknown source(s): ${unknown.join(", ")}`);
+  if (!sources.length) throw invalid("A watch needs at least one source");
+
+  const refs = {};
+  for (const [key, ref] of Object.entries(input.refs || {})) {
+    if (!sources.includes(key)) continue;
+    const url = String(ref?.url || "").trim();
+    if (url) refs[key] = { url };
+  }
+
+  const taxonomyId = String(input.taxonomy || "default").trim();
+  const taxonomy = getTaxonomy(taxonomyId);
+  if (!taxonomy) throw invalid(`Unknown taxonomy: ${taxonomyId}`);
+  const keys = taxonomy.categories.map(c => c.key);
+  const alertCategories = input.alertCategories == null
+    ? DEFAULT_ALERT_CATEGORIES.filter(k => keys.includes(k))
+    : [].concat(input.alertCategories).map(String);
+  const badCats = alertCategories.filter(k => !keys.includes(k));
+  if (badCats.length) throw invalid(`Not in taxonomy ${taxonomy.id}: ${badCats.join(", ")}`);
+  if (!alertCategories.length) throw invalid("Pick at least one category to alert on");
+
+  const everyMinutes = input.everyMinutes == null || input.everyMinutes === "" ? DEFAULT_EVERY_MINUTES : Number(input.everyMinutes);
+  if (!(Number.isInteger(everyMinutes) && everyMinutes >= MIN_EVERY_MINUTES)) {
+    throw invalid(`everyMinutes must be a whole number, at least ${MIN_EVERY_MINUTES}`);
+  }
+
+  const webhookUrl = String(input.webhookUrl || "").trim() || null;
+  const webhookProblem = webhookUrl && webhookUrlProblem(webhookUrl, { allowPrivate });
+  if (webhookProblem) throw invalid(webhookProblem);
+  const emailTo = String(input.emailTo || "").trim() || null;
+  if (emailTo && !emailTo.split(",").every(a => /^[^@\s]+@[^@\s]+$/.test(a.trim()))) throw invalid("emailTo must be e-mail addresses, comma-separated");
+
+  return { name, location, sources, refs, taxonomy: taxonomy.id, alertCategories, everyMinutes, webhookUrl, emailTo, paused: !!input.paused };
+}
+
+/** Newest first. */
+export function listWatches() {
+  return watches().values().sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(publicWatch);
+}
+
+export function getWatch(id) {
+  const w = watches().get(id);
+  return w ? publicWatch(w) : null;
+}
+
+/** The stored record including `seen` – for the monitor. */
+export const watchState = (id) => watches().get(id);
+
+/** Creates a watch (id derived from the name) due for its baseline run right away. */
+export function createWatch(input, now = new Date()) {
+  const w = normalizeWatch(input);
+  const base = slug(w.name) || "watch";
+  let id = base;
+  for (let n = 2; watches().has(id); n++) id = `${base}-${n}`;
+  const at = now.toISOString();
+  return publicWatch(watches().set(id, {
+    id, ...w, createdAt: at, updatedAt: at,
+    baselineAt: null, lastRunAt: null, nextRunAt: at, lastStatus: null, lastError: null, lastNew: 0, seen: []
+  }));
+}
+
+/**
+ * Replaces a watch's settings; null when it does not exist. A different property (name,
+ * location or pinned listing) starts over with a fresh baseline.
+ */
+export function updateWatch(id, input, now = new Date()) {
+  const prev = watches().get(id);
+  if (!prev) return null;
+  const w = normalizeWatch(input);
+  const moved = w.name !== prev.name || w.location !== prev.location || JSON.stringify(w.refs) !== JSON.stringify(prev.refs);
+  const at = now.toISOString();
+  const next = { ...prev, ...w, updatedAt: at };
+  if (moved) Object.assign(next, { seen: [], baselineAt: null, lastStatus: null, nextRunAt: at });
+  else if (w.everyMinutes !== prev.everyMinutes && prev.lastRunAt) next.nextRunAt = addMinutes(prev.lastRunAt, w.everyMinutes);
+  return publicWatch(watches().set(id, next));
+}
+
+export function deleteWatch(id) {
+  return watches().delete(id);
+}
+
+/** Unpaused watches whose next run is due, most overdue first. */
+export function dueWatches(now = new Date()) {
+  const at = now.toISOString();
+  return watches().values()
+    .filter(w => !w.paused && w.nextRunAt && w.nextRunAt <= at)
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+}
+
+/**
+ * Books a finished check: status ("baseline" | "ok" | "failed"), the review ids it saw and how
+ * many were new. Schedules the next run `everyMinutes` later.
+ */
+export function recordRun(id, { status, error = null, seenIds = [], newCount = 0 }, now = new Date()) {
+  const prev = watches().get(id);
+  if (!prev) return null;
+  const at = now.toISOString();
+  const seen = Array.from(new Set([...seenIds, ...prev.seen])).slice(0, MAX_SEEN);
+  return publicWatch(watches().set(id, {
+    ...prev, seen, baselineAt: status === "baseline" ? at : prev.baselineAt, lastRunAt: at, nextRunAt: addMinutes(at, prev.everyMinutes),
+    lastStatus: status, lastError: error, lastNew: newCount
+  }));
+}
@@ -0,0 +1,69 @@
+// backend/scrapers/apartmentRatingsScraper.js – ApartmentRatings.com, best-effort HTML parse (no API key)
+import { fetchDocument, resolveRef, checkHtmlSelectors } from "./html.js";
+import { extractHtmlReviews } from "../lib/reviews.js";
+import { absoluteUrl } from "../lib/util.js";
+import { selectors, firstMatch } from "../lib/selectors.js";
+
+// Overridable so the test suite can point the scraper at local fixtures
+const origin = () => (process.env.APARTMENTRATINGS_BASE_URL || "https://www.apartmentratings.com").replace(/\/$/, "");
+const searchUrl = (name, location) => `${origin()}/search/?q=${encodeURIComponent(`${name} ${location}`)}`;
+
+const apartmentRatings = {
+  key: "apartmentratings",
+  label: "ApartmentRatings",
+  route: "/apartmentratings",
+  capabilities: {
+    search: true,
+    browser: false,
+    ratings: true,
+    dates: "absolute",
+    ownerReplies: true,
+    maxReviews: null,          // whatever the property page renders
+    defaultTimeoutMs: 30000
+  },
+
+  async search(name, location) {
+    const sel = selectors("apartmentratings").search;
+    const $ = await fetchDocument(searchUrl(name, location), { source: "apartmentratings", step: "search" });
+    if (!$) return [];
+    const out = [];
+    firstMatch(s => $(s), sel.result).each((_, el) => {
+      const url = absoluteUrl($(el).attr("href"), origin());
+      if (!url || out.some(c => c.url === url)) return;
+      const card = firstMatch(s => $(el).closest(s), sel.resultCard);
+      const address = firstMatch(s => card.find(s), sel.address).first().text().trim();
+      const count = firstMatch(s => card.find(s), sel.reviewCount).first().text().match(/\d[\d,]*/);
+      out.push({
+        name: $(el).text().trim() || null,
+        address: address || null,
+        rating: null,
+        reviewCount: count ? parseInt(count[0].replace(/,/g, ""), 10) : null,
+        url,
+        ref: { url }
+      });
+    });
+    return out;
+  },
+
+  async fetchReviews(propertyRef, { onProgress = () => {}, signal = null } = {}) {
+    if (!propertyRef?.url) onProgress({ phase: "searching" });
+    const ref = await resolveRef(this, propertyRef);
+    if (!ref) return [];
+    onProgress({ phase: "fetching property" });
+    const $ = await fetchDocument(ref.url, { source: "apartmentratings", step: "fetching property", signal });
+    if (!$) return [];
+
+    // NOTE: AR often renders with JS; expect sparse yields.
+    return extractHtmlReviews($, {
+      prefix: "apartmentratings",
+      pageUrl: ref.url,
+      sel: selectors("apartmentratings").property
+    });
+  },
+
+  selfcheck(opts) {
+    return checkHtmlSelectors(this, searchUrl, opts);
+  }
+};
+
+export default apartmentRatings;
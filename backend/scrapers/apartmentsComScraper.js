@@ -0,0 +1,68 @@
+// backend/scrapers/apartmentsComScraper.js – Apartments.com, best-effort HTML parse (no API key)
+import { fetchDocument, resolveRef, checkHtmlSelectors } from "./html.js";
+import { extractHtmlReviews } from "../lib/reviews.js";
+import { absoluteUrl } from "../lib/util.js";
+import { selectors, firstMatch } from "../lib/selectors.js";
+
+// Overridable so the test suite can point the scraper at local fixtures
+const origin = () => (process.env.APARTMENTSCOM_BASE_URL || "https://www.apartments.com").replace(/\/$/, "");
+const searchUrl = (name, location) => `${origin()}/search/?q=${encodeURIComponent(`${name} ${location}`)}`;
+
+const apartmentsCom = {
+  key: "apartmentscom",
+  label: "Apartments.com",
+  route: "/apartments-com",
+  capabilities: {
+    search: true,
+    browser: false,
+    ratings: true,
+    dates: "absolute",
+    ownerReplies: true,
+    maxReviews: null,
+    defaultTimeoutMs: 30000
+  },
+
+  async search(name, location) {
+    const sel = selectors("apartmentscom").search;
+    const $ = await fetchDocument(searchUrl(name, location), { source: "apartmentscom", step: "search" });
+    if (!$) return [];
+    const out = [];
+    firstMatch(s => $(s), sel.result).each((_, el) => {
+      const url = absoluteUrl($(el).attr("href"), origin());
+      if (!url || out.some(c => c.url === url)) return;
+      const card = firstMatch(s => $(el).closest(s), sel.resultCard);
+      const address = firstMatch(s => card.find(s), sel.address).first().text().trim();
+      const count = firstMatch(s => card.find(s), sel.reviewCount).first().text().match(/\d[\d,]*/);
+      out.push({
+        name: $(el).text().trim() || null,
+        address: address || null,
+        rating: null,
+        reviewCount: count ? parseInt(count[0].replace(/,/g, ""), 10) : null,
+        url,
+        ref: { url }
+      });
+    });
+    return out;
+  },
+
+  async fetchReviews(propertyRef, { onProgress = () => {}, signal = null } = {}) {
+    if (!propertyRef?.url) onProgress({ phase: "searching" });
+    const ref = await resolveRef(this, propertyRef);
+    if (!ref) return [];
+    onProgress({ phase: "fetching property" });
+    const $ = await fetchDocument(ref.url, { source: "apartmentscom", step: "fetching property", signal });
+    if (!$) return [];
+
+    return extractHtmlReviews($, {
+      prefix: "apartmentscom",
+      pageUrl: ref.url,
+      sel: selectors("apartmentscom").property
+    });
+  },
+
+  selfcheck(opts) {
+    return checkHtmlSelectors(this, searchUrl, opts);
+  }
+};
+
+export default apartmentsCom;
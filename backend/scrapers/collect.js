@@ -0,0 +1,58 @@
+// backend/scrapers/collect.js – the "extract, scroll, repeat" loop behind infinite-scroll review panels
+import { sleep } from "../lib/util.js";
+
+/**
+ * Repeats expand → extract → scroll until one of:
+ *   - `maxReviews` unique items are collected
+ *   - `deadline` (epoch ms) passes
+ *   - `stagnationLimit` consecutive rounds add nothing new (the panel stopped loading)
+ *   - `knownLimit` consecutive new items satisfy `isKnown(item)` – on a Newest-sorted panel
+ *     that means we've scrolled back into reviews we already stored
+ * `extract()` returns the items currently rendered; `keyOf(item)` dedupes them;
+ * `onRound(count)` reports the running total after every round.
+ * Returns { items, stopReason } with items in first-seen order, capped at maxReviews.
+ */
+export async function collectWhileScrolling({
+  extract,
+  scroll,
+  expand = async () => {},
+  keyOf = (it) => it.id,
+  maxReviews = 80,
+  deadline = Infinity,
+  stagnationLimit = 6,
+  isKnown = null,
+  knownLimit = 5,
+  pauseMs = 900,
+  onRound = () => {},
+  now = Date.now
+}) {
+  const byKey = new Map();
+  let stagnation = 0, lastCount = 0, knownStreak = 0;
+  let stopReason = "deadline";
+
+  while (byKey.size < maxReviews && now() < deadline) {
+    // Expand “More” buttons so we capture full text
+    await expand();
+
+    for (const it of await extract()) {
+      const k = keyOf(it);
+      if (byKey.has(k)) continue;
+      byKey.set(k, it);
+      if (isKnown) knownStreak = isKnown(it) ? knownStreak + 1 : 0;
+    }
+
+    const countNow = byKey.size;
+    onRound(countNow);
+    stagnation = countNow > lastCount ? 0 : (stagnation + 1);
+    lastCount = countNow;
+    if (byKey.size >= maxReviews) { stopReason = "max"; break; }
+    if (isKnown && knownStreak >= knownLimit) { stopReason = "known"; break; }
+    if (stagnation >= stagnationLimit) { stopReason = "stagnation"; break; }
+
+    await scroll();
+    if (pauseMs) await sleep(pauseMs);
+  }
+  if (byKey.size >= maxReviews) stopReason = "max";
+
+  return { items: Array.from(byKey.values()).slice(0, maxReviews), stopReason };
+}
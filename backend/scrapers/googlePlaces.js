@@ -0,0 +1,74 @@
+// backend/scrapers/googlePlaces.js – Google reviews from the Places API (New)
+//
+// GOOGLE_PLACES_API_KEY turns it on. The API returns at most 5 reviews per place ("most
+// relevant", not newest), so it suits quick checks; Outscraper or the browser scrape pull the
+// full history. GOOGLE_PLACES_API_BASE_URL points it at a mock server in tests.
+import { textId } from "../lib/reviews.js";
+import { withSignal } from "../lib/util.js";
+
+const apiBase = (env = process.env) => (env.GOOGLE_PLACES_API_BASE_URL || "https://places.googleapis.com").replace(/\/$/, "");
+
+async function call(path, { method = "GET", body, fieldMask, timeoutMs, signal = null, env = process.env }) {
+  const res = await fetch(`${apiBase(env)}${path}`, {
+    method,
+    headers: {
+      "X-Goog-Api-Key": env.GOOGLE_PLACES_API_KEY,
+      "X-Goog-FieldMask": fieldMask,
+      ...(body ? { "Content-Type": "application/json" } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: withSignal(signal, timeoutMs)
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`Places API answered ${res.status}${json?.error?.message ? `: ${json.error.message}` : ""}`);
+  return json;
+}
+
+// Place ID for a ref: given (googleScraper.js reads it off the Maps URL), or the first Text
+// Search hit for name + location
+async function resolvePlaceId(ref, opts) {
+  if (ref?.placeId?.startsWith("ChIJ")) return ref.placeId;
+  if (!ref?.name) throw new Error("Places API needs a place ID – this Maps URL has none");
+  const found = await call("/v1/places:searchText", {
+    ...opts,
+    method: "POST",
+    body: { textQuery: `${ref.name} ${ref.location || ""}`.trim(), languageCode: "en" },
+    fieldMask: "places.id"
+  });
+  const first = found?.places?.[0]?.id;
+  if (!first) throw new Error(`Places API found no place for "${ref.name}"`);
+  return first;
+}
+
+/** A Places API review → the shared record shape (lib/reviews.js). Reviews without text are skipped. */
+export function placesReview(r, place) {
+  const text = (r.originalText?.text || r.text?.text || "").trim();
+  if (!text) return null;
+  return {
+    id: r.name ? `google:${r.name.split("/").pop()}` : textId("google", text),
+    author: r.authorAttribution?.displayName || null,
+    rating: typeof r.rating === "number" ? r.rating : null,
+    date: r.publishTime ? r.publishTime.slice(0, 10) : null,
+    dateLabel: r.relativePublishTimeDescription || null,
+    text,
+    ownerReply: null, // not in the API
+    url: r.googleMapsUri || place.googleMapsUri || null,
+    placeUrl: place.googleMapsUri || null
+  };
+}
+
+export default {
+  key: "places",
+  label: "Places API",
+  configured: (env = process.env) => !!env.GOOGLE_PLACES_API_KEY,
+
+  async fetchReviews(ref, { maxReviews = 80, timeoutMs = 30000, signal = null, env = process.env } = {}) {
+    const opts = { timeoutMs, signal, env };
+    const id = await resolvePlaceId(ref, opts);
+    const place = await call(`/v1/places/${encodeURIComponent(id)}?languageCode=en`, {
+      ...opts,
+      fieldMask: "id,displayName,googleMapsUri,reviews"
+    });
+    return (place.reviews || []).map(r => placesReview(r, place)).filter(Boolean).slice(0, maxReviews);
+  }
+};
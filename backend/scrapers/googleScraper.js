@@ -1,127 +1,519 @@
-// backend/scrapers/googleScraper.js
-import { chromium, devices } from "playwright";
-
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-export async function scrapeGoogleReviews({ name, location, maxReviews = 80, timeoutMs = 90000 }) {
-  const start = Date.now();
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-      "--disable-blink-features=AutomationControlled"
-    ]
-  });
+// backend/scrapers/googleScraper.js – Google Maps reviews via Playwright (no API key), or via
+// the Outscraper or Places APIs when their keys are set (outscraper.js, googlePlaces.js)
+//
+// GOOGLE_REVIEWS_PROVIDER picks the default way reviews are fetched ("auto", "outscraper",
+// "places" or "browser"); a request can ask for another (?via=google:places). "auto" tries
+// every configured API. Whatever is picked, the browser scrape is the fallback when an API is
+// not configured or fails. Search always uses the browser.
+//
+// A browser scrape that fails keeps a screenshot, the page HTML, the step it was on and a trail
+// of what the best-effort steps found (lib/diagnostics.js). CAPTCHAs, the /sorry/ page and
+// consent walls that won't close throw blockedError() instead of looking like zero reviews.
+//
+// Selectors come from selectors.json (lib/selectors.js), as fallback chains per page and step:
+// "search" (the left-panel results), "place" (the place page) and "reviews" (the review cards).
+import { devices } from "playwright";
+import { parseRating, parseReviewDate, resolveUrl, textId } from "../lib/reviews.js";
+import { sleep } from "../lib/util.js";
+import { browserPool } from "../lib/browserPool.js";
+import { collectWhileScrolling } from "./collect.js";
+import { detectBlock, blockedError, withDiagnostic, CAPTCHA_WIDGETS } from "../lib/diagnostics.js";
+import { selectors, checkChains } from "../lib/selectors.js";
+import outscraper from "./outscraper.js";
+import places from "./googlePlaces.js";
+
+// API-backed alternatives to the browser scrape, in the order "auto" tries them – Outscraper
+// first, since the Places API stops at 5 reviews
+const API_PROVIDERS = { outscraper, places };
+
+/**
+ * The providers fetchReviews() tries, in order, for a requested one (unset: GOOGLE_REVIEWS_PROVIDER,
+ * else "auto"). APIs without a key are left out; the browser always comes last.
+ */
+export function providerOrder(requested, env = process.env) {
+  const want = requested || env.GOOGLE_REVIEWS_PROVIDER || "auto";
+  const apis = want === "auto" ? Object.keys(API_PROVIDERS) : [want];
+  return [...apis.filter(k => API_PROVIDERS[k]?.configured(env)), "browser"];
+}
+
+// Overridable so the test suite can point the scraper at local fixtures
+const mapsBase = () => (process.env.GOOGLE_MAPS_BASE_URL || "https://www.google.com/maps").replace(/\/$/, "");
 
-  const context = await browser.newContext({
+// Try multiple entry URLs — Maps sometimes behaves differently per variant.
+const searchVariants = (q) => [
+  `${mapsBase()}/search/${encodeURIComponent(q)}?hl=en&gl=us`,
+  `${mapsBase()}/place/${encodeURIComponent(q)}?hl=en&gl=us`,
+  `${mapsBase()}/search/?api=1&query=${encodeURIComponent(q)}&hl=en&gl=us`
+];
+
+/** Place ID ("ChIJ…") or feature id ("0x…:0x…") embedded in a Maps place URL, if any. */
+export function placeIdFromUrl(url) {
+  const s = decodeURIComponent(url || "");
+  const m = s.match(/!19s(ChIJ[\w-]+)/) || s.match(/[?&]query_place_id=(ChIJ[\w-]+)/) || s.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+  return m ? m[1] : null;
+}
+
+// A fresh context on the shared browser pool – waits for a slot when every browser is busy
+async function openSession({ timeoutMs } = {}) {
+  const { context, release } = await browserPool().acquire({
     ...devices["Desktop Chrome"],
     locale: "en-US",
-    geolocation: { latitude: 27.4989, longitude: -82.5748 }, // near Bradenton; doesn’t really matter
+    geolocation: { latitude: 37.3382, longitude: -121.8863 }, // San Jose-ish
     permissions: ["geolocation"],
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36"
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36"
+  }, timeoutMs ? { timeoutMs } : undefined);
+  try {
+    const page = await context.newPage();
+    return { page, close: release };
+  } catch (e) {
+    await release();
+    throw e;
+  }
+}
+
+// The first selector of `chain` with a visible match, as a locator – or null
+async function firstVisible(page, chain, opts) {
+  for (const s of chain) {
+    const el = page.locator(s).first();
+    if (await el.isVisible(opts).catch(() => false)) return el;
+  }
+  return null;
+}
+
+// Returns what it did, for the diagnostics trail
+async function maybeDismissConsent(page, sel) {
+  // try top-level
+  const button = await firstVisible(page, sel.place.consentButton);
+  if (button) {
+    const clicked = await button.click().then(() => true).catch(() => false);
+    await sleep(800);
+    return clicked ? "consent dismissed" : "consent button did not click";
+  }
+  // try iframe
+  const consentFrames = page.frames().filter(f => (f.url() || "").includes("consent"));
+  for (const f of consentFrames) {
+    let b = null;
+    for (const s of sel.place.consentButton) if (!b) b = await f.$(s).catch(() => null);
+    if (b) {
+      const clicked = await b.click().then(() => true).catch(() => false);
+      await sleep(800);
+      return clicked ? "consent dismissed (iframe)" : "consent iframe button did not click";
+    }
+  }
+  return consentFrames.length ? "consent iframe without a button" : null;
+}
+
+// Throws blockedError() when Google put a CAPTCHA, its /sorry/ page or a consent wall in the way
+async function checkBlocked(page) {
+  const block = detectBlock({
+    url: page.url(),
+    title: await page.title().catch(() => ""),
+    text: await page.locator("body").innerText({ timeout: 3000 }).catch(() => ""),
+    hasCaptchaWidget: await page.locator(CAPTCHA_WIDGETS).count().then(n => n > 0).catch(() => false)
   });
+  if (block) throw blockedError("Google", block, page.url());
+}
+
+/**
+ * Step bookkeeping for one browser session: `step(name)` marks where we are, `note(text)`
+ * records what a best-effort step found, and `fail(e, page)` saves the page as a diagnostic
+ * and labels the error with its step.
+ */
+function tracker(onProgress = () => {}) {
+  const t0 = Date.now();
+  const trail = [];
+  let current = "starting";
+  return {
+    step(name, extra = {}) {
+      current = name;
+      trail.push(`${((Date.now() - t0) / 1000).toFixed(1)}s ${name}`);
+      onProgress({ phase: name, ...extra });
+    },
+    note(text) {
+      if (text) trail.push(`${((Date.now() - t0) / 1000).toFixed(1)}s   ${text}`);
+    },
+    async fail(e, page) {
+      if (e && typeof e === "object" && !e.code && !e.step) {
+        e.step = current;
+        e.message = `${current}: ${e.message}`;
+      }
+      if (e?.diagnosticId) return e;
+      const html = await page.content().catch(() => null);
+      const screenshot = await page.screenshot({ timeout: 5000 }).catch(() => null);
+      return withDiagnostic(e, { source: "google", step: current, url: page.url(), html, screenshot, trail });
+    }
+  };
+}
+
+// Heuristic: do we see place UI / reviews affordance? (any selector of place.placeUI)
+async function waitForPlaceUI(page, sel, ms = 8000) {
+  return await Promise.race(sel.place.placeUI.map(s =>
+    page.waitForSelector(s, { timeout: ms }).then(() => true).catch(() => false)
+  ));
+}
+
+async function tryOpenFirstResult(page, sel) {
+  if (await waitForPlaceUI(page, sel)) return true;
+
+  for (const s of sel.search.result) {
+    const el = page.locator(s).first();
+    if (await el.isVisible().catch(() => false)) {
+      await el.click({ timeout: 8000 }).catch(() => {});
+      if (await waitForPlaceUI(page, sel)) return true;
+    }
+  }
+
+  // As a last resort, hit Enter in the search box
+  const searchBox = await firstVisible(page, sel.search.searchBox);
+  if (searchBox) {
+    await searchBox.press("Enter").catch(() => {});
+    if (await waitForPlaceUI(page, sel)) return true;
+  }
+  return false;
+}
+
+// Open the reviews view: All reviews button, chart, or Reviews tab
+async function openReviews(page, sel) {
+  const el = await firstVisible(page, sel.place.reviewsButton);
+  if (!el) return false;
+  await el.click({ timeout: 15000 }).catch(() => {});
+  await sleep(1200);
+  return true;
+}
 
-  const page = await context.newPage();
-  const q = `${name} ${location}`.trim();
-  const mapsSearch = `https://www.google.com/maps/search/${encodeURIComponent(q)}`;
-  const out = [];
+async function findCards(page, sel) {
+  for (const s of sel.reviews.card) {
+    const loc = page.locator(s);
+    if (await loc.first().isVisible({ timeout: 3000 }).catch(() => false)) return loc;
+  }
+  return null;
+}
 
+// Pulls the structured fields out of every loaded card (runs in the page). `sel` is the
+// "reviews" chains; in each card the first selector of a chain that matches wins.
+function extractCards(nodes, sel) {
+  const arr = [];
+  const pick = (n, chain) => {
+    for (const s of chain) {
+      const el = n.querySelector(s);
+      if (el) return el;
+    }
+    return null;
+  };
+  const txt = (el) => (el?.innerText || "").trim();
+  for (const n of nodes) {
+    const t = txt(pick(n, sel.text));
+    if (!t || t.length <= 5) continue;
+
+    const stars = pick(n, sel.stars);
+    const link = pick(n, sel.link);
+    arr.push({
+      reviewId: n.getAttribute("data-review-id") || "",
+      author: txt(pick(n, sel.author)) || n.getAttribute("aria-label") || "",
+      ratingLabel: stars?.getAttribute("aria-label") || txt(pick(n, sel.ratingText)),
+      dateLabel: txt(pick(n, sel.date)),
+      ownerReply: txt(pick(n, sel.ownerReply)),
+      link: link?.href || link?.getAttribute("data-href") || "",
+      text: t
+    });
+  }
+  return arr;
+}
+
+// Optional: get share URL
+async function readShareUrl(page, sel) {
   try {
-    // 1) open search
-    await page.goto(mapsSearch, { waitUntil: "domcontentloaded", timeout: 45000 });
-
-    // 2) Click first result in left panel
-    // Left panel result selectors change; handle two common variants
-    const firstCard = page.locator('a[data-result-id]:has(h3), a.hfpxzc'); // robust-ish
-    await firstCard.first().click({ timeout: 20000 });
-
-    // 3) Wait for the place panel to load
-    await page.waitForSelector('button[aria-label*="reviews"], button[jsaction*="pane.reviewChart"]', { timeout: 20000 });
-
-    // 4) Click "All reviews"
-    const allReviewsBtn = page.locator('button[aria-label*="reviews"], button[jsaction*="pane.reviewChart"]');
-    await allReviewsBtn.first().click({ timeout: 15000 });
-
-    // 5) Try to switch sort to "Newest" (if available)
-    // Sort menu button (three-lines icon) or dropdown
-    const sortButton = page.locator('button[aria-label*="Sort"], div[role="button"][aria-label*="Sort"]');
-    if (await sortButton.first().isVisible().catch(()=>false)) {
-      await sortButton.first().click({ timeout: 8000 }).catch(()=>{});
-      // Click "Newest"
-      const newest = page.locator('div[role="menuitem"]:has-text("Newest")');
-      if (await newest.first().isVisible().catch(()=>false)) {
-        await newest.first().click({ timeout: 8000 }).catch(()=>{});
+    const shareBtn = await firstVisible(page, sel.place.shareButton, { timeout: 1500 });
+    if (shareBtn) {
+      await shareBtn.click().catch(() => {});
+      const input = await firstVisible(page, sel.place.shareInput);
+      if (input) {
+        const url = await input.inputValue().catch(() => "");
+        await page.keyboard.press("Escape").catch(() => {});
+        return url;
       }
     }
+  } catch {}
+  return "";
+}
+
+const google = {
+  key: "google",
+  label: "Google",
+  route: "/google-scrape",
+  capabilities: {
+    search: true,
+    browser: true,
+    ratings: true,
+    dates: "relative",         // "3 months ago", resolved at scrape time
+    ownerReplies: true,
+    sortNewest: true,
+    nearby: true,
+    providers: ["outscraper", "places", "browser"],
+    maxReviews: 200,
+    defaultTimeoutMs: 120000
+  },
 
-    // 6) Scroll the reviews container to load more
-    const scroller = page.locator('div[aria-label*="Google reviews"], div[aria-label="Reviews"], div[role="region"]');
-    await scroller.first().waitFor({ timeout: 10000 });
-
-    let loaded = 0, stagnation = 0, lastCount = 0;
-    while (loaded < maxReviews && Date.now() - start < timeoutMs) {
-      // pull current reviews
-      const reviewCards = page.locator('div[data-review-id], div[jscontroller][data-review-id]');
-      const count = await reviewCards.count().catch(()=>0);
-
-      if (count > lastCount) {
-        lastCount = count;
-        stagnation = 0;
-      } else {
-        stagnation += 1;
+  /**
+   * Maps search for "{name} {location}".
+   * Returns [{ name, placeId, address, rating, reviewCount, url, ref: { url } }] – one entry when
+   * Maps jumps straight to a place page, the left-panel results otherwise.
+   */
+  async search(name, location) {
+    const sel = selectors("google");
+    const { page, close } = await openSession({ timeoutMs: 60000 });
+    const t = tracker();
+    try {
+      t.step("search");
+      await page.goto(searchVariants(`${name} ${location}`.trim())[0], { waitUntil: "domcontentloaded", timeout: 45000 });
+      t.note(await maybeDismissConsent(page, sel).catch(() => "consent check failed"));
+      await checkBlocked(page);
+
+      const feed = await page.waitForSelector(sel.search.feed.join(", "), { timeout: 8000 }).then(() => true).catch(() => false);
+      if (!feed) {
+        if (!(await waitForPlaceUI(page, sel))) return [];
+        const title = await (await firstVisible(page, sel.place.title))?.innerText().catch(() => "") || "";
+        const address = await (await firstVisible(page, sel.place.address))?.innerText().catch(() => "") || "";
+        const url = page.url();
+        return [{ name: title.trim() || null, placeId: placeIdFromUrl(url), address: address.trim() || null, rating: null, reviewCount: null, url, ref: { url } }];
       }
 
-      // Try to extract texts from the currently loaded set
-      const items = await reviewCards.evaluateAll(cards => {
-        const arr = [];
-        for (const el of cards) {
-          // long text often in span[jsname="fbQN7e"] or "bN97Pc"
-          const long = el.querySelector('span[jsname="fbQN7e"], span[class*="review-full-text"]');
-          const short = el.querySelector('span[jsname="bN97Pc"], span[class*="review-snippet"]');
-          const text = (long?.textContent || short?.textContent || "").trim();
-          if (text && text.length > 5) arr.push({ text });
+      let links = null;
+      for (const s of sel.search.result) {
+        if (await page.locator(s).count().catch(() => 0)) {
+          links = page.locator(s);
+          break;
         }
-        return arr;
-      });
+      }
+      if (!links) t.note("no result links matched");
+      const rows = !links ? [] : await links.evaluateAll((as, sel) => as.map((a) => {
+        const first = (chain, find) => chain.reduce((hit, s) => hit || find(s), null);
+        const card = first(sel.resultCard, s => a.closest(s)) || a.parentElement;
+        const stars = first(sel.resultStars, s => card?.querySelector(s))?.getAttribute("aria-label") || "";
+        const lines = (first(sel.resultLines, s => { const l = Array.from(card?.querySelectorAll(s) || []); return l.length ? l : null; }) || [])
+          .map(n => n.innerText.trim());
+        return {
+          name: a.getAttribute("aria-label") || a.innerText.trim(),
+          href: a.href,
+          stars,
+          address: lines.map(l => l.split("·").pop().trim()).find(l => /\d/.test(l)) || ""
+        };
+      }), sel.search);
 
-      // append uniques
-      for (const it of items) {
-        const k = it.text.toLowerCase();
-        if (!out.some(x => x.text.toLowerCase() === k)) out.push(it);
+      const out = [];
+      for (const r of rows) {
+        if (!r.href || out.some(c => c.url === r.href)) continue;
+        const m = r.stars.match(/([\d.]+)\s*stars?\s*([\d,]+)?/i);
+        out.push({
+          name: r.name || null,
+          placeId: placeIdFromUrl(r.href),
+          address: r.address || null,
+          rating: m ? parseFloat(m[1]) : null,
+          reviewCount: m?.[2] ? parseInt(m[2].replace(/,/g, ""), 10) : null,
+          url: r.href,
+          ref: { url: r.href }
+        });
       }
-      loaded = out.length;
+      return out;
+    } catch (e) {
+      throw await t.fail(e, page);
+    } finally {
+      await close();
+    }
+  },
 
-      if (loaded >= maxReviews) break;
-      if (stagnation >= 6) break; // stop if not loading more
+  /**
+   * Apartment complexes Maps lists around a property: the same search as search(), for
+   * "apartments near {name} {location}". Same result shape; the property itself may be among them.
+   */
+  async searchNearby(name, location) {
+    return google.search(`apartments near ${name}`, location);
+  },
 
-      // Scroll to bottom of reviews panel
-      await scroller.evaluate(el => { el.scrollBy(0, el.scrollHeight); });
-      await sleep(900);
+  /**
+   * Reviews for a place from the first provider in providerOrder(opts.provider) that answers.
+   * Progress events carry `via` (the provider in use). The records are the same whichever
+   * provider fetched them, though only the browser and Outscraper sort newest first or read
+   * owner replies.
+   */
+  async fetchReviews(propertyRef, opts = {}) {
+    const { onProgress = () => {} } = opts;
+    const ref = { ...propertyRef, placeId: propertyRef?.placeId || placeIdFromUrl(propertyRef?.url) };
+    for (const key of providerOrder(opts.provider)) {
+      if (key === "browser") break;
+      const api = API_PROVIDERS[key];
+      onProgress({ phase: `calling ${api.label}`, via: key });
+      try {
+        return await api.fetchReviews(ref, opts);
+      } catch (e) {
+        if (opts.signal?.aborted) throw opts.signal.reason;
+        console.warn(`google: ${api.label} failed, falling back –`, e?.message || e);
+        onProgress({ phase: `${api.label} failed`, via: key });
+      }
     }
+    return google.scrapeReviews(propertyRef, { ...opts, onProgress: (p) => onProgress({ ...p, via: "browser" }) });
+  },
+
+  /**
+   * Scrapes reviews for a place in the browser.
+   * propertyRef: { url } (a Maps place URL from search()) or { name, location }, in which
+   * case the first search result is opened.
+   * Steps:
+   * 1) Open the place (or the Maps search and click the first result)
+   * 2) Click "All reviews"
+   * 3) (If available) set sort to "Newest"
+   * 4) Scroll the reviews panel to load more – stopping early once sorted-by-Newest cards
+   *    run into `knownIds` (ids already in the review store)
+   * Returns: [{ id, author, rating, date, dateLabel, text, ownerReply, url, placeUrl }]
+   *   id       – "google:" + the card's data-review-id
+   *   url      – the review's own link when the card exposes one, else the place URL
+   *   placeUrl – the place's share link (or page URL)
+   * When `signal` aborts, the page is closed at once – whatever step is running fails – and the
+   * scrape rejects with the signal's reason after giving its pool slot back.
+   */
+  async scrapeReviews(propertyRef, { maxReviews = 80, timeoutMs = 120000, knownIds = new Set(), onProgress = () => {}, signal = null } = {}) {
+    const start = Date.now();
+    const sel = selectors("google");
+    onProgress({ phase: "waiting for browser" });
+    const { page, close } = await openSession({ timeoutMs });
+    const t = tracker(onProgress);
+    const abort = () => page.close().catch(() => {});
+    signal?.addEventListener("abort", abort, { once: true });
 
-    // Create a shareable place URL (if available)
-    let placeUrl = "";
     try {
-      const shareBtn = page.locator('button[aria-label*="Share"]');
-      if (await shareBtn.first().isVisible({ timeout: 2000 }).catch(()=>false)) {
-        await shareBtn.first().click().catch(()=>{});
-        const input = page.locator('input[aria-label="Link to share"]');
-        if (await input.first().isVisible().catch(()=>false)) {
-          placeUrl = await input.first().inputValue().catch(()=> "");
-          // close dialog
-          await page.keyboard.press("Escape").catch(()=>{});
+      signal?.throwIfAborted();
+      let onPlace = false;
+      const entryUrls = propertyRef?.url
+        ? [propertyRef.url]
+        : searchVariants(`${propertyRef?.name || ""} ${propertyRef?.location || ""}`.trim());
+      t.step(propertyRef?.url ? "opening place" : "searching");
+      // Navigate using variants until we’re on a place page
+      for (const url of entryUrls) {
+        await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+        t.note(await maybeDismissConsent(page, sel).catch(() => "consent check failed"));
+        await checkBlocked(page);
+        onPlace = (await tryOpenFirstResult(page, sel)) || (await waitForPlaceUI(page, sel));
+        if (onPlace) break;
+        t.note(`no place page at ${url}`);
+      }
+      if (!onPlace) throw new Error("Could not open a place page.");
+
+      t.step("opening reviews");
+      // best-effort; some UIs land directly in reviews
+      if (!(await openReviews(page, sel))) t.note("no reviews button – assuming the reviews are already open");
+
+      // Wait for review cards to exist (cover several UIs)
+      let cardsLocator = await findCards(page, sel);
+      if (!cardsLocator) {
+        await sleep(1500);
+        cardsLocator = await findCards(page, sel);
+      }
+      if (!cardsLocator) {
+        await checkBlocked(page);
+        throw new Error("Review cards not found");
+      }
+
+      // Find nearest scrollable ancestor of the first card
+      const scroller = await cardsLocator.first().evaluateHandle((el) => {
+        function isScrollable(n){ return n && n.scrollHeight > n.clientHeight; }
+        let cur = el;
+        while (cur && cur !== document.body && !isScrollable(cur)) cur = cur.parentElement;
+        return cur && isScrollable(cur) ? cur : document.scrollingElement || document.body;
+      });
+
+      // Try to sort by "Newest" (if such a menu exists)
+      let sortedNewest = false;
+      const sortBtn = await firstVisible(page, sel.reviews.sortButton);
+      if (sortBtn) {
+        await sortBtn.click({ timeout: 8000 }).catch(()=>{});
+        const newest = await firstVisible(page, sel.reviews.sortNewest);
+        if (newest) {
+          sortedNewest = await newest.click({ timeout: 8000 }).then(() => true).catch(() => false);
         }
       }
-    } catch {}
-
-    // attach url & trim to maxReviews
-    const result = out.slice(0, maxReviews).map(r => ({ text: r.text, url: placeUrl || "" }));
-    return result;
-  } finally {
-    await context.close().catch(()=>{});
-    await browser.close().catch(()=>{});
+      t.note(sortedNewest ? "sorted by newest" : "could not sort by newest – no early stop");
+
+      t.step("scrolling", { collected: 0 });
+      const { items } = await collectWhileScrolling({
+        expand: () => page.$$eval(
+          sel.reviews.moreButton.join(", "),
+          btns => btns.forEach(b => { try { b.click(); } catch {} })
+        ).catch(()=>{}),
+        extract: () => cardsLocator.evaluateAll(extractCards, sel.reviews),
+        scroll: () => scroller.evaluate((el) => { el.scrollBy(0, el.scrollHeight); }),
+        keyOf: (c) => c.reviewId || c.text.toLowerCase(),
+        // Incremental: newest-first, so a run of already-stored reviews means the rest is old too
+        isKnown: sortedNewest && knownIds.size ? (c) => knownIds.has(c.reviewId ? `google:${c.reviewId}` : textId("google", c.text)) : null,
+        maxReviews,
+        deadline: start + timeoutMs,
+        onRound: (collected) => onProgress({ phase: "scrolling", collected })
+      });
+
+      const placeUrl = (await readShareUrl(page, sel)) || page.url() || entryUrls[0];
+
+      const now = Date.now();
+      return items.map(c => ({
+        id: c.reviewId ? `google:${c.reviewId}` : textId("google", c.text),
+        author: c.author || null,
+        rating: parseRating(c.ratingLabel),
+        date: parseReviewDate(c.dateLabel, now),
+        dateLabel: c.dateLabel || null,
+        text: c.text,
+        ownerReply: c.ownerReply || null,
+        url: resolveUrl(c.link, placeUrl) || placeUrl,
+        placeUrl
+      }));
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      throw await t.fail(e, page);
+    } finally {
+      signal?.removeEventListener("abort", abort);
+      await close();
+    }
+  },
+
+  /**
+   * Selfcheck (scrapers/index.js): walks the scrape's pages for `reference` and counts what each
+   * selector chain finds – "search" on a Maps search for apartments around it, "place" on its
+   * place page (reference.url, else the first hit for its name), "reviews" once the reviews are
+   * open and the sort menu is showing.
+   */
+  async selfcheck({ reference }) {
+    const sel = selectors("google");
+    const { page, close } = await openSession({ timeoutMs: 60000 });
+    const count = (s) => page.locator(s).count();
+    const t = tracker();
+    try {
+      t.step("selfcheck search");
+      const searchUrl = searchVariants(`apartments near ${reference.name || ""} ${reference.location || ""}`.trim())[0];
+      await page.goto(searchUrl, { waitUntil: "domcontentloaded", timeout: 45000 });
+      t.note(await maybeDismissConsent(page, sel).catch(() => "consent check failed"));
+      await checkBlocked(page);
+      await page.waitForSelector(sel.search.feed.join(", "), { timeout: 8000 }).catch(() => {});
+      const out = { search: { url: searchUrl, steps: await checkChains(sel.search, count) } };
+
+      t.step("selfcheck place");
+      const placeUrl = reference.url || searchVariants(`${reference.name || ""} ${reference.location || ""}`.trim())[0];
+      await page.goto(placeUrl, { waitUntil: "domcontentloaded", timeout: 45000 });
+      t.note(await maybeDismissConsent(page, sel).catch(() => "consent check failed"));
+      await checkBlocked(page);
+      if (!(await tryOpenFirstResult(page, sel))) t.note("no place page");
+      out.place = { url: page.url(), steps: await checkChains(sel.place, count) };
+
+      t.step("selfcheck reviews");
+      const { sortNewest, ...reviewSteps } = sel.reviews;
+      if (await openReviews(page, sel)) await findCards(page, sel);
+      const steps = await checkChains(reviewSteps, count);
+      const sortBtn = await firstVisible(page, sel.reviews.sortButton);
+      if (sortBtn) await sortBtn.click({ timeout: 8000 }).catch(() => {});
+      out.reviews = { url: page.url(), steps: { ...steps, ...(await checkChains({ sortNewest }, count)) } };
+      return out;
+    } catch (e) {
+      throw await t.fail(e, page);
+    } finally {
+      await close();
+    }
   }
-}
+};
+
+export default google;
@@ -0,0 +1,66 @@
+// backend/scrapers/html.js – fetch + cheerio plumbing shared by the HTML sources
+import fetch from "node-fetch";
+import { load } from "cheerio";
+import { detectBlock, blockedError, withDiagnostic, CAPTCHA_WIDGETS } from "../lib/diagnostics.js";
+import { selectors, checkChains, firstMatch } from "../lib/selectors.js";
+import { withSignal } from "../lib/util.js";
+
+const HEADERS = { "User-Agent": "Mozilla/5.0" };
+
+/**
+ * GET a page and load it into cheerio.
+ *   404/410                 → null (no such page – sources treat that as "no reviews")
+ *   a block or CAPTCHA page → throws blockedError() (lib/diagnostics.js)
+ *   any other non-OK        → throws, retryable for 5xx and network errors
+ * Failures save the page as a diagnostic under `source` and `step`. `signal` aborts the request
+ * early (see fetchReviews() opts in scrapers/index.js).
+ */
+export async function fetchDocument(url, { source = "html", step = "fetch", timeoutMs = 30000, signal = null } = {}) {
+  const r = await fetch(url, { headers: HEADERS, signal: withSignal(signal, timeoutMs) });
+  if (r.status === 404 || r.status === 410) return null;
+  const html = await r.text();
+  const $ = load(html);
+
+  const block = detectBlock({
+    status: r.status,
+    url: r.url || url,
+    title: $("title").text(),
+    text: $("body").text(),
+    hasCaptchaWidget: $(CAPTCHA_WIDGETS).length > 0
+  });
+  if (block) throw withDiagnostic(blockedError(source, block, url), { source, step, url, html });
+  if (!r.ok) {
+    const e = new Error(`${step}: ${url} answered ${r.status}`);
+    e.retryable = r.status >= 500;
+    throw withDiagnostic(e, { source, step, url, html });
+  }
+  return $;
+}
+
+/** The property ref to use when the caller passed none: the first search hit. */
+export async function resolveRef(adapter, ref) {
+  if (ref?.url) return ref;
+  const [first] = await adapter.search(ref?.name || "", ref?.location || "");
+  return first?.ref || null;
+}
+
+const counter = ($) => (s) => $(s).length;
+
+/**
+ * selfcheck() for the HTML sources (scrapers/index.js): the search page for `reference` and
+ * its property page (reference.url, else the first search hit) against the source's selector
+ * chains. `searchUrl(name, location)` is the source's search URL.
+ */
+export async function checkHtmlSelectors(adapter, searchUrl, { reference }) {
+  const sel = selectors(adapter.key);
+  const url = searchUrl(reference.name || "", reference.location || "");
+  const $search = await fetchDocument(url, { source: adapter.key, step: "selfcheck search" }) || load("");
+  const out = { search: { url, steps: await checkChains(sel.search, counter($search)) } };
+
+  const href = reference.url || firstMatch(s => $search(s), sel.search.result).first().attr("href");
+  if (!href) return { ...out, property: { url: null, error: "no property URL – set reference.url or fix the search selectors" } };
+  const propertyUrl = new URL(href, url).toString();
+  const $property = await fetchDocument(propertyUrl, { source: adapter.key, step: "selfcheck property" });
+  if (!$property) return { ...out, property: { url: propertyUrl, error: "the property page is gone (404) – update reference.url" } };
+  return { ...out, property: { url: propertyUrl, steps: await checkChains(sel.property, counter($property)) } };
+}
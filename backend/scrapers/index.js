@@ -0,0 +1,51 @@
+// backend/scrapers/index.js – source adapter registry
+//
+// A source adapter is a plain object:
+//   key           – stable id used in ?sources= and on every record ("google")
+//   label         – display name ("Google")
+//   route         – the single-source GET route generated for it ("/google-scrape")
+//   capabilities  – what the source can do: { search, browser, ratings, dates, ownerReplies,
+//                   maxReviews, defaultTimeoutMs, providers?, ... }
+//                   providers – the ways it can fetch reviews when there are several
+//                   (["outscraper", "places", "browser"]); requests pick one with ?via=
+//   search(name, location)           → [{ name, address?, rating?, reviewCount?, url, ref }]
+//   searchNearby(name, location)     → the same shape, for competing complexes around a property
+//                                      (optional; sources that have it set capabilities.nearby)
+//   fetchReviews(propertyRef, opts)  → [{ id, author, rating, date, dateLabel, text, ownerReply, url }]
+//     propertyRef is a `ref` returned by search(), or { name, location } to take the first hit.
+//     opts: { maxReviews, timeoutMs, knownIds, onProgress, provider?, signal? }
+//       knownIds   – ids already stored, for early stop
+//       signal     – an AbortSignal that fires when the caller gave up on this attempt
+//                    (lib/aggregate.js); stop and let go of any browser or request
+//       onProgress – ({ phase, collected?, via? }) as the scrape moves along, for job progress;
+//                    `via` names the provider in use
+//       provider   – one of capabilities.providers, or "auto"/unset for the source's default
+//   selfcheck({ reference })  → { [page]: { url, steps } } (optional; GET /selfcheck)
+//     Counts what each selector chain in selectors.json finds (lib/selectors.js checkChains) on
+//     the pages a scrape of `reference` visits. Saved pages are checked in lib/selectors.js.
+//
+// Adding a source = one module here plus a registerSource() call below.
+
+import google from "./googleScraper.js";
+import apartmentRatings from "./apartmentRatingsScraper.js";
+import apartmentsCom from "./apartmentsComScraper.js";
+
+const registry = new Map();
+
+export function registerSource(adapter) {
+  for (const k of ["key", "label", "route", "capabilities", "search", "fetchReviews"]) {
+    if (!adapter?.[k]) throw new Error(`Source adapter is missing "${k}"`);
+  }
+  if (registry.has(adapter.key)) throw new Error(`Source "${adapter.key}" is already registered`);
+  registry.set(adapter.key, adapter);
+}
+
+export const getSource = (key) => registry.get(key) || null;
+export const listSources = () => Array.from(registry.values());
+export const sourceKeys = () => Array.from(registry.keys());
+
+export const describeSource = (a) => ({ key: a.key, label: a.label, route: a.route, capabilities: a.capabilities });
+
+registerSource(google);
+registerSource(apartmentRatings);
+registerSource(apartmentsCom);
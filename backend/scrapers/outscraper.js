@@ -0,0 +1,54 @@
+// backend/scrapers/outscraper.js – Google reviews from the Outscraper reviews API
+//
+// OUTSCRAPER_API_KEY turns it on. Outscraper scrapes Maps on its side and returns the full
+// review history newest first, with owner replies. OUTSCRAPER_API_BASE_URL points it at a mock
+// server in tests.
+import { textId } from "../lib/reviews.js";
+import { withSignal } from "../lib/util.js";
+
+const apiBase = (env = process.env) => (env.OUTSCRAPER_API_BASE_URL || "https://api.app.outscraper.com").replace(/\/$/, "");
+
+// What Outscraper looks a place up by: a place ID, the Maps URL, or "name, location"
+const queryOf = (ref) => ref?.placeId || ref?.url || [ref?.name, ref?.location].filter(Boolean).join(", ");
+
+/** An Outscraper review → the shared record shape (lib/reviews.js). Reviews without text are skipped. */
+export function outscraperReview(r, place) {
+  const text = (r.review_text || "").trim();
+  if (!text) return null;
+  const placeUrl = place.location_link || place.reviews_link || null;
+  return {
+    id: r.review_id ? `google:${r.review_id}` : textId("google", text),
+    author: r.author_title || null,
+    rating: typeof r.review_rating === "number" ? r.review_rating : null,
+    date: r.review_timestamp ? new Date(r.review_timestamp * 1000).toISOString().slice(0, 10) : null,
+    dateLabel: r.review_datetime_utc || null,
+    text,
+    ownerReply: (r.owner_answer || "").trim() || null,
+    url: r.review_link || placeUrl,
+    placeUrl
+  };
+}
+
+export default {
+  key: "outscraper",
+  label: "Outscraper",
+  configured: (env = process.env) => !!env.OUTSCRAPER_API_KEY,
+
+  async fetchReviews(ref, { maxReviews = 80, timeoutMs = 120000, signal = null, env = process.env } = {}) {
+    const query = queryOf(ref);
+    if (!query) throw new Error("Outscraper needs a place URL or a name and location");
+    const params = new URLSearchParams({ query, reviewsLimit: String(maxReviews), sort: "newest", language: "en", async: "false" });
+    const res = await fetch(`${apiBase(env)}/maps/reviews-v3?${params}`, {
+      headers: { "X-API-KEY": env.OUTSCRAPER_API_KEY },
+      signal: withSignal(signal, timeoutMs)
+    });
+    const json = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(`Outscraper answered ${res.status}${json?.errorMessage ? `: ${json.errorMessage}` : ""}`);
+    if (json?.status && json.status !== "Success") throw new Error(`Outscraper request is ${json.status}`);
+
+    // one query → data: [place], or [[place]] on older accounts
+    const place = [json?.data?.[0]].flat()[0];
+    if (!place) throw new Error(`Outscraper found no place for "${query}"`);
+    return (place.reviews_data || []).map(r => outscraperReview(r, place)).filter(Boolean).slice(0, maxReviews);
+  }
+};
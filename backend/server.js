@@ -1,412 +1,1178 @@
 // server.js – VIDISKY proxy (Google scraper via Playwright + ApartmentRatings + Apartments.com)
 // Node 22, ESM
 
+import fs from "node:fs";
 import express from "express";
-import fetch from "node-fetch";
 import cors from "cors";
-import { load } from "cheerio";
-import { chromium, devices } from "playwright";
+import { listSources, sourceKeys, describeSource, getSource } from "./scrapers/index.js";
+import { aggregateReviews, fetchSourceReviews, searchProperties } from "./lib/aggregate.js";
+import { listProperties, getProperty, storedReviews } from "./lib/reviewStore.js";
+import { submitJob, getJob, jobSnapshot, streamJob, queueStats } from "./lib/jobs.js";
+import { browserPool, browserPoolStats } from "./lib/browserPool.js";
+import { classifyText, analyzeReviews } from "./lib/classify.js";
+import {
+  listTaxonomies, getTaxonomy, resolveTaxonomy, normalizeTaxonomy, createTaxonomy, updateTaxonomy, deleteTaxonomy
+} from "./lib/taxonomies.js";
+import { parsePortfolioCsv, normalizePortfolio, runPortfolio, portfolioCsv } from "./lib/portfolio.js";
+import { compareNearby, MAX_NEARBY } from "./lib/compare.js";
+import { listWatches, getWatch, createWatch, updateWatch, deleteWatch } from "./lib/watchlist.js";
+import { listAlerts, deleteAlertsForWatch } from "./lib/alerts.js";
+import { runWatch, startMonitor, stopMonitor, monitorStats } from "./lib/monitor.js";
+import { renderReportPdf, reportFilename } from "./lib/reportPdf.js";
+import {
+  listEmailTemplates, getEmailTemplate, resolveEmailTemplate, normalizeEmailTemplate,
+  createEmailTemplate, updateEmailTemplate, deleteEmailTemplate
+} from "./lib/emailTemplates.js";
+import { listSenders, getSender, resolveSender, createSender, updateSender, deleteSender } from "./lib/senders.js";
+import { buildEmailView, renderEmail, emailEml, emailFilename } from "./lib/outreach.js";
+import { exportData, renderExport, exportFilename } from "./lib/exports.js";
+import { createShare, listShares, viewShare, updateShareExpiry, deleteShare, flushShareViews, checkShareOwner } from "./lib/shares.js";
+import {
+  requireAuth, scrapeQuota, corsOrigin, signToken, scrapeUsage, authDisabled, parseKeys, login, actorOf, isAdmin
+} from "./lib/auth.js";
+import { listUsers, createUser, updateUser, deleteUser, checkCurrentPassword } from "./lib/users.js";
+import { listDiagnostics, getDiagnostic, diagnosticFile, deleteDiagnostic, isBlocked } from "./lib/diagnostics.js";
+import { selectors, selectorsInfo, selfcheckSource } from "./lib/selectors.js";
+import { recordSearch, listHistory, openHistory, saveHistory, getHistorySummary, deleteHistory } from "./lib/history.js";
+import { required } from "./lib/util.js";
 
 const app = express();
-app.use(cors());            // In prod, restrict to your frontend origin
-app.use(express.json());
-
-// ---------------- tiny in-memory cache ----------------
-const cache = new Map();
-const TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
-
-const getCache = (k) => {
-  const x = cache.get(k);
-  if (!x) return null;
-  if (Date.now() - x.ts > TTL_MS) { cache.delete(k); return null; }
-  return x.v;
+// CORS_ORIGINS allow-list (see lib/auth.js); the app reads PDF/CSV file names and rate-limit headers
+app.use(cors({
+  origin: corsOrigin(),
+  exposedHeaders: ["Content-Disposition", "Retry-After", "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-Scrape-Quota-Remaining"]
+}));
+app.use(express.json({ limit: "2mb" })); // /classify takes whole review sets
+// Every route needs an API key or a signed-in account except the health check, signing in and
+// the prospect's view of a shared link
+app.use(requireAuth({ publicRoutes: [["GET", /^\/health$/], ["POST", /^\/auth\/login$/], ["GET", /^\/shares\/[^/]+$/]] }));
+
+const intParam = (v, def, max) => Math.min(parseInt(v || String(def), 10) || def, max);
+
+// ============================================================================
+// Auth – signing in, who am I, and short-lived tokens minted from a key
+// ============================================================================
+// POST /auth/login { email, password } → { token, expiresAt, user } – send the token as a key
+// GET  /auth/me            → { name, via, expiresAt, user?, canManageUsers,
+//                              rateLimit: { limit, remaining }, scrapes: { used, quota, remaining, resetsAt } }
+// POST /auth/token { hours? (default 12, max 720) } → 201 { token, expiresAt }
+//   A token stands in for the key or account it was minted from (e.g. for a contractor's
+//   laptop) and cannot outlive the token it was minted from.
+const authError = (res, e) => {
+  if (!e.statusCode) console.error("auth failed", e);
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+  res.status(e.statusCode || 500).json({ error: "auth failed", message: e.message || String(e) });
 };
-const setCache = (k, v) => cache.set(k, { ts: Date.now(), v });
 
-function required(q, name) {
-  const v = (q[name] || "").toString().trim();
-  if (!v) {
-    const e = new Error(`Missing required query param: ${name}`);
-    e.statusCode = 400;
-    throw e;
+app.post("/auth/login", (req, res) => {
+  try {
+    const body = req.body || {};
+    res.json(login(required(body, "email"), required(body, "password")));
+  } catch (e) {
+    authError(res, e);
   }
-  return v;
-}
+});
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-// ============================================================================
-// GOOGLE MAPS SCRAPER (Playwright) – /google-scrape
-// ============================================================================
-/**
- * Scrapes Google Maps reviews for "{name} {location}"
- * Steps:
- * 1) Open Maps search for the query
- * 2) Click first result
- * 3) Click "All reviews"
- * 4) (If available) set sort to "Newest"
- * 5) Scroll the reviews panel to load more
- * Returns: [{ text, url }]
- */
-async function scrapeGoogleReviews({ name, location, maxReviews = 80, timeoutMs = 120000 }) {
-  const start = Date.now();
-  const browser = await chromium.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-dev-shm-usage", "--disable-gpu", "--disable-blink-features=AutomationControlled"]
+app.get("/auth/me", (req, res) => {
+  if (!req.principal) return res.json({ name: null, authDisabled: authDisabled(), canManageUsers: true });
+  const { name, via, exp, user } = req.principal;
+  res.json({
+    name,
+    via,
+    expiresAt: exp ? new Date(exp * 1000).toISOString() : null,
+    user: user || null,
+    canManageUsers: isAdmin(req.principal),
+    rateLimit: { limit: req.rateLimit.limit, remaining: req.rateLimit.remaining },
+    scrapes: scrapeUsage(req.principal)
   });
+});
 
-  const context = await browser.newContext({
-    ...devices["Desktop Chrome"],
-    locale: "en-US",
-    geolocation: { latitude: 37.3382, longitude: -121.8863 }, // San Jose-ish
-    permissions: ["geolocation"],
-    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36"
-  });
+app.post("/auth/token", (req, res) => {
+  try {
+    if (!req.principal) return res.status(400).json({ error: "auth failed", message: "Authentication is disabled on this proxy" });
+    res.status(201).json(signToken(req.principal.name, { hours: (req.body || {}).hours ?? 12, notAfter: req.principal.exp }));
+  } catch (e) {
+    authError(res, e);
+  }
+});
 
-  const page = await context.newPage();
-  const q = `${name} ${location}`.trim();
-
-  // Try multiple entry URLs — Maps sometimes behaves differently per variant.
-  const searchVariants = [
-    `https://www.google.com/maps/search/${encodeURIComponent(q)}?hl=en&gl=us`,
-    `https://www.google.com/maps/place/${encodeURIComponent(q)}?hl=en&gl=us`,
-    `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(q)}&hl=en&gl=us`
-  ];
-
-  const wait = (ms) => new Promise(r => setTimeout(r, ms));
-
-  // Dismiss cookie consent if it appears (top-level or in iframe)
-  const maybeDismissConsent = async () => {
-    // try top-level
-    const topButtons = page.locator('button:has-text("Accept all"), button:has-text("I agree"), button:has-text("Accept")');
-    if (await topButtons.first().isVisible().catch(() => false)) {
-      await topButtons.first().click().catch(() => {});
-      await wait(800);
-      return;
-    }
-    // try iframe
-    const consentFrames = page.frames().filter(f => (f.url() || "").includes("consent"));
-    for (const f of consentFrames) {
-      const b = await f.$('button:has-text("Accept all"), button:has-text("I agree"), button:has-text("Accept")');
-      if (b) { await b.click().catch(() => {}); await wait(800); return; }
-    }
-  };
+// ============================================================================
+// Team accounts – see lib/users.js
+// ============================================================================
+// GET    /users       → every account (no password hashes)
+// POST   /users       { email, name, password, role?, quota? } → 201 account   (admins)
+// PUT    /users/:id   { email?, name?, password?, currentPassword?, role?, quota? } → account
+//                      (admins; anyone for their own name, e-mail and password – a member
+//                      changing their password also sends currentPassword)
+// DELETE /users/:id   (admins)
+// Keys from API_KEYS count as admins, so the first account is created with a key.
+const userError = (res, e) => {
+  if (!e.statusCode) console.error("users failed", e);
+  res.status(e.statusCode || 500).json({ error: "users failed", message: e.message || String(e) });
+};
+const adminsOnly = (req, res) => {
+  if (isAdmin(req.principal)) return false;
+  res.status(403).json({ error: "users failed", message: "Only workspace admins can manage accounts" });
+  return true;
+};
 
-  // Heuristic: do we see place UI / reviews affordance?
-  const waitForPlaceUI = async (ms = 8000) => {
-    return await Promise.race([
-      page.waitForSelector('button[aria-label*="reviews"], button[jsaction*="pane.reviewChart"]', { timeout: ms }).then(() => true).catch(() => false),
-      page.waitForSelector('[role="tab"]:has-text("Reviews")', { timeout: ms }).then(() => true).catch(() => false),
-      page.waitForSelector('h1[aria-level="1"], h1[role="heading"]', { timeout: ms }).then(() => true).catch(() => false)
-    ]);
-  };
+app.get("/users", (req, res) => {
+  res.json(listUsers());
+});
+
+app.post("/users", (req, res) => {
+  try {
+    if (adminsOnly(req, res)) return;
+    res.status(201).json(createUser(req.body || {}, { by: actorOf(req.principal) }));
+  } catch (e) {
+    userError(res, e);
+  }
+});
 
-  const tryOpenFirstResult = async () => {
-    if (await waitForPlaceUI()) return true;
-
-    // Broad set of result selectors
-    const candidates = [
-      'a[data-result-id]:has(h3)',
-      'a.hfpxzc',
-      '[role="feed"] a[href*="/place/"]',
-      'div[role="article"] a[href*="/place/"]',
-      'a[aria-label][href*="/place/"]'
-    ];
-
-    for (const sel of candidates) {
-      const el = page.locator(sel).first();
-      if (await el.isVisible().catch(() => false)) {
-        await el.click({ timeout: 8000 }).catch(() => {});
-        if (await waitForPlaceUI()) return true;
+app.put("/users/:id", (req, res) => {
+  try {
+    const body = req.body || {};
+    const self = req.principal?.user?.id === req.params.id;
+    if (!(self && body.role === undefined && body.quota === undefined) && adminsOnly(req, res)) return;
+    if (self && !isAdmin(req.principal) && body.password !== undefined) checkCurrentPassword(req.params.id, body.currentPassword);
+    const u = updateUser(req.params.id, body);
+    if (!u) return res.status(404).json({ error: "Unknown user" });
+    res.json(u);
+  } catch (e) {
+    userError(res, e);
+  }
+});
+
+app.delete("/users/:id", (req, res) => {
+  try {
+    if (adminsOnly(req, res)) return;
+    if (!deleteUser(req.params.id)) return res.status(404).json({ error: "Unknown user" });
+    res.status(204).end();
+  } catch (e) {
+    userError(res, e);
+  }
+});
+
+// ============================================================================
+// Single-source routes – one per registered adapter
+// ============================================================================
+// Usage (e.g. Google):
+//   /google-scrape?name=...&location=...&max=80
+//   &url=<place url from the adapter's search>   (instead of name/location)
+//   &timeout=180000
+//   &keywords=security,pet%20waste,loiter
+//   &nocache=1
+//   &via=outscraper|places|browser              (sources with several providers, see /sources)
+for (const source of listSources()) {
+  const routeName = source.route.replace(/^\//, "");
+  app.get(source.route, scrapeQuota(), async (req, res) => {
+    try {
+      const url = String(req.query.url || "").trim();
+      const ref = url ? { url } : { name: required(req.query, "name"), location: required(req.query, "location") };
+
+      const max = intParam(req.query.max, 80, 200);
+      const timeoutMs = source.capabilities.browser
+        ? intParam(req.query.timeout, source.capabilities.defaultTimeoutMs, 240000)
+        : source.capabilities.defaultTimeoutMs;
+      const noCache = String(req.query.nocache || "").trim() === "1";
+
+      const provider = req.query.via ? parseVia({ via: `${source.key}:${req.query.via}` })[source.key] : undefined;
+
+      const keywordsStr = (req.query.keywords || "").toLowerCase();
+      const keywords = keywordsStr ? keywordsStr.split(",").map(s => s.trim()).filter(Boolean) : [];
+
+      const base = await fetchSourceReviews(source, ref, { max, timeoutMs, noCache, provider });
+
+      let result = base;
+      if (keywords.length) {
+        result = base.filter(r => keywords.some(k => r.text.toLowerCase().includes(k)));
       }
-    }
 
-    // As a last resort, hit Enter in the search box
-    const searchBox = page.locator('input[aria-label*="Search"]');
-    if (await searchBox.first().isVisible().catch(() => false)) {
-      await searchBox.first().press("Enter").catch(() => {});
-      if (await waitForPlaceUI()) return true;
+      res.json(result);
+    } catch (e) {
+      // a blocked scrape is a 503 with the reason, never an empty list
+      const outcome = isBlocked(e) ? "blocked" : "failed";
+      console.error(`${routeName} ${outcome}`, e);
+      res.status(e.statusCode || 500).json({
+        error: `${routeName} ${outcome}`, message: e.message || String(e),
+        reason: e.reason, attempts: e.attempts, diagnosticId: e.diagnosticId
+      });
     }
-    return false;
-  };
+  });
+}
 
-  // Open the reviews view: All reviews button, chart, or Reviews tab
-  const openReviews = async () => {
-    const btns = [
-      'button[aria-label*="reviews"]',
-      'button[jsaction*="pane.reviewChart"]',
-      '[role="tab"]:has-text("Reviews")',
-      'a[href*="reviews"]'
-    ];
-    for (const sel of btns) {
-      const el = page.locator(sel).first();
-      if (await el.isVisible().catch(() => false)) {
-        await el.click({ timeout: 15000 }).catch(() => {});
-        await wait(1200);
-        return true;
-      }
+// Registered sources and what each can do
+app.get("/sources", (req, res) => {
+  res.json(listSources().map(describeSource));
+});
+
+// ?sources=a,b → validated source keys (default: every registered source)
+function parseSources(q) {
+  const available = sourceKeys();
+  const sources = String(q.sources || available.join(","))
+    .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = sources.filter(s => !available.includes(s));
+  if (unknown.length || !sources.length) {
+    const e = new Error(`Unknown source(s): ${unknown.join(", ") || "(none)"}`);
+    e.statusCode = 400;
+    e.available = available;
+    throw e;
+  }
+  return sources;
+}
+
+// ?refs={"google":{"url":"…"}} (or the same object in a JSON body) → explicit property per source
+function parseRefs(q) {
+  if (!q.refs) return {};
+  let refs = q.refs;
+  if (typeof refs === "string") {
+    try { refs = JSON.parse(refs); } catch { refs = null; }
+  }
+  const ok = refs && typeof refs === "object" && !Array.isArray(refs) &&
+    Object.values(refs).every(r => r && typeof r.url === "string" && r.url);
+  if (!ok) {
+    const e = new Error('refs must be JSON like {"google":{"url":"…"}}');
+    e.statusCode = 400;
+    throw e;
+  }
+  return refs;
+}
+
+// ?via=google:places,… (or {"google":"places"} in a JSON body) → the provider per source, for
+// sources that list capabilities.providers; "auto" or unset = the source's default
+function parseVia(q) {
+  if (!q.via) return {};
+  const via = typeof q.via === "string"
+    ? Object.fromEntries(q.via.split(",").map(s => s.split(":").map(x => x.trim().toLowerCase())).filter(([k, v]) => k && v))
+    : q.via;
+  if (!via || typeof via !== "object" || Array.isArray(via)) {
+    const e = new Error('via must look like google:places or {"google":"places"}');
+    e.statusCode = 400;
+    throw e;
+  }
+  for (const [key, provider] of Object.entries(via)) {
+    const allowed = getSource(key)?.capabilities.providers;
+    if (!allowed || !(provider === "auto" || allowed.includes(provider))) {
+      const e = new Error(`${key} cannot fetch via "${provider}"`);
+      e.statusCode = 400;
+      e.available = allowed ? ["auto", ...allowed] : [];
+      throw e;
     }
-    return false;
-  };
+  }
+  return via;
+}
+
+// ?granularity=month|quarter|auto → trend bucket size (default auto)
+function parseGranularity(v) {
+  const g = String(v || "auto").trim().toLowerCase();
+  if (!["month", "quarter", "auto"].includes(g)) {
+    const e = new Error("granularity must be month, quarter or auto");
+    e.statusCode = 400;
+    throw e;
+  }
+  return g;
+}
 
+// ============================================================================
+// Property search – /search-properties (candidates per source, for disambiguation)
+// ============================================================================
+// Usage:
+//   /search-properties?name=...&location=...&sources=google,apartmentratings
+app.get("/search-properties", scrapeQuota(), async (req, res) => {
   try {
-    // Navigate using variants until we’re on a place page
-    let onPlace = false;
-    for (const url of searchVariants) {
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
-      await maybeDismissConsent().catch(() => {});
-      onPlace = (await tryOpenFirstResult()) || (await waitForPlaceUI());
-      if (onPlace) break;
-    }
-    if (!onPlace) throw new Error("Could not open a place page.");
-
-    await openReviews(); // best-effort; some UIs land directly in reviews
-
-    // Wait for review cards to exist (cover several UIs)
-    const cardSelectors = [
-      'div[data-review-id]',                         // modern card
-      '[aria-label="Review"]',                       // ARIA region
-      'div[jscontroller][data-review-id]',
-      'div.section-review',                          // legacy
-      'div[data-section-id="reviews"] div[role="article"]'
-    ];
-    let cardsLocator = null;
-    for (const sel of cardSelectors) {
-      const loc = page.locator(sel);
-      if (await loc.first().isVisible({ timeout: 3000 }).catch(() => false)) {
-        cardsLocator = loc;
-        break;
-      }
-    }
-    if (!cardsLocator) {
-      await wait(1500);
-      for (const sel of cardSelectors) {
-        const loc = page.locator(sel);
-        if (await loc.first().isVisible({ timeout: 3000 }).catch(() => false)) {
-          cardsLocator = loc;
-          break;
-        }
-      }
-    }
-    if (!cardsLocator) throw new Error("Review cards not found");
-
-    // Find nearest scrollable ancestor of the first card
-    const scroller = await cardsLocator.first().evaluateHandle((el) => {
-      function isScrollable(n){ return n && n.scrollHeight > n.clientHeight; }
-      let cur = el;
-      while (cur && cur !== document.body && !isScrollable(cur)) cur = cur.parentElement;
-      return cur && isScrollable(cur) ? cur : document.scrollingElement || document.body;
-    });
+    const name = required(req.query, "name");
+    const location = required(req.query, "location");
+    const sources = parseSources(req.query);
 
-    // Try to sort by "Newest" (if such a menu exists)
-    const sortBtn = page.locator('button[aria-label*="Sort"], div[role="button"][aria-label*="Sort"]');
-    if (await sortBtn.first().isVisible().catch(()=>false)) {
-      await sortBtn.first().click({ timeout: 8000 }).catch(()=>{});
-      const newest = page.locator('div[role="menuitem"]:has-text("Newest")');
-      if (await newest.first().isVisible().catch(()=>false)) {
-        await newest.first().click({ timeout: 8000 }).catch(()=>{});
-      }
-    }
+    const out = await searchProperties({ name, location, sources });
+    res.json({ query: { name, location, sources }, ...out });
+  } catch (e) {
+    console.error("search-properties failed", e);
+    res.status(e.statusCode || 500).json({ error: "search-properties failed", message: e.message || String(e), available: e.available });
+  }
+});
+
+// ============================================================================
+// Aggregated reviews – /reviews (all sources, fanned out server-side)
+// ============================================================================
+// Usage:
+//   /reviews?name=...&location=...
+//   &sources=google,apartmentratings,apartmentscom   (default: all)
+//   &refs={"google":{"url":"<candidate ref from /search-properties>"}}
+//   &via=google:outscraper                           (provider per source, default auto)
+//   &max=80&timeout=120000&nocache=1
+//   &taxonomy=<id from /taxonomies>                   (default: built-in)
+//   &granularity=month|quarter                        (trend buckets, default: auto)
+app.get("/reviews", scrapeQuota(), async (req, res) => {
+  try {
+    const name = required(req.query, "name");
+    const location = required(req.query, "location");
+    const sources = parseSources(req.query);
+    const refs = parseRefs(req.query);
+    const via = parseVia(req.query);
+    const taxonomy = resolveTaxonomy(req.query.taxonomy);
+    const granularity = parseGranularity(req.query.granularity);
+
+    const max = intParam(req.query.max, 80, 200);
+    const timeout = intParam(req.query.timeout, 120000, 240000);
+    const noCache = String(req.query.nocache || "").trim() === "1";
+
+    const out = await aggregateReviews({ name, location, sources, refs, via, max, timeout, noCache, taxonomy, granularity });
+    const query = { name, location, sources, refs };
+    const entry = recordSearch({ query, taxonomy, result: out, ranBy: actorOf(req.principal) });
+    res.json({ query, ...out, historyId: entry.id });
+  } catch (e) {
+    console.error("reviews failed", e);
+    res.status(e.statusCode || 500).json({ error: "reviews failed", message: e.message || String(e), available: e.available });
+  }
+});
+
+// ============================================================================
+// Background jobs – submit a scrape, then poll or follow it over SSE
+// ============================================================================
+// POST /jobs  { name, location, sources?, refs?, via?, max?, timeout?, nocache?, taxonomy?, granularity? }
+//   → 202 { id, status, links: { self, events, result } }
+// GET /jobs/:id            → status + per-source progress (phase, collected); ?partial=1 adds reviews so far
+// GET /jobs/:id/events     → Server-Sent Events: progress / partial / done / failed
+// GET /jobs/:id/result     → 200 result when done, 202 while pending, 500 if it failed
+app.post("/jobs", scrapeQuota(), (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = required(body, "name");
+    const location = required(body, "location");
+    const sources = parseSources(body);
+    const refs = parseRefs(body);
+    const via = parseVia(body);
+    const taxonomy = resolveTaxonomy(body.taxonomy);
+    const granularity = parseGranularity(body.granularity);
+    const max = intParam(body.max, 80, 200);
+    const timeout = intParam(body.timeout, 120000, 240000);
+    const noCache = String(body.nocache || "").trim() === "1" || body.nocache === true;
 
-    const texts = new Set();
-    let stagnation = 0, lastCount = 0;
-
-    while (texts.size < maxReviews && Date.now() - start < timeoutMs) {
-      // Expand “More” buttons so we capture full text
-      await page.$$eval(
-        'button[aria-label^="More"], button:has-text("More")',
-        btns => btns.forEach(b => { try { b.click(); } catch {} })
-      ).catch(()=>{});
-
-      // Extract from each visible card (several patterns)
-      const chunk = await cardsLocator.evaluateAll((nodes) => {
-        const arr = [];
-        for (const n of nodes) {
-          const long = n.querySelector('span[jsname="fbQN7e"], span[class*="full-text"], div[data-review-text]');
-          const short = n.querySelector('span[jsname="bN97Pc"], span[class*="snippet"], span[class*="review-text"]');
-          const alt = n.querySelector('[data-review-text], [itemprop="reviewBody"], div[lang]');
-          const t = (long?.innerText || short?.innerText || alt?.innerText || "").trim();
-          if (t && t.length > 5) arr.push(t);
+    const ranBy = actorOf(req.principal);
+    const initialProgress = Object.fromEntries(sources.map(k => [k, { label: getSource(k).label, phase: "queued", collected: 0, status: "pending" }]));
+    const job = submitJob("reviews", { name, location, sources, refs, via, max, taxonomy: taxonomy.id, ranBy }, async (ctx) => {
+      const out = await aggregateReviews({
+        name, location, sources, refs, via, max, timeout, noCache, taxonomy, granularity,
+        onProgress: (key, p) => ctx.progress(key, p),
+        onSourceDone: (key, st, list) => {
+          ctx.progress(key, { phase: "done", status: st.status, error: st.error, collected: list.length });
+          const items = list.map(r => ({ ...r, source: key }));
+          ctx.partial(items, { source: key, status: st.status, findings: analyzeReviews(items, taxonomy).findings });
         }
-        return arr;
       });
+      const query = { name, location, sources, refs };
+      const entry = recordSearch({ query, taxonomy, result: out, ranBy, jobId: ctx.id });
+      return { query, ...out, historyId: entry.id };
+    }, { initialProgress });
 
-      for (const t of chunk) texts.add(t);
+    res.status(202).json({
+      ...jobSnapshot(job),
+      links: { self: `/jobs/${job.id}`, events: `/jobs/${job.id}/events`, result: `/jobs/${job.id}/result` }
+    });
+  } catch (e) {
+    console.error("jobs failed", e);
+    res.status(e.statusCode || 500).json({ error: "jobs failed", message: e.message || String(e), available: e.available });
+  }
+});
 
-      const countNow = texts.size;
-      stagnation = countNow > lastCount ? 0 : (stagnation + 1);
-      lastCount = countNow;
-      if (texts.size >= maxReviews || stagnation >= 6) break;
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  const snap = jobSnapshot(job);
+  if (String(req.query.partial || "") === "1") snap.partial = job.partial;
+  res.json(snap);
+});
 
-      await scroller.evaluate((el) => { el.scrollBy(0, el.scrollHeight); });
-      await wait(900);
-    }
+app.get("/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  streamJob(job, req, res);
+});
 
-    // Optional: get share URL
-    let placeUrl = "";
-    try {
-      const shareBtn = page.locator('button[aria-label*="Share"]');
-      if (await shareBtn.first().isVisible({ timeout: 1500 }).catch(() => false)) {
-        await shareBtn.first().click().catch(() => {});
-        const input = page.locator('input[aria-label="Link to share"]');
-        if (await input.first().isVisible().catch(() => false)) {
-          placeUrl = await input.first().inputValue().catch(() => "");
-          await page.keyboard.press("Escape").catch(() => {});
-        }
-      }
-    } catch {}
+app.get("/jobs/:id/result", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Unknown job" });
+  if (job.status === "done") return res.json(job.result);
+  if (job.status === "failed") return res.status(500).json({ error: "job failed", message: job.error });
+  res.status(202).json(jobSnapshot(job));
+});
+
+// ============================================================================
+// Portfolio – a whole management company's list as one background job
+// ============================================================================
+// POST /portfolio  Content-Type: text/csv, header row name,location[,google_url,…]
+//                  ?sources=…&taxonomy=…&max=40
+// POST /portfolio  { csv: "…" } or { properties: [{ name, location, refs? }] }, plus
+//                  sources?, taxonomy?, max?, nocache?
+//   → 202 job (follow it at /jobs/:id/events; each finished property arrives as a partial row)
+// GET /portfolio/:id.csv → the finished table as CSV
+// Each property counts against the daily scrape quota.
+function portfolioSize(req) {
+  try {
+    if (typeof req.body === "string") return parsePortfolioCsv(req.body).length;
+    const body = req.body || {};
+    return body.csv ? parsePortfolioCsv(body.csv).length : normalizePortfolio(body.properties).length;
+  } catch {
+    return 1; // the route answers the 400
+  }
+}
+
+app.post("/portfolio", express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }), scrapeQuota(portfolioSize), (req, res) => {
+  try {
+    const isCsv = typeof req.body === "string";
+    const body = isCsv ? req.query : { ...req.query, ...(req.body || {}) };
+    const properties = isCsv
+      ? parsePortfolioCsv(req.body)
+      : body.csv ? parsePortfolioCsv(body.csv) : normalizePortfolio(body.properties);
+    const sources = parseSources(body);
+    const taxonomy = resolveTaxonomy(body.taxonomy);
+    const max = intParam(body.max, 40, 200);
+    const timeout = intParam(body.timeout, 120000, 240000);
+    const noCache = String(body.nocache || "").trim() === "1" || body.nocache === true;
+
+    const initialProgress = Object.fromEntries(properties.map((p, i) => [i, { label: `${p.name}, ${p.location}`, phase: "queued", status: "pending" }]));
+    const job = submitJob("portfolio", { properties: properties.length, sources, max, taxonomy: taxonomy.id }, (ctx) =>
+      runPortfolio({
+        properties, sources, max, timeout, taxonomy, noCache,
+        onProgress: (i, p) => ctx.progress(i, p),
+        onRow: (row) => ctx.partial([row], { index: row.index })
+      }), { initialProgress });
+
+    res.status(202).json({
+      ...jobSnapshot(job),
+      links: { self: `/jobs/${job.id}`, events: `/jobs/${job.id}/events`, result: `/jobs/${job.id}/result`, csv: `/portfolio/${job.id}.csv` }
+    });
+  } catch (e) {
+    console.error("portfolio failed", e);
+    res.status(e.statusCode || 500).json({ error: "portfolio failed", message: e.message || String(e), available: e.available });
+  }
+});
+
+app.get("/portfolio/:id.csv", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.type !== "portfolio") return res.status(404).json({ error: "Unknown portfolio" });
+  if (job.status !== "done") return res.status(409).json({ error: "Portfolio not finished", status: job.status });
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="portfolio-${job.id.slice(0, 8)}.csv"`);
+  res.send(portfolioCsv(job.result));
+});
+
+// ============================================================================
+// Comparison – the target against the complexes Maps lists around it
+// ============================================================================
+// POST /compare { name, location, ref?: { url }, limit? (5, max 10), max?, taxonomy?, nocache? }
+//   → 202 job; progress keys "search", "target" and each neighbor's index, every finished
+//     property arrives as a partial row. Result: { categories, target, neighbors,
+//     neighborhood, comparison } with category rates per 100 reviews (Google reviews only).
+// The target and each neighbor count against the daily scrape quota
+const compareSize = (req) => 1 + intParam({ ...req.query, ...(req.body || {}) }.limit, 5, MAX_NEARBY);
+
+app.post("/compare", scrapeQuota(compareSize), (req, res) => {
+  try {
+    const body = { ...req.query, ...(req.body || {}) };
+    const name = required(body, "name");
+    const location = required(body, "location");
+    const url = String(body.ref?.url || "").trim();
+    const taxonomy = resolveTaxonomy(body.taxonomy);
+    const limit = intParam(body.limit, 5, MAX_NEARBY);
+    const max = intParam(body.max, 60, 200);
+    const timeout = intParam(body.timeout, 120000, 240000);
+    const noCache = String(body.nocache || "").trim() === "1" || body.nocache === true;
 
-    await context.close().catch(()=>{});
-    await browser.close().catch(()=>{});
+    const initialProgress = {
+      search: { label: "Nearby search", phase: "queued", status: "pending" },
+      target: { label: `${name}, ${location}`, phase: "queued", status: "pending" }
+    };
+    const job = submitJob("compare", { name, location, limit, max, taxonomy: taxonomy.id }, (ctx) =>
+      compareNearby({
+        name, location, ref: url ? { url } : null, limit, max, timeout, taxonomy, noCache,
+        onProgress: (key, p) => ctx.progress(key, p),
+        onProperty: (row) => ctx.partial([row], { key: row.key })
+      }), { initialProgress });
 
-    return Array.from(texts).slice(0, maxReviews).map(text => ({ text, url: placeUrl || searchVariants[0] }));
+    res.status(202).json({
+      ...jobSnapshot(job),
+      links: { self: `/jobs/${job.id}`, events: `/jobs/${job.id}/events`, result: `/jobs/${job.id}/result` }
+    });
   } catch (e) {
-    await context.close().catch(()=>{});
-    await browser.close().catch(()=>{});
+    console.error("compare failed", e);
+    res.status(e.statusCode || 500).json({ error: "compare failed", message: e.message || String(e) });
+  }
+});
+
+// ============================================================================
+// PDF report – cover, summary, every quote per category, methodology
+// ============================================================================
+// GET  /report.pdf?job=<reviews job id>[&compare=<compare job id>]
+// POST /report.pdf { job, compare? }
+// POST /report.pdf { name, location, reviews: [...], taxonomy?, granularity?, compare? }
+//   → application/pdf. The reviews form re-analyzes what the browser holds (e.g. after a
+//     taxonomy switch); `taxonomy` is a saved id or an unsaved taxonomy object.
+function finishedJob(id, type) {
+  const job = getJob(String(id));
+  if (!job || job.type !== type) {
+    const e = new Error(`Unknown ${type} job: ${id}`);
+    e.statusCode = 404;
     throw e;
   }
+  if (job.status !== "done") {
+    const e = new Error(`The ${type} job is ${job.status}`);
+    e.statusCode = 409;
+    throw e;
+  }
+  return job;
 }
 
-// Route: FREE Google scraper
-// Usage:
-//   /google-scrape?name=...&location=...&max=80
-//   &timeout=180000
-//   &keywords=security,pet%20waste,loiter
-//   &nocache=1
-app.get("/google-scrape", async (req, res) => {
+function reportInput(body) {
+  const comparison = body.compare ? finishedJob(body.compare, "compare").result : null;
+  if (body.job) {
+    const job = finishedJob(body.job, "reviews");
+    return {
+      property: { name: job.params.name, location: job.params.location },
+      analysis: job.result.analysis,
+      reviews: job.result.reviews,
+      reviewCount: job.result.reviews.length,
+      sources: job.result.sources,
+      taxonomy: getTaxonomy(job.params.taxonomy),
+      comparison
+    };
+  }
+  const name = required(body, "name");
+  const location = required(body, "location");
+  if (!Array.isArray(body.reviews)) {
+    const e = new Error("Pass a finished job id or the reviews to report on");
+    e.statusCode = 400;
+    throw e;
+  }
+  const bad = body.reviews.findIndex(r => !r || typeof r !== "object" || Array.isArray(r) || typeof r.text !== "string");
+  if (bad !== -1) {
+    const e = new Error(`reviews[${bad}] must be an object with a text string`);
+    e.statusCode = 400;
+    throw e;
+  }
+  const taxonomy = body.taxonomy && typeof body.taxonomy === "object"
+    ? { id: "custom", ...normalizeTaxonomy(body.taxonomy) }
+    : resolveTaxonomy(body.taxonomy);
+  const sources = {};
+  for (const r of body.reviews) {
+    const key = String(r.source || "unknown");
+    sources[key] ??= { label: getSource(key)?.label || key, status: "ok", count: 0 };
+    sources[key].count++;
+  }
+  return {
+    property: { name, location },
+    analysis: analyzeReviews(body.reviews, taxonomy, { granularity: parseGranularity(body.granularity) }),
+    reviews: body.reviews,
+    reviewCount: body.reviews.length,
+    sources,
+    taxonomy,
+    comparison
+  };
+}
+
+async function sendReport(req, res, body) {
   try {
-    const name = required(req.query, "name");
-    const location = required(req.query, "location");
+    const input = reportInput(body);
+    const pdf = await renderReportPdf(input);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${reportFilename(input.property)}"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error("report failed", e);
+    res.status(e.statusCode || 500).json({ error: "report failed", message: e.message || String(e) });
+  }
+}
 
-    const max = Math.min(parseInt(req.query.max || "80", 10) || 80, 200);
-    const timeout = Math.min(parseInt(req.query.timeout || "120000", 10) || 120000, 240000);
-    const noCache = String(req.query.nocache || "").trim() === "1";
+app.get("/report.pdf", (req, res) => sendReport(req, res, req.query));
+app.post("/report.pdf", (req, res) => sendReport(req, res, req.body || {}));
 
-    const keywordsStr = (req.query.keywords || "").toLowerCase();
-    const keywords = keywordsStr ? keywordsStr.split(",").map(s => s.trim()).filter(Boolean) : [];
+// ============================================================================
+// Data exports – every fetched review and every classified sentence, for spreadsheets
+// ============================================================================
+// GET  /export/<dataset>.<format>?job=<reviews job id>
+// POST /export/<dataset>.<format> { job } | { name, location, reviews: [...], taxonomy?, granularity? }
+//   dataset: reviews | findings | all (json and xlsx only), format: csv | json | xlsx
+//   → a download built from the same analysis as the summary, /report.pdf and /email
+function sendExport(req, res, body) {
+  try {
+    const { dataset, format } = req.params;
+    const input = reportInput(body);
+    const out = renderExport(exportData(input), dataset, format);
+    res.set("Content-Type", out.contentType);
+    res.set("Content-Disposition", `attachment; filename="${exportFilename(input.property, dataset, out.extension)}"`);
+    res.send(out.body);
+  } catch (e) {
+    if (!e.statusCode) console.error("export failed", e);
+    res.status(e.statusCode || 500).json({ error: "export failed", message: e.message || String(e) });
+  }
+}
 
-    const cacheKey = `gs:${name}|${location}|${max}`;
-    let base = noCache ? null : getCache(cacheKey);
+app.get("/export/:dataset.:format", (req, res) => sendExport(req, res, req.query));
+app.post("/export/:dataset.:format", (req, res) => sendExport(req, res, req.body || {}));
 
-    if (!base) {
-      base = await scrapeGoogleReviews({ name, location, maxReviews: max, timeoutMs: timeout });
-      setCache(cacheKey, base);
-    }
+// ============================================================================
+// Shared reports – read-only snapshots behind an unguessable link
+// ============================================================================
+// POST   /shares      { job | name, location, reviews, taxonomy?, granularity?; compare?,
+//                      expiresInDays? (1–365, empty = never) } → 201 { id, expiresAt, views, … }
+//   The property part is the same as POST /report.pdf; the analysis is frozen at this point.
+// GET    /shares      → the rep's links, newest first, with view counts (no analyses)
+// GET    /shares/:id  → the snapshot for the public view; counts a view. 404 unknown, 410 expired
+// PUT    /shares/:id  { expiresInDays } → new expiry, counted from now
+// DELETE /shares/:id  withdraws the link
+//   PUT and DELETE are for the link's creator and admin accounts; anyone else gets a 403.
+// The app renders a snapshot at <app URL>?share=<id>; only /shares/:id is meant for prospects.
+const shareError = (res, e) => {
+  if (!e.statusCode) console.error("shares failed", e);
+  res.status(e.statusCode || 500).json({ error: "shares failed", message: e.message || String(e) });
+};
+
+app.post("/shares", (req, res) => {
+  try {
+    const body = req.body || {};
+    res.status(201).json(createShare(reportInput(body), { expiresInDays: body.expiresInDays, by: actorOf(req.principal) }));
+  } catch (e) {
+    shareError(res, e);
+  }
+});
+
+app.get("/shares", (req, res) => {
+  res.json(listShares());
+});
+
+app.get("/shares/:id", (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store"); // every open should reach the view counter
+    res.json(viewShare(req.params.id));
+  } catch (e) {
+    shareError(res, e);
+  }
+});
+
+// Admin accounts (and anyone with auth off) manage every link; keys and members only their own
+const shareManager = (req) => ({
+  by: actorOf(req.principal),
+  admin: !req.principal || (req.principal.via === "user" && isAdmin(req.principal))
+});
+
+app.put("/shares/:id", (req, res) => {
+  try {
+    checkShareOwner(req.params.id, shareManager(req));
+    const s = updateShareExpiry(req.params.id, (req.body || {}).expiresInDays);
+    if (!s) return res.status(404).json({ error: "Unknown share" });
+    res.json(s);
+  } catch (e) {
+    shareError(res, e);
+  }
+});
 
-    let result = base;
-    if (keywords.length) {
-      result = base.filter(r => keywords.some(k => r.text.toLowerCase().includes(k)));
+app.delete("/shares/:id", (req, res) => {
+  try {
+    checkShareOwner(req.params.id, shareManager(req));
+    if (!deleteShare(req.params.id)) return res.status(404).json({ error: "Unknown share" });
+    res.status(204).end();
+  } catch (e) {
+    shareError(res, e);
+  }
+});
+
+// ============================================================================
+// Outreach e-mail – templates × sender profiles, rendered against one property
+// ============================================================================
+// POST /email { template?, sender?, recipient?: { name, email }, format?,
+//               job | name, location, reviews, taxonomy?, granularity?; compare? }
+//   The property part is the same as POST /report.pdf. `template` is a saved/built-in id
+//   (default "first-touch") or an unsaved template object to preview edits; `sender` an id.
+//   format=json (default) → { template, subject, text, html }
+//   format=text | html    → the body alone
+//   format=eml            → message/rfc822 draft with both parts, as a download
+app.post("/email", (req, res) => {
+  try {
+    const body = req.body || {};
+    const template = body.template && typeof body.template === "object"
+      ? { id: "custom", ...normalizeEmailTemplate(body.template) }
+      : resolveEmailTemplate(body.template);
+    const sender = resolveSender(body.sender);
+    const recipient = body.recipient || {};
+    const input = reportInput(body);
+    const view = buildEmailView({ ...input, sender, recipient, quotesPerCategory: template.quotesPerCategory });
+    const email = renderEmail(template, view);
+
+    const format = String(body.format || "json");
+    if (format === "text") return res.type("text/plain; charset=utf-8").send(email.text);
+    if (format === "html") return res.type("text/html; charset=utf-8").send(email.html);
+    if (format === "eml") {
+      res.set("Content-Type", "message/rfc822");
+      res.set("Content-Disposition", `attachment; filename="${emailFilename(input.property, template.id)}"`);
+      return res.send(emailEml(email, { sender, recipient }));
+    }
+    if (format !== "json") {
+      const e = new Error(`Unknown format: ${format} (json, text, html or eml)`);
+      e.statusCode = 400;
+      throw e;
     }
+    res.json({ template: { id: template.id, name: template.name }, ...email });
+  } catch (e) {
+    if (!e.statusCode) console.error("email failed", e);
+    res.status(e.statusCode || 500).json({ error: "email failed", message: e.message || String(e) });
+  }
+});
 
-    res.json(result);
+// GET    /email-templates        → [{ id, name, description, builtIn, updatedAt }]
+// GET    /email-templates/:id    → full template
+// POST   /email-templates        { name, description?, subject, body, quotesPerCategory? } → 201
+// PUT    /email-templates/:id    same body → replaces a saved template (built-ins are read-only)
+// DELETE /email-templates/:id
+const emailTemplateError = (res, e) => {
+  if (!e.statusCode) console.error("email templates failed", e);
+  res.status(e.statusCode || 500).json({ error: "email templates failed", message: e.message || String(e) });
+};
+
+app.get("/email-templates", (req, res) => {
+  res.json(listEmailTemplates());
+});
+
+app.get("/email-templates/:id", (req, res) => {
+  const t = getEmailTemplate(req.params.id);
+  if (!t) return res.status(404).json({ error: "Unknown e-mail template" });
+  res.json(t);
+});
+
+app.post("/email-templates", (req, res) => {
+  try {
+    res.status(201).json(createEmailTemplate(req.body || {}));
   } catch (e) {
-    console.error("google-scrape failed", e);
-    res.status(500).json({ error: "google-scrape failed", message: e.message || String(e) });
+    emailTemplateError(res, e);
   }
 });
 
+app.put("/email-templates/:id", (req, res) => {
+  try {
+    const t = updateEmailTemplate(req.params.id, req.body || {});
+    if (!t) return res.status(404).json({ error: "Unknown e-mail template" });
+    res.json(t);
+  } catch (e) {
+    emailTemplateError(res, e);
+  }
+});
+
+app.delete("/email-templates/:id", (req, res) => {
+  try {
+    if (!deleteEmailTemplate(req.params.id)) return res.status(404).json({ error: "Unknown e-mail template" });
+    res.status(204).end();
+  } catch (e) {
+    emailTemplateError(res, e);
+  }
+});
+
+// GET    /senders        → [{ id, name, title, company, email, phone, signature, builtIn? }]
+// GET    /senders/:id
+// POST   /senders        { name, title?, company?, email?, phone?, signature? } → 201
+// PUT    /senders/:id    same body ("default" is read-only)
+// DELETE /senders/:id
+const senderError = (res, e) => {
+  if (!e.statusCode) console.error("senders failed", e);
+  res.status(e.statusCode || 500).json({ error: "senders failed", message: e.message || String(e) });
+};
+
+app.get("/senders", (req, res) => {
+  res.json(listSenders());
+});
+
+app.get("/senders/:id", (req, res) => {
+  const s = getSender(req.params.id);
+  if (!s) return res.status(404).json({ error: "Unknown sender" });
+  res.json(s);
+});
+
+app.post("/senders", (req, res) => {
+  try {
+    res.status(201).json(createSender(req.body || {}));
+  } catch (e) {
+    senderError(res, e);
+  }
+});
+
+app.put("/senders/:id", (req, res) => {
+  try {
+    const s = updateSender(req.params.id, req.body || {});
+    if (!s) return res.status(404).json({ error: "Unknown sender" });
+    res.json(s);
+  } catch (e) {
+    senderError(res, e);
+  }
+});
+
+app.delete("/senders/:id", (req, res) => {
+  try {
+    if (!deleteSender(req.params.id)) return res.status(404).json({ error: "Unknown sender" });
+    res.status(204).end();
+  } catch (e) {
+    senderError(res, e);
+  }
+});
 
 // ============================================================================
-// ApartmentRatings.com – best-effort HTML parse (no API key)
+// Classification – the same analysis /reviews attaches, for any text
 // ============================================================================
-app.get("/apartmentratings", async (req, res) => {
+// GET  /classify?text=...&taxonomy=<id>                 → { taxonomy, categories, sentences: [...] }
+// POST /classify { text | texts: [...], taxonomy? }      → the same, per text for `texts`
+// POST /classify { reviews: [{ id, text, date, … }], taxonomy?, granularity? }
+//   → { taxonomy, categories, counts, findings, risk, trends }
+// `taxonomy` is a saved id or (POST only) an unsaved taxonomy object to try out edits.
+// Each sentence carries its categories, a 0–1 confidence and the matched terms.
+function classifyRequest(input) {
+  const taxonomy = input.taxonomy && typeof input.taxonomy === "object"
+    ? { id: null, ...normalizeTaxonomy(input.taxonomy) }
+    : resolveTaxonomy(input.taxonomy);
+  if (Array.isArray(input.reviews)) {
+    const reviews = input.reviews.filter(r => r && typeof r.text === "string");
+    return analyzeReviews(reviews, taxonomy, { granularity: parseGranularity(input.granularity) });
+  }
+  const head = {
+    taxonomy: { id: taxonomy.id, name: taxonomy.name },
+    categories: taxonomy.categories.map(({ key, label, severity }) => ({ key, label, severity }))
+  };
+  if (Array.isArray(input.texts)) {
+    return { ...head, results: input.texts.map(t => ({ sentences: classifyText(String(t ?? ""), taxonomy) })) };
+  }
+  return { ...head, sentences: classifyText(required(input, "text"), taxonomy) };
+}
+
+app.get("/classify", (req, res) => {
   try {
-    const name = required(req.query, "name");
-    const location = required(req.query, "location");
-    const cacheKey = `ar:${name}|${location}`;
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
-    const query = `${name} ${location}`;
-    const searchUrl = `https://www.apartmentratings.com/search/?q=${encodeURIComponent(query)}`;
-    const sr = await fetch(searchUrl, { headers: { "User-Agent": "Mozilla/5.0" } });
-    if (!sr.ok) return res.json([]);
-    let $ = load(await sr.text());
-
-    const firstLink = $('a.property-title, a[href*="/apartment/"]').first().attr("href");
-    if (!firstLink) return res.json([]);
-    const propertyUrl = firstLink.startsWith("http")
-      ? firstLink
-      : `https://www.apartmentratings.com${firstLink}`;
-
-    const pr = await fetch(propertyUrl, { headers: { "User-Agent": "Mozilla/5.0" } });
-    if (!pr.ok) return res.json([]);
-    $ = load(await pr.text());
-
-    const out = [];
-    // NOTE: AR often renders with JS; expect sparse yields.
-    $(".review__content, .review__text, .review-body").each((_, el) => {
-      const text = $(el).text().trim();
-      if (text && text.length > 30) out.push({ text, url: propertyUrl });
-    });
+    res.json(classifyRequest(req.query));
+  } catch (e) {
+    console.error("classify failed", e);
+    res.status(e.statusCode || 500).json({ error: "classify failed", message: e.message || String(e) });
+  }
+});
 
-    setCache(cacheKey, out);
-    res.json(out);
+app.post("/classify", (req, res) => {
+  try {
+    res.json(classifyRequest(req.body || {}));
   } catch (e) {
-    console.error(e);
-    res.status(e.statusCode || 500).json({ error: "apartmentratings failed" });
+    console.error("classify failed", e);
+    res.status(e.statusCode || 500).json({ error: "classify failed", message: e.message || String(e) });
   }
 });
 
 // ============================================================================
-// Apartments.com – best-effort HTML parse (no API key)
+// Taxonomies – the category sets findings are classified against
 // ============================================================================
-app.get("/apartments-com", async (req, res) => {
+// GET    /taxonomies        → [{ id, name, builtIn, categories, updatedAt }]
+// GET    /taxonomies/:id    → full taxonomy
+// POST   /taxonomies        { name, categories: [{ key?, label, severity, terms, exclude }] } → 201
+// PUT    /taxonomies/:id    same body → replaces a saved taxonomy ("default" is read-only)
+// DELETE /taxonomies/:id
+const taxonomyError = (res, e) => {
+  if (!e.statusCode) console.error("taxonomies failed", e);
+  res.status(e.statusCode || 500).json({ error: "taxonomies failed", message: e.message || String(e) });
+};
+
+app.get("/taxonomies", (req, res) => {
+  res.json(listTaxonomies());
+});
+
+app.get("/taxonomies/:id", (req, res) => {
+  const t = getTaxonomy(req.params.id);
+  if (!t) return res.status(404).json({ error: "Unknown taxonomy" });
+  res.json(t);
+});
+
+app.post("/taxonomies", (req, res) => {
   try {
-    const name = required(req.query, "name");
-    const location = required(req.query, "location");
-    const cacheKey = `ac:${name}|${location}`;
-    const cached = getCache(cacheKey);
-    if (cached) return res.json(cached);
-
-    const query = `${name} ${location}`;
-    const searchUrl = `https://www.apartments.com/search/?q=${encodeURIComponent(query)}`;
-    const sr = await fetch(searchUrl, { headers: { "User-Agent": "Mozilla/5.0" } });
-    if (!sr.ok) return res.json([]);
-    let $ = load(await sr.text());
-
-    const firstLink = $(
-      'a.placardTitle, a.property-link, a[data-tid="listing-card-title"]'
-    ).first().attr("href");
-    if (!firstLink) return res.json([]);
-    const propertyUrl = firstLink.startsWith("http")
-      ? firstLink
-      : `https://www.apartments.com${firstLink}`;
-
-    const pr = await fetch(propertyUrl, { headers: { "User-Agent": "Mozilla/5.0" } });
-    if (!pr.ok) return res.json([]);
-    $ = load(await pr.text());
-
-    const out = [];
-    const selectors = [
-      'section:contains("Reviews") p',
-      "#reviews p",
-      ".review, .reviewText, .review__content, .review__text",
-    ];
-    $(selectors.join(",")).each((_, el) => {
-      const text = $(el).text().trim();
-      if (text && text.length > 30) out.push({ text, url: propertyUrl });
+    res.status(201).json(createTaxonomy(req.body || {}));
+  } catch (e) {
+    taxonomyError(res, e);
+  }
+});
+
+app.put("/taxonomies/:id", (req, res) => {
+  try {
+    const t = updateTaxonomy(req.params.id, req.body || {});
+    if (!t) return res.status(404).json({ error: "Unknown taxonomy" });
+    res.json(t);
+  } catch (e) {
+    taxonomyError(res, e);
+  }
+});
+
+app.delete("/taxonomies/:id", (req, res) => {
+  try {
+    if (!deleteTaxonomy(req.params.id)) return res.status(404).json({ error: "Unknown taxonomy" });
+    res.status(204).end();
+  } catch (e) {
+    taxonomyError(res, e);
+  }
+});
+
+// ============================================================================
+// Watchlist – saved properties re-checked on a schedule, with alerts on new flagged reviews
+// ============================================================================
+// GET    /watchlist          → [watch]
+// POST   /watchlist          { name, location, sources?, refs?, taxonomy?, alertCategories?,
+//                              everyMinutes? (default 1440, min 15), webhookUrl?, emailTo?, paused? } → 201
+// GET    /watchlist/:id
+// PUT    /watchlist/:id      same body; a different property starts a fresh baseline
+// DELETE /watchlist/:id      also drops its alerts
+// POST   /watchlist/:id/run  → 202 "monitor" job checking it now (409 while one is in flight)
+// GET    /alerts?watch=<id>&limit=100 → newest first
+const watchError = (res, e) => {
+  if (!e.statusCode) console.error("watchlist failed", e);
+  res.status(e.statusCode || 500).json({ error: "watchlist failed", message: e.message || String(e) });
+};
+
+app.get("/watchlist", (req, res) => {
+  res.json(listWatches());
+});
+
+app.get("/watchlist/:id", (req, res) => {
+  const w = getWatch(req.params.id);
+  if (!w) return res.status(404).json({ error: "Unknown watch" });
+  res.json(w);
+});
+
+app.post("/watchlist", (req, res) => {
+  try {
+    res.status(201).json(createWatch(req.body || {}));
+  } catch (e) {
+    watchError(res, e);
+  }
+});
+
+app.put("/watchlist/:id", (req, res) => {
+  try {
+    const w = updateWatch(req.params.id, req.body || {});
+    if (!w) return res.status(404).json({ error: "Unknown watch" });
+    res.json(w);
+  } catch (e) {
+    watchError(res, e);
+  }
+});
+
+app.delete("/watchlist/:id", (req, res) => {
+  if (!deleteWatch(req.params.id)) return res.status(404).json({ error: "Unknown watch" });
+  deleteAlertsForWatch(req.params.id);
+  res.status(204).end();
+});
+
+app.post("/watchlist/:id/run", scrapeQuota(), (req, res) => {
+  try {
+    const job = runWatch(req.params.id);
+    if (!job) return res.status(409).json({ error: "A check of this watch is already queued or running" });
+    res.status(202).json({
+      ...jobSnapshot(job),
+      links: { self: `/jobs/${job.id}`, events: `/jobs/${job.id}/events`, result: `/jobs/${job.id}/result` }
+    });
+  } catch (e) {
+    watchError(res, e);
+  }
+});
+
+app.get("/alerts", (req, res) => {
+  res.json(listAlerts({ watchId: req.query.watch || null, limit: intParam(req.query.limit, 100, 1000) }));
+});
+
+// ============================================================================
+// Stored history – every property ever pulled
+// ============================================================================
+app.get("/properties", (req, res) => {
+  res.json(listProperties());
+});
+
+// key as listed by /properties, URL-encoded
+app.get("/properties/:key/reviews", (req, res) => {
+  const p = getProperty(req.params.key);
+  if (!p) return res.status(404).json({ error: "Unknown property" });
+  res.json({ key: p.key, source: p.source, ref: p.ref, lastScrapedAt: p.lastScrapedAt, reviews: storedReviews(p.key) });
+});
+
+// ============================================================================
+// Search history – who pulled which property, and when (lib/history.js)
+// ============================================================================
+// Every /reviews call and /jobs run is recorded and its response carries `historyId`.
+// GET    /history?mine=1&saved=1&q=<text>&limit=50 → newest first, the whole team's
+// GET    /history/:id   → the entry with its stored reviews and a fresh analysis – no scrape
+// PUT    /history/:id   { saved } → star or un-star it for yourself
+// DELETE /history/:id   (whoever ran it, or an admin)
+const actorId = (req) => actorOf(req.principal)?.id ?? "anonymous";
+
+app.get("/history", (req, res) => {
+  res.json(listHistory({
+    actorId: actorId(req),
+    mine: String(req.query.mine || "") === "1",
+    saved: String(req.query.saved || "") === "1",
+    q: String(req.query.q || ""),
+    limit: intParam(req.query.limit, 50, 500)
+  }));
+});
+
+app.get("/history/:id", (req, res) => {
+  const h = openHistory(req.params.id, actorId(req));
+  if (!h) return res.status(404).json({ error: "Unknown history entry" });
+  // a taxonomy deleted since falls back to the built-in one
+  const taxonomy = getTaxonomy(h.taxonomy.id) || getTaxonomy();
+  res.json({
+    ...h,
+    query: { name: h.property.name, location: h.property.location, sources: h.sources, refs: h.refs },
+    analysis: analyzeReviews(h.reviews, taxonomy)
+  });
+});
+
+app.put("/history/:id", (req, res) => {
+  const h = saveHistory(req.params.id, actorId(req), !!(req.body || {}).saved);
+  if (!h) return res.status(404).json({ error: "Unknown history entry" });
+  res.json(h);
+});
+
+app.delete("/history/:id", (req, res) => {
+  const h = getHistorySummary(req.params.id);
+  if (!h) return res.status(404).json({ error: "Unknown history entry" });
+  if (!isAdmin(req.principal) && h.ranBy?.id !== actorId(req)) {
+    return res.status(403).json({ error: "Only whoever ran a search, or an admin, can delete it" });
+  }
+  deleteHistory(req.params.id);
+  res.status(204).end();
+});
+
+// ============================================================================
+// Scrape diagnostics – what a failed or blocked scrape saw (lib/diagnostics.js)
+// ============================================================================
+// Source statuses and scrape errors carry `diagnosticId` when something was saved.
+// GET    /diagnostics?source=google&kind=blocked|error&limit=50 → newest first
+// GET    /diagnostics/:id                 → { id, at, source, step, kind, reason, message, url, trail, files }
+// GET    /diagnostics/:id/screenshot.png  (browser sources)
+// GET    /diagnostics/:id/page.html       → the HTML as scraped, sandboxed (no scripts, no same-origin)
+// DELETE /diagnostics/:id                 (admins)
+app.get("/diagnostics", (req, res) => {
+  res.json(listDiagnostics({
+    source: req.query.source ? String(req.query.source) : null,
+    kind: req.query.kind ? String(req.query.kind) : null,
+    limit: intParam(req.query.limit, 50, 500)
+  }));
+});
+
+app.get("/diagnostics/:id", (req, res) => {
+  const d = getDiagnostic(req.params.id);
+  if (!d) return res.status(404).json({ error: "Unknown diagnostic" });
+  res.json(d);
+});
+
+app.get("/diagnostics/:id/screenshot.png", (req, res) => {
+  const file = diagnosticFile(req.params.id, "screenshot");
+  if (!file) return res.status(404).json({ error: "No screenshot for this diagnostic" });
+  res.type("png").sendFile(file);
+});
+
+app.get("/diagnostics/:id/page.html", (req, res) => {
+  const file = diagnosticFile(req.params.id, "html");
+  if (!file) return res.status(404).json({ error: "No HTML for this diagnostic" });
+  res.set("Content-Security-Policy", "sandbox").type("html").sendFile(file);
+});
+
+app.delete("/diagnostics/:id", (req, res) => {
+  if (!isAdmin(req.principal)) return res.status(403).json({ error: "Only workspace admins can delete diagnostics" });
+  if (!deleteDiagnostic(req.params.id)) return res.status(404).json({ error: "Unknown diagnostic" });
+  res.status(204).end();
+});
+
+// ============================================================================
+// Selector self-check – do the selectors in selectors.json still match? (lib/selectors.js)
+// ============================================================================
+// GET  /selfcheck?sources=google,…  → runs each source against its reference property
+//   → { version, ok, checkedAt, sources: [{ source, ok, missing, fallbacks, pages, ms, error? }] }
+//   Always 200 – `ok` says whether every required step still matched. Each source counts
+//   against the daily scrape quota.
+// POST /selfcheck { source, html | diagnosticId, page? } → the same report for one saved page
+//   (a diagnostic's HTML, or a page saved from the browser); `page` names which page it is.
+//   Admins only; the HTML is parsed with cheerio and never loaded in a browser.
+function selfcheckError(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function selfcheckSize(req) {
+  try {
+    return parseSources(req.query).length;
+  } catch {
+    return 1; // the route answers the 400
+  }
+}
+
+app.get("/selfcheck", scrapeQuota(selfcheckSize), async (req, res) => {
+  try {
+    const sources = parseSources(req.query);
+    const reports = [];
+    for (const key of sources) reports.push(await selfcheckSource(getSource(key)));
+    res.json({
+      version: selectorsInfo().version,
+      ok: reports.every(r => r.ok !== false),
+      checkedAt: new Date().toISOString(),
+      sources: reports
     });
+  } catch (e) {
+    console.error("selfcheck failed", e);
+    res.status(e.statusCode || 500).json({ error: "selfcheck failed", message: e.message || String(e), available: e.available });
+  }
+});
 
-    setCache(cacheKey, out);
-    res.json(out);
+app.post("/selfcheck", async (req, res) => {
+  try {
+    if (!isAdmin(req.principal)) throw selfcheckError("Only workspace admins can check saved pages", 403);
+    const body = req.body || {};
+    const adapter = getSource(String(body.source || ""));
+    if (!adapter) throw selfcheckError(`Unknown source "${body.source || ""}"`);
+    if (body.page != null && !selectors(adapter.key)[body.page]) {
+      throw selfcheckError(`page must be one of ${Object.keys(selectors(adapter.key)).join(", ")}`);
+    }
+    let html = typeof body.html === "string" ? body.html : null;
+    if (html == null && body.diagnosticId) {
+      const file = diagnosticFile(String(body.diagnosticId), "html");
+      if (!file) throw selfcheckError("That diagnostic has no saved HTML");
+      html = fs.readFileSync(file, "utf8");
+    }
+    if (html == null) throw selfcheckError("Send html or a diagnosticId");
+    res.json(await selfcheckSource(adapter, { html, page: body.page ?? null }));
   } catch (e) {
-    console.error(e);
-    res.status(e.statusCode || 500).json({ error: "apartments-com failed" });
+    if (!e.statusCode) console.error("selfcheck failed", e);
+    res.status(e.statusCode || 500).json({ error: "selfcheck failed", message: e.message || String(e) });
   }
 });
 
 // ============================================================================
 // Health check
 // ============================================================================
+// Public, so no file path
+const selectorsHealth = () => {
+  const { version, loadedAt, error } = selectorsInfo();
+  return { version, loadedAt, error };
+};
+
 app.get("/health", (req, res) => {
-  res.json({ ok: true, ts: Date.now() });
+  res.json({ ok: true, ts: Date.now(), jobs: queueStats(), browsers: browserPoolStats(), monitor: monitorStats(), selectors: selectorsHealth() });
 });
 
 // ============================================================================
 // Start server
 // ============================================================================
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+selectorsInfo(); // a broken selectors.json stops the start, rather than every scrape
+const server = app.listen(PORT, () => {
   console.log(`Proxy server running on port ${PORT}`);
+  if (authDisabled()) console.warn("AUTH_DISABLED=1 – every route is open; never set this in production");
+  else if (!parseKeys().length) console.warn("No API_KEYS configured – every route except /health and shared links answers 401");
 });
+if (process.env.MONITOR_DISABLED !== "1") startMonitor();
+
+// Close pooled browsers on shutdown so no Chromium is left behind, and save batched share views
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    server.close();
+    stopMonitor();
+    flushShareViews();
+    browserPool().close().finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,77 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import apartmentRatings from "../scrapers/apartmentRatingsScraper.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/apartmentratings");
+let server;
+
+before(async () => {
+  server = await startFixtureServer(FIXTURES);
+  process.env.APARTMENTRATINGS_BASE_URL = server.url;
+});
+after(async () => {
+  delete process.env.APARTMENTRATINGS_BASE_URL;
+  await server.close();
+});
+beforeEach(() => server.reset());
+
+test("search falls back to a[href*=/apartment/] links and dedupes them", async () => {
+  const hits = await apartmentRatings.search("The Reserve", "Bradenton, FL");
+  assert.deepEqual(hits.map(h => h.url), [
+    `${server.url}/apartment/the-reserve-at-lakewood/`,
+    `${server.url}/apartment/the-reserve-on-manatee/`
+  ]);
+  assert.equal(hits[0].name, "The Reserve at Lakewood");
+  assert.equal(hits[0].address, "4700 Lakewood Ranch Blvd, Bradenton, FL 34211");
+  assert.deepEqual(hits[0].ref, { url: hits[0].url });
+  assert.ok(server.hits[0].startsWith("/search/?q=The%20Reserve%20Bradenton%2C%20FL"));
+});
+
+test("fetchReviews by name opens the first search hit and extracts review cards", async () => {
+  const reviews = await apartmentRatings.fetchReviews({ name: "The Reserve", location: "Bradenton, FL" });
+  const propertyUrl = `${server.url}/apartment/the-reserve-at-lakewood/`;
+
+  assert.equal(reviews.length, 3, "the <30 char review is dropped");
+  assert.deepEqual(reviews[0], {
+    id: "apartmentratings:58211",
+    author: "Marisol T.",
+    rating: 2,
+    date: "2024-03-14",
+    dateLabel: "2024-03-14",
+    text: "Two car break-ins in the back lot this winter and the gate has been broken for weeks. Management says security is coming but nothing has changed.",
+    ownerReply: "Hi Marisol, the gate repair is scheduled and we have added patrols on weekends.",
+    url: `${propertyUrl}#review-58211`,
+    placeUrl: propertyUrl
+  });
+
+  assert.equal(reviews[1].id, "apartmentratings:58107");
+  assert.equal(reviews[1].rating, 4, "counted from full-star icons");
+  assert.equal(reviews[1].date, "2024-01-02");
+  assert.equal(reviews[1].ownerReply, null);
+  assert.equal(reviews[1].url, propertyUrl);
+
+  assert.match(reviews[2].id, /^apartmentratings:[0-9a-f]{16}$/, "hashed id when the card has none");
+  assert.equal(reviews[2].date, "2023-11-20");
+  assert.match(reviews[2].text, /party spot every weekend/);
+});
+
+test("pages without review cards fall back to bare text blocks", async () => {
+  const reviews = await apartmentRatings.fetchReviews({ url: `${server.url}/apartment/the-reserve-on-manatee/` });
+  assert.equal(reviews.length, 2);
+  assert.ok(reviews.every(r => r.rating === null && r.date === null));
+  assert.match(reviews[1].text, /dumping trash/);
+});
+
+test("no search hits → no reviews, and the property page is never requested", async () => {
+  server.route("/search/", "search-empty.html");
+  assert.deepEqual(await apartmentRatings.search("Nowhere", "Nowhere, ZZ"), []);
+  assert.deepEqual(await apartmentRatings.fetchReviews({ name: "Nowhere", location: "Nowhere, ZZ" }), []);
+  assert.ok(server.hits.every(h => h.startsWith("/search/")));
+});
+
+test("a non-OK property page yields no reviews", async () => {
+  assert.deepEqual(await apartmentRatings.fetchReviews({ url: `${server.url}/missing/page/` }), []);
+});
@@ -0,0 +1,54 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import apartmentsCom from "../scrapers/apartmentsComScraper.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/apartmentscom");
+let server;
+
+before(async () => {
+  server = await startFixtureServer(FIXTURES);
+  process.env.APARTMENTSCOM_BASE_URL = server.url;
+});
+after(async () => {
+  delete process.env.APARTMENTSCOM_BASE_URL;
+  await server.close();
+});
+beforeEach(() => server.reset());
+
+test("search returns every listing card in page order", async () => {
+  const hits = await apartmentsCom.search("The Reserve", "Bradenton, FL");
+  assert.deepEqual(hits.map(h => h.url), [
+    `${server.url}/the-reserve-bradenton-fl/b7mq4/`,
+    `${server.url}/the-reserve-bradenton-fl/xk2p9/`,
+    `${server.url}/reserve-west-bradenton-fl/c1zz0/`
+  ]);
+  assert.deepEqual(hits.map(h => h.name), ["The Reserve", "The Reserve", "Reserve West"]);
+});
+
+test("fetchReviews by name takes the first placard and parses review containers", async () => {
+  const [first, second] = await apartmentsCom.fetchReviews({ name: "The Reserve", location: "Bradenton, FL" });
+
+  assert.equal(first.id, "apartmentscom:r-90412");
+  assert.equal(first.author, "Kendra W.");
+  assert.equal(first.rating, 1);
+  assert.equal(first.date, "2023-12-03");
+  assert.match(first.text, /^Someone was loitering in the stairwell/);
+  assert.match(first.ownerReply, /courtesy officer/);
+  assert.equal(first.url, `${server.url}/the-reserve-bradenton-fl/b7mq4/`);
+  assert.equal(first.placeUrl, first.url, "no permalink or anchor: the property page");
+
+  assert.equal(second.rating, 3, "counted from filled star icons");
+  assert.equal(second.dateLabel, "2 months ago");
+  assert.match(second.date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(second.url, `${server.url}/the-reserve-bradenton-fl/b7mq4/?review=r-90377`, "the card's permalink, resolved against the page");
+});
+
+test("pages without review containers fall back to review-section paragraphs", async () => {
+  const reviews = await apartmentsCom.fetchReviews({ url: `${server.url}/the-reserve-bradenton-fl/no-cards/` });
+  assert.deepEqual(reviews.map(r => r.text), [
+    "Packages disappear from the mailroom constantly and nobody seems to know where they go."
+  ]);
+});
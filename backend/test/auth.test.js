@@ -0,0 +1,123 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { EventEmitter } from "node:events";
+import { closeAllCollections } from "../lib/store.js";
+import {
+  parseKeys, authenticate, signToken, verifyToken, requestCredential, takeRequest, resetRateLimits,
+  rateLimitWindows, checkScrapeQuota, chargeScrapes, scrapeUsage, scrapeQuota, corsOrigin
+} from "../lib/auth.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-auth-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const keys = parseKeys("alice:alice-secret-0123456789, bob:bob-secret-0123456789:3, short:abc", { SCRAPE_QUOTA_PER_DAY: "50" });
+const at = (iso) => new Date(iso);
+
+test("keys are name:secret[:quota]; unknown, missing and short secrets are a 401", () => {
+  assert.deepEqual(keys.map(k => [k.name, k.quota]), [["alice", 50], ["bob", 3]], "the short secret is skipped");
+  assert.deepEqual(authenticate("bob-secret-0123456789", { keys }), { name: "bob", quota: 3, via: "key" });
+  for (const bad of ["", "abc", "alice-secret-012345678"]) {
+    assert.throws(() => authenticate(bad, { keys }), (e) => e.statusCode === 401, JSON.stringify(bad));
+  }
+  assert.throws(() => authenticate("alice-secret-0123456789", { keys: [] }), (e) => e.statusCode === 401 && /API_KEYS/.test(e.message));
+
+  const req = (headers, method = "GET", query = {}) => ({ method, query, get: (h) => headers[h.toLowerCase()] });
+  assert.equal(requestCredential(req({ authorization: "Bearer k1" })), "k1");
+  assert.equal(requestCredential(req({ "x-api-key": " k2 " })), "k2");
+  assert.equal(requestCredential(req({}, "GET", { access_token: "vt1.p.s" })), "vt1.p.s", "links for header-less tools");
+  assert.equal(requestCredential(req({}, "GET", { access_token: "k3" })), "", "a raw key never rides in a URL");
+  assert.equal(requestCredential(req({}, "POST", { access_token: "vt1.p.s" })), "");
+});
+
+test("signed tokens carry their key, expire, and cannot be forged", () => {
+  const opts = { secret: "s3cret", now: at("2026-10-01T00:00:00Z") };
+  const { token, expiresAt } = signToken("alice", { ...opts, hours: 2 });
+  assert.match(token, /^vt1\.[\w-]+\.[\w-]+$/);
+  assert.equal(expiresAt, "2026-10-01T02:00:00.000Z");
+  assert.equal(verifyToken(token, { ...opts, now: at("2026-10-01T01:59:59Z") }).sub, "alice");
+  assert.throws(() => verifyToken(token, { ...opts, now: at("2026-10-01T02:00:00Z") }), (e) => e.statusCode === 401 && /expired/.test(e.message));
+  assert.throws(() => verifyToken(token, { ...opts, secret: "other" }), (e) => e.statusCode === 401);
+  const [p, , sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: "bob", exp: 9999999999 })).toString("base64url");
+  assert.throws(() => verifyToken(`${p}.${forged}.${sig}`, opts), (e) => e.statusCode === 401);
+
+  assert.equal(signToken("alice", { ...opts, hours: 24, notAfter: Date.parse("2026-10-01T03:00:00Z") / 1000 }).expiresAt, "2026-10-01T03:00:00.000Z",
+    "a token minted from a token does not outlive it");
+  assert.throws(() => signToken("alice", { ...opts, hours: 0 }), (e) => e.statusCode === 400);
+  assert.throws(() => signToken("alice", { now: opts.now, secret: "" }), (e) => e.statusCode === 400);
+});
+
+test("requests are limited per key and per minute", () => {
+  resetRateLimits();
+  const t = Date.parse("2026-10-01T00:00:00Z");
+  assert.deepEqual(takeRequest("alice", { limit: 2, now: t }).remaining, 1);
+  takeRequest("alice", { limit: 2, now: t + 1000 });
+  takeRequest("bob", { limit: 2, now: t + 1000 });
+  assert.throws(() => takeRequest("alice", { limit: 2, now: t + 15000 }), (e) => e.statusCode === 429 && e.retryAfter === 45);
+  assert.equal(takeRequest("alice", { limit: 2, now: t + 60000 }).remaining, 1, "a new window");
+});
+
+test("rate-limit windows that ran out are swept, so login attempts do not pile up", () => {
+  resetRateLimits();
+  const t = Date.parse("2026-10-01T00:00:00Z");
+  for (let i = 0; i < 50; i++) takeRequest(`login:user${i}@example.com`, { limit: 10, now: t + i });
+  assert.equal(rateLimitWindows(), 50);
+  takeRequest("alice", { now: t + 61000 });
+  assert.equal(rateLimitWindows(), 1);
+});
+
+test("scrape quotas count per key and UTC day and survive a reload", () => {
+  const bob = authenticate("bob-secret-0123456789", { keys });
+  const day1 = at("2026-10-01T23:00:00Z");
+  checkScrapeQuota(bob, 2, day1);
+  chargeScrapes(bob, 2, day1);
+  closeAllCollections();
+  assert.deepEqual(scrapeUsage(bob, day1), { used: 2, quota: 3, remaining: 1, resetsAt: "2026-10-02T00:00:00.000Z" });
+  assert.throws(() => checkScrapeQuota(bob, 2, day1), (e) => e.statusCode === 429 && e.retryAfter === 3600 && /needs 2, 1 left/.test(e.message));
+  assert.equal(checkScrapeQuota(bob, 3, at("2026-10-02T00:00:00Z")).used, 0, "the next day starts fresh");
+});
+
+test("the scrape quota is reserved before the route runs and refunded when it fails", () => {
+  const principal = { name: "carol", quota: 3, via: "key" };
+  const guard = scrapeQuota((req) => req.cost);
+  const call = (cost) => {
+    const res = new EventEmitter();
+    Object.assign(res, { statusCode: 200, writableFinished: false, set() {}, status(c) { this.statusCode = c; return this; }, json() {} });
+    let ran = false;
+    guard({ principal, cost }, res, () => { ran = true; });
+    const finish = (status) => { res.statusCode = status; res.writableFinished = true; res.emit("close"); };
+    return { ran, status: res.statusCode, finish };
+  };
+  const first = call(2);
+  const second = call(2);
+  assert.equal(first.ran, true);
+  assert.equal(second.ran, false, "the first request's reservation already counts");
+  assert.equal(second.status, 429);
+  first.finish(502);
+  assert.equal(scrapeUsage(principal).used, 0, "a failed scrape is refunded");
+  call(2).finish(200);
+  assert.equal(scrapeUsage(principal).used, 2);
+});
+
+test("CORS allows the configured origins, local dev servers by default, and origin-less requests", () => {
+  const allowed = (origin, value) => { let out; corsOrigin(value)(origin, (_, ok) => { out = ok; }); return out; };
+  assert.equal(allowed("https://app.vidisky.com", "https://app.vidisky.com/, https://staging.vidisky.com"), true);
+  assert.equal(allowed("https://evil.example", "https://app.vidisky.com"), false);
+  assert.equal(allowed("http://localhost:5173", "https://app.vidisky.com"), false);
+  assert.equal(allowed("http://localhost:5173", ""), true);
+  assert.equal(allowed("https://app.vidisky.com", ""), false);
+  assert.equal(allowed(undefined, "https://app.vidisky.com"), true);
+  assert.equal(corsOrigin("*"), true);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { createBrowserPool } from "../lib/browserPool.js";
+
+// Stand-in for a Playwright browser: counts contexts and can "crash"
+function fakeLauncher() {
+  const launched = [];
+  const launch = async () => {
+    const b = new EventEmitter();
+    b.connected = true;
+    b.openContexts = 0;
+    b.closed = false;
+    b.isConnected = () => b.connected;
+    b.newContext = async (opts) => {
+      if (!b.connected) throw new Error("Target closed");
+      b.openContexts++;
+      return { opts, close: async () => { b.openContexts--; } };
+    };
+    b.close = async () => { b.closed = true; b.connected = false; };
+    b.crash = () => { b.connected = false; b.emit("disconnected"); };
+    launched.push(b);
+    return b;
+  };
+  return { launch, launched };
+}
+
+const tick = () => new Promise(r => setImmediate(r));
+
+test("reuses one browser and gives every acquire its own context", async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 2, idleCloseMs: 0 });
+
+  const a = await pool.acquire({ locale: "en-US" });
+  const b = await pool.acquire();
+  assert.equal(launched.length, 1);
+  assert.equal(launched[0].openContexts, 2);
+  assert.notEqual(a.context, b.context);
+  assert.deepEqual(a.context.opts, { locale: "en-US" });
+
+  await a.release();
+  await a.release(); // idempotent
+  await b.release();
+  assert.equal(launched[0].openContexts, 0);
+  assert.equal(pool.stats().active, 0);
+  assert.equal(pool.stats().served, 2);
+  await pool.close();
+  assert.ok(launched[0].closed);
+});
+
+test("queues acquires beyond the cap and hands slots over in order", async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1, idleCloseMs: 0 });
+
+  const first = await pool.acquire();
+  const order = [];
+  const second = pool.acquire().then(s => { order.push("second"); return s; });
+  const third = pool.acquire().then(s => { order.push("third"); return s; });
+  await tick();
+  assert.equal(pool.stats().waiting, 2);
+  assert.deepEqual(order, []);
+
+  await first.release();
+  await (await second).release();
+  await (await third).release();
+  assert.deepEqual(order, ["second", "third"]);
+  assert.equal(pool.stats().waiting, 0);
+  await pool.close();
+});
+
+test("fails a waiter with a 503 once acquireTimeoutMs passes", async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1, idleCloseMs: 0 });
+
+  const held = await pool.acquire();
+  await assert.rejects(pool.acquire({}, { timeoutMs: 20 }), (e) => e.statusCode === 503);
+  assert.equal(pool.stats().timeouts, 1);
+  await held.release();
+  await pool.close();
+});
+
+test("recycles a browser after maxUses once its contexts are closed", async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1, maxUses: 2, idleCloseMs: 0 });
+
+  for (let i = 0; i < 3; i++) await pool.withContext({}, async () => {});
+  assert.equal(launched.length, 2);
+  assert.ok(launched[0].closed, "the worn-out browser was closed");
+  assert.equal(pool.stats().recycled, 1);
+  await pool.close();
+});
+
+test("replaces a crashed browser", async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 2, idleCloseMs: 0 });
+
+  const s = await pool.acquire();
+  launched[0].crash();
+  assert.equal(pool.stats().crashed, 1);
+  assert.equal(pool.stats().browsers.length, 0);
+  await s.release();
+
+  await pool.withContext({}, async () => {});
+  assert.equal(launched.length, 2);
+  await pool.close();
+});
+
+test("releases the slot when the browser cannot be launched", async () => {
+  const pool = createBrowserPool({ launch: async () => { throw new Error("no chromium"); }, maxConcurrency: 1, idleCloseMs: 0 });
+  await assert.rejects(pool.acquire(), /no chromium/);
+  assert.equal(pool.stats().active, 0);
+  await pool.close();
+});
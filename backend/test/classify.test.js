@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifySentence, classifyText, analyzeReviews, splitSentences, sentenceSpans, stem } from "../lib/classify.js";
+
+const cats = (s) => classifySentence(s).categories;
+
+test("matches whole words only", () => {
+  assert.deepEqual(cats("Read the leasing policies carefully."), []);
+  assert.deepEqual(cats("It was cloudy all week."), []);
+  assert.deepEqual(cats("Police were here twice."), ["security"]);
+  assert.deepEqual(cats("So loud after midnight."), ["noise"]);
+});
+
+test("stems both the terms and the text", () => {
+  assert.equal(stem("break-ins".split("-")[1]), stem("in"));
+  assert.equal(stem("loitering"), stem("loiter"));
+  assert.equal(stem("parties"), stem("party"));
+  assert.notEqual(stem("policies"), stem("police"));
+  assert.deepEqual(cats("Three break-ins in one month."), ["security"]);
+  assert.deepEqual(cats("Guys loitered by the gate."), ["security"]);
+});
+
+test("negated mentions are reported but not counted", () => {
+  const notUnsafe = classifySentence("It is not unsafe at all.");
+  assert.deepEqual(notUnsafe.categories, []);
+  assert.equal(notUnsafe.confidence, 0);
+  assert.deepEqual(notUnsafe.matches.map(m => [m.term, m.negated]), [["unsafe", true]]);
+
+  assert.deepEqual(cats("We never had any break-ins here."), []);
+  assert.deepEqual(cats("I haven't seen anyone loitering."), []);
+  // the negation stays in its own clause
+  assert.deepEqual(cats("Not cheap, but the parking lot feels unsafe."), ["safety"]);
+  // terms that are complaints either way
+  assert.deepEqual(cats("No security at night."), ["security"]);
+  assert.deepEqual(cats("Neighbors didn't pick up after their dogs."), ["pet"]);
+});
+
+test("returns per-category confidence and the matched terms with offsets", () => {
+  const s = "Huge pool party every weekend and somebody's car got broken into.";
+  const c = classifySentence(s);
+  assert.deepEqual(c.categories.sort(), ["noise", "security"]);
+  const party = c.matches.find(m => m.category === "noise");
+  assert.equal(party.term, "pool party", "the longer phrase wins over 'party'");
+  assert.equal(s.slice(party.start, party.end), "pool party");
+  assert.equal(c.matches.find(m => m.category === "security").text, "broken into");
+  assert.ok(c.confidence > 0.8 && c.confidence <= 1);
+
+  const weak = classifySentence("The dumpster area is by building C.");
+  const strong = classifySentence("Trash dumping by the dumpster every night.");
+  assert.ok(weak.scores.amenity < strong.scores.amenity, "more evidence, more confidence");
+});
+
+test("classifyText and analyzeReviews keep only sentences with a category", () => {
+  assert.deepEqual(splitSentences("Great gym! Staff is nice.\nPet waste everywhere"), ["Great gym!", "Staff is nice.", "Pet waste everywhere"]);
+  assert.deepEqual(classifyText("Great gym! Pet waste everywhere.").map(f => f.sentence), ["Pet waste everywhere."]);
+
+  const out = analyzeReviews([
+    { id: "a", source: "google", url: "u1", text: "Cars broken into. Loud parties too.", rating: 2 },
+    { id: "b", source: "apartmentratings", url: "u2", text: "Quiet and clean, never felt unsafe." }
+  ]);
+  assert.deepEqual(out.counts, { total: 2, security: 1, safety: 0, pet: 0, noise: 1, amenity: 0 });
+  assert.deepEqual(out.findings.map(f => [f.reviewId, f.source, f.categories[0], f.severity]), [["a", "google", "security", 5], ["a", "google", "noise", 2]]);
+  assert.deepEqual(out.categories.map(c => c.key), ["security", "safety", "pet", "noise", "amenity"]);
+  assert.equal(out.taxonomy.id, "default");
+});
+
+test("sentences survive titles, initials and abbreviations", () => {
+  assert.deepEqual(splitSentences("Dr. Patel from St. Joseph's lives in Apt. 4B. Our car was broken into at 2 a.m. and nobody came."), [
+    "Dr. Patel from St. Joseph's lives in Apt. 4B.",
+    "Our car was broken into at 2 a.m. and nobody came."
+  ]);
+  assert.deepEqual(splitSentences("Unit No. 12 flooded... again. Ask Ms. J. Smith! We live in building C. Nobody called back"), [
+    "Unit No. 12 flooded... again.",
+    "Ask Ms. J. Smith!",
+    "We live in building C.",
+    "Nobody called back"
+  ]);
+  const text = "  Great pool.\n\nCars broken into.  Rent is 3.5% higher.";
+  assert.deepEqual(sentenceSpans(text).map(s => [s.text, text.slice(s.start, s.end)]), [
+    ["Great pool.", "Great pool."], ["Cars broken into.", "Cars broken into."], ["Rent is 3.5% higher.", "Rent is 3.5% higher."]
+  ]);
+});
+
+test("findings keep their review, offsets, neighbours and scrape time", () => {
+  const text = "Nice pool. Dr. Lee's car was broken into on St. Armands. Management shrugged.";
+  const [f] = analyzeReviews([{
+    id: "g:1", source: "google", url: "https://maps/review/1", placeUrl: "https://maps/place", text,
+    firstSeenAt: "2026-09-01T00:00:00.000Z", scrapedAt: "2026-09-03T00:00:00.000Z", lastSeenAt: "2026-10-01T00:00:00.000Z"
+  }]).findings;
+  assert.equal(f.sentence, "Dr. Lee's car was broken into on St. Armands.");
+  assert.equal(text.slice(f.start, f.end), f.sentence);
+  assert.deepEqual(f.context, { before: "Nice pool.", after: "Management shrugged." });
+  assert.deepEqual([f.reviewText, f.url, f.placeUrl], [text, "https://maps/review/1", "https://maps/place"]);
+  assert.deepEqual([f.scrapedAt, f.lastSeenAt], ["2026-09-03T00:00:00.000Z", "2026-10-01T00:00:00.000Z"]);
+
+  const [bare] = analyzeReviews([{ id: "x", source: "google", text: "Broken into twice." }]).findings;
+  assert.deepEqual([bare.context, bare.scrapedAt, bare.placeUrl], [{ before: null, after: null }, null, null]);
+  assert.deepEqual(classifyText("Quiet. Cars broken into.").map(x => [x.start, x.end]), [[7, 24]]);
+});
+
+test("exclusion phrases cancel the terms they overlap", () => {
+  const c = classifySentence("We used a third party for the move.");
+  assert.deepEqual(c.categories, []);
+  assert.deepEqual(c.matches.map(m => [m.term, m.excluded]), [["party", true]]);
+  assert.deepEqual(cats("They kept my security deposit."), []);
+  assert.deepEqual(cats("Third party vendor, and a loud party every night."), ["noise"]);
+});
+
+test("classifies against a custom taxonomy", () => {
+  const lockers = {
+    id: "lockers",
+    name: "Package lockers",
+    categories: [
+      { key: "packages", label: "Packages", severity: 4, terms: ["package", "delivery", "amazon"], exclude: ["package deal"] },
+      { key: "mail", label: "Mail", severity: 1, terms: ["mailbox"], exclude: [] }
+    ]
+  };
+  const out = analyzeReviews([{ id: "r", text: "Packages vanish from the mailbox area. Great package deal on rent." }], lockers);
+  assert.deepEqual(out.counts, { total: 1, packages: 1, mail: 1 });
+  assert.equal(out.findings[0].severity, 4, "the most severe category wins");
+  assert.deepEqual(out.taxonomy, { id: "lockers", name: "Package lockers" });
+});
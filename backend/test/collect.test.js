@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectWhileScrolling } from "../scrapers/collect.js";
+
+// A fake panel that reveals `pageSize` more items per scroll until `total` is reached.
+function fakePanel({ total, pageSize }) {
+  let visible = pageSize, scrolls = 0, expands = 0;
+  const all = Array.from({ length: total }, (_, i) => ({ id: `r${i + 1}` }));
+  return {
+    extract: async () => all.slice(0, visible),
+    scroll: async () => { scrolls++; visible = Math.min(visible + pageSize, total); },
+    expand: async () => { expands++; },
+    get scrolls() { return scrolls; },
+    get expands() { return expands; }
+  };
+}
+
+test("stops once maxReviews unique items are collected", async () => {
+  const panel = fakePanel({ total: 50, pageSize: 4 });
+  const { items, stopReason } = await collectWhileScrolling({ extract: panel.extract, scroll: panel.scroll, maxReviews: 10, pauseMs: 0 });
+  assert.equal(stopReason, "max");
+  assert.deepEqual(items.map(i => i.id), ["r1", "r2", "r3", "r4", "r5", "r6", "r7", "r8", "r9", "r10"]);
+  assert.equal(panel.scrolls, 2);
+});
+
+test("stops after N rounds without new items when the panel runs dry", async () => {
+  const panel = fakePanel({ total: 7, pageSize: 3 });
+  const { items, stopReason } = await collectWhileScrolling({
+    extract: panel.extract, scroll: panel.scroll, expand: panel.expand,
+    maxReviews: 100, stagnationLimit: 3, pauseMs: 0
+  });
+  assert.equal(stopReason, "stagnation");
+  assert.equal(items.length, 7);
+  // 3 productive rounds, then 3 stagnant ones
+  assert.equal(panel.expands, 6);
+});
+
+test("stops at the deadline even while items keep arriving", async () => {
+  const panel = fakePanel({ total: 1000, pageSize: 5 });
+  let clock = 0;
+  const { items, stopReason } = await collectWhileScrolling({
+    extract: panel.extract,
+    scroll: async () => { clock += 10; await panel.scroll(); },
+    maxReviews: 1000, deadline: 30, pauseMs: 0, now: () => clock
+  });
+  assert.equal(stopReason, "deadline");
+  assert.equal(items.length, 15);
+});
+
+test("dedupes by keyOf and keeps first-seen order", async () => {
+  const rounds = [[{ t: "A" }, { t: "b" }], [{ t: "a" }, { t: "B" }, { t: "c" }]];
+  let i = 0;
+  const { items } = await collectWhileScrolling({
+    extract: async () => rounds[Math.min(i, rounds.length - 1)],
+    scroll: async () => { i++; },
+    keyOf: (it) => it.t.toLowerCase(),
+    maxReviews: 3, pauseMs: 0
+  });
+  assert.deepEqual(items.map(x => x.t), ["A", "b", "c"]);
+});
+
+test("stops after knownLimit consecutive already-stored items", async () => {
+  const panel = fakePanel({ total: 40, pageSize: 4 });
+  const known = new Set(["r4", "r5", "r6", "r7", "r8", "r9", "r10"]);
+  const { items, stopReason } = await collectWhileScrolling({
+    extract: panel.extract, scroll: panel.scroll,
+    isKnown: (it) => known.has(it.id), knownLimit: 5,
+    maxReviews: 40, pauseMs: 0
+  });
+  assert.equal(stopReason, "known");
+  assert.deepEqual(items.map(i => i.id), ["r1", "r2", "r3", "r4", "r5", "r6", "r7", "r8"]);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickNeighbors, compareNearby, compareRates } from "../lib/compare.js";
+import { analyzeReviews } from "../lib/classify.js";
+
+const NOW = Date.now();
+const day = (n) => new Date(NOW - n * 86400000).toISOString().slice(0, 10);
+const reviews = (prefix, n, flagged, text) => Array.from({ length: n }, (_, i) => ({
+  id: `${prefix}${i}`, date: day(10 + i), text: i < flagged ? text : "Lovely place, friendly staff."
+}));
+
+// Stand-ins for the Maps search and aggregateReviews
+const NEARBY = [
+  { name: "The Reserve at Bradenton", address: "1 Main St, Bradenton, FL", url: "https://maps.example/place/target", ref: { url: "https://maps.example/place/target" } },
+  { name: "Lakeside Commons", address: "2 Lake Rd, Bradenton, FL", url: "https://maps.example/place/lake", ref: { url: "https://maps.example/place/lake" } },
+  { name: "Palm Court", address: "3 Palm Ave, Bradenton, FL", url: "https://maps.example/place/palm", ref: { url: "https://maps.example/place/palm" } },
+  { name: "Gone Villas", address: "4 Nowhere, Bradenton, FL", url: "https://maps.example/place/gone", ref: { url: "https://maps.example/place/gone" } }
+];
+const CANNED = {
+  "The Reserve at Bradenton": reviews("t", 20, 5, "My car was broken into."),
+  "Lakeside Commons": reviews("l", 30, 1, "My car was broken into."),
+  "Palm Court": reviews("p", 10, 0, "")
+};
+async function fakeAnalyze({ name, sources, refs, onProgress }) {
+  assert.deepEqual(sources, ["google"]);
+  onProgress("google", { phase: "scrolling" });
+  if (name === "Gone Villas") throw new Error("place closed");
+  const list = CANNED[name];
+  if (name !== "The Reserve at Bradenton") assert.ok(refs.google.url);
+  return { reviews: list, sources: { google: { label: "Google", status: "ok", count: list.length, error: null } }, analysis: analyzeReviews(list) };
+}
+
+test("pickNeighbors drops the target by URL or confident name match and caps the list", () => {
+  const byName = pickNeighbors(NEARBY, { name: "The Reserve at Bradenton", location: "Bradenton, FL", limit: 5 });
+  assert.deepEqual(byName.map(c => c.name), ["Lakeside Commons", "Palm Court", "Gone Villas"]);
+  const byUrl = pickNeighbors(NEARBY, { name: "Reserve", location: "Bradenton, FL", ref: { url: "https://maps.example/place/target" }, limit: 1 });
+  assert.deepEqual(byUrl.map(c => c.name), ["Lakeside Commons"]);
+});
+
+test("compares category rates per 100 reviews against the pooled neighborhood", async () => {
+  const progress = [], rows = [];
+  const out = await compareNearby({
+    name: "The Reserve at Bradenton", location: "Bradenton, FL",
+    search: async () => NEARBY, analyze: fakeAnalyze,
+    onProgress: (key, p) => progress.push([key, p.status]), onProperty: (r) => rows.push(r.key)
+  });
+
+  assert.equal(out.target.reviewCount, 20);
+  assert.equal(out.target.rates.security, 25);
+  assert.equal(out.neighbors.length, 3);
+  assert.equal(out.neighbors[2].status, "failed");
+  assert.match(out.neighbors[2].error, /place closed/);
+
+  // 1 flagged of 40 reviews across the two neighbors that answered
+  assert.equal(out.neighborhood.properties, 2);
+  assert.equal(out.neighborhood.reviewCount, 40);
+  assert.equal(out.neighborhood.rates.security, 2.5);
+  assert.deepEqual(out.comparison.security, { target: 25, neighborhood: 2.5, delta: 22.5, ratio: 10, position: "above" });
+  assert.equal(out.comparison.noise.position, "in line");
+
+  assert.equal(rows[0], "target");
+  assert.deepEqual(rows.slice(1).sort(), [0, 1, 2]);
+  assert.ok(progress.some(([k, s]) => k === "search" && s === "ok"));
+});
+
+test("a failed target fails the comparison", async () => {
+  await assert.rejects(
+    compareNearby({ name: "Gone Villas", location: "Bradenton, FL", search: async () => [], analyze: fakeAnalyze }),
+    /place closed/
+  );
+});
+
+test("compareRates treats small gaps as in line", () => {
+  const cats = [{ key: "noise" }, { key: "pet" }];
+  const cmp = compareRates({ rates: { noise: 4, pet: 0 } }, { rates: { noise: 3.5, pet: 3 } }, cats);
+  assert.equal(cmp.noise.position, "in line");
+  assert.equal(cmp.pet.position, "below");
+  assert.equal(cmp.pet.ratio, 0);
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import { closeAllCollections } from "../lib/store.js";
+import { retry } from "../lib/util.js";
+import { detectBlock, listDiagnostics, getDiagnostic, diagnosticFile, deleteDiagnostic } from "../lib/diagnostics.js";
+import { fetchSourceReviews, aggregateReviews } from "../lib/aggregate.js";
+import { fetchDocument } from "../scrapers/html.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/apartmentratings");
+let dir, server, flaky, flakyUrl;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-diag-"));
+  process.env.DATA_DIR = dir;
+  process.env.SCRAPE_RETRY_BASE_MS = "1";
+  closeAllCollections();
+  server = await startFixtureServer(FIXTURES);
+  process.env.APARTMENTRATINGS_BASE_URL = server.url;
+  // answers 500 until told otherwise
+  flaky = { status: 500, hits: 0 };
+  const s = http.createServer((req, res) => {
+    flaky.hits++;
+    res.writeHead(flaky.status, { "Content-Type": "text/html" });
+    res.end(`<html><body><p>status ${flaky.status}</p></body></html>`);
+  });
+  await new Promise(r => s.listen(0, "127.0.0.1", r));
+  flaky.server = s;
+  flakyUrl = `http://127.0.0.1:${s.address().port}/page`;
+});
+after(async () => {
+  closeAllCollections();
+  for (const k of ["DATA_DIR", "SCRAPE_RETRY_BASE_MS", "APARTMENTRATINGS_BASE_URL"]) delete process.env[k];
+  await server.close();
+  await new Promise(r => flaky.server.close(r));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("blocks are recognized by URL, widgets, page text and status – ordinary pages are not", () => {
+  const reason = (page) => detectBlock(page)?.reason ?? null;
+  assert.equal(reason({ url: "https://www.google.com/sorry/index?continue=x" }), "unusual traffic");
+  assert.equal(reason({ url: "https://consent.google.com/ml?continue=x" }), "consent wall");
+  assert.equal(reason({ hasCaptchaWidget: true }), "captcha");
+  assert.equal(reason({ text: "Our systems have detected unusual traffic from your computer network." }), "unusual traffic");
+  assert.equal(reason({ title: "Attention Required! | Cloudflare" }), "bot challenge");
+  assert.equal(reason({ text: "Access Denied\nYou don't have permission to access this server.\nReference #18.7d3b" }), "bot challenge");
+  assert.equal(reason({ status: 429 }), "rate limited");
+  assert.equal(reason({ status: 403 }), "forbidden");
+  assert.equal(reason({ text: "Please solve the CAPTCHA below to continue." }), "captcha");
+  assert.equal(reason({ url: "https://www.google.com/maps/place/x", title: "The Reserve", text: "The gate app makes you do a captcha, annoying." }), null,
+    "a review mentioning CAPTCHAs is not a CAPTCHA page");
+  assert.equal(reason({ url: "https://www.google.com/maps/place/x", title: "The Reserve", text: "Great staff, quiet at night." }), null);
+});
+
+test("retry backs off exponentially, stops on non-retryable errors and at the deadline", async () => {
+  const waits = [];
+  const opts = { retries: 3, baseMs: 100, random: () => 0.5, wait: async (ms) => { waits.push(ms); } };
+  let calls = 0;
+  assert.equal(await retry(async () => { if (++calls < 3) throw new Error("flaky"); return "ok"; }, opts), "ok");
+  assert.deepEqual(waits, [100, 200]);
+
+  const fatal = Object.assign(new Error("blocked"), { retryable: false });
+  await assert.rejects(retry(async () => { throw fatal; }, opts), (e) => e === fatal && e.attempts === 1);
+
+  waits.length = 0;
+  await assert.rejects(retry(async () => { throw new Error("down"); }, { ...opts, deadline: 1000, now: () => 850 }), (e) => e.attempts === 2);
+  assert.deepEqual(waits, [100], "the second wait (200ms) would pass the deadline");
+
+  await assert.rejects(retry(async () => { throw new Error("down"); }, opts), (e) => e.attempts === 4 && e.message === "down");
+});
+
+test("a blocked page is a BlockedError with its HTML kept, a missing page is empty, a 5xx is retried", async () => {
+  await assert.rejects(fetchDocument(`${server.url}/blocked/`, { source: "apartmentratings", step: "fetching property" }), (e) => {
+    assert.equal(e.name, "BlockedError");
+    assert.equal(e.code, "BLOCKED");
+    assert.equal(e.reason, "captcha");
+    const d = getDiagnostic(e.diagnosticId);
+    assert.equal(d.kind, "blocked");
+    assert.equal(d.step, "fetching property");
+    assert.equal(d.url, `${server.url}/blocked/`);
+    assert.match(fs.readFileSync(diagnosticFile(d.id, "html"), "utf8"), /verify you are a human/);
+    assert.equal(diagnosticFile(d.id, "screenshot"), null, "HTML sources have no screenshot");
+    return true;
+  });
+  assert.equal(await fetchDocument(`${server.url}/missing/page/`), null);
+
+  const source = { key: "flaky", capabilities: { defaultTimeoutMs: 10000 }, fetchReviews: () => fetchDocument(flakyUrl, { source: "flaky" }).then(() => []) };
+  const phases = [];
+  await assert.rejects(fetchSourceReviews(source, { url: flakyUrl }, { noCache: true, onProgress: (p) => phases.push(p.phase) }), (e) => {
+    assert.match(e.message, /answered 500/);
+    assert.equal(e.attempts, 3);
+    assert.ok(e.diagnosticId);
+    return true;
+  });
+  assert.equal(flaky.hits, 3);
+  assert.deepEqual(phases.map(p => p.replace(/\d+s/, "Ns")), ["retrying in Ns (attempt 2 of 3)", "retrying in Ns (attempt 3 of 3)"]);
+
+  flaky.status = 200;
+  assert.deepEqual(await fetchSourceReviews(source, { url: flakyUrl }, { noCache: true }), []);
+});
+
+test("an attempt that runs past its time is aborted through its signal, not left running", async () => {
+  let signal;
+  const hung = {
+    key: "hung", label: "Hung", capabilities: { defaultTimeoutMs: 100 },
+    fetchReviews: (ref, opts) => new Promise((resolve, reject) => {
+      signal = opts.signal;
+      signal.addEventListener("abort", () => reject(signal.reason));
+    })
+  };
+  await assert.rejects(fetchSourceReviews(hung, { url: flakyUrl }, { noCache: true }), (e) => {
+    assert.match(e.message, /Hung timed out/);
+    assert.equal(e.attempts, 1, "no time left for a retry");
+    return true;
+  });
+  assert.equal(signal.aborted, true);
+});
+
+test("/reviews reports a blocked source as blocked, not as zero reviews, and keeps the evidence", async () => {
+  const out = await aggregateReviews({
+    name: "The Reserve", location: "Bradenton, FL", sources: ["apartmentratings"],
+    refs: { apartmentratings: { url: `${server.url}/blocked/` } }, noCache: true
+  });
+  const st = out.sources.apartmentratings;
+  assert.equal(st.status, "blocked");
+  assert.equal(st.reason, "captcha");
+  assert.equal(st.attempts, 1, "blocks are not retried");
+  assert.deepEqual(out.reviews, []);
+
+  const [latest] = listDiagnostics({ source: "apartmentratings", kind: "blocked" });
+  assert.equal(latest.id, st.diagnosticId);
+  assert.equal(deleteDiagnostic(latest.id), true);
+  assert.equal(diagnosticFile(latest.id, "html"), null);
+  assert.equal(fs.readdirSync(path.join(dir, "diagnostics")).some(f => f.startsWith(latest.id)), false, "files are removed too");
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { exportData, renderExport, exportFilename } from "../lib/exports.js";
+import { toXlsx } from "../lib/xlsx.js";
+import { parseCsv } from "../lib/csv.js";
+import { analyzeReviews } from "../lib/classify.js";
+import { DEFAULT_TAXONOMY } from "../lib/taxonomies.js";
+
+const reviews = [
+  { id: "a", source: "google", date: "2026-05-02", dateLabel: "5 months ago", rating: 2, author: "Ann", url: "https://maps.example/a",
+    text: "My car was broken into, \"again\". The gym is fine.", ownerReply: "Sorry to hear that." },
+  { id: "b", source: "apartmentratings", date: "2026-03-10", rating: 1, author: "Bo", url: "https://ar.example/b",
+    text: "Never had a break-in here. Dog poop everywhere though." },
+  { id: "c", source: "google", date: "2026-01-01", rating: 5, author: "Cy", text: "Lovely staff." }
+];
+const data = () => exportData({
+  property: { name: "The Reserve", location: "Bradenton, FL" },
+  analysis: analyzeReviews(reviews),
+  reviews,
+  sources: { google: { label: "Google" }, apartmentratings: { label: "ApartmentRatings" } },
+  taxonomy: DEFAULT_TAXONOMY
+});
+
+// Minimal unzip for the test: name → text, read through the central directory
+function unzip(buf) {
+  const files = {};
+  let p = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(p + 10);
+  p = buf.readUInt32LE(p + 16);
+  for (let i = 0; i < count; i++) {
+    const size = buf.readUInt32LE(p + 20), nameLen = buf.readUInt16LE(p + 28), extra = buf.readUInt16LE(p + 30), comment = buf.readUInt16LE(p + 32);
+    const offset = buf.readUInt32LE(p + 42);
+    const name = buf.subarray(p + 46, p + 46 + nameLen).toString();
+    const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    files[name] = zlib.inflateRawSync(buf.subarray(start, start + size)).toString();
+    p += 46 + nameLen + extra + comment;
+  }
+  return files;
+}
+
+test("every review and every finding, with source, URL, date, rating, categories and counted terms", () => {
+  const d = data();
+  assert.equal(d.reviews.length, 3);
+  const a = d.reviews.find(r => r.id === "a");
+  assert.deepEqual([a.source, a.url, a.date, a.rating, a.categories, a.terms, a.flaggedSentences],
+    ["Google", "https://maps.example/a", "2026-05-02", 2, ["Security"], ["broken into"], 1]);
+  const b = d.reviews.find(r => r.id === "b");
+  assert.deepEqual(b.categories, ["Pet issues"], "the negated break-in is not counted");
+  assert.deepEqual(d.reviews.find(r => r.id === "c").categories, []);
+
+  assert.equal(d.findings.length, 2);
+  assert.deepEqual(d.findings.map(f => [f.rank, f.reviewId, f.source]), [[1, "a", "Google"], [2, "b", "ApartmentRatings"]]);
+  assert.equal(d.findings[1].sentence, "Dog poop everywhere though.");
+  assert.deepEqual([d.findings[1].contextBefore, d.findings[1].contextAfter, d.findings[1].start], ["Never had a break-in here.", "", 27]);
+});
+
+test("CSV per dataset, JSON with both, and readable names", () => {
+  const csv = renderExport(data(), "reviews", "csv");
+  assert.equal(csv.contentType, "text/csv; charset=utf-8");
+  const rows = parseCsv(csv.body);
+  assert.deepEqual(rows[0].slice(0, 3), ["Review ID", "Source", "URL"]);
+  assert.equal(rows.length, 4);
+  assert.equal(rows[1][7], 'My car was broken into, "again". The gym is fine.');
+  const [head, top] = parseCsv(renderExport(data(), "findings", "csv").body);
+  assert.equal(top[head.indexOf("Matched terms")], "broken into");
+  assert.throws(() => renderExport(data(), "all", "csv"), (e) => e.statusCode === 400);
+  assert.throws(() => renderExport(data(), "reviews", "pdf"), (e) => e.statusCode === 400);
+
+  const json = JSON.parse(renderExport(data(), "all", "json").body);
+  assert.equal(json.property.name, "The Reserve");
+  assert.equal(json.taxonomy.id, "default");
+  assert.equal(json.reviews.length, 3);
+  assert.deepEqual(json.findings[0].terms, ["broken into"]);
+  assert.ok(!("reviews" in JSON.parse(renderExport(data(), "findings", "json").body)));
+
+  assert.equal(exportFilename({ name: "The Reserve", location: "Bradenton, FL" }, "all", "xlsx"), "The-Reserve-Bradenton-FL-reviews-and-findings.xlsx");
+});
+
+test("the XLSX is a valid zip with one sheet per dataset, typed cells and escaped text", () => {
+  const out = renderExport(data(), "all", "xlsx");
+  assert.equal(out.body.subarray(0, 2).toString(), "PK");
+  const files = unzip(out.body);
+  assert.deepEqual(Object.keys(files).sort(), [
+    "[Content_Types].xml", "_rels/.rels", "xl/_rels/workbook.xml.rels", "xl/styles.xml",
+    "xl/workbook.xml", "xl/worksheets/sheet1.xml", "xl/worksheets/sheet2.xml"
+  ]);
+  assert.match(files["xl/workbook.xml"], /<sheet name="Reviews" sheetId="1"[^>]*\/><sheet name="Findings" sheetId="2"/);
+  const sheet = files["xl/worksheets/sheet1.xml"];
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t>Review ID<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="F2"><v>2<\/v><\/c>/, "ratings are numbers");
+  assert.ok(sheet.includes("My car was broken into, &quot;again&quot;. The gym is fine."));
+  assert.match(sheet, /<autoFilter ref="A1:N4"\/>/);
+});
+
+test("sheet names are cleaned up and unique; control characters are dropped", () => {
+  const files = unzip(toXlsx([
+    { name: "Q1/Q2: reviews", rows: [{ a: "bell\x07" }], columns: ["a"] },
+    { name: "q1 q2  reviews", rows: [], columns: ["a"] }
+  ]));
+  assert.match(files["xl/workbook.xml"], /name="Q1 Q2  reviews"[\s\S]*name="q1 q2  reviews 2"/);
+  assert.match(files["xl/worksheets/sheet1.xml"], /<t>bell<\/t>/);
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import google from "../scrapers/googleScraper.js";
+import { browserPool } from "../lib/browserPool.js";
+import { closeAllCollections } from "../lib/store.js";
+import { selfcheckSource } from "../lib/selectors.js";
+
+// These drive a real headless Chromium against the saved Maps fixtures. They are skipped
+// when no browser is installed (`npx playwright install chromium`, or set
+// CHROMIUM_EXECUTABLE_PATH to an existing build).
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/google");
+const browserAvailable = await chromium.launch({ executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined })
+  .then(b => b.close().then(() => true))
+  .catch(() => false);
+const opts = { skip: browserAvailable ? false : "Chromium is not installed", timeout: 90000 };
+
+let server, dir;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-google-")); // failure diagnostics land here
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+  server = await startFixtureServer(FIXTURES);
+  process.env.GOOGLE_MAPS_BASE_URL = `${server.url}/maps`;
+});
+after(async () => {
+  delete process.env.GOOGLE_MAPS_BASE_URL;
+  delete process.env.DATA_DIR;
+  closeAllCollections();
+  await browserPool().close();
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("search lists the left-panel results with rating counts and addresses", opts, async () => {
+  const hits = await google.search("The Reserve", "Bradenton, FL");
+  assert.equal(hits.length, 2);
+  assert.deepEqual(hits[0], {
+    name: "The Reserve at Lakewood",
+    placeId: null,
+    address: "4700 Lakewood Ranch Blvd",
+    rating: 3.6,
+    reviewCount: 212,
+    url: `${server.url}/maps/place/the-reserve`,
+    ref: { url: `${server.url}/maps/place/the-reserve` }
+  });
+  assert.equal(hits[1].reviewCount, 1043);
+  assert.equal(hits[1].placeId, "ChIJHQtKLJsTw4gRQj6cCh9eK30");
+});
+
+test("by name: opens the first result, expands “More” and reads every field", opts, async () => {
+  const reviews = await google.fetchReviews({ name: "The Reserve", location: "Bradenton, FL" }, { maxReviews: 4, timeoutMs: 60000 });
+  assert.equal(reviews.length, 4);
+
+  const [first] = reviews;
+  assert.equal(first.id, "google:ChZDSUhNMG9nS0VJQ0FnSUQxLWFqRkRnEAE");
+  assert.equal(first.author, "Marisol Torres");
+  assert.equal(first.rating, 1);
+  assert.equal(first.dateLabel, "2 weeks ago");
+  assert.match(first.date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.match(first.text, /nobody from security ever shows up after 6pm\.$/, "snippet was expanded to the full text");
+  assert.match(first.ownerReply, /gate contractor/);
+  assert.equal(first.url, "https://maps.app.goo.gl/reserveFixture", "place share link when a card has no own link");
+  assert.equal(reviews[3].dateLabel, "Edited 5 months ago");
+});
+
+test("by place URL: scrolls until the panel stops loading", opts, async () => {
+  const reviews = await google.fetchReviews({ url: `${server.url}/maps/place/the-reserve` }, { maxReviews: 200, timeoutMs: 60000 });
+  assert.equal(reviews.length, 12, "all lazily-loaded cards, then the stagnation stop");
+  assert.equal(new Set(reviews.map(r => r.id)).size, 12);
+});
+
+test("incremental: a Newest-sorted scrape stops once it reaches stored reviews", opts, async () => {
+  const all = await google.fetchReviews({ url: `${server.url}/maps/place/the-reserve` }, { maxReviews: 200, timeoutMs: 60000 });
+  const knownIds = new Set(all.slice(1).map(r => r.id));
+  const fresh = await google.fetchReviews({ url: `${server.url}/maps/place/the-reserve` }, { maxReviews: 200, timeoutMs: 60000, knownIds });
+  assert.ok(fresh.length < all.length, `stopped early (${fresh.length} of ${all.length})`);
+  assert.equal(fresh[0].id, all[0].id);
+});
+
+test("a place page that never shows up is an error, not an empty list", opts, async () => {
+  await assert.rejects(
+    google.fetchReviews({ url: `${server.url}/nothing-here` }, { maxReviews: 5, timeoutMs: 30000 }),
+    /Could not open a place page/
+  );
+});
+
+test("selfcheck walks search, place and reviews and finds every required selector", opts, async () => {
+  const report = await selfcheckSource(google);
+  assert.equal(report.ok, true, JSON.stringify(report.missing || report.error));
+  assert.equal(report.pages.search.steps.result.used, "a.hfpxzc");
+  assert.equal(report.pages.search.steps.result.status, "fallback", "Maps' own result link comes second in the chain");
+  assert.equal(report.pages.place.url, `${server.url}/maps/place/the-reserve`);
+  assert.equal(report.pages.reviews.steps.card.status, "ok");
+  assert.equal(report.pages.reviews.steps.sortNewest.status, "ok", "checked with the sort menu open");
+});
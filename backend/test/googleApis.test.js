@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+import { startMockGoogleApis, PLACE_ID } from "./helpers/mockGoogleApis.js";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import google, { providerOrder } from "../scrapers/googleScraper.js";
+import places from "../scrapers/googlePlaces.js";
+import outscraper from "../scrapers/outscraper.js";
+import { browserPool } from "../lib/browserPool.js";
+
+// The fallback test drives headless Chromium against the saved Maps fixtures, like google.test.js
+const browserAvailable = await chromium.launch({ executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined })
+  .then(b => b.close().then(() => true))
+  .catch(() => false);
+
+const ENV = ["GOOGLE_PLACES_API_KEY", "GOOGLE_PLACES_API_BASE_URL", "OUTSCRAPER_API_KEY", "OUTSCRAPER_API_BASE_URL", "GOOGLE_MAPS_BASE_URL"];
+
+let api, maps;
+before(async () => {
+  api = await startMockGoogleApis();
+  maps = await startFixtureServer(path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/google"));
+  Object.assign(process.env, {
+    GOOGLE_PLACES_API_KEY: "places-test-key",
+    GOOGLE_PLACES_API_BASE_URL: api.url,
+    OUTSCRAPER_API_KEY: "outscraper-test-key",
+    OUTSCRAPER_API_BASE_URL: api.url,
+    GOOGLE_MAPS_BASE_URL: `${maps.url}/maps`
+  });
+});
+after(async () => {
+  for (const k of ENV) delete process.env[k];
+  await browserPool().close();
+  await Promise.all([api.close(), maps.close()]);
+});
+
+test("Places API: finds the place by name and normalizes its reviews", async () => {
+  api.reset();
+  const reviews = await places.fetchReviews({ name: "The Reserve", location: "Bradenton, FL" });
+  assert.deepEqual(reviews, [{
+    id: "google:AbC123",
+    author: "Pat L.",
+    rating: 2,
+    date: "2026-08-03",
+    dateLabel: "2 months ago",
+    text: "Someone broke into my car in the garage.",
+    ownerReply: null,
+    url: "https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1sAbC123",
+    placeUrl: "https://maps.google.com/?cid=4411"
+  }], "the rating-only review is skipped");
+
+  const [search, details] = api.hits;
+  assert.equal(search.body.textQuery, "The Reserve Bradenton, FL");
+  assert.equal(search.headers["x-goog-fieldmask"], "places.id");
+  assert.equal(details.path, `/v1/places/${PLACE_ID}?languageCode=en`);
+  assert.equal(details.headers["x-goog-api-key"], "places-test-key");
+  assert.match(details.headers["x-goog-fieldmask"], /reviews/);
+
+  api.reset();
+  await places.fetchReviews({ url: "https://maps/x", placeId: PLACE_ID });
+  assert.equal(api.hits.length, 1, "a known place ID skips the search");
+  await assert.rejects(places.fetchReviews({ url: "https://maps.app.goo.gl/abc" }), /needs a place ID/);
+});
+
+test("Outscraper: looks the place up by ID or URL and keeps owner replies", async () => {
+  api.reset();
+  const reviews = await outscraper.fetchReviews({ url: "https://maps/x", placeId: PLACE_ID }, { maxReviews: 3 });
+  assert.deepEqual(reviews.map(r => [r.id, r.date, r.rating]), [
+    ["google:ChdDSUhNMG9nS0VJQ0FnSUNu", "2026-09-09", 1],
+    ["google:ChZDSUhNMG9nS0VJQ0FnSUR", "2026-02-02", 5]
+  ]);
+  assert.equal(reviews[0].ownerReply, "We're sorry – please call the office.");
+  assert.equal(reviews[0].dateLabel, "09/09/2026 00:00:00");
+  assert.equal(reviews[1].url, "https://maps.google.com/?cid=4411", "no review link → the place");
+  assert.equal(reviews[1].ownerReply, null);
+
+  const q = new URL(api.hits[0].path, api.url).searchParams;
+  assert.deepEqual([q.get("query"), q.get("reviewsLimit"), q.get("sort")], [PLACE_ID, "3", "newest"]);
+  assert.equal(api.hits[0].headers["x-api-key"], "outscraper-test-key");
+
+  await assert.rejects(outscraper.fetchReviews({ name: "Nowhere", location: "ZZ" }), /found no place/);
+  await assert.rejects(outscraper.fetchReviews({ name: "The Reserve" }, { env: { ...process.env, OUTSCRAPER_API_KEY: "wrong" } }), /answered 401/);
+});
+
+test("the provider order follows the request, then the default, and always ends in the browser", () => {
+  const both = { GOOGLE_PLACES_API_KEY: "k", OUTSCRAPER_API_KEY: "k" };
+  assert.deepEqual(providerOrder(undefined, both), ["outscraper", "places", "browser"]);
+  assert.deepEqual(providerOrder("places", both), ["places", "browser"]);
+  assert.deepEqual(providerOrder("browser", both), ["browser"]);
+  assert.deepEqual(providerOrder(undefined, { ...both, GOOGLE_REVIEWS_PROVIDER: "places" }), ["places", "browser"]);
+  assert.deepEqual(providerOrder("places", {}), ["browser"], "not configured → straight to the browser");
+});
+
+test("google.fetchReviews uses the requested API and reports it", async () => {
+  api.reset();
+  const seen = [];
+  const reviews = await google.fetchReviews({ url: `https://www.google.com/maps/place/X/data=!19s${PLACE_ID}` }, {
+    provider: "places", onProgress: (p) => seen.push(p.via)
+  });
+  assert.deepEqual(reviews.map(r => r.id), ["google:AbC123"]);
+  assert.deepEqual(seen, ["places"]);
+  assert.equal(api.hits.length, 1, "the place ID came from the Maps URL");
+});
+
+test("a failing API falls back to the browser scrape",
+  { skip: browserAvailable ? false : "Chromium is not installed", timeout: 90000 }, async () => {
+    api.reset();
+    api.failWith(503);
+    const seen = [];
+    const reviews = await google.fetchReviews({ url: `${maps.url}/maps/place/the-reserve` }, {
+      provider: "outscraper", maxReviews: 4, timeoutMs: 60000, onProgress: (p) => seen.push(p.via)
+    });
+    assert.equal(reviews.length, 4);
+    assert.equal(seen[0], "outscraper");
+    assert.equal(seen.at(-1), "browser");
+    assert.equal(api.hits.length, 1);
+  });
@@ -0,0 +1,58 @@
+// test/helpers/fixtureServer.js – static server for saved HTML fixtures (no network needed)
+//
+// A request path maps to `<root><path>.html`; when that file doesn't exist the parent
+// paths are tried, so `/maps/search/The%20Reserve` falls back to `maps/search.html` and
+// `/search/?q=anything` to `search.html`. `route(path, file)` pins a path to a specific
+// fixture for one test.
+//
+// Standalone: node test/helpers/fixtureServer.js test/fixtures/google 4010
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export async function startFixtureServer(root, { port = 0 } = {}) {
+  root = path.resolve(root);
+  const overrides = new Map();
+  const hits = [];
+
+  const resolveFile = async (pathname) => {
+    if (overrides.has(pathname)) return path.join(root, overrides.get(pathname));
+    const parts = decodeURIComponent(pathname).split("/").filter(Boolean);
+    for (let n = parts.length; n >= 0; n--) {
+      const rel = n ? parts.slice(0, n).join("/") : "index";
+      const file = path.join(root, `${rel}.html`);
+      if (!file.startsWith(root)) return null;
+      if (await fs.stat(file).then(s => s.isFile()).catch(() => false)) return file;
+    }
+    return null;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://fixture.local");
+    hits.push(req.url);
+    const file = await resolveFile(pathname);
+    if (!file) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      return res.end("no fixture");
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(await fs.readFile(file));
+  });
+
+  await new Promise(r => server.listen(port, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    hits,
+    route: (p, file) => overrides.set(p, file),
+    reset: () => { overrides.clear(); hits.length = 0; },
+    close: () => new Promise(r => server.close(r))
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [root = "test/fixtures", port = "4010"] = process.argv.slice(2);
+  const s = await startFixtureServer(path.resolve(root), { port: parseInt(port, 10) });
+  console.log(`Serving ${root} at ${s.url}`);
+}
@@ -0,0 +1,92 @@
+// test/helpers/mockAlertServer.js – local stand-ins for an alert webhook and an SMTP relay
+//
+// The webhook accepts any POST and keeps the JSON body; `failWith(status)` makes it answer
+// with an error instead. The SMTP side speaks enough of the protocol for lib/smtp.js
+// (EHLO, AUTH PLAIN, MAIL, RCPT, DATA, QUIT – no STARTTLS) and keeps each message.
+//
+// Standalone: node test/helpers/mockAlertServer.js 4020 2525
+//   then ALERT_WEBHOOK_URL=http://127.0.0.1:4020/hook SMTP_HOST=127.0.0.1 SMTP_PORT=2525
+import http from "node:http";
+import net from "node:net";
+import { fileURLToPath } from "node:url";
+
+export async function startMockAlertServer({ httpPort = 0, smtpPort = 0, onEvent = () => {} } = {}) {
+  const webhooks = [], mails = [];
+  let failStatus = 0;
+
+  const web = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      if (failStatus) {
+        res.writeHead(failStatus);
+        return res.end();
+      }
+      let json = null;
+      try { json = JSON.parse(body); } catch {}
+      const hit = { path: req.url, headers: req.headers, body: json ?? body };
+      webhooks.push(hit);
+      onEvent("webhook", hit);
+      res.writeHead(204);
+      res.end();
+    });
+  });
+
+  const smtp = net.createServer((socket) => {
+    const mail = { from: null, to: [], auth: null, data: "" };
+    let buf = "", inData = false;
+    const say = (line) => socket.write(`${line}\r\n`);
+    say("220 mock.smtp ESMTP ready");
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      let i;
+      while ((i = buf.indexOf("\r\n")) !== -1) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            const m = { ...mail, to: [...mail.to], data: mail.data.replace(/^\.\./gm, ".") };
+            mails.push(m);
+            onEvent("mail", m);
+            say("250 2.0.0 queued");
+          } else mail.data += `${line}\r\n`;
+          continue;
+        }
+        const [verb] = line.split(" ");
+        switch (verb.toUpperCase()) {
+          case "EHLO": say("250-mock.smtp"); say("250-AUTH PLAIN"); say("250 8BITMIME"); break;
+          case "AUTH": mail.auth = Buffer.from(line.split(" ")[2] || "", "base64").toString("utf8").split("\0").slice(1); say("235 2.7.0 ok"); break;
+          case "MAIL": mail.from = line.match(/<(.*)>/)?.[1] ?? null; say("250 ok"); break;
+          case "RCPT": mail.to.push(line.match(/<(.*)>/)?.[1]); say("250 ok"); break;
+          case "DATA": inData = true; say("354 go ahead"); break;
+          case "QUIT": say("221 bye"); socket.end(); break;
+          default: say("502 not implemented");
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  await new Promise(r => web.listen(httpPort, "127.0.0.1", r));
+  await new Promise(r => smtp.listen(smtpPort, "127.0.0.1", r));
+  return {
+    webhookUrl: `http://127.0.0.1:${web.address().port}/hook`,
+    smtp: { host: "127.0.0.1", port: smtp.address().port, secure: false, user: null, pass: null, from: "alerts@test.local" },
+    webhooks,
+    mails,
+    failWith: (status) => { failStatus = status; },
+    reset: () => { webhooks.length = 0; mails.length = 0; failStatus = 0; },
+    close: () => Promise.all([new Promise(r => web.close(r)), new Promise(r => smtp.close(r))])
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [httpPort = "4020", smtpPort = "2525"] = process.argv.slice(2);
+  const s = await startMockAlertServer({
+    httpPort: parseInt(httpPort, 10),
+    smtpPort: parseInt(smtpPort, 10),
+    onEvent: (type, data) => console.log(`--- ${type}\n${type === "mail" ? data.data : JSON.stringify(data.body, null, 2)}`)
+  });
+  console.log(`Webhook at ${s.webhookUrl}, SMTP at ${s.smtp.host}:${s.smtp.port}`);
+}
@@ -0,0 +1,132 @@
+// test/helpers/mockGoogleApis.js – local stand-ins for the Places API (New) and Outscraper
+//
+// Serves one place, "The Reserve at Lakewood" (place ID ChIJReserve0001), on both APIs:
+//   POST /v1/places:searchText   GET /v1/places/:id   (X-Goog-Api-Key must be `placesKey`)
+//   GET  /maps/reviews-v3?query=                     (X-API-KEY must be `outscraperKey`)
+// Unknown places are a 404, wrong keys a 403, and `failWith(status)` makes every route answer
+// with that status instead. `hits` keeps { method, path, headers, body } per request.
+//
+// Standalone: node test/helpers/mockGoogleApis.js 4030
+//   then GOOGLE_PLACES_API_BASE_URL=http://127.0.0.1:4030 GOOGLE_PLACES_API_KEY=places-test-key
+//        OUTSCRAPER_API_BASE_URL=http://127.0.0.1:4030 OUTSCRAPER_API_KEY=outscraper-test-key
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+export const PLACE_ID = "ChIJReserve0001";
+const MAPS_URL = "https://maps.google.com/?cid=4411";
+
+const PLACE = {
+  id: PLACE_ID,
+  displayName: { text: "The Reserve at Lakewood", languageCode: "en" },
+  googleMapsUri: MAPS_URL,
+  reviews: [
+    {
+      name: `places/${PLACE_ID}/reviews/AbC123`,
+      relativePublishTimeDescription: "2 months ago",
+      rating: 2,
+      text: { text: "Someone broke into my car in the garage.", languageCode: "en" },
+      originalText: { text: "Someone broke into my car in the garage.", languageCode: "en" },
+      authorAttribution: { displayName: "Pat L.", uri: "https://www.google.com/maps/contrib/1" },
+      publishTime: "2026-08-03T14:22:10.123Z",
+      googleMapsUri: "https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1sAbC123"
+    },
+    {
+      name: `places/${PLACE_ID}/reviews/DeF456`,
+      relativePublishTimeDescription: "a year ago",
+      rating: 5,
+      authorAttribution: { displayName: "Rating only" },
+      publishTime: "2025-09-01T00:00:00Z"
+    }
+  ]
+};
+
+const OUTSCRAPER_PLACE = {
+  name: "The Reserve at Lakewood",
+  place_id: PLACE_ID,
+  google_id: "0x88c3139b:0x7d2b5e1f",
+  location_link: MAPS_URL,
+  reviews_link: "https://search.google.com/local/reviews?placeid=ChIJReserve0001",
+  reviews_data: [
+    {
+      review_id: "ChdDSUhNMG9nS0VJQ0FnSUNu",
+      author_title: "Jordan K",
+      review_text: "Dogs off leash everywhere. Management never answers.",
+      review_rating: 1,
+      review_timestamp: 1788912000, // 2026-09-09
+      review_datetime_utc: "09/09/2026 00:00:00",
+      review_link: "https://www.google.com/maps/reviews/data=!4m8!14m7!1m6!2m5!1sChdDSUhNMG9nS0VJQ0FnSUNu",
+      owner_answer: "We're sorry – please call the office."
+    },
+    {
+      review_id: "ChZDSUhNMG9nS0VJQ0FnSUQ",
+      author_title: "Sam",
+      review_text: "",
+      review_rating: 4,
+      review_timestamp: 1780000000
+    },
+    {
+      review_id: "ChZDSUhNMG9nS0VJQ0FnSUR",
+      author_title: "Lee",
+      review_text: "Quiet, friendly staff.",
+      review_rating: 5,
+      review_timestamp: 1770000000,
+      review_datetime_utc: "02/02/2026 02:40:00",
+      owner_answer: null
+    }
+  ]
+};
+
+const isReserve = (q) => [PLACE_ID, MAPS_URL, OUTSCRAPER_PLACE.google_id].includes(q) || /reserve/i.test(q || "");
+
+export async function startMockGoogleApis({ port = 0, placesKey = "places-test-key", outscraperKey = "outscraper-test-key" } = {}) {
+  const hits = [];
+  let failStatus = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://mock.local");
+      let json = null;
+      try { json = JSON.parse(body); } catch {}
+      hits.push({ method: req.method, path: req.url, headers: req.headers, body: json });
+      const send = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+      const places = url.pathname.startsWith("/v1/places");
+      if (failStatus) return send(failStatus, places ? { error: { code: failStatus, message: "mock failure" } } : { errorMessage: "mock failure" });
+
+      if (places) {
+        if (req.headers["x-goog-api-key"] !== placesKey) return send(403, { error: { code: 403, message: "API key not valid" } });
+        if (req.method === "POST" && url.pathname === "/v1/places:searchText") {
+          return send(200, isReserve(json?.textQuery) ? { places: [{ id: PLACE_ID }] } : {});
+        }
+        const id = decodeURIComponent(url.pathname.slice("/v1/places/".length));
+        return id === PLACE_ID ? send(200, PLACE) : send(404, { error: { code: 404, message: "Place not found" } });
+      }
+      if (url.pathname === "/maps/reviews-v3") {
+        if (req.headers["x-api-key"] !== outscraperKey) return send(401, { errorMessage: "Invalid API key" });
+        const limit = parseInt(url.searchParams.get("reviewsLimit") || "10", 10);
+        const place = { ...OUTSCRAPER_PLACE, reviews_data: OUTSCRAPER_PLACE.reviews_data.slice(0, limit) };
+        return send(200, { id: "mock-request", status: "Success", data: isReserve(url.searchParams.get("query")) ? [place] : [] });
+      }
+      send(404, { error: "no such route" });
+    });
+  });
+
+  await new Promise(r => server.listen(port, "127.0.0.1", r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    hits,
+    failWith: (status) => { failStatus = status; },
+    reset: () => { failStatus = 0; hits.length = 0; },
+    close: () => new Promise(r => server.close(r))
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [port = "4030"] = process.argv.slice(2);
+  const s = await startMockGoogleApis({ port: parseInt(port, 10) });
+  console.log(`Mock Places API and Outscraper at ${s.url}`);
+}
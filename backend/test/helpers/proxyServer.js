@@ -0,0 +1,50 @@
+// test/helpers/proxyServer.js – runs server.js in a child process for route-level tests
+//
+// `env` is added to the test's own environment (DATA_DIR, API_KEYS, …); the monitor is off.
+// Resolves once the server is listening: { url, close }.
+import { spawn } from "node:child_process";
+import net from "node:net";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "server.js");
+
+const freePort = () => new Promise((resolve, reject) => {
+  const s = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = s.address();
+    s.close(() => resolve(port));
+  }).on("error", reject);
+});
+
+export async function startProxy(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, MONITOR_DISABLED: "1", ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.js did not start:\n${output}`)), 15000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Proxy server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with ${code}:\n${output}`));
+    });
+  });
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => {
+      child.removeAllListeners("exit");
+      child.once("exit", resolve);
+      child.kill("SIGTERM");
+    })
+  };
+}
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import { mergeReviews } from "../lib/reviewStore.js";
+import { DEFAULT_TAXONOMY } from "../lib/taxonomies.js";
+import { recordSearch, listHistory, openHistory, saveHistory, deleteHistory } from "../lib/history.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-history-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const dana = { id: "dana-ruiz", name: "Dana Ruiz" };
+const lee = { id: "lee", name: "Lee" };
+const rec = (id, text) => ({ id, author: null, rating: 2, date: "2026-09-01", dateLabel: null, text, ownerReply: null, url: "u" });
+
+// what aggregateReviews() returns for a search, after it stored the reviews
+function search(name, location, reviews, { ranBy, now, refs = {} }) {
+  const query = { name, location, sources: ["google"], refs };
+  mergeReviews("google", refs.google || { name, location }, reviews, { now });
+  const result = {
+    reviews: reviews.map(r => ({ ...r, source: "google" })),
+    sources: { google: { label: "Google", status: "ok", count: reviews.length, error: null, extra: "dropped" } },
+    analysis: { risk: { score: 42, level: "medium", factors: [] }, counts: { pests: 1 } }
+  };
+  return recordSearch({ query, taxonomy: DEFAULT_TAXONOMY, result, ranBy, now });
+}
+
+test("a search is recorded with who ran it, when, and pointers to its reviews", () => {
+  const h = search("The Reserve", "Bradenton, FL", [rec("g:1", "Roaches everywhere."), rec("g:2", "Lovely staff.")], { ranBy: dana, now: new Date("2026-10-01T09:00:00Z") });
+  assert.equal(h.ranAt, "2026-10-01T09:00:00.000Z");
+  assert.deepEqual(h.ranBy, dana);
+  assert.deepEqual(h.property, { name: "The Reserve", location: "Bradenton, FL" });
+  assert.deepEqual(h.status.google, { label: "Google", status: "ok", count: 2, error: null, via: null, reason: null, diagnosticId: null });
+  assert.deepEqual(h.risk, { score: 42, level: "medium" });
+  assert.equal(h.reviewCount, 2);
+  assert.deepEqual(Object.values(h.reviews), [["g:1", "g:2"]]);
+});
+
+test("the team's history lists newest first, filtered by who ran it, saved and text", () => {
+  closeAllCollections(); // survives a reload
+  const h2 = search("Palm Court", "Tampa, FL", [rec("g:9", "Mold in the bathroom.")], { ranBy: lee, now: new Date("2026-10-02T09:00:00Z") });
+  assert.deepEqual(listHistory({ actorId: dana.id }).map(h => h.property.name), ["Palm Court", "The Reserve"]);
+  assert.deepEqual(listHistory({ actorId: dana.id, mine: true }).map(h => h.property.name), ["The Reserve"]);
+  assert.deepEqual(listHistory({ q: "tampa" }).map(h => h.id), [h2.id]);
+  assert.equal("reviews" in listHistory()[0], false, "summaries only");
+
+  assert.equal(saveHistory(h2.id, dana.id, true).saved, true);
+  assert.deepEqual(listHistory({ actorId: dana.id, saved: true }).map(h => h.id), [h2.id]);
+  assert.deepEqual(listHistory({ actorId: lee.id, saved: true }), [], "saved is per person");
+  assert.equal(saveHistory(h2.id, dana.id, false).saved, false);
+  assert.equal(saveHistory("nope", dana.id, true), null);
+});
+
+test("reopening reads the stored reviews, including text edited since", () => {
+  const [reserve] = listHistory({ q: "reserve" });
+  mergeReviews("google", { name: "The Reserve", location: "Bradenton, FL" }, [rec("g:1", "Roaches everywhere. Management fixed it.")], { now: new Date("2026-10-05T00:00:00Z") });
+
+  const h = openHistory(reserve.id, dana.id);
+  assert.deepEqual(h.reviews.map(r => [r.id, r.source]), [["g:1", "google"], ["g:2", "google"]]);
+  assert.equal(h.reviews[0].text, "Roaches everywhere. Management fixed it.");
+  assert.equal(h.reviews[0].revisions[0].text, "Roaches everywhere.");
+  assert.equal(openHistory("nope"), null);
+
+  assert.equal(deleteHistory(reserve.id), true);
+  assert.equal(openHistory(reserve.id), null);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { submitJob, getJob, jobSnapshot, jobEvents, queueStats } from "../lib/jobs.js";
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+const events = (job) => {
+  const seen = [];
+  jobEvents.on(`job:${job.id}`, (e) => seen.push(e));
+  return seen;
+};
+const tick = () => new Promise(r => setImmediate(r));
+
+test("runs at most JOB_CONCURRENCY jobs and queues the rest in order", async () => {
+  const gates = [deferred(), deferred(), deferred()];
+  const jobs = gates.map((g, i) => submitJob("test", { i }, () => g.promise));
+
+  assert.deepEqual(jobs.map(j => j.status), ["running", "running", "queued"]);
+  assert.equal(jobSnapshot(jobs[2]).position, 1);
+  assert.equal(queueStats().queued, 1);
+
+  gates[0].resolve("first");
+  await tick();
+  assert.equal(jobs[0].status, "done");
+  assert.equal(jobs[0].result, "first");
+  assert.equal(jobs[2].status, "running", "the queued job starts when a slot frees up");
+
+  gates[1].resolve();
+  gates[2].reject(new Error("boom"));
+  await tick();
+  assert.equal(jobs[2].status, "failed");
+  assert.equal(jobs[2].error, "boom");
+  assert.ok(jobs[2].finishedAt);
+});
+
+test("progress and partial results are recorded and broadcast", async () => {
+  const gate = deferred();
+  let ctx;
+  const job = submitJob("test", {}, (c) => { ctx = c; return gate.promise; }, {
+    initialProgress: { google: { phase: "queued", collected: 0 } }
+  });
+  const seen = events(job);
+
+  ctx.progress("google", { phase: "scrolling", collected: 12 });
+  ctx.partial([{ id: "g:1" }, { id: "g:2" }], { source: "google" });
+  assert.deepEqual(getJob(job.id).progress.google, { phase: "scrolling", collected: 12 });
+  assert.equal(jobSnapshot(job).partialCount, 2);
+
+  gate.resolve({ reviews: [] });
+  await tick();
+  assert.deepEqual(seen.map(e => e.type), ["progress", "partial", "done"]);
+  assert.deepEqual(seen[1].data, { source: "google", items: [{ id: "g:1" }, { id: "g:2" }] });
+  assert.deepEqual(seen[2].data.result, { reviews: [] });
+});
+
+test("unknown ids are null", () => {
+  assert.equal(getJob("nope"), null);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreCandidate, rankCandidates, isAmbiguous } from "../lib/match.js";
+import { placeIdFromUrl } from "../scrapers/googleScraper.js";
+
+test("scores ignore filler words and reward the typed location", () => {
+  assert.equal(scoreCandidate("30 West Apartments", "Bradenton, FL", { name: "30 West" }), 1);
+  assert.equal(scoreCandidate("The Reserve", "Bradenton, FL", { name: "Walmart Supercenter" }), 0);
+  const near = scoreCandidate("Park Place", "Sarasota, FL", { name: "Park Place Apartments", address: "12 Main St, Sarasota, FL" });
+  const far = scoreCandidate("Park Place", "Sarasota, FL", { name: "Park Place Apartments", address: "9 Elm St, Tampa, FL" });
+  assert.ok(near >= far);
+});
+
+test("a lone exact hit is not ambiguous; look-alikes are", () => {
+  const clear = rankCandidates("30 West", "Bradenton, FL", [{ name: "West Bay Apartments" }, { name: "30 West Apartments" }]);
+  assert.equal(clear[0].name, "30 West Apartments", "best match ranked first");
+  assert.equal(isAmbiguous(clear), false);
+
+  const lookalikes = rankCandidates("The Reserve", "Bradenton, FL", [
+    { name: "The Reserve at Lakewood" },
+    { name: "Reserve on Manatee" }
+  ]);
+  assert.equal(isAmbiguous(lookalikes), true);
+  assert.equal(lookalikes[0].name, "The Reserve at Lakewood", "ties keep the site's order");
+
+  assert.equal(isAmbiguous([{ name: "Somewhere Else", score: 0.3 }]), true, "one weak hit still needs a human");
+  assert.equal(isAmbiguous([]), false);
+});
+
+test("Google place ids come out of Maps place URLs", () => {
+  assert.equal(placeIdFromUrl("https://www.google.com/maps/place/X/data=!4m7!3m6!1s0x88c3:0x7d2b!19sChIJHQtKLJsTw4gR"), "ChIJHQtKLJsTw4gR");
+  assert.equal(placeIdFromUrl("https://www.google.com/maps/place/X/data=!4m2!3m1!1s0x88c3139b:0x7d2b5e1f"), "0x88c3139b:0x7d2b5e1f");
+  assert.equal(placeIdFromUrl("https://www.google.com/maps/search/?api=1&query=x&query_place_id=ChIJabc"), "ChIJabc");
+  assert.equal(placeIdFromUrl("https://maps.app.goo.gl/abc"), null);
+});
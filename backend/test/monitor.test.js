@@ -0,0 +1,155 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import net from "node:net";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import { createWatch, updateWatch, getWatch, dueWatches, normalizeWatch } from "../lib/watchlist.js";
+import { listAlerts, deliverAlerts, buildAlerts, recordAlerts, webhookUrlProblem } from "../lib/alerts.js";
+import { checkWatch } from "../lib/monitor.js";
+import { sendMail } from "../lib/smtp.js";
+import { analyzeReviews } from "../lib/classify.js";
+import { startMockAlertServer } from "./helpers/mockAlertServer.js";
+
+let dir, mock;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-monitor-"));
+  process.env.DATA_DIR = dir;
+  process.env.ALERT_WEBHOOK_ALLOW_PRIVATE = "1"; // the mock receiver listens on 127.0.0.1
+  closeAllCollections();
+  mock = await startMockAlertServer();
+});
+after(async () => {
+  await mock.close();
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  delete process.env.ALERT_WEBHOOK_ALLOW_PRIVATE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Stand-in for aggregateReviews: whatever reviews the "site" currently shows
+let onSite = [];
+async function fakeAnalyze({ noCache, taxonomy }) {
+  assert.equal(noCache, true, "monitor checks always re-scrape");
+  return {
+    reviews: onSite,
+    sources: { google: { label: "Google", status: "ok", count: onSite.length, error: null } },
+    analysis: analyzeReviews(onSite, taxonomy)
+  };
+}
+const review = (id, text) => ({ id, date: "2026-10-01", rating: 1, author: "A", url: `https://maps.example/r/${id}`, source: "google", text });
+
+test("watch validation and defaults", () => {
+  const w = normalizeWatch({ name: "The Reserve", location: "Bradenton, FL" });
+  assert.deepEqual(w.alertCategories, ["security", "pet", "noise"]);
+  assert.equal(w.everyMinutes, 1440);
+  assert.deepEqual(w.sources, ["google", "apartmentratings", "apartmentscom"]);
+
+  const bad = (input, re) => assert.throws(() => normalizeWatch({ name: "a", location: "b", ...input }), (e) => e.statusCode === 400 && re.test(e.message));
+  bad({ everyMinutes: 5 }, /at least 15/);
+  bad({ sources: "yelp" }, /Unknown source/);
+  bad({ alertCategories: ["towing"] }, /Not in taxonomy/);
+  bad({ webhookUrl: "ftp://x" }, /http/);
+  bad({ emailTo: "nobody" }, /e-mail/);
+});
+
+test("first check is a silent baseline, later checks alert once on new flagged reviews", async () => {
+  const w = createWatch({ name: "The Reserve", location: "Bradenton, FL", sources: ["google"], webhookUrl: mock.webhookUrl, emailTo: "team@test.local" });
+  assert.deepEqual(dueWatches().map(d => d.id), [w.id]);
+  const deliver = (watch, list) => deliverAlerts(watch, list, { env: { ALERT_WEBHOOK_ALLOW_PRIVATE: "1" }, smtp: mock.smtp });
+
+  onSite = [review("r1", "My car was broken into last year."), review("r2", "Nice pool.")];
+  const first = await checkWatch(w.id, { analyze: fakeAnalyze, deliver });
+  assert.equal(first.status, "baseline");
+  assert.equal(listAlerts().length, 0);
+  assert.equal(getWatch(w.id).seenCount, 2);
+  assert.equal(dueWatches().length, 0, "next run is a day out");
+
+  onSite = [review("r3", "Packages stolen from the lobby. Loud parties too."), review("r4", "Quiet and clean."), ...onSite];
+  const second = await checkWatch(w.id, { analyze: fakeAnalyze, deliver });
+  assert.equal(second.status, "ok");
+  assert.equal(second.newReviews, 2);
+  assert.equal(second.alerts.length, 1);
+  assert.deepEqual(second.alerts[0].categories.sort(), ["noise", "security"]);
+  assert.equal(second.delivery.webhook.status, "sent");
+  assert.equal(second.delivery.email.status, "sent");
+
+  assert.equal(mock.webhooks.length, 1);
+  assert.equal(mock.webhooks[0].body.event, "review.alerts");
+  assert.equal(mock.webhooks[0].body.alerts[0].reviewId, "r3");
+  assert.equal(mock.mails.length, 1);
+  assert.deepEqual(mock.mails[0].to, ["team@test.local"]);
+  const subject = Buffer.from(mock.mails[0].data.match(/Subject: =\?UTF-8\?B\?(.*)\?=/)[1], "base64").toString("utf8");
+  assert.equal(subject, "New security / parties/noise review – The Reserve (Bradenton, FL)");
+  assert.match(mock.mails[0].data, /Packages stolen/);
+  assert.equal(listAlerts({ watchId: w.id })[0].delivery.webhook.status, "sent");
+
+  const third = await checkWatch(w.id, { analyze: fakeAnalyze, deliver });
+  assert.equal(third.newReviews, 0);
+  assert.equal(mock.webhooks.length, 1, "nothing new, nothing sent");
+});
+
+test("moving a watch to another property starts a new baseline", () => {
+  const w = createWatch({ name: "Palm Court", location: "Tampa, FL", sources: ["google"] });
+  const moved = updateWatch(w.id, { name: "Palm Court II", location: "Tampa, FL", sources: ["google"] });
+  assert.equal(moved.baselineAt, null);
+  assert.equal(moved.seenCount, 0);
+});
+
+test("delivery records a failing channel and skips unconfigured ones", async () => {
+  mock.reset();
+  mock.failWith(500);
+  const watch = { id: "w", name: "X", location: "Y", alertCategories: ["security"], webhookUrl: mock.webhookUrl, emailTo: null };
+  const list = recordAlerts(buildAlerts(watch, analyzeReviews([review("z1", "Break-in last night.")]).findings));
+  const out = await deliverAlerts(watch, list, { env: { ALERT_WEBHOOK_ALLOW_PRIVATE: "1" }, smtp: mock.smtp });
+  assert.equal(out.webhook.status, "failed");
+  assert.match(out.webhook.error, /500/);
+  assert.equal(out.email.status, "skipped");
+  mock.reset();
+});
+
+test("webhooks may not target loopback, private or link-local addresses", async () => {
+  for (const url of ["http://localhost:4020/hook", "http://127.0.0.1/", "http://2130706433/", "http://10.0.0.5/x", "http://172.20.1.1/",
+    "http://192.168.1.10/", "http://169.254.169.254/latest/meta-data/", "http://[::1]/", "http://[::ffff:127.0.0.1]/", "http://[fd00::1]/"]) {
+    assert.match(webhookUrlProblem(url), /private/, url);
+    assert.throws(() => normalizeWatch({ name: "a", location: "b", webhookUrl: url }, { allowPrivate: false }), (e) => e.statusCode === 400, url);
+  }
+  assert.equal(webhookUrlProblem("https://hooks.example.com/alerts"), null);
+  assert.equal(webhookUrlProblem("http://127.0.0.1:4020/hook", { allowPrivate: true }), null);
+
+  mock.reset();
+  const watch = { id: "w-private", name: "X", location: "Y", alertCategories: ["security"], webhookUrl: mock.webhookUrl, emailTo: null };
+  const list = recordAlerts(buildAlerts(watch, analyzeReviews([review("p1", "Break-in last night.")]).findings));
+  const out = await deliverAlerts(watch, list, { env: {}, smtp: mock.smtp });
+  assert.equal(out.webhook.status, "failed");
+  assert.match(out.webhook.error, /private/);
+  assert.equal(mock.webhooks.length, 0, "nothing was sent");
+});
+
+test("smtp client: auth, recipients and dot-stuffing", async () => {
+  mock.reset();
+  const res = await sendMail({ ...mock.smtp, user: "bot", pass: "s3cret" }, { to: "a@x.test, b@x.test", subject: "Héllo", text: "line one\n.starts with a dot" });
+  assert.deepEqual(res.accepted, ["a@x.test", "b@x.test"]);
+  const m = mock.mails[0];
+  assert.deepEqual(m.auth, ["bot", "s3cret"]);
+  assert.equal(m.from, "alerts@test.local");
+  assert.match(m.data, /Subject: =\?UTF-8\?B\?/);
+  assert.match(m.data, /\r\n\.starts with a dot\r\n/);
+});
+
+test("smtp client gives up on a relay that never finishes connecting", async () => {
+  // Accepts TCP but never speaks TLS, so a secure connect never completes
+  const silent = net.createServer(() => {});
+  await new Promise(resolve => silent.listen(0, "127.0.0.1", resolve));
+  const started = Date.now();
+  try {
+    await assert.rejects(
+      sendMail({ ...mock.smtp, port: silent.address().port, secure: true }, { to: "a@x.test", subject: "s", text: "t" }, { timeoutMs: 300 }),
+      /timed out/
+    );
+    assert.ok(Date.now() - started < 5000);
+  } finally {
+    silent.close();
+  }
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import { renderTemplate, parseTemplate } from "../lib/template.js";
+import {
+  BUILT_IN_TEMPLATES, listEmailTemplates, resolveEmailTemplate, createEmailTemplate, updateEmailTemplate, deleteEmailTemplate
+} from "../lib/emailTemplates.js";
+import { DEFAULT_SENDER, createSender, senderSignature, resolveSender } from "../lib/senders.js";
+import { buildEmailView, renderEmail, emailEml } from "../lib/outreach.js";
+import { analyzeReviews } from "../lib/classify.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-outreach-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+const reviews = [
+  { id: "a", source: "google", date: day(5), url: "https://maps.example/a", text: "My car was broken into in the garage. Great pool." },
+  { id: "b", source: "google", date: day(40), text: "Someone stole packages from the mailroom, police came twice." },
+  { id: "c", source: "apartmentratings", date: day(60), text: "Dog poop everywhere on the lawn." },
+  { id: "d", source: "google", date: day(90), text: "Quiet and friendly staff." }
+];
+const view = (patch = {}) => buildEmailView({
+  property: { name: "The Reserve", location: "Bradenton, FL" },
+  analysis: analyzeReviews(reviews),
+  reviewCount: reviews.length,
+  sources: { google: { label: "Google" } },
+  sender: { ...DEFAULT_SENDER, title: "Regional Manager", email: "stan@vidisky.example" },
+  recipient: { name: "Dana" },
+  ...patch
+});
+
+test("templates: values, dotted paths, sections over lists and objects, inverted sections", () => {
+  const out = renderTemplate("Hi {{who.name}}!\n{{#items}}\n- {{.}}\n{{/items}}\n{{^none}}nothing else{{/none}}\n{{#obj}}{{x}}/{{who.name}}{{/obj}}", {
+    who: { name: "Dana" }, items: ["a", "b"], none: [], obj: { x: 1 }
+  });
+  assert.equal(out, "Hi Dana!\n- a\n- b\nnothing else\n1/Dana");
+  assert.equal(renderTemplate("[{{missing}}]{{#missing}}x{{/missing}}", {}), "[]");
+  assert.throws(() => parseTemplate("{{#a}}open"), (e) => e.statusCode === 400 && /never closed/.test(e.message));
+  assert.throws(() => parseTemplate("{{#a}}{{/b}}"), (e) => e.statusCode === 400);
+});
+
+test("every built-in renders with quotes per category and the sender's signature", () => {
+  for (const t of BUILT_IN_TEMPLATES) {
+    const email = renderEmail(t, view({ quotesPerCategory: t.quotesPerCategory }));
+    assert.ok(email.subject.includes("The Reserve"), t.id);
+    assert.ok(!/\{\{|\}\}/.test(email.text + email.subject), `${t.id} left a tag unrendered`);
+    assert.ok(email.text.includes("– Stan\nRegional Manager, VIDISKY\nstan@vidisky.example"), `${t.id} signature`);
+    assert.ok(!/\n{3,}/.test(email.text), `${t.id} has runs of blank lines`);
+  }
+  const first = renderEmail(resolveEmailTemplate("first-touch"), view());
+  assert.match(first.text, /^Hi Dana —/);
+  assert.match(first.text, /Security:\n– “My car was broken into in the garage\.” \[\d{4}-\d\d-\d\d\]/);
+  assert.match(first.text, /Pet issues:\n– “Dog poop everywhere on the lawn\.”/);
+  assert.ok(!first.text.includes("\nParties/Noise:\n"), "categories without mentions get no quote block");
+  const summary = renderEmail(resolveEmailTemplate("executive-summary"), view());
+  assert.match(summary.text, /– “Someone stole packages from the mailroom, police came twice\.” \(Security, \d{4}-\d\d-\d\d, Google\)/);
+});
+
+test("HTML is escaped, with lists and links; the .eml is a multipart draft", () => {
+  const t = { subject: "Re: {{property.name}}", body: "Hi {{recipient.name}}\n\n• <b>{{property.name}}</b>\n• see https://example.com/x?a=1&b=2.\n\n{{signature}}", quotesPerCategory: 1 };
+  const email = renderEmail(t, view({ recipient: { name: "Ünal" } }));
+  assert.match(email.html, /<ul><li>&lt;b&gt;The Reserve&lt;\/b&gt;<\/li><li>see <a href="https:\/\/example.com\/x\?a=1&amp;b=2">/);
+  assert.match(email.html, /<p>– Stan<br>Regional Manager, VIDISKY/);
+
+  const eml = emailEml(email, { sender: { ...DEFAULT_SENDER, email: "stan@vidisky.example" }, recipient: { email: "dana@reserve.example" } });
+  const [head, body] = eml.split("\r\n\r\n");
+  assert.match(head, /^From: Stan <stan@vidisky.example>\r\nTo: dana@reserve.example\r\n/);
+  assert.match(head, /Content-Type: multipart\/alternative; boundary="([^"]+)"/);
+  assert.match(head, /X-Unsent: 1/);
+  const boundary = head.match(/boundary="([^"]+)"/)[1];
+  assert.equal(eml.split(`--${boundary}`).length, 4);
+  assert.ok(body.includes("Content-Type: text/plain") && eml.includes("Content-Type: text/html"));
+  assert.ok(!/\r\nTo:/.test(emailEml(email, { sender: DEFAULT_SENDER }).split("\r\n\r\n")[0]), "no recipient, no To header");
+});
+
+test("saved templates and senders: validation, ids, built-ins are read-only", () => {
+  assert.throws(() => createEmailTemplate({ name: "Bad", subject: "x", body: "{{#a}}" }), (e) => e.statusCode === 400 && /Body/.test(e.message));
+  assert.throws(() => createEmailTemplate({ name: "Bad", subject: "x", body: "y", quotesPerCategory: 0 }), (e) => e.statusCode === 400);
+  const t = createEmailTemplate({ name: "Follow up", subject: "Hi", body: "{{signature}}" });
+  assert.equal(t.id, "follow-up-2");
+  assert.deepEqual(listEmailTemplates().map(x => x.id), ["first-touch", "follow-up", "executive-summary", "follow-up-2"]);
+  assert.equal(updateEmailTemplate(t.id, { ...t, body: "Bye {{sender.name}}" }).body, "Bye {{sender.name}}");
+  assert.throws(() => updateEmailTemplate("first-touch", t), (e) => e.statusCode === 400);
+  assert.throws(() => deleteEmailTemplate("follow-up"), (e) => e.statusCode === 400);
+  assert.equal(deleteEmailTemplate(t.id), true);
+  assert.throws(() => resolveEmailTemplate(t.id), (e) => e.statusCode === 404);
+
+  assert.throws(() => createSender({ name: "Kim", email: "not-an-address" }), (e) => e.statusCode === 400);
+  const s = createSender({ name: "Kim Lee", company: "VIDISKY", phone: "555-0100", signature: "" });
+  assert.equal(resolveSender(s.id).name, "Kim Lee");
+  assert.equal(senderSignature(s), "– Kim Lee\nVIDISKY\n555-0100");
+  assert.equal(senderSignature({ ...s, signature: "Cheers,\nKim" }), "Cheers,\nKim");
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { parsePortfolioCsv, normalizePortfolio, runPortfolio, portfolioCsv } from "../lib/portfolio.js";
+import { analyzeReviews } from "../lib/classify.js";
+
+test("csv: quoted fields, embedded commas and newlines, CRLF, round trip", () => {
+  const text = 'name,location\r\n"The Reserve, Phase 2","Bradenton, FL"\r\n\r\n"Say ""hi""\nthere",x\n';
+  assert.deepEqual(parseCsv(text), [["name", "location"], ["The Reserve, Phase 2", "Bradenton, FL"], ['Say "hi"\nthere', "x"]]);
+  const rows = [{ a: "1,2", b: 'q"q' }, { a: null, b: "plain" }];
+  assert.equal(toCsv(rows, ["a", "b"]), 'a,b\r\n"1,2","q""q"\r\n,plain\r\n');
+  assert.deepEqual(parseCsv(toCsv(rows, ["a", "b"])).slice(1), [["1,2", 'q"q'], ["", "plain"]]);
+});
+
+test("csv: text that a spreadsheet would run as a formula is prefixed, numbers are not", () => {
+  const rows = ["=HYPERLINK(\"http://x\")", "+1", "-cmd", "@SUM(A1)", "\tx", "\rx", "fine = ok", -2].map(v => ({ v }));
+  assert.deepEqual(parseCsv(toCsv(rows, ["v"])).slice(1).map(r => r[0]), [
+    "'=HYPERLINK(\"http://x\")", "'+1", "'-cmd", "'@SUM(A1)", "'\tx", "'\rx", "fine = ok", "-2"
+  ]);
+});
+
+test("portfolio CSV: flexible headers, optional per-source URLs, validation", () => {
+  const list = parsePortfolioCsv([
+    "Property Name,City,Google URL,ApartmentRatings,notes",
+    "The Reserve,\"Bradenton, FL\",https://maps.example/place/1,,call Tue",
+    "Lakeside Commons,Tampa FL,,https://ar.example/lakeside,"
+  ].join("\n"));
+  assert.deepEqual(list, [
+    { name: "The Reserve", location: "Bradenton, FL", refs: { google: { url: "https://maps.example/place/1" } } },
+    { name: "Lakeside Commons", location: "Tampa FL", refs: { apartmentratings: { url: "https://ar.example/lakeside" } } }
+  ]);
+
+  const bad = (fn, re) => assert.throws(fn, (e) => e.statusCode === 400 && re.test(e.message));
+  bad(() => parsePortfolioCsv("foo,bar\n1,2"), /name and location columns/);
+  bad(() => parsePortfolioCsv("name,location\nThe Reserve,"), /Row 1: name and location/);
+  bad(() => parsePortfolioCsv("name,location\n"), /No properties/);
+  bad(() => normalizePortfolio([{ name: "a", location: "b", refs: { yelp: { url: "x" } } }]), /unknown source yelp/);
+  bad(() => normalizePortfolio(Array.from({ length: 101 }, () => ({ name: "a", location: "b" }))), /At most 100/);
+});
+
+// Stand-in for aggregateReviews: canned reviews per property name
+const NOW = Date.now();
+const day = (n) => new Date(NOW - n * 86400000).toISOString().slice(0, 10);
+const CANNED = {
+  "Quiet Pines": Array.from({ length: 40 }, (_, i) => ({ id: `q${i}`, date: day(10), text: "Lovely place." })),
+  "Rough Row": [
+    { id: "r1", date: day(5), text: "Cars broken into twice." },
+    { id: "r2", date: day(20), text: "Loud parties every weekend." },
+    { id: "r3", date: day(30), text: "Great staff." }
+  ]
+};
+async function fakeAnalyze({ name, refs, onProgress }) {
+  onProgress("google", { phase: "scrolling" });
+  if (name === "Gone") throw new Error("no such place");
+  const reviews = CANNED[name];
+  return {
+    reviews,
+    sources: { google: { label: "Google", status: "ok", count: reviews.length, error: null, ref: refs.google } },
+    analysis: analyzeReviews(reviews)
+  };
+}
+
+test("runs every property, keeps failures as rows and rolls the portfolio up", async () => {
+  const progress = [], rowsSeen = [];
+  const out = await runPortfolio({
+    properties: normalizePortfolio([
+      { name: "Quiet Pines", location: "Tampa, FL" },
+      { name: "Rough Row", location: "Tampa, FL", refs: { google: { url: "https://maps.example/rr" } } },
+      { name: "Gone", location: "Nowhere" }
+    ]),
+    sources: ["google"],
+    analyze: fakeAnalyze,
+    onProgress: (i, p) => progress.push([i, p.phase]),
+    onRow: (r) => rowsSeen.push(r.index)
+  });
+
+  assert.deepEqual(out.rows.map(r => [r.name, r.status]), [["Quiet Pines", "ok"], ["Rough Row", "ok"], ["Gone", "failed"]]);
+  assert.deepEqual(rowsSeen.sort(), [0, 1, 2]);
+  assert.ok(progress.some(([i, phase]) => i === 1 && phase === "google: scrolling"));
+
+  const [quiet, rough, gone] = out.rows;
+  assert.equal(quiet.score, 0);
+  assert.ok(rough.score > 0);
+  assert.equal(rough.counts.security, 1);
+  assert.equal(gone.error, "no such place");
+
+  const s = out.summary;
+  assert.deepEqual([s.properties, s.succeeded, s.failed, s.reviews, s.findings], [3, 2, 1, 43, 2]);
+  assert.equal(s.highest.name, "Rough Row");
+  assert.equal(s.score, Math.round((rough.score * 3) / 43), "weighted by review volume");
+  assert.equal(s.byCategory.security.top.name, "Rough Row");
+  assert.equal(s.byCategory.pet.top, null);
+  assert.equal(s.levels.low + s.levels.moderate + s.levels.elevated + s.levels.high, 2);
+
+  const csv = parseCsv(portfolioCsv(out));
+  assert.deepEqual(csv[0].slice(0, 7), ["Name", "Location", "Status", "Reviews", "Findings", "Risk score", "Risk level"]);
+  assert.ok(csv[0].includes("Security mentions") && csv[0].includes("Security score"));
+  assert.deepEqual(csv[3].slice(0, 3), ["Gone", "Nowhere", "failed"]);
+  assert.equal(csv[3].at(-1), "no such place");
+});
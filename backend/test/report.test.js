@@ -0,0 +1,104 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { chromium } from "playwright";
+import { renderReportHtml } from "../lib/reportHtml.js";
+import { renderReportPdf, reportFilename } from "../lib/reportPdf.js";
+import { analyzeReviews } from "../lib/classify.js";
+import { DEFAULT_TAXONOMY } from "../lib/taxonomies.js";
+import { browserPool } from "../lib/browserPool.js";
+import { startProxy } from "./helpers/proxyServer.js";
+
+// The PDF test prints with a real headless Chromium and is skipped without one
+const browserAvailable = await chromium.launch({ executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined })
+  .then(b => b.close().then(() => true))
+  .catch(() => false);
+
+after(() => browserPool().close());
+
+const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+const reviews = [
+  ...Array.from({ length: 60 }, (_, i) => ({
+    id: `r${i}`, source: "google", date: day(i * 7), rating: 2, author: `Tenant ${i}`,
+    url: `https://maps.example/review/${i}`, text: `Car break-in number ${i} in the garage.`
+  })),
+  { id: "x", source: "apartmentratings", date: day(3), rating: 1, author: "<script>", url: "https://ar.example/x?a=1&b=2", text: "Dogs barking <b>all night</b>, lots of noise." }
+];
+const input = () => ({
+  property: { name: "The Reserve", location: "Bradenton, FL" },
+  analysis: analyzeReviews(reviews),
+  reviewCount: reviews.length,
+  sources: { google: { label: "Google", status: "ok", count: 60 }, apartmentratings: { label: "ApartmentRatings", status: "ok", count: 1 } },
+  taxonomy: DEFAULT_TAXONOMY,
+  generatedAt: new Date("2026-01-15T00:00:00Z")
+});
+
+test("the report prints every quote with its source link, escaped", () => {
+  const html = renderReportHtml(input());
+  for (let i = 0; i < 60; i++) assert.ok(html.includes(`Car break-in number ${i} in the garage.`), `quote ${i}`);
+  assert.ok(html.includes(`href="https://maps.example/review/59"`));
+  assert.ok(html.includes("https://ar.example/x?a=1&amp;b=2"));
+  assert.ok(!html.includes("<script>"));
+  assert.ok(html.includes("&lt;b&gt;all night&lt;/b&gt;"));
+});
+
+test("cover, summary, one section per category and the methodology appendix", () => {
+  const html = renderReportHtml(input());
+  assert.match(html, /class="cover"[\s\S]*The Reserve[\s\S]*Bradenton, FL/);
+  assert.match(html, /<h2>Summary<\/h2>/);
+  for (const c of DEFAULT_TAXONOMY.categories) assert.ok(html.includes(`<h2>${c.label}</h2>`), c.label);
+  assert.match(html, /<h2>Methodology<\/h2>[\s\S]*Excluded phrases[\s\S]*security deposit/);
+  assert.match(html, /January 15, 2026/);
+  assert.ok(!html.includes("You vs. the neighborhood"), "no comparison section without a comparison");
+});
+
+test("the neighborhood comparison joins the summary when given", () => {
+  const categories = DEFAULT_TAXONOMY.categories.map(({ key, label, severity }) => ({ key, label, severity }));
+  const cmp = Object.fromEntries(categories.map(c => [c.key, { target: 10, neighborhood: 2, delta: 8, ratio: 5, position: "above" }]));
+  const html = renderReportHtml({
+    ...input(),
+    comparison: {
+      categories,
+      target: { reviewCount: 61, score: 70 },
+      neighbors: [{ name: "Palm Court", status: "ok", reviewCount: 40, score: 12 }, { name: "Gone", status: "failed" }],
+      neighborhood: { properties: 1, reviewCount: 40, score: 12 },
+      comparison: cmp
+    }
+  });
+  assert.match(html, /You vs. the neighborhood[\s\S]*Palm Court – 40 reviews, risk 12[\s\S]*Gone <span class="muted">\(failed\)/);
+  assert.match(html, /Neighborhood comparison/);
+});
+
+test("report file names are safe", () => {
+  assert.equal(reportFilename({ name: "The Reserve @ Lakewood", location: "Bradenton, FL" }), "The-Reserve-Lakewood-Bradenton-FL-review-report.pdf");
+});
+
+test("renders a multi-page PDF through the browser pool", { skip: browserAvailable ? false : "Chromium is not installed", timeout: 90000 }, async () => {
+  const pdf = await renderReportPdf(input());
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  const pages = pdf.toString("latin1").match(/\/Type\s*\/Page[^s]/g) || [];
+  assert.ok(pages.length >= 8, `expected cover + summary + 5 categories + methodology, got ${pages.length} pages`);
+});
+
+test("review items that are not objects with text are a 400 on every report route", async () => {
+  const data = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-report-routes-"));
+  const proxy = await startProxy({ DATA_DIR: data, AUTH_DISABLED: "1" });
+  try {
+    for (const route of ["/report.pdf", "/export/reviews.csv", "/email", "/shares"]) {
+      for (const item of [null, 5, "text", [], {}, { text: 42 }]) {
+        const res = await fetch(`${proxy.url}${route}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: "The Reserve", location: "Bradenton, FL", reviews: [{ text: "fine" }, item] })
+        });
+        assert.equal(res.status, 400, `${route} ${JSON.stringify(item)}`);
+        assert.match((await res.json()).message, /reviews\[1\]/);
+      }
+    }
+  } finally {
+    await proxy.close();
+    fs.rmSync(data, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import {
+  propertyKey, mergeReviews, storedReviews, knownReviewIds, isFresh, listProperties, FRESH_MS
+} from "../lib/reviewStore.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-store-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const ref = { name: "The Reserve ", location: "Bradenton,  FL" };
+const rec = (id, date, text = `review ${id}`) => ({ id, author: null, rating: 3, date, dateLabel: null, text, ownerReply: null, url: "u" });
+
+test("property keys normalize name/location and prefer an explicit URL", () => {
+  assert.equal(propertyKey("google", ref), "google:the reserve|bradenton, fl");
+  assert.equal(propertyKey("google", { url: "https://maps/x", name: "ignored" }), "google:https://maps/x");
+});
+
+test("merges keep first-seen, bump last-seen and survive a reload from disk", () => {
+  const key = propertyKey("google", ref);
+  const t1 = new Date("2024-06-01T00:00:00Z"), t2 = new Date("2024-06-02T00:00:00Z");
+
+  assert.deepEqual(mergeReviews("google", ref, [rec("g:1", "2024-05-01"), rec("g:2", "2024-05-20")], { max: 80, now: t1 }), { added: 2, seen: 2 });
+  assert.deepEqual(mergeReviews("google", ref, [rec("g:3", "2024-06-01"), rec("g:2", "2024-05-20", "edited")], { max: 80, now: t2 }), { added: 1, seen: 2 });
+
+  closeAllCollections(); // force a re-read of properties.json
+  const list = storedReviews(key);
+  assert.deepEqual(list.map(r => r.id), ["g:3", "g:2", "g:1"], "newest first");
+  assert.equal(list[1].text, "edited");
+  assert.equal(list[1].firstSeenAt, t1.toISOString());
+  assert.equal(list[1].lastSeenAt, t2.toISOString());
+  assert.equal(list[2].lastSeenAt, t1.toISOString(), "not re-seen by the incremental scrape");
+  assert.equal(list[1].scrapedAt, t2.toISOString(), "the edited text was scraped on the second run");
+  assert.deepEqual(list[1].revisions, [{ text: "review g:2", scrapedAt: t1.toISOString(), lastSeenAt: t1.toISOString() }]);
+  assert.deepEqual([list[2].scrapedAt, list[2].revisions], [t1.toISOString(), []]);
+
+  assert.deepEqual([...knownReviewIds(key)].sort(), ["g:1", "g:2", "g:3"]);
+  assert.deepEqual(listProperties().map(p => [p.key, p.reviewCount]), [[key, 3]]);
+});
+
+test("freshness depends on scrape age and the max that was asked for", () => {
+  const key = propertyKey("apartmentscom", ref);
+  const now = new Date("2024-06-10T00:00:00Z");
+  mergeReviews("apartmentscom", ref, [rec("a:1", null)], { max: 80, now });
+
+  assert.equal(isFresh(key, 80, now.getTime() + 1000), true);
+  assert.equal(isFresh(key, 200, now.getTime() + 1000), false);
+  assert.equal(isFresh(key, 80, now.getTime() + FRESH_MS + 1), false);
+  assert.equal(isFresh("apartmentscom:unknown|x", 1), false);
+});
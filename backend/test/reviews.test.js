@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { load } from "cheerio";
+import { parseRelativeDate, parseReviewDate, parseRating, textId, extractHtmlReviews } from "../lib/reviews.js";
+
+const NOW = Date.UTC(2024, 5, 15, 12); // 2024-06-15
+
+test("relative Google labels resolve against the scrape time", () => {
+  assert.equal(parseReviewDate("2 weeks ago", NOW), "2024-06-01");
+  assert.equal(parseReviewDate("a month ago", NOW), "2024-05-16");
+  assert.equal(parseReviewDate("Edited 3 weeks ago", NOW), "2024-05-25");
+  assert.equal(parseReviewDate("yesterday", NOW), "2024-06-14");
+  assert.equal(parseRelativeDate("sometime last spring", NOW), null);
+});
+
+test("absolute labels keep the printed day", () => {
+  assert.equal(parseReviewDate("2024-03-14"), "2024-03-14");
+  assert.equal(parseReviewDate("March 14, 2024"), "2024-03-14");
+  assert.equal(parseReviewDate("Posted on November 20, 2023"), "2023-11-20");
+  assert.equal(parseReviewDate("12/3/2023"), "2023-12-03");
+  assert.equal(parseReviewDate(""), null);
+  assert.equal(parseReviewDate("not a date"), null);
+});
+
+test("ratings parse from star labels and reject out-of-range numbers", () => {
+  assert.equal(parseRating("4 stars"), 4);
+  assert.equal(parseRating("Rated 4.5 out of 5"), 4.5);
+  assert.equal(parseRating("1 out of 5 stars"), 1);
+  assert.equal(parseRating("212 reviews"), null);
+  assert.equal(parseRating(null), null);
+});
+
+test("fallback ids are stable and case-insensitive", () => {
+  assert.equal(textId("x", "Loud Parties"), textId("x", "loud parties"));
+  assert.match(textId("x", "anything"), /^x:[0-9a-f]{16}$/);
+});
+
+test("review permalinks are kept only when they are http(s)", () => {
+  const $ = load(`
+    <div class="review" id="r1"><p class="text">Great place, the staff fixed everything fast</p><a rel="bookmark" href="/reviews/1">link</a></div>
+    <div class="review" id="r2"><p class="text">Not great, the gym was closed for a month</p><a rel="bookmark" href="javascript:alert(1)">link</a></div>
+    <div class="review"><p class="text">Fine I guess, parking is tight on weekends</p><a rel="bookmark" href="data:text/html,hi">link</a></div>`);
+  const pageUrl = "https://example.com/property/";
+  const reviews = extractHtmlReviews($, { prefix: "t", pageUrl, sel: { card: [".review"], text: [".text"], rating: [".rating"], date: ["time"], author: [".author"], reply: [".reply"] } });
+  assert.deepEqual(reviews.map(r => r.url), ["https://example.com/reviews/1", `${pageUrl}#r2`, pageUrl]);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeReviews } from "../lib/classify.js";
+import { recencyFactor, riskLevel, scoreRisk, HALF_LIFE_DAYS } from "../lib/risk.js";
+
+const NOW = Date.parse("2024-06-15T12:00:00Z");
+const quiet = (n, date = "2024-06-01") => Array.from({ length: n }, (_, i) => ({ id: `q${i}`, date, text: "Nice staff and a clean gym." }));
+const review = (id, text, date = "2024-06-01") => ({ id, date, text });
+const analyze = (reviews) => analyzeReviews(reviews, undefined, { now: NOW });
+
+test("normalizes by review volume", () => {
+  const hits = [review("a", "My car was broken into."), review("b", "Police were here twice.")];
+  const small = analyze([...hits, ...quiet(3)]).risk;
+  const large = analyze([...hits, ...quiet(198)]).risk;
+  assert.ok(small.score > large.score * 4, `${small.score} vs ${large.score}`);
+  assert.equal(small.reviewCount, 5);
+  assert.equal(large.flaggedReviews, 2);
+  assert.ok(small.score < 100, "a tiny sample cannot max out the scale");
+});
+
+test("weights by severity: an assault outweighs a noisy pool", () => {
+  const assault = analyze([review("a", "A neighbor was assaulted in the garage."), ...quiet(9)]).risk;
+  const pool = analyze([review("a", "The pool gets noisy on weekends."), ...quiet(9)]).risk;
+  assert.ok(assault.score > pool.score, `${assault.score} vs ${pool.score}`);
+  assert.ok(assault.byCategory.security.score > 0);
+  assert.equal(pool.byCategory.security.score, 0);
+});
+
+test("weights by recency", () => {
+  assert.ok(recencyFactor("2024-06-15", NOW) > 0.99);
+  assert.ok(Math.abs(recencyFactor(new Date(NOW - HALF_LIFE_DAYS * 86400000).toISOString(), NOW) - 0.5) < 0.01);
+  assert.equal(recencyFactor(null, NOW), 0.5);
+
+  const fresh = analyze([review("a", "Cars broken into again.", "2024-06-01"), ...quiet(9)]).risk;
+  const old = analyze([review("a", "Cars broken into again.", "2020-06-01"), ...quiet(9)]).risk;
+  assert.ok(fresh.score > old.score * 3, `${fresh.score} vs ${old.score}`);
+});
+
+test("a review counts once per category however many sentences it has", () => {
+  const once = analyze([review("a", "Cars broken into."), ...quiet(9)]).risk;
+  const rant = analyze([review("a", "Cars broken into. Police every night. Trespassers in the hall."), ...quiet(9)]).risk;
+  assert.ok(rant.score >= once.score && rant.score - once.score <= 10);
+  assert.equal(rant.byCategory.security.reviews, 1);
+  assert.equal(rant.byCategory.security.findings, 3);
+});
+
+test("reviews without ids are still told apart", () => {
+  const reviews = [
+    { date: "2024-06-01", text: "My car was broken into. Police came twice." },
+    { date: "2024-06-01", text: "Someone was assaulted in the garage." },
+    { date: "2024-06-01", text: "Trespassers in the hallway at night." }
+  ];
+  const risk = analyze([...reviews, ...quiet(7)]).risk;
+  assert.equal(risk.flaggedReviews, 3);
+  assert.equal(risk.byCategory.security.reviews, 3);
+  assert.equal(risk.score, analyze([...reviews.map((r, i) => ({ ...r, id: `r${i}` })), ...quiet(7)]).risk.score);
+
+  const bare = [{ reviewId: undefined, categories: ["security"], weight: 0.5 }, { reviewId: undefined, categories: ["security"], weight: 0.5 }];
+  const categories = [{ key: "security", label: "Security", severity: 5 }];
+  assert.equal(scoreRisk({ categories, findings: bare, reviewCount: 2 }).flaggedReviews, 2, "no text either: each finding on its own");
+});
+
+test("ranks findings by severity and explains the score", () => {
+  const out = analyze([
+    review("a", "Loud parties all the time.", "2024-06-10"),
+    review("b", "Dog poop everywhere.", "2024-06-10"),
+    review("c", "Someone got assaulted by the mailboxes.", "2019-01-01")
+  ]);
+  assert.equal(out.findings[0].reviewId, "c", "the most severe category leads even when old");
+  assert.ok(out.findings.every((f, i, all) => !i || all[i - 1].severity >= f.severity));
+  assert.ok(out.findings.every(f => f.weight > 0 && f.weight <= 1));
+
+  const { risk } = out;
+  assert.equal(risk.level, riskLevel(risk.score));
+  assert.match(risk.explanation[0], /^3 of 3 reviews \(100%\)/);
+  assert.ok(risk.explanation.some(l => /^Security \(severity 5\/5\): 1 review, category score \d+, latest 2019-01-01\.$/.test(l)));
+});
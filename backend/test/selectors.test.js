@@ -0,0 +1,125 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startFixtureServer } from "./helpers/fixtureServer.js";
+import { closeAllCollections } from "../lib/store.js";
+import { selectors, selectorsInfo, validateSelectors, checkChains, selfcheckSource } from "../lib/selectors.js";
+import apartmentRatings from "../scrapers/apartmentRatingsScraper.js";
+import google from "../scrapers/googleScraper.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SHIPPED = JSON.parse(fs.readFileSync(path.join(HERE, "../selectors.json"), "utf8"));
+let dir, file, server, mtime = Date.now() / 1000;
+
+// Writes the config and moves its mtime on, so the next lookup reloads it
+function writeConfig(edit) {
+  const config = structuredClone(SHIPPED);
+  edit?.(config);
+  fs.writeFileSync(file, JSON.stringify(config));
+  fs.utimesSync(file, ++mtime, mtime);
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-selectors-"));
+  file = path.join(dir, "selectors.json");
+  process.env.DATA_DIR = dir;
+  process.env.SELECTORS_FILE = file;
+  process.env.SELECTORS_CHECK_MS = "0";
+  closeAllCollections();
+  writeConfig();
+  server = await startFixtureServer(path.join(HERE, "fixtures/apartmentratings"));
+  process.env.APARTMENTRATINGS_BASE_URL = server.url;
+});
+after(async () => {
+  closeAllCollections();
+  for (const k of ["DATA_DIR", "SELECTORS_FILE", "SELECTORS_CHECK_MS", "APARTMENTRATINGS_BASE_URL"]) delete process.env[k];
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the shipped selectors.json is valid and covers every source", () => {
+  assert.doesNotThrow(() => validateSelectors(SHIPPED));
+  assert.deepEqual(Object.keys(SHIPPED.sources).sort(), ["apartmentratings", "apartmentscom", "google"]);
+  assert.throws(() => validateSelectors({ version: 1, sources: { x: { steps: { search: { result: [] } } } } }), /x\.search\.result must be a non-empty list/);
+  assert.throws(() => validateSelectors({ version: 1, sources: { x: { steps: { search: { result: ["a"] } }, required: ["property.card"] } } }), /required step "property\.card"/);
+});
+
+test("edits to the file are picked up by the next scrape; a broken file keeps the last good one", async () => {
+  assert.equal(selectorsInfo().version, 1);
+  assert.equal((await apartmentRatings.search("The Reserve", "Bradenton, FL")).length, 2);
+
+  writeConfig(c => {
+    c.version = 2;
+    c.sources.apartmentratings.steps.search.result = ["a[href*=\"manatee\"]", "a[href*=\"/apartment/\"]"];
+  });
+  const hits = await apartmentRatings.search("The Reserve", "Bradenton, FL");
+  assert.equal(selectorsInfo().version, 2);
+  assert.deepEqual(hits.map(h => h.name), ["The Reserve on Manatee"], "the first selector that matches wins");
+
+  fs.writeFileSync(file, "{ not json");
+  fs.utimesSync(file, ++mtime, mtime);
+  assert.deepEqual(selectors("apartmentratings").search.result, ["a[href*=\"manatee\"]", "a[href*=\"/apartment/\"]"]);
+  assert.equal(selectorsInfo().version, 2);
+  assert.match(selectorsInfo().error, /JSON/);
+
+  writeConfig(c => { c.version = 3; });
+  assert.equal(selectorsInfo().version, 3);
+  assert.equal(selectorsInfo().error, null);
+});
+
+test("checkChains reports the selector in use, fallbacks and misses", async () => {
+  const counts = { ".new": 0, ".old": 4, ".card": 2, ":bad(": null };
+  const count = (s) => {
+    if (counts[s] === null) throw new Error(`cannot parse ${s}`);
+    return counts[s] ?? 0;
+  };
+  const out = await checkChains({ card: [".card", ".old"], text: [".new", ".old"], reply: [":bad(", ".new"] }, count);
+  assert.equal(out.card.status, "ok");
+  assert.equal(out.card.used, ".card");
+  assert.deepEqual(out.text, {
+    status: "fallback",
+    used: ".old",
+    selectors: [{ selector: ".new", matches: 0 }, { selector: ".old", matches: 4 }]
+  });
+  assert.equal(out.reply.status, "missing");
+  assert.equal(out.reply.used, null);
+  assert.match(out.reply.selectors[0].error, /cannot parse/);
+});
+
+test("selfcheck runs the reference property and names the required steps that stopped matching", async () => {
+  writeConfig(c => { c.version = 4; });
+  const good = await selfcheckSource(apartmentRatings);
+  assert.equal(good.ok, true);
+  assert.equal(good.version, 4);
+  assert.deepEqual(good.missing, []);
+  assert.equal(good.pages.search.steps.result.status, "ok");
+  assert.equal(good.pages.property.url, `${server.url}/apartment/the-reserve-at-lakewood/`);
+  assert.equal(good.pages.property.steps.card.used, "[itemprop=\"review\"]");
+
+  writeConfig(c => {
+    c.version = 5;
+    c.sources.apartmentratings.steps.property.card = [".review-card-2027", ".review"];
+    c.sources.apartmentratings.steps.property.text = [".review-text-2027"];
+  });
+  const broken = await selfcheckSource(apartmentRatings);
+  assert.equal(broken.ok, false);
+  assert.deepEqual(broken.missing, ["property.text"]);
+  assert.deepEqual(broken.fallbacks, ["property.card"]);
+
+  // A saved page: only the named page's required steps are judged
+  const html = fs.readFileSync(path.join(HERE, "fixtures/apartmentratings/apartment/the-reserve-at-lakewood.html"), "utf8");
+  writeConfig(c => { c.version = 6; });
+  const saved = await selfcheckSource(apartmentRatings, { html, page: "property" });
+  assert.equal(saved.mode, "saved page");
+  assert.equal(saved.ok, true);
+  assert.deepEqual(Object.keys(saved.pages), ["property"]);
+  assert.equal((await selfcheckSource(apartmentRatings, { html })).ok, null, "no page named, nothing to judge");
+
+  // Saved pages are parsed, never loaded in a browser – :has-text() is read as :contains()
+  const maps = await selfcheckSource(google, { html: "<div role=\"menuitem\">Newest</div><script>fetch('http://169.254.169.254/')</script>", page: "reviews" });
+  assert.equal(maps.pages.reviews.steps.sortNewest.status, "ok");
+  assert.deepEqual(maps.missing, ["reviews.card", "reviews.text"]);
+});
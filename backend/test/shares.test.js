@@ -0,0 +1,150 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import {
+  createShare, listShares, viewShare, updateShareExpiry, deleteShare, parseExpiry, flushShareViews, checkShareOwner
+} from "../lib/shares.js";
+import { analyzeReviews } from "../lib/classify.js";
+import { DEFAULT_TAXONOMY } from "../lib/taxonomies.js";
+import { startProxy } from "./helpers/proxyServer.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-shares-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const reviews = [
+  { id: "a", source: "google", date: "2026-09-01", text: "My car was broken into in the garage." },
+  { id: "b", source: "google", date: "2026-08-01", text: "Lovely staff." }
+];
+const input = () => ({
+  property: { name: "The Reserve", location: "Bradenton, FL" },
+  analysis: analyzeReviews(reviews),
+  reviewCount: reviews.length,
+  sources: { google: { label: "Google", status: "ok", count: 2 } },
+  taxonomy: DEFAULT_TAXONOMY
+});
+const at = (iso) => new Date(iso);
+
+test("links are random, frozen snapshots without the rep-only details", () => {
+  const a = createShare(input(), { now: at("2026-10-01T00:00:00Z") });
+  const b = createShare(input(), { now: at("2026-10-02T00:00:00Z") });
+  assert.match(a.id, /^[A-Za-z0-9_-]{24}$/);
+  assert.notEqual(a.id, b.id);
+  assert.deepEqual([a.views, a.expiresAt, a.score > 0, a.expired], [0, null, true, false]);
+  assert.ok(!("analysis" in a), "the rep's summary leaves the analysis out");
+  assert.deepEqual(listShares().map(s => s.id), [b.id, a.id]);
+
+  const shared = viewShare(a.id, at("2026-10-03T00:00:00Z"));
+  assert.equal(shared.property.name, "The Reserve");
+  assert.deepEqual(shared.taxonomy, { id: "default", name: "Default" });
+  assert.equal(shared.analysis.findings[0].sentence, "My car was broken into in the garage.");
+  assert.ok(!("matches" in shared.analysis.findings[0]));
+  assert.ok(!("views" in shared), "the prospect doesn't see the counter");
+});
+
+test("views are counted with first and last open", () => {
+  const s = createShare(input(), { now: at("2026-10-01T00:00:00Z") });
+  viewShare(s.id, at("2026-10-02T09:00:00Z"));
+  viewShare(s.id, at("2026-10-05T17:30:00Z"));
+  const seen = listShares().find(x => x.id === s.id);
+  assert.deepEqual([seen.views, seen.firstViewedAt, seen.lastViewedAt], [2, "2026-10-02T09:00:00.000Z", "2026-10-05T17:30:00.000Z"]);
+});
+
+test("views in quick succession are written once per minute, and every read includes them", () => {
+  const s = createShare(input(), { now: at("2026-10-01T00:00:00Z") });
+  const t = Date.parse("2026-10-02T09:00:00Z");
+  const log = path.join(dir, "shares.log");
+  viewShare(s.id, new Date(t));
+  const written = fs.statSync(log).size;
+  for (let i = 1; i <= 20; i++) viewShare(s.id, new Date(t + i * 1000));
+  assert.equal(fs.statSync(log).size, written, "no write for the views within the minute");
+  assert.equal(listShares().find(x => x.id === s.id).views, 21);
+
+  flushShareViews();
+  closeAllCollections();
+  const seen = listShares().find(x => x.id === s.id);
+  assert.deepEqual([seen.views, seen.lastViewedAt], [21, "2026-10-02T09:00:20.000Z"], "flushed views survive a reload");
+});
+
+test("expired links are a 410 and not counted; expiry can be extended; deleted links are a 404", () => {
+  const s = createShare(input(), { expiresInDays: 7, now: at("2026-10-01T00:00:00Z") });
+  assert.equal(s.expiresAt, "2026-10-08T00:00:00.000Z");
+  viewShare(s.id, at("2026-10-07T23:59:59Z"));
+  assert.throws(() => viewShare(s.id, at("2026-10-08T00:00:00Z")), (e) => e.statusCode === 410 && /2026-10-08/.test(e.message));
+  const later = at("2026-10-09T00:00:00Z");
+  assert.equal(listShares(later).find(x => x.id === s.id).expired, true);
+  assert.equal(listShares(later).find(x => x.id === s.id).views, 1);
+
+  assert.equal(updateShareExpiry(s.id, "", later).expiresAt, null);
+  assert.equal(viewShare(s.id, later).id, s.id);
+  assert.equal(updateShareExpiry("nope", 3), null);
+
+  assert.equal(deleteShare(s.id), true);
+  assert.throws(() => viewShare(s.id), (e) => e.statusCode === 404);
+});
+
+test("expiry must be whole days up to a year", () => {
+  for (const bad of [-1, 1.5, 366, "soon"]) assert.throws(() => parseExpiry(bad), (e) => e.statusCode === 400, String(bad));
+  assert.equal(parseExpiry(null), null);
+  assert.equal(parseExpiry("30", at("2026-01-01T00:00:00Z")), "2026-01-31T00:00:00.000Z");
+});
+
+test("ids that are not share ids are a 404 and never reach the store", () => {
+  for (const id of ["constructor", "toString", "__proto__", "nope", "a".repeat(25)]) {
+    assert.throws(() => viewShare(id), (e) => e.statusCode === 404, id);
+    assert.equal(updateShareExpiry(id, 3), null);
+    assert.equal(deleteShare(id), false);
+  }
+  flushShareViews();
+  assert.ok(listShares().every(s => s.property), "nothing bogus was saved");
+});
+
+test("only the creator or an admin may change a link", () => {
+  const alice = { id: "key:alice", name: "alice" }, bob = { id: "key:bob", name: "bob" };
+  const s = createShare(input(), { by: alice });
+  assert.deepEqual(listShares().find(x => x.id === s.id).createdBy, alice);
+  assert.ok(!("createdBy" in viewShare(s.id)), "the prospect doesn't see who shared it");
+  assert.doesNotThrow(() => checkShareOwner(s.id, { by: alice }));
+  assert.doesNotThrow(() => checkShareOwner(s.id, { by: bob, admin: true }));
+  assert.throws(() => checkShareOwner(s.id, { by: bob }), (e) => e.statusCode === 403);
+  assert.throws(() => checkShareOwner(createShare(input()).id, { by: alice }), (e) => e.statusCode === 403, "a link without a creator is for admins");
+});
+
+test("GET /shares/constructor is a 404, and PUT/DELETE refuse another rep's link", async () => {
+  const data = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-shares-routes-"));
+  const proxy = await startProxy({ DATA_DIR: data, AUTH_DISABLED: "", API_KEYS: "alice:alice-secret-0123456789,bob:bob-secret-0123456789" });
+  const call = (method, p, key, body) => fetch(`${proxy.url}${p}`, {
+    method,
+    headers: { ...(key && { Authorization: `Bearer ${key}` }), ...(body && { "Content-Type": "application/json" }) },
+    body: body && JSON.stringify(body)
+  });
+  const alice = "alice-secret-0123456789", bob = "bob-secret-0123456789";
+  try {
+    for (const id of ["constructor", "__proto__", "toString"]) assert.equal((await call("GET", `/shares/${id}`)).status, 404, id);
+    const list = await call("GET", "/shares", alice);
+    assert.equal(list.status, 200);
+    assert.deepEqual(await list.json(), []);
+
+    const created = await call("POST", "/shares", alice, { name: "The Reserve", location: "Bradenton, FL", reviews });
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+    assert.equal((await call("PUT", `/shares/${id}`, bob, { expiresInDays: 1 })).status, 403);
+    assert.equal((await call("DELETE", `/shares/${id}`, bob)).status, 403);
+    assert.equal((await call("PUT", `/shares/${id}`, alice, { expiresInDays: 1 })).status, 200);
+    assert.equal((await call("DELETE", `/shares/${id}`, alice)).status, 204);
+  } finally {
+    await proxy.close();
+    fs.rmSync(data, { recursive: true, force: true });
+  }
+});
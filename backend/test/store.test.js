@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { openCollection, closeAllCollections } from "../lib/store.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-store-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const lines = (name) => fs.readFileSync(path.join(dir, `${name}.log`), "utf8").split("\n").filter(Boolean);
+
+test("a change appends one line to the log; a reload replays it onto the snapshot", () => {
+  fs.writeFileSync(path.join(dir, "things.json"), JSON.stringify({ old: { n: 0 } }));
+  const col = openCollection("things");
+  col.set("a", { n: 1 });
+  col.set("a", { n: 2 });
+  col.set("b", { n: 3 });
+  assert.equal(col.delete("old"), true);
+  assert.equal(col.delete("missing"), false);
+  assert.equal(lines("things").length, 4, "one line per change, none for a no-op delete");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "things.json"), "utf8")), { old: { n: 0 } }, "the snapshot is untouched");
+
+  closeAllCollections();
+  assert.deepEqual(openCollection("things").entries(), [["a", { n: 2 }], ["b", { n: 3 }]]);
+});
+
+test("a torn last line is skipped and the log is compacted before the next append", () => {
+  fs.writeFileSync(path.join(dir, "torn.log"), `${JSON.stringify({ id: "a", value: 1 })}\n{"id":"b","val`);
+  const col = openCollection("torn");
+  assert.deepEqual(col.entries(), [["a", 1]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "torn.json"), "utf8")), { a: 1 });
+  col.set("c", 3);
+  assert.deepEqual(lines("torn"), [JSON.stringify({ id: "c", value: 3 })]);
+  closeAllCollections();
+  assert.deepEqual(openCollection("torn").entries(), [["a", 1], ["c", 3]]);
+});
+
+test("a long log is folded into the snapshot", () => {
+  const col = openCollection("busy");
+  for (let i = 0; i < 1001; i++) col.set("counter", i);
+  assert.equal(lines("busy").length, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "busy.json"), "utf8")), { counter: 1000 });
+  col.set("counter", 1001);
+  closeAllCollections();
+  assert.equal(openCollection("busy").get("counter"), 1001);
+});
+
+test("ids named like Object members are ordinary ids", () => {
+  const col = openCollection("protos");
+  for (const id of ["constructor", "toString", "__proto__", "hasOwnProperty"]) {
+    assert.equal(col.get(id), null, id);
+    assert.equal(col.has(id), false, id);
+  }
+  col.set("__proto__", { n: 1 });
+  col.set("constructor", { n: 2 });
+  assert.deepEqual(col.get("__proto__"), { n: 1 });
+  assert.equal(col.get("toString"), null);
+  closeAllCollections();
+  const again = openCollection("protos");
+  assert.deepEqual(again.entries(), [["__proto__", { n: 1 }], ["constructor", { n: 2 }]]);
+  assert.equal(again.get("valueOf"), null);
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import {
+  DEFAULT_TAXONOMY, listTaxonomies, getTaxonomy, resolveTaxonomy, normalizeTaxonomy,
+  createTaxonomy, updateTaxonomy, deleteTaxonomy
+} from "../lib/taxonomies.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-tax-"));
+  process.env.DATA_DIR = dir;
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const parking = {
+  name: "Parking enforcement",
+  categories: [
+    { label: "Towing", terms: ["towed", { term: "tow truck", weight: 0.8 }], exclude: [], severity: "4" },
+    { key: "spots", label: "Reserved spots", terms: ["my spot", "reserved spot", ""] }
+  ]
+};
+
+test("normalizes categories: keys from labels, default severity, empty terms dropped", () => {
+  const t = normalizeTaxonomy(parking);
+  assert.deepEqual(t.categories.map(c => [c.key, c.severity, c.terms.length]), [["towing", 4, 2], ["spots", 3, 2]]);
+  assert.deepEqual(t.categories[0].terms[1], { term: "tow truck", weight: 0.8 });
+});
+
+test("rejects taxonomies that cannot classify anything", () => {
+  const bad = (patch, re) => assert.throws(() => normalizeTaxonomy({ ...parking, ...patch }), (e) => e.statusCode === 400 && re.test(e.message));
+  bad({ name: " " }, /name/);
+  bad({ categories: [] }, /at least one category/);
+  bad({ categories: [{ label: "A", terms: [] }] }, /at least one term/);
+  bad({ categories: [{ label: "A", terms: ["x"] }, { label: "a", terms: ["y"] }] }, /Duplicate/);
+  bad({ categories: [{ label: "A", terms: ["x"], severity: 9 }] }, /severity/);
+  bad({ categories: [{ label: "A", terms: [{ term: "x", weight: 2 }] }] }, /weight/);
+});
+
+test("saves, lists, updates and deletes taxonomies; default stays read-only", () => {
+  const a = createTaxonomy(parking, new Date("2024-06-01T00:00:00Z"));
+  const b = createTaxonomy(parking);
+  assert.equal(a.id, "parking-enforcement");
+  assert.equal(b.id, "parking-enforcement-2", "ids stay unique");
+  assert.deepEqual(listTaxonomies().map(t => t.id), ["default", "parking-enforcement", "parking-enforcement-2"]);
+
+  const u = updateTaxonomy(a.id, { ...parking, name: "Parking" }, new Date("2024-06-02T00:00:00Z"));
+  assert.equal(u.name, "Parking");
+  assert.equal(u.createdAt, "2024-06-01T00:00:00.000Z");
+  assert.equal(u.updatedAt, "2024-06-02T00:00:00.000Z");
+
+  closeAllCollections(); // survives a restart
+  assert.equal(getTaxonomy(a.id).name, "Parking");
+  assert.equal(updateTaxonomy("nope", parking), null);
+
+  assert.throws(() => updateTaxonomy("default", parking), /built in/);
+  assert.throws(() => deleteTaxonomy("default"), /cannot be deleted/);
+  assert.ok(deleteTaxonomy(b.id));
+  assert.equal(getTaxonomy(b.id), null);
+
+  assert.equal(resolveTaxonomy(""), DEFAULT_TAXONOMY);
+  assert.throws(() => resolveTaxonomy("nope"), (e) => e.statusCode === 404);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTrends, direction } from "../lib/trends.js";
+import { analyzeReviews } from "../lib/classify.js";
+
+const NOW = Date.parse("2024-06-15T12:00:00Z");
+const categories = [{ key: "security", label: "Security" }, { key: "noise", label: "Parties/Noise" }];
+const finding = (date, ...cats) => ({ reviewId: date + cats.join(), date, categories: cats });
+
+test("direction needs a real move, not one extra hit", () => {
+  assert.equal(direction(0, 1), "steady");
+  assert.equal(direction(1, 2), "rising");
+  assert.equal(direction(2, 6), "rising");
+  assert.equal(direction(6, 2), "falling");
+  assert.equal(direction(4, 5), "steady");
+  assert.equal(direction(0, 0), "steady");
+});
+
+test("buckets by month up to the running month, with empty months filled in", () => {
+  const reviews = [{ date: "2024-02-10" }, { date: "2024-04-02" }, { date: "2024-04-20" }, { date: null }];
+  const t = buildTrends({
+    reviews,
+    findings: [finding("2024-02-10", "security"), finding("2024-04-02", "security", "noise"), finding("2024-04-20", "security"), finding(null, "noise")],
+    categories,
+    now: NOW
+  });
+  assert.equal(t.granularity, "month");
+  assert.deepEqual(t.periods.map(p => p.period), ["2024-02", "2024-03", "2024-04", "2024-05", "2024-06"]);
+  assert.deepEqual(t.periods.map(p => p.counts.security), [1, 0, 2, 0, 0]);
+  assert.deepEqual(t.periods.map(p => p.reviews), [1, 0, 2, 0, 0]);
+  assert.equal(t.periods[2].label, "Apr 2024");
+  assert.deepEqual(t.periods.map(p => p.partial), [false, false, false, false, true]);
+  assert.equal(t.undated, 1);
+  // May (last complete) vs April
+  assert.deepEqual(t.categories.security, { previous: 2, current: 0, change: 0, direction: "falling" });
+});
+
+test("switches to quarters for long histories and compares complete quarters", () => {
+  const dates = ["2021-05-01", "2023-11-05", "2024-01-10", "2024-02-11", "2024-03-12", "2024-05-01"];
+  const t = buildTrends({
+    reviews: dates.map(date => ({ date })),
+    findings: dates.map(d => finding(d, "security")),
+    categories,
+    now: NOW
+  });
+  assert.equal(t.granularity, "quarter");
+  assert.equal(t.periods.length, 12, "capped at 12 quarters");
+  assert.equal(t.periods.at(-1).period, "2024-Q2");
+  assert.equal(t.periods.at(-2).label, "Q1 2024");
+  assert.deepEqual(t.categories.security, { previous: 1, current: 3, change: 3, direction: "rising" });
+
+  const monthly = buildTrends({ reviews: [], findings: [], categories, granularity: "month", now: NOW });
+  assert.deepEqual(monthly.periods.map(p => p.period), ["2024-06"]);
+});
+
+test("analyzeReviews attaches the trend series", () => {
+  const out = analyzeReviews([
+    { id: "a", date: "2024-04-03", text: "Car broken into." },
+    { id: "b", date: "2024-05-03", text: "Police again. Cars broken into." },
+    { id: "c", date: "2024-05-20", text: "Trespassers at night." }
+  ], undefined, { now: NOW, granularity: "month" });
+  assert.deepEqual(out.trends.periods.map(p => p.counts.security), [1, 3, 0]);
+  assert.equal(out.trends.categories.security.direction, "rising");
+});
+
+test("dates that are not YYYY-MM-DD strings count as undated", () => {
+  const out = analyzeReviews([
+    { id: "a", date: "2024-05-03", text: "Car broken into." },
+    { id: "b", date: 20240101, text: "Car broken into." },
+    { id: "c", date: "last spring", text: "Car broken into." },
+    { id: "d", date: { y: 2024 }, text: "Car broken into." }
+  ], undefined, { now: NOW, granularity: "month" });
+  assert.deepEqual(out.trends.periods.map(p => p.period), ["2024-05", "2024-06"]);
+  assert.deepEqual(out.trends.periods.map(p => p.counts.security), [1, 0]);
+  assert.equal(out.trends.undated, 3);
+});
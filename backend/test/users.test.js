@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closeAllCollections } from "../lib/store.js";
+import { createUser, updateUser, deleteUser, listUsers, checkPassword, hashPassword, checkCurrentPassword } from "../lib/users.js";
+import { login, authenticate, actorOf, isAdmin, resetRateLimits } from "../lib/auth.js";
+import { startProxy } from "./helpers/proxyServer.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-users-"));
+  process.env.DATA_DIR = dir;
+  process.env.API_TOKEN_SECRET = "users-test-secret";
+  closeAllCollections();
+});
+after(() => {
+  closeAllCollections();
+  delete process.env.DATA_DIR;
+  delete process.env.API_TOKEN_SECRET;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const at = (iso) => new Date(iso);
+const created = { now: at("2026-09-01T00:00:00Z") };
+
+test("accounts hash their password, get slug ids and reject duplicates", () => {
+  const stored = hashPassword("correct horse");
+  assert.match(stored, /^scrypt\$[\w-]+\$[\w-]+$/);
+  assert.equal(checkPassword("correct horse", stored), true);
+  assert.equal(checkPassword("wrong horse!", stored), false);
+
+  const dana = createUser({ email: " Dana@Vidisky.com ", name: "Dana Ruiz", password: "dana-password", role: "admin" }, { by: { id: "key:ops", name: "ops" }, ...created });
+  assert.equal(dana.id, "dana-ruiz");
+  assert.equal(dana.email, "dana@vidisky.com");
+  assert.deepEqual(dana.createdBy, { id: "key:ops", name: "ops" });
+  assert.equal("passwordHash" in dana, false, "never returned");
+  assert.equal(createUser({ email: "dana.r@vidisky.com", name: "Dana Ruiz", password: "another-password" }, created).id, "dana-ruiz-2");
+
+  assert.throws(() => createUser({ email: "DANA@vidisky.com", name: "Dup", password: "dana-password" }), (e) => e.statusCode === 409);
+  assert.throws(() => createUser({ email: "x@vidisky.com", name: "X", password: "short" }), (e) => e.statusCode === 400 && /10 characters/.test(e.message));
+  assert.throws(() => createUser({ email: "x@vidisky.com", name: "X", password: "long-enough-pw", role: "owner" }), (e) => e.statusCode === 400);
+  assert.deepEqual(listUsers().map(u => u.role), ["admin", "member"]);
+});
+
+test("signing in returns a token that authenticates as the account", () => {
+  resetRateLimits();
+  const now = at("2026-10-01T09:00:00Z");
+  const lastLogin = () => listUsers().find(u => u.id === "dana-ruiz").lastLoginAt;
+  delete process.env.API_TOKEN_SECRET;
+  assert.throws(() => login("dana@vidisky.com", "dana-password", { now }), (e) => e.statusCode === 400 && /API_TOKEN_SECRET/.test(e.message));
+  assert.equal(lastLogin(), null, "no token, no recorded sign-in");
+  process.env.API_TOKEN_SECRET = "users-test-secret";
+
+  const { token, expiresAt, user } = login("dana@vidisky.com", "dana-password", { now });
+  assert.equal(expiresAt, "2026-10-01T21:00:00.000Z");
+  assert.equal(user.lastLoginAt, now.toISOString());
+
+  const p = authenticate(token, { keys: [], now });
+  assert.equal(p.name, "user:dana-ruiz");
+  assert.equal(p.via, "user");
+  assert.deepEqual(p.user, { id: "dana-ruiz", name: "Dana Ruiz", email: "dana@vidisky.com", role: "admin" });
+  assert.deepEqual(actorOf(p), { id: "dana-ruiz", name: "Dana Ruiz" });
+  assert.equal(isAdmin(p), true);
+  assert.deepEqual(actorOf({ name: "ops", via: "key" }), { id: "key:ops", name: "ops" });
+
+  for (const [email, password] of [["dana@vidisky.com", "wrong-password"], ["nobody@vidisky.com", "dana-password"]]) {
+    assert.throws(() => login(email, password, { now }), (e) => e.statusCode === 401 && e.message === "Wrong e-mail or password");
+  }
+});
+
+test("changing the password or deleting the account revokes its tokens", () => {
+  resetRateLimits();
+  const t0 = at("2026-10-01T09:00:00Z");
+  const member = login("dana.r@vidisky.com", "another-password", { now: t0 });
+  assert.equal(isAdmin(authenticate(member.token, { keys: [], now: t0 })), false);
+
+  updateUser("dana-ruiz-2", { password: "a-new-password" }, at("2026-10-01T10:00:00Z"));
+  assert.throws(() => authenticate(member.token, { keys: [], now: at("2026-10-01T10:00:01Z") }), (e) => e.statusCode === 401 && /password was changed/.test(e.message));
+  const sameSecond = login("dana.r@vidisky.com", "a-new-password", { now: at("2026-10-01T10:00:01.200Z") });
+  updateUser("dana-ruiz-2", { password: "a-newer-password" }, at("2026-10-01T10:00:01.700Z"));
+  assert.throws(() => authenticate(sameSecond.token, { keys: [], now: at("2026-10-01T10:00:01.900Z") }), (e) => e.statusCode === 401 && /password was changed/.test(e.message),
+    "a token issued earlier in the same second as the change");
+  const right = login("dana.r@vidisky.com", "a-newer-password", { now: at("2026-10-01T10:00:01.800Z") });
+  assert.equal(authenticate(right.token, { keys: [], now: at("2026-10-01T10:00:01.900Z") }).user.id, "dana-ruiz-2", "signing in later in the same second works");
+  const again = login("dana.r@vidisky.com", "a-newer-password", { now: at("2026-10-01T10:00:02Z") });
+  assert.equal(authenticate(again.token, { keys: [], now: at("2026-10-01T10:00:03Z") }).user.id, "dana-ruiz-2");
+
+  assert.equal(deleteUser("dana-ruiz-2"), true);
+  assert.throws(() => authenticate(again.token, { keys: [], now: at("2026-10-01T10:00:04Z") }), (e) => e.statusCode === 401 && /no longer exists/.test(e.message));
+});
+
+test("the workspace always keeps an admin", () => {
+  assert.throws(() => updateUser("dana-ruiz", { role: "member" }), (e) => e.statusCode === 400 && /at least one admin/.test(e.message));
+  assert.throws(() => deleteUser("dana-ruiz"), (e) => e.statusCode === 400);
+  createUser({ email: "lee@vidisky.com", name: "Lee", password: "lee-password", role: "admin" });
+  assert.equal(updateUser("dana-ruiz", { role: "member" }).role, "member");
+  assert.equal(updateUser("nobody", { name: "X" }), null);
+});
+
+test("members need their current password to set a new one; admins do not", async () => {
+  createUser({ email: "kim@vidisky.com", name: "Kim", password: "kim-password" });
+  assert.throws(() => checkCurrentPassword("kim", undefined), (e) => e.statusCode === 400);
+  assert.throws(() => checkCurrentPassword("kim", "not-kims-password"), (e) => e.statusCode === 403);
+  assert.doesNotThrow(() => checkCurrentPassword("kim", "kim-password"));
+
+  const data = fs.mkdtempSync(path.join(os.tmpdir(), "vidisky-users-routes-"));
+  const proxy = await startProxy({ DATA_DIR: data, AUTH_DISABLED: "", API_KEYS: "ops:ops-secret-0123456789", API_TOKEN_SECRET: "users-route-secret" });
+  const call = (method, p, key, body) => fetch(`${proxy.url}${p}`, {
+    method,
+    headers: { Authorization: `Bearer ${key}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const ops = "ops-secret-0123456789";
+  try {
+    assert.equal((await call("POST", "/users", ops, { email: "sam@vidisky.com", name: "Sam", password: "sam-password" })).status, 201);
+    const signIn = await fetch(`${proxy.url}/auth/login`, {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ email: "sam@vidisky.com", password: "sam-password" })
+    });
+    const { token } = await signIn.json();
+    assert.equal((await call("PUT", "/users/sam", token, { password: "sam-new-password" })).status, 400);
+    assert.equal((await call("PUT", "/users/sam", token, { password: "sam-new-password", currentPassword: "guessed-password" })).status, 403);
+    assert.equal((await call("PUT", "/users/sam", token, { name: "Sam R" })).status, 200, "other fields need no password");
+    assert.equal((await call("PUT", "/users/sam", token, { password: "sam-new-password", currentPassword: "sam-password" })).status, 200);
+    assert.equal((await call("PUT", "/users/sam", ops, { password: "reset-by-ops-1" })).status, 200, "admins reset without it");
+  } finally {
+    await proxy.close();
+    fs.rmSync(data, { recursive: true, force: true });
+  }
+});
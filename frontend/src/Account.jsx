@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { authHeaders } from "./config.js";
+
+const input = {border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13};
+const blankMember = { name: "", email: "", password: "", role: "member" };
+
+/**
+ * Who the app is talking to the proxy as (GET /auth/me), a sign-in form for team accounts
+ * (POST /auth/login – the token it returns is used like an API key), and, for admins, the
+ * team's accounts (/users).
+ */
+export default function Account({ proxyBase, apiKey, onApiKey, box, label }){
+  const [me, setMe] = useState(null);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [managing, setManaging] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState(blankMember);
+
+  const base = proxyBase.replace(/\/$/, "");
+
+  async function call(path, { method = "GET", body } = {}){
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method, headers: { "Content-Type": "application/json", ...authHeaders(apiKey) }, body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || err?.error || `${path} failed (${res.status})`);
+    }
+    return res.status===204 ? null : res.json();
+  }
+
+  useEffect(()=>{
+    setMe(null);
+    setManaging(false);
+    if(proxyBase && apiKey) call("/auth/me").then(setMe).catch(()=>{});
+  },[proxyBase, apiKey]);
+
+  async function signIn(e){
+    e.preventDefault();
+    try{
+      setError("");
+      setBusy(true);
+      const res = await fetch(`${base}/auth/login`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ email, password })
+      });
+      const out = await res.json().catch(()=>null);
+      if(!res.ok) throw new Error(out?.message || `Sign-in failed (${res.status})`);
+      setPassword("");
+      onApiKey(out.token);
+    }catch(err){
+      setError(err.message||"Sign-in failed");
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  async function loadUsers(){
+    try{
+      setError("");
+      setUsers(await call("/users"));
+    }catch(err){
+      setError(err.message||"Could not load the team");
+    }
+  }
+
+  async function addUser(e){
+    e.preventDefault();
+    try{
+      setError("");
+      await call("/users", { method: "POST", body: draft });
+      setDraft(blankMember);
+      loadUsers();
+    }catch(err){
+      setError(err.message||"Could not add the account");
+    }
+  }
+
+  async function setRole(u, role){
+    try{
+      setError("");
+      await call(`/users/${encodeURIComponent(u.id)}`, { method: "PUT", body: { role } });
+      loadUsers();
+    }catch(err){
+      setError(err.message||"Could not change the role");
+    }
+  }
+
+  async function removeUser(u){
+    if(!confirm(`Remove ${u.name}'s account? Their past searches stay in the history.`)) return;
+    try{
+      setError("");
+      await call(`/users/${encodeURIComponent(u.id)}`, { method: "DELETE" });
+      loadUsers();
+    }catch(err){
+      setError(err.message||"Could not remove the account");
+    }
+  }
+
+  const signedIn = me?.user;
+
+  return (
+    <div style={{marginTop:8,fontSize:13}}>
+      {signedIn ? (
+        <div style={{display:"flex",gap:8,alignItems:"center"}}>
+          <span>Signed in as <b>{signedIn.name}</b> <span style={{color:"#64748b"}}>({signedIn.email} · {signedIn.role})</span></span>
+          <button onClick={()=>onApiKey("")} style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>Sign out</button>
+          {me.canManageUsers && <button onClick={()=>{ setManaging(v=>!v); loadUsers(); }} style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>Team…</button>}
+        </div>
+      ) : (
+        <form onSubmit={signIn} style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap"}}>
+          {me?.name && <span style={{color:"#64748b"}}>Using key <b>{me.name}</b> · or</span>}
+          <span style={label}>Sign in</span>
+          <input type="email" value={email} onChange={e=>setEmail(e.target.value)} placeholder="you@company.com" autoComplete="username" style={input}/>
+          <input type="password" value={password} onChange={e=>setPassword(e.target.value)} placeholder="password" autoComplete="current-password" style={input}/>
+          <button type="submit" disabled={busy||!email||!password} style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>{busy?"Signing in…":"Sign in"}</button>
+          {me?.name && me.canManageUsers && <button type="button" onClick={()=>{ setManaging(v=>!v); loadUsers(); }} style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>Team…</button>}
+        </form>
+      )}
+      {error && <div style={{marginTop:4,color:"#b91c1c"}}>{error}</div>}
+
+      {managing && (
+        <div style={{...box,marginTop:8}}>
+          <div style={{fontWeight:600,marginBottom:8}}>Team accounts</div>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+            <thead><tr style={{textAlign:"left",color:"#64748b"}}><th>Name</th><th>E-mail</th><th>Role</th><th>Last sign-in</th><th/></tr></thead>
+            <tbody>
+              {users.map(u=>(
+                <tr key={u.id} style={{borderTop:"1px solid #f1f5f9"}}>
+                  <td>{u.name}</td>
+                  <td>{u.email}</td>
+                  <td>
+                    <select value={u.role} onChange={e=>setRole(u, e.target.value)} style={{...input,padding:2}}>
+                      <option value="member">member</option>
+                      <option value="admin">admin</option>
+                    </select>
+                  </td>
+                  <td>{u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : "never"}</td>
+                  <td><button onClick={()=>removeUser(u)} style={{border:"none",background:"none",color:"#b91c1c",cursor:"pointer",fontSize:12}}>remove</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <form onSubmit={addUser} style={{display:"flex",gap:6,marginTop:10,flexWrap:"wrap"}}>
+            <input value={draft.name} onChange={e=>setDraft(d=>({...d,name:e.target.value}))} placeholder="Name" style={input}/>
+            <input type="email" value={draft.email} onChange={e=>setDraft(d=>({...d,email:e.target.value}))} placeholder="E-mail" style={input}/>
+            <input type="password" value={draft.password} onChange={e=>setDraft(d=>({...d,password:e.target.value}))} placeholder="Initial password (10+)" autoComplete="new-password" style={input}/>
+            <select value={draft.role} onChange={e=>setDraft(d=>({...d,role:e.target.value}))} style={input}>
+              <option value="member">member</option>
+              <option value="admin">admin</option>
+            </select>
+            <button type="submit" style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>Add account</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,113 +1,286 @@
-import React, { useMemo, useRef, useState } from "react";
-
-// --- categories & keywords ---
-const CATEGORIES = {
-  security: [
-    "security","unsafe","trespass","trespasser","loiter","loitering","crime",
-    "stolen","break-in","break in","broken into","burglary","vandal","vandalism",
-    "police","weapon","gun","knife","assault","threatening","suspicious",
-    "car break","catalytic","porch pirate"
-  ],
-  pet: [
-    "pet waste","dog poop","poop","didn't pick up","did not pick up","feces",
-    "droppings","dogs everywhere","mess from dogs","dog waste"
-  ],
-  noise: [
-    "amenity misuse","party","parties","pool party","after hours","after-hours",
-    "noise","noisy","loud","non-residents","guests using","gym crowd","smoking by pool",
-    "smoke at pool","parking unauthorized","illegal parking","trash dumping","dumpster",
-    "package theft","mailroom"
+import React, { useEffect, useMemo, useState } from "react";
+import TaxonomyEditor from "./TaxonomyEditor.jsx";
+import EmailComposer from "./EmailComposer.jsx";
+import TrendChart from "./TrendChart.jsx";
+import Portfolio from "./Portfolio.jsx";
+import Comparison from "./Comparison.jsx";
+import FindingQuote from "./FindingQuote.jsx";
+import Watchlist from "./Watchlist.jsx";
+import { followJob } from "./jobs.js";
+import { DEFAULT_PROXY_BASE, API_KEY_STORAGE, LAST_SEARCH_STORAGE, authHeaders, httpUrl } from "./config.js";
+import SharePanel from "./SharePanel.jsx";
+import Account from "./Account.jsx";
+import RecentProperties from "./RecentProperties.jsx";
+
+// sources requested from the proxy's /reviews route
+const SOURCE_KEYS = ["google","apartmentratings","apartmentscom"];
+
+// How the proxy fetches Google reviews (?via=google:…); every API falls back to the browser
+const GOOGLE_VIA = [["auto","Proxy default"],["outscraper","Outscraper API"],["places","Places API (5 max)"],["browser","Browser scrape"]];
+const VIA_LABELS = { outscraper: "Outscraper", places: "Places API", browser: "browser" };
+const STATUS_COLORS = { failed: "#b91c1c", blocked: "#c2410c" };
+
+// Sentences are classified by the proxy (/classify) against the active taxonomy (/taxonomies).
+// Until the proxy answers, the built-in categories stand in for the empty state.
+const FALLBACK_TAXONOMY = {
+  id: "default",
+  name: "Default",
+  builtIn: true,
+  categories: [
+    { key: "security", label: "Security", severity: 5 },
+    { key: "safety", label: "Safety concerns", severity: 4 },
+    { key: "pet", label: "Pet issues", severity: 2 },
+    { key: "noise", label: "Parties/Noise", severity: 2 },
+    { key: "amenity", label: "Amenity misuse", severity: 3 }
   ]
 };
 
-// keep a flat list in case you need it elsewhere
-const ALL_KEYWORDS = [...new Set(Object.values(CATEGORIES).flat())];
+const emptyAnalysis = (t) => ({
+  taxonomy: { id: t.id, name: t.name },
+  categories: t.categories.map(({ key, label, severity }) => ({ key, label, severity })),
+  counts: Object.fromEntries([["total", 0], ...t.categories.map(c => [c.key, 0])]),
+  findings: [],
+  risk: null,
+  trends: null
+});
 
-function tokenize(text){
-  return (text||"")
-    .replace(/\n+/g,"\n")
-    .split(/\n|\.|!|\?|\r/g)
-    .map(s=>s.trim())
-    .filter(Boolean);
-}
+const RISK_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
 
-function classify(sentence){
-  const s = sentence.toLowerCase();
-  const hits = [];
-  for (const [cat, words] of Object.entries(CATEGORIES)){
-    if (words.some(w => s.includes(w))) hits.push(cat);
-  }
-  return hits;
-}
+const pulledOn = (iso) => new Date(iso).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" });
 
 export default function App(){
   const [name, setName] = useState("");
   const [location, setLocation] = useState("");
-  // default to your backend URL
-  const [proxyBase, setProxyBase] = useState("https://vidisky-reviews-1.onrender.com");
+  const [proxyBase, setProxyBase] = useState(DEFAULT_PROXY_BASE);
+  const [apiKey, setApiKey] = useState(()=>localStorage.getItem(API_KEY_STORAGE) || "");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [results, setResults] = useState([]); // [{text,url,source}]
-  const reportRef = useRef(null);
-
-  // Extract per-sentence matches with categories
-  const filtered = useMemo(()=>{
-    const out=[];
-    for(const r of results){
-      for(const sentence of tokenize(r.text)){
-        const cats = classify(sentence);
-        if (cats.length){
-          out.push({ sentence, url:r.url, source:r.source, cats });
-        }
-      }
-    }
-    return out;
-  },[results]);
-
-  // Counts per category + total
-  const counts = useMemo(()=>{
-    const base = { total: filtered.length, security:0, pet:0, noise:0 };
-    for (const row of filtered){
-      if (row.cats.includes("security")) base.security++;
-      if (row.cats.includes("pet")) base.pet++;
-      if (row.cats.includes("noise")) base.noise++;
-    }
-    return base;
-  },[filtered]);
+  const [results, setResults] = useState([]); // [{id,author,rating,date,dateLabel,text,ownerReply,url,source}]
+  const [sourceStatus, setSourceStatus] = useState({}); // { google: { label, status, count, error } }
+  const [candidates, setCandidates] = useState(null); // /search-properties sources block while a pick is pending
+  const [picks, setPicks] = useState({}); // { google: candidateUrl | "" (skip) }
+  const [googleVia, setGoogleVia] = useState("auto");
+  const [mode, setMode] = useState("single"); // "single" property | "portfolio" (CSV batch) | "watchlist"
+  const [taxonomies, setTaxonomies] = useState([]); // /taxonomies summaries
+  const [taxonomy, setTaxonomy] = useState(FALLBACK_TAXONOMY); // active, full
+  const [editingTaxonomy, setEditingTaxonomy] = useState(false);
+  const [savingTaxonomy, setSavingTaxonomy] = useState(false);
+  const [analysis, setAnalysis] = useState(()=>emptyAnalysis(FALLBACK_TAXONOMY)); // proxy's { taxonomy, categories, counts, findings }
+  const [progress, setProgress] = useState({}); // running job: { google: { label, phase, collected, status } }
+  const [fetched, setFetched] = useState(null); // { sources, refs } of the last fetch, for /compare and /watchlist
+  const [comparison, setComparison] = useState({ jobId: null, running: false, error: "", progress: {}, rows: [], result: null });
+  const [exporting, setExporting] = useState(""); // "pdf" or the /export path being downloaded
+  const [composing, setComposing] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [searchEntry, setSearchEntry] = useState(null); // /history summary of what's on screen: { id, ranBy, ranAt, … }
+  const [historyRefresh, setHistoryRefresh] = useState(0);
 
-  async function fetchJson(path){
+  // Sentences the proxy flagged, with their categories, confidence and matched terms
+  const filtered = analysis.findings;
+  const counts = analysis.counts;
+  const risk = analysis.risk;
+  const labelOf = useMemo(()=>Object.fromEntries(analysis.categories.map(c=>[c.key,c.label])),[analysis]);
+  // What POST /email, /report.pdf, /export and /shares re-analyze: the fetched reviews under the active taxonomy
+  const propertyRequest = useMemo(()=>({
+    name, location, reviews: results, taxonomy: taxonomy.id, compare: comparison.result ? comparison.jobId : undefined
+  }),[name, location, results, taxonomy.id, comparison.result, comparison.jobId]);
+
+  async function fetchJson(path, { method = "GET", body } = {}){
     const base = proxyBase.replace(/\/$/, "");
-    const res = await fetch(`${base}${path}`);
-    if(!res.ok) throw new Error(`${path} failed (${res.status})`);
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method,
+      headers: { "Content-Type": "application/json", ...authHeaders(apiKey) },
+      body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || `${path} failed (${res.status})`);
+    }
+    if(res.status===204) return null;
     return (await res.json())||[];
   }
 
+  useEffect(()=>{
+    if(apiKey) localStorage.setItem(API_KEY_STORAGE, apiKey);
+    else localStorage.removeItem(API_KEY_STORAGE);
+  },[apiKey]);
+
+  // Taxonomies saved on the proxy; reload when pointed at another proxy or given another key
+  useEffect(()=>{
+    if(!proxyBase) return;
+    fetchJson("/taxonomies").then(setTaxonomies).catch(()=>setTaxonomies([]));
+    fetchJson(`/taxonomies/${encodeURIComponent(taxonomy.id)}`).then(setTaxonomy).catch(()=>{});
+  },[proxyBase, apiKey]);
+
+  // A reload picks up where the rep left off: the last search reopens from the proxy's history
+  useEffect(()=>{
+    const last = localStorage.getItem(LAST_SEARCH_STORAGE);
+    if(proxyBase && last && !results.length) openSearch(last, { quiet: true });
+  },[proxyBase, apiKey]);
+
+  useEffect(()=>{
+    if(searchEntry) localStorage.setItem(LAST_SEARCH_STORAGE, searchEntry.id);
+  },[searchEntry]);
+
+  // A past search from the history – the stored reviews and a fresh analysis, no scrape
+  async function openSearch(id, { quiet = false } = {}){
+    try{
+      setError("");
+      const h = await fetchJson(`/history/${encodeURIComponent(id)}`);
+      setMode("single");
+      setCandidates(null);
+      setComposing(false);
+      setSharing(false);
+      setComparison({ jobId: null, running: false, error: "", progress: {}, rows: [], result: null });
+      setName(h.property.name);
+      setLocation(h.property.location);
+      setResults(h.reviews);
+      setSourceStatus(h.status);
+      setAnalysis(h.analysis);
+      setFetched({ sources: h.sources, refs: h.refs });
+      const { reviews, analysis: _, ...entry } = h;
+      setSearchEntry(entry);
+      if(h.analysis.taxonomy.id !== taxonomy.id) fetchJson(`/taxonomies/${encodeURIComponent(h.analysis.taxonomy.id)}`).then(setTaxonomy).catch(()=>{});
+    }catch(e){
+      if(quiet) localStorage.removeItem(LAST_SEARCH_STORAGE);
+      else setError(e.message||"Could not open that search");
+    }
+  }
+
+  // Re-classify what we already fetched – switching taxonomy never re-scrapes
+  async function reanalyze(t){
+    if(!results.length){ setAnalysis(emptyAnalysis(t)); return; }
+    setAnalysis(await fetchJson("/classify", { method: "POST", body: { reviews: results, taxonomy: t.id } }));
+  }
+
+  async function selectTaxonomy(id){
+    try{
+      setError("");
+      const t = await fetchJson(`/taxonomies/${encodeURIComponent(id)}`);
+      setTaxonomy(t);
+      setEditingTaxonomy(false);
+      await reanalyze(t);
+    }catch(e){
+      setError(e.message||"Could not load taxonomy");
+    }
+  }
+
+  async function saveTaxonomy(body, { asNew }){
+    try{
+      setError("");
+      setSavingTaxonomy(true);
+      const saved = asNew
+        ? await fetchJson("/taxonomies", { method: "POST", body })
+        : await fetchJson(`/taxonomies/${encodeURIComponent(taxonomy.id)}`, { method: "PUT", body });
+      setTaxonomies(await fetchJson("/taxonomies"));
+      setTaxonomy(saved);
+      setEditingTaxonomy(false);
+      await reanalyze(saved);
+    }catch(e){
+      setError(e.message||"Could not save taxonomy");
+    }finally{
+      setSavingTaxonomy(false);
+    }
+  }
+
+  async function removeTaxonomy(){
+    if(!window.confirm(`Delete taxonomy “${taxonomy.name}”?`)) return;
+    try{
+      setSavingTaxonomy(true);
+      await fetchJson(`/taxonomies/${encodeURIComponent(taxonomy.id)}`, { method: "DELETE" });
+      setTaxonomies(await fetchJson("/taxonomies"));
+      await selectTaxonomy("default");
+    }catch(e){
+      setError(e.message||"Could not delete taxonomy");
+    }finally{
+      setSavingTaxonomy(false);
+    }
+  }
+
+  const query = () => `?name=${encodeURIComponent(name)}&location=${encodeURIComponent(location)}&sources=${SOURCE_KEYS.join(",")}`;
+
+  // Step 1: ask every source which properties match; stop for a human pick when it's unclear
   async function onFetch(){
     try{
       setError("");
       if(!name || !location) throw new Error("Please enter name and location.");
       if(!proxyBase) throw new Error("Please set Proxy Base URL.");
       setLoading(true);
+      setSourceStatus({});
+      setCandidates(null);
 
-      const q = `?name=${encodeURIComponent(name)}&location=${encodeURIComponent(location)}`;
+      const found = await fetchJson(`/search-properties${query()}`);
+      const defaults = {};
+      for (const [key, st] of Object.entries(found.sources || {})){
+        if (st.candidates?.length) defaults[key] = st.candidates[0].url;
+      }
+      if (found.ambiguous){
+        setCandidates(found.sources);
+        setPicks(defaults);
+        return;
+      }
+      await fetchReviews(defaults);
+    }catch(e){
+      setError(e.message||"Fetch failed");
+    }finally{
+      setLoading(false);
+    }
+  }
 
-      // Google (Playwright scraper) + ApartmentRatings
-      const [g, ar] = await Promise.allSettled([
-        fetchJson(`/google-scrape${q}&max=80`),
-        fetchJson(`/apartmentratings${q}`)
-      ]);
+  // Step 2: pull reviews for the chosen property per source ({ google: url, … }; "" = skip source)
+  async function fetchReviews(chosen){
+    const keys = SOURCE_KEYS.filter(k => chosen[k] !== "");
+    if (!keys.length) throw new Error("No sources selected.");
+    const refs = {};
+    for (const k of keys) if (chosen[k]) refs[k] = { url: chosen[k] };
 
-      const list=[];
-      if (g.status==="fulfilled") list.push(...g.value.map(x=>({...x, source:"Google"})));
-      if (ar.status==="fulfilled") list.push(...ar.value.map(x=>({...x, source:"ApartmentRatings"})));
+    // Submitted as a background job on the proxy; follow progress and per-source results over SSE
+    const base = proxyBase.replace(/\/$/, "");
+    const res = await fetch(`${base}/jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(apiKey) },
+      body: JSON.stringify({ name, location, sources: keys, refs, via: googleVia === "auto" ? undefined : { google: googleVia }, max: 80, taxonomy: taxonomy.id })
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || `/jobs failed (${res.status})`);
+    }
+    const job = await res.json();
 
-      // dedupe by text
-      const seen=new Set(); const uniq=[];
-      for(const it of list){
-        const k=(it.text||"").toLowerCase();
-        if(!k || seen.has(k)) continue; seen.add(k); uniq.push(it);
+    setResults([]);
+    setAnalysis(emptyAnalysis(taxonomy));
+    setSearchEntry(null);
+    setFetched({ sources: keys, refs });
+    setComparison({ jobId: null, running: false, error: "", progress: {}, rows: [], result: null });
+    setSourceStatus({});
+    setProgress(job.progress || {});
+    const data = await followJob(base, job, {
+      apiKey,
+      onProgress: setProgress,
+      onPartial: ({ items, findings }) => {
+        setResults(prev => {
+          const seen = new Set(prev.map(r => r.id));
+          return [...prev, ...items.filter(r => !seen.has(r.id))];
+        });
+        // interim findings per source; the final analysis replaces them (deduped across sources)
+        if (findings?.length) setAnalysis(prev => ({ ...prev, findings: [...prev.findings, ...findings] }));
       }
-      setResults(uniq);
+    }).finally(() => setProgress({}));
+    setSourceStatus(data.sources || {});
+    setResults(data.reviews || []);
+    setAnalysis(data.analysis || emptyAnalysis(taxonomy));
+    if(data.historyId){
+      setSearchEntry({ id: data.historyId, ranBy: null, ranAt: new Date().toISOString(), fresh: true });
+      setHistoryRefresh(n => n + 1);
+    }
+  }
+
+  async function onPicked(){
+    try{
+      setError("");
+      setLoading(true);
+      await fetchReviews(picks);
+      setCandidates(null);
     }catch(e){
       setError(e.message||"Fetch failed");
     }finally{
@@ -115,49 +288,86 @@ export default function App(){
     }
   }
 
-  function copyEmail(){
-    const lines=[];
-    lines.push(`Subject: Quick security takeaways – ${name||"Property"} (${location||"City, ST"})`);
-    lines.push(""); lines.push("Hi [Name] —"); lines.push("");
-    lines.push(`I pulled public reviews for ${name||"your community"} in ${location||"your area"} and filtered for security, pet waste, and parties/noise.`);
-    lines.push(`Signals found: ${counts.total}`);
-    lines.push(`• Security: ${counts.security}`);
-    lines.push(`• Pet issues: ${counts.pet}`);
-    lines.push(`• Parties/Noise: ${counts.noise}`);
-    lines.push("");
-    filtered.slice(0,10).forEach(r=>{
-      const tag = r.cats.join(", ");
-      lines.push(`– ${r.sentence}  [${tag}]`);
-    });
-    lines.push(""); lines.push("How we help (VIDISKY):");
-    lines.push("• AI + live agents monitor your existing cameras in real time");
-    lines.push("• Voice-down trespassers, alert staff, or call police per protocol");
-    lines.push("• Evidence-grade reports for insurers and PD");
-    lines.push(""); lines.push("Open to a 15-minute walkthrough to quantify impact?"); lines.push("– Stan");
-
-    const text = lines.join("\n");
-    navigator.clipboard?.writeText(text).catch(()=>{
-      const ta=document.createElement("textarea");
-      ta.value=text; document.body.appendChild(ta); ta.select();
-      document.execCommand("copy"); document.body.removeChild(ta);
+  // Nearby complexes from the same Maps search, compared on Google reviews (POST /compare job)
+  async function compareNeighborhood(){
+    const base = proxyBase.replace(/\/$/, "");
+    setComparison({ jobId: null, running: true, error: "", progress: {}, rows: [], result: null });
+    try{
+      if(!name || !location) throw new Error("Please enter name and location.");
+      const job = await fetchJson("/compare", { method: "POST", body: { name, location, ref: fetched?.refs.google || null, limit: 5, taxonomy: taxonomy.id } });
+      setComparison(c => ({ ...c, jobId: job.id, progress: job.progress || {} }));
+      const result = await followJob(base, job, {
+        apiKey,
+        onProgress: (progress) => setComparison(c => ({ ...c, progress })),
+        onPartial: ({ items }) => setComparison(c => ({ ...c, rows: [...c.rows.filter(r => !items.some(i => i.key === r.key)), ...items] }))
+      });
+      setComparison(c => ({ ...c, running: false, result }));
+    }catch(e){
+      setComparison(c => ({ ...c, running: false, error: e.message || "Comparison failed" }));
+    }
+  }
+
+  // Saves the property (with the listings picked for the last fetch) for scheduled re-checks
+  async function watchProperty(){
+    try{
+      setError("");
+      if(!name || !location) throw new Error("Please enter name and location.");
+      const w = await fetchJson("/watchlist", { method: "POST", body: { name, location, sources: fetched?.sources || SOURCE_KEYS, refs: fetched?.refs || {}, taxonomy: taxonomy.id } });
+      alert(`${w.name} is on the watchlist – checked every ${Math.round(w.everyMinutes / 60)}h, alerts on ${w.alertCategories.join(", ")}.`);
+    }catch(e){
+      setError(e.message||"Could not add to watchlist");
+    }
+  }
+
+  // POSTs the fetched reviews to a proxy download route and saves the file it returns
+  async function download(path, fallbackName){
+    const base = proxyBase.replace(/\/$/, "");
+    const res = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(apiKey) },
+      body: JSON.stringify(propertyRequest)
     });
-    alert("Email summary copied.");
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || `${path} failed (${res.status})`);
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 10000);
   }
 
-  async function exportPdf(){
-    const [{ default: jsPDF }, { default: html2canvas }] = await Promise.all([
-      import("jspdf"),
-      import("html2canvas"),
-    ]);
-    const node = reportRef.current; if(!node) return;
-    const canvas = await html2canvas(node,{scale:2,backgroundColor:"#ffffff"});
-    const img = canvas.toDataURL("image/png");
-    const pdf = new jsPDF({orientation:"p",unit:"pt",format:"a4"});
-    const pw=pdf.internal.pageSize.getWidth(), ph=pdf.internal.pageSize.getHeight();
-    const iw=pw-40, ih=canvas.height*(iw/canvas.width);
-    if(ih<ph-40){ pdf.addImage(img,"PNG",20,20,iw,ih); }
-    else{ let left=ih,pos=20; pdf.addImage(img,"PNG",20,pos,iw,ih); left-=ph-40; while(left>0){ pdf.addPage(); pos=20-(ih-left); pdf.addImage(img,"PNG",20,pos,iw,ih); left-=ph-40; } }
-    pdf.save(`${(name||"Property").replace(/\W+/g,"-")}-${(location||"Location").replace(/\W+/g,"-")}-VIDISKY-Review-Summary.pdf`);
+  // A failed source's saved diagnostic, fetched with the key in a header and shown in a new tab.
+  // The tab opens first so the click still counts as a user gesture for popup blockers.
+  async function openDiagnostic(id){
+    const tab = window.open("", "_blank");
+    try{
+      const d = await fetchJson(`/diagnostics/${encodeURIComponent(id)}`);
+      const url = URL.createObjectURL(new Blob([JSON.stringify(d, null, 2)], { type: "application/json" }));
+      if(tab) tab.location.href = url;
+      setTimeout(()=>URL.revokeObjectURL(url), 60000);
+    }catch(e){
+      tab?.close();
+      setError(e.message||"Could not load the diagnostic");
+    }
+  }
+
+  // The proxy prints the report (cover, summary, every quote, methodology) from the fetched reviews
+  // and builds the spreadsheets from the same analysis. `what` is "pdf" or an /export path.
+  async function exportFile(what){
+    try{
+      setError("");
+      if(!results.length) throw new Error("Fetch reviews first.");
+      setExporting(what);
+      if(what==="pdf") await download("/report.pdf", "review-report.pdf");
+      else await download(`/export/${what}`, what.replace("/", "-"));
+    }catch(e){
+      setError(e.message||"Export failed");
+    }finally{
+      setExporting("");
+    }
   }
 
   const box={border:"1px solid #e5e7eb",borderRadius:12,padding:16,background:"white"};
@@ -165,10 +375,18 @@ export default function App(){
 
   return (
     <div style={{minHeight:"100vh",background:"#f8fafc",color:"#0f172a"}}>
-      <div style={{maxWidth:960,margin:"0 auto",padding:16}}>
+      <div style={{maxWidth:1240,margin:"0 auto",padding:16,display:"grid",gridTemplateColumns:"260px minmax(0,1fr)",gap:16,alignItems:"start"}}>
+        <RecentProperties proxyBase={proxyBase} apiKey={apiKey} activeId={searchEntry?.id} refresh={historyRefresh} onOpen={openSearch} box={box} label={label}/>
+      <div>
         <h1 style={{fontWeight:700,marginBottom:8}}>VIDISKY Review Summarizer</h1>
 
-        <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
+        <div style={{display:"flex",gap:4,marginBottom:12}}>
+          {[["single","Single property"],["portfolio","Portfolio (CSV)"],["watchlist","Watchlist"]].map(([m,text])=>(
+            <button key={m} onClick={()=>setMode(m)} style={{borderRadius:10,padding:"6px 12px",border:"1px solid #e2e8f0",background:mode===m?"#0f172a":"white",color:mode===m?"white":"inherit"}}>{text}</button>
+          ))}
+        </div>
+
+        {mode==="single" && <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
           <label style={{display:"flex",flexDirection:"column",gap:6}}>
             <span style={label}>Apartment name</span>
             <input value={name} onChange={e=>setName(e.target.value)} placeholder="(e.g., 30 West Apartments)" style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}/>
@@ -177,64 +395,196 @@ export default function App(){
             <span style={label}>Location (City, ST)</span>
             <input value={location} onChange={e=>setLocation(e.target.value)} placeholder="(e.g., Bradenton, FL)" style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}/>
           </label>
-        </div>
+        </div>}
 
-        <div style={{marginTop:8}}>
+        <div style={{marginTop:8,display:"grid",gridTemplateColumns:"2fr 1fr",gap:8}}>
           <label style={{display:"flex",flexDirection:"column",gap:6}}>
             <span style={label}>Proxy Base URL</span>
             <input value={proxyBase} onChange={e=>setProxyBase(e.target.value)} placeholder="https://vidisky-reviews-1.onrender.com" style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}/>
           </label>
+          <label style={{display:"flex",flexDirection:"column",gap:6}}>
+            <span style={label}>API key</span>
+            <input type="password" value={apiKey} onChange={e=>setApiKey(e.target.value.trim())} placeholder="from your proxy admin" autoComplete="off" style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}/>
+          </label>
         </div>
+        <Account proxyBase={proxyBase} apiKey={apiKey} onApiKey={setApiKey} box={box} label={label}/>
 
-        <div style={{display:"flex",gap:8,marginTop:12}}>
-          <button onClick={onFetch} disabled={loading} style={{background:"black",color:"white",borderRadius:10,padding:"8px 12px"}}>{loading?"Fetching…":"Fetch & Summarize"}</button>
-          <button onClick={copyEmail} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Copy Email</button>
-          <button onClick={exportPdf} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Export PDF</button>
+        <div style={{marginTop:8,display:"flex",gap:8,alignItems:"end"}}>
+          <label style={{display:"flex",flexDirection:"column",gap:6,flex:1}}>
+            <span style={label}>Taxonomy</span>
+            <select value={taxonomy.id} onChange={e=>selectTaxonomy(e.target.value)} style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}>
+              {(taxonomies.length ? taxonomies : [taxonomy]).map(t=>(
+                <option key={t.id} value={t.id}>{t.name}{t.builtIn ? " (built in)" : ""}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={()=>setEditingTaxonomy(v=>!v)} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>
+            {taxonomy.builtIn ? "Customize…" : "Edit…"}
+          </button>
+          <label style={{display:"flex",flexDirection:"column",gap:6}}>
+            <span style={label}>Google reviews via</span>
+            <select value={googleVia} onChange={e=>setGoogleVia(e.target.value)} style={{border:"1px solid #cbd5e1",borderRadius:8,padding:8}}>
+              {GOOGLE_VIA.map(([v,text])=><option key={v} value={v}>{text}</option>)}
+            </select>
+          </label>
         </div>
+        {editingTaxonomy && (
+          <TaxonomyEditor
+            key={taxonomy.id}
+            taxonomy={taxonomy}
+            onSave={saveTaxonomy}
+            onDelete={removeTaxonomy}
+            onCancel={()=>setEditingTaxonomy(false)}
+            saving={savingTaxonomy}
+            box={box}
+            label={label}
+          />
+        )}
 
-        {/* Category counts */}
-        <div style={{display:"grid",gridTemplateColumns:"repeat(3, 1fr)",gap:8,marginTop:12}}>
-          {[
-            ["Security", counts.security],
-            ["Pet issues", counts.pet],
-            ["Parties/Noise", counts.noise],
-          ].map(([label,count])=>(
-            <div key={label} style={{...box, padding:12}}>
-              <div style={{fontSize:12,color:"#64748b"}}>{label}</div>
-              <div style={{fontWeight:700,fontSize:22}}>{count}</div>
-            </div>
-          ))}
-        </div>
+        {mode==="portfolio" ? (
+          <Portfolio proxyBase={proxyBase} apiKey={apiKey} taxonomy={taxonomy} sources={SOURCE_KEYS} box={box} label={label}/>
+        ) : mode==="watchlist" ? (
+          <Watchlist proxyBase={proxyBase} apiKey={apiKey} taxonomy={taxonomy} box={box} label={label}/>
+        ) : (<>
+          <div style={{display:"flex",gap:8,marginTop:12}}>
+            <button onClick={onFetch} disabled={loading} style={{background:"black",color:"white",borderRadius:10,padding:"8px 12px"}}>{loading?"Fetching…":"Fetch & Summarize"}</button>
+            <button onClick={compareNeighborhood} disabled={loading||comparison.running} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>{comparison.running?"Comparing…":"Compare with neighborhood"}</button>
+            <button onClick={watchProperty} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Watch</button>
+            <button onClick={()=>setComposing(v=>!v)} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Email…</button>
+            <button onClick={()=>setSharing(v=>!v)} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Share link…</button>
+            <button onClick={()=>exportFile("pdf")} disabled={!!exporting} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>{exporting==="pdf"?"Preparing PDF…":"Export PDF"}</button>
+          </div>
+          <div style={{display:"flex",gap:6,marginTop:6,alignItems:"center",fontSize:12}}>
+            <span style={label}>Export data:</span>
+            {[["reviews.csv","Reviews CSV"],["findings.csv","Findings CSV"],["all.xlsx","XLSX (both)"],["all.json","JSON (both)"]].map(([path,text])=>(
+              <button key={path} onClick={()=>exportFile(path)} disabled={!!exporting} style={{border:"1px solid #e2e8f0",borderRadius:8,padding:"4px 8px",fontSize:12}}>
+                {exporting===path ? "Preparing…" : text}
+              </button>
+            ))}
+          </div>
+          {composing && <EmailComposer proxyBase={proxyBase} apiKey={apiKey} property={propertyRequest} box={box} label={label}/>}
+          {sharing && <SharePanel proxyBase={proxyBase} apiKey={apiKey} property={propertyRequest} box={box} label={label}/>}
 
-        <div style={{display:"grid",gridTemplateColumns:"1fr",gap:16,marginTop:16}}>
-          <div ref={reportRef} style={box}>
-            <div style={{fontWeight:600,marginBottom:8}}>
-  Findings for {name || "(name)"}{location ? `, ${location}` : ""}
-</div>
-            <div style={{ fontSize: 13, color: '#475569', marginBottom: 8 }}>
-              Relevant sentences found: <b>{counts.total}</b>
-              {" "}| Security: <b>{counts.security}</b>
-              {" "}· Pet: <b>{counts.pet}</b>
-              {" "}· Parties/Noise: <b>{counts.noise}</b>
+          {/* Property picker – shown when a search matched several look-alike properties */}
+          {candidates && (
+            <div style={{...box,marginTop:12}}>
+              <div style={{fontWeight:600,marginBottom:4}}>Which property did you mean?</div>
+              <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>Several listings match “{name}”. Pick one per source, or skip a source.</div>
+              {Object.entries(candidates).filter(([,st])=>st.candidates.length).map(([key,st])=>(
+                <fieldset key={key} style={{border:"none",padding:0,margin:"0 0 10px"}}>
+                  <legend style={{...label,fontWeight:600}}>{st.label}{st.ambiguous ? "" : " (clear match)"}</legend>
+                  {st.candidates.map(c=>(
+                    <label key={c.url} style={{display:"flex",gap:8,alignItems:"baseline",fontSize:14,marginTop:4}}>
+                      <input type="radio" name={`pick-${key}`} checked={picks[key]===c.url} onChange={()=>setPicks(p=>({...p,[key]:c.url}))}/>
+                      <span>
+                        {c.name || "(unnamed)"}
+                        <span style={{color:"#64748b",fontSize:12,marginLeft:6}}>
+                          {[c.address, c.reviewCount!=null && `${c.reviewCount} reviews`].filter(Boolean).join(" · ")}
+                        </span>
+                        {httpUrl(c.url) && <a href={httpUrl(c.url)} target="_blank" rel="noreferrer" style={{color:"#64748b",fontSize:12,marginLeft:6}}>view</a>}
+                      </span>
+                    </label>
+                  ))}
+                  <label style={{display:"flex",gap:8,fontSize:13,marginTop:4,color:"#64748b"}}>
+                    <input type="radio" name={`pick-${key}`} checked={picks[key]===""} onChange={()=>setPicks(p=>({...p,[key]:""}))}/>
+                    None of these – skip {st.label}
+                  </label>
+                </fieldset>
+              ))}
+              <div style={{display:"flex",gap:8}}>
+                <button onClick={onPicked} disabled={loading} style={{background:"black",color:"white",borderRadius:10,padding:"8px 12px"}}>{loading?"Fetching…":"Fetch selected"}</button>
+                <button onClick={()=>setCandidates(null)} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Cancel</button>
+              </div>
             </div>
-            {error && <div style={{marginBottom:8,color:"#b91c1c"}}>{error}</div>}
-            {!filtered.length ? (
-              <div style={{fontSize:13,color:"#64748b"}}>No explicit mentions detected.</div>
-            ) : (
-              <ul style={{margin:"8px 0 0 18px"}}>
-                {filtered.slice(0,40).map((q,i)=>(
-                  <li key={i} style={{marginBottom:6,fontSize:14,lineHeight:"20px"}}>
-                    “{q.sentence}”
-                    {q.url && <a href={q.url} target="_blank" rel="noreferrer" style={{color:"#64748b",textDecoration:"underline",marginLeft:6}}>source</a>}
-                    <span style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>
-                      [{q.cats.join(", ")}]
-                    </span>
-                  </li>
+          )}
+
+          {/* Category counts */}
+          <div style={{display:"grid",gridTemplateColumns:`repeat(${analysis.categories.length}, 1fr)`,gap:8,marginTop:12}}>
+            {analysis.categories.map(c=>{
+              const cr = risk?.byCategory[c.key];
+              return (
+                <div key={c.key} style={{...box, padding:12}}>
+                  <div style={{fontSize:12,color:"#64748b"}}>{c.label}</div>
+                  <div style={{fontWeight:700,fontSize:22}}>{counts[c.key]||0}</div>
+                  {cr && <div style={{fontSize:12,color:RISK_COLORS[cr.level]}}>score {cr.score} · {cr.level}</div>}
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{display:"grid",gridTemplateColumns:"1fr",gap:16,marginTop:16}}>
+            <div style={box}>
+              <div style={{fontWeight:600,marginBottom:8}}>
+    Findings for {name || "(name)"}{location ? `, ${location}` : ""}
+  </div>
+              {searchEntry && !searchEntry.fresh && (
+                <div style={{fontSize:12,color:"#64748b",marginBottom:6}}>
+                  Pulled by {searchEntry.ranBy?.name || "unknown"} on {pulledOn(searchEntry.ranAt)} · reopened from stored reviews, not re-scraped
+                </div>
+              )}
+              <div style={{ fontSize: 13, color: '#475569', marginBottom: 8 }}>
+                Relevant sentences found: <b>{counts.total}</b>
+                {analysis.categories.map((c,i)=>(
+                  <span key={c.key}>{i ? " · " : " | "}{c.label}: <b>{counts[c.key]||0}</b></span>
                 ))}
-              </ul>
-            )}
+              </div>
+              {risk && (
+                <div style={{display:"flex",gap:16,alignItems:"flex-start",marginBottom:12}}>
+                  <div style={{textAlign:"center",minWidth:90}}>
+                    <div style={{fontWeight:800,fontSize:36,lineHeight:"40px",color:RISK_COLORS[risk.level]}}>{risk.score}</div>
+                    <div style={{fontSize:12,color:"#64748b"}}>risk / 100 · {risk.level}</div>
+                  </div>
+                  <ul style={{margin:0,paddingLeft:18,fontSize:12,color:"#475569"}}>
+                    {risk.explanation.map((line,i)=><li key={i}>{line}</li>)}
+                  </ul>
+                </div>
+              )}
+              <TrendChart trends={analysis.trends} categories={analysis.categories}/>
+              <Comparison name={name} categories={comparison.result?.categories || analysis.categories} {...comparison}/>
+              {error && <div style={{marginBottom:8,color:"#b91c1c"}}>{error}</div>}
+              {loading && Object.keys(progress).length>0 && (
+                <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>
+                  {Object.entries(progress).map(([key,p])=>(
+                    <span key={key} style={{marginRight:12}}>
+                      {p.label||key}: {p.phase||"queued"}{p.collected ? ` (${p.collected})` : ""}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {Object.keys(sourceStatus).length>0 && (
+                <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>
+                  {Object.entries(sourceStatus).map(([key,st])=>(
+                    <span key={key} title={st.error||""} style={{marginRight:12,color:STATUS_COLORS[st.status]||"#64748b"}}>
+                      {st.label}: {st.status==="blocked" ? `blocked${st.reason ? ` (${st.reason})` : ""}` : st.status==="failed" ? "failed" : `${st.count} reviews`}
+                      {st.via ? ` via ${VIA_LABELS[st.via]||st.via}` : ""}
+                      {st.attempts>1 && ` after ${st.attempts} tries`}
+                      {st.diagnosticId && (
+                        <button onClick={()=>openDiagnostic(st.diagnosticId)} style={{background:"none",border:"none",padding:0,color:"inherit",textDecoration:"underline",cursor:"pointer",font:"inherit",marginLeft:4}}>details</button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {!filtered.length ? (
+                <div style={{fontSize:13,color:"#64748b"}}>No explicit mentions detected.</div>
+              ) : (
+                <ul style={{margin:"8px 0 0 18px"}}>
+                  {filtered.slice(0,40).map((q,i)=>(
+                    <FindingQuote key={i} q={q}>
+                      <span style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>
+                        {[sourceStatus[q.source]?.label || q.source, q.rating!=null && `${q.rating}★`, q.date, q.author].filter(Boolean).join(" · ")}
+                      </span>
+                      <span title={`Matched: ${q.matches.filter(m=>!m.negated).map(m=>m.text).join(", ")}`} style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>
+                        [{q.categories.map(k=>labelOf[k]||k).join(", ")} · severity {q.severity} · {Math.round(q.confidence*100)}%]
+                      </span>
+                    </FindingQuote>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
-        </div>
+        </>)}
+      </div>
       </div>
     </div>
   );
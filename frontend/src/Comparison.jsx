@@ -0,0 +1,109 @@
+import React from "react";
+import { httpUrl } from "./config.js";
+
+// Plain HTML bars like TrendChart; the PDF report has the same section (lib/reportHtml.js)
+const TARGET_COLOR = "#dc2626", HOOD_COLOR = "#94a3b8";
+const LEVEL_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
+const POSITION_COLORS = { above: "#b91c1c", below: "#15803d", "in line": "#64748b" };
+
+/**
+ * "You vs. the neighborhood" from the proxy's POST /compare job: category rates per 100
+ * Google reviews for the target and the pooled nearby complexes, as paired bars and a table.
+ * `rows` are the properties settled so far (partials), `result` the finished comparison.
+ */
+export default function Comparison({ name, result, rows, progress, running, error, categories }){
+  if (!result && !running && !error) return null;
+  const target = result?.target || rows.find(r => r.key === "target");
+  const neighbors = result?.neighbors || rows.filter(r => r.key !== "target");
+  const hood = result?.neighborhood;
+  const td = {padding:"4px 8px",borderBottom:"1px solid #f1f5f9",textAlign:"right"};
+  const th = {...td,borderBottom:"1px solid #e5e7eb",fontWeight:600,whiteSpace:"nowrap"};
+  const max = Math.max(1, ...categories.flatMap(c => [target?.rates[c.key] || 0, hood?.rates[c.key] || 0]));
+
+  return (
+    <div style={{marginBottom:12,paddingTop:8,borderTop:"1px solid #e5e7eb"}}>
+      <div style={{fontWeight:600,marginBottom:4}}>You vs. the neighborhood</div>
+      {error && <div style={{fontSize:12,color:"#b91c1c",marginBottom:4}}>{error}</div>}
+      {running && (
+        <div style={{fontSize:12,color:"#64748b",marginBottom:4}}>
+          {Object.entries(progress).map(([key,p])=>(
+            <span key={key} style={{marginRight:12}}>{p.label||key}: {p.phase||"queued"}</span>
+          ))}
+        </div>
+      )}
+
+      {hood && target && (
+        <>
+          <div style={{fontSize:12,color:"#475569",marginBottom:8}}>
+            Reviews mentioning each category, per 100 Google reviews: {name || "this property"} ({target.reviewCount} reviews)
+            {" "}vs {hood.properties} nearby complex{hood.properties===1?"":"es"} ({hood.reviewCount} reviews).
+            {" "}Risk score <b style={{color:LEVEL_COLORS[target.level]}}>{target.score}</b> vs neighborhood average <b style={{color:LEVEL_COLORS[hood.level]}}>{hood.score}</b>.
+          </div>
+          <div style={{display:"grid",gridTemplateColumns:"140px 1fr 120px",gap:"4px 8px",alignItems:"center",fontSize:12,marginBottom:8}}>
+            {categories.map(c=>{
+              const cmp = result.comparison[c.key];
+              return (
+                <React.Fragment key={c.key}>
+                  <div>{c.label}</div>
+                  <div>
+                    <div style={{height:8,width:`${(cmp.target/max)*100}%`,minWidth:1,background:TARGET_COLOR,borderRadius:2,marginBottom:2}}/>
+                    <div style={{height:8,width:`${(cmp.neighborhood/max)*100}%`,minWidth:1,background:HOOD_COLOR,borderRadius:2}}/>
+                  </div>
+                  <div style={{color:POSITION_COLORS[cmp.position]}}>
+                    {cmp.target} vs {cmp.neighborhood} · {cmp.position}
+                  </div>
+                </React.Fragment>
+              );
+            })}
+          </div>
+          <div style={{display:"flex",gap:12,fontSize:11,color:"#64748b",marginBottom:8}}>
+            <span><span style={{display:"inline-block",width:10,height:10,background:TARGET_COLOR,marginRight:4,borderRadius:2}}/>{name || "This property"}</span>
+            <span><span style={{display:"inline-block",width:10,height:10,background:HOOD_COLOR,marginRight:4,borderRadius:2}}/>Neighborhood</span>
+          </div>
+        </>
+      )}
+
+      {(target || neighbors.length>0) && (
+        <div style={{overflowX:"auto"}}>
+          <table style={{borderCollapse:"collapse",fontSize:12,width:"100%"}}>
+            <thead>
+              <tr>
+                <th style={{...th,textAlign:"left"}}>Property</th>
+                <th style={th}>Reviews</th>
+                <th style={th}>Risk</th>
+                {categories.map(c=><th key={c.key} style={th}>{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {[target, ...neighbors].filter(Boolean).map(r=>(
+                <tr key={r.key} style={r.key==="target" ? {fontWeight:600} : undefined}>
+                  <td style={{...td,textAlign:"left"}}>
+                    {r.key==="target" ? (name || r.name) : r.name}
+                    {httpUrl(r.url) && <a href={httpUrl(r.url)} target="_blank" rel="noreferrer" style={{color:"#64748b",marginLeft:6,fontWeight:400}}>view</a>}
+                  </td>
+                  {r.status==="failed" ? (
+                    <td colSpan={2+categories.length} style={{...td,color:"#b91c1c",textAlign:"left"}} title={r.error||""}>failed</td>
+                  ) : (
+                    <>
+                      <td style={td}>{r.reviewCount}</td>
+                      <td style={{...td,color:LEVEL_COLORS[r.level]}}>{r.score}</td>
+                      {categories.map(c=><td key={c.key} style={td}>{r.rates[c.key] ?? 0}</td>)}
+                    </>
+                  )}
+                </tr>
+              ))}
+              {hood && (
+                <tr style={{color:"#475569"}}>
+                  <td style={{...td,textAlign:"left",fontStyle:"italic"}}>Neighborhood (pooled)</td>
+                  <td style={td}>{hood.reviewCount}</td>
+                  <td style={{...td,color:LEVEL_COLORS[hood.level]}}>{hood.score}</td>
+                  {categories.map(c=><td key={c.key} style={td}>{hood.rates[c.key]}</td>)}
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
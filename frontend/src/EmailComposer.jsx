@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from "react";
+import { copyText } from "./clipboard.js";
+import { authHeaders } from "./config.js";
+
+const BLANK_SENDER = { name: "", title: "", company: "", email: "", phone: "", signature: "" };
+const PLACEHOLDERS = "{{property.name}} {{property.location}} {{recipient.name}} {{risk.score}} {{risk.level}} {{signals}} {{reviewCount}} {{signature}} · sections: {{#categories}} / {{#flagged}} {{label}} {{mentions}} {{score}} {{#quotes}}{{text}} {{date}}{{/quotes}} {{/flagged}} · {{#topQuotes}} · {{#trend}}{{summary}}{{/trend}} · {{#comparison}}{{summary}}{{/comparison}}";
+
+// Rich copy where the browser supports it (pastes formatted into Gmail/Outlook), else the text
+function copyHtml(html, text){
+  if (typeof ClipboardItem === "undefined" || !navigator.clipboard?.write) return copyText(text);
+  const item = new ClipboardItem({
+    "text/html": new Blob([html], { type: "text/html" }),
+    "text/plain": new Blob([text], { type: "text/plain" })
+  });
+  return navigator.clipboard.write([item]).catch(()=>copyText(text));
+}
+
+/**
+ * Outreach e-mail from the proxy's templates (POST /email) for the fetched property:
+ * pick a template and sender profile, preview, then copy as text/HTML or download a .eml draft.
+ * Templates and sender profiles are edited here too; built-ins can only be saved as copies.
+ * `property` is the POST /email property part ({ name, location, reviews, taxonomy, compare? }).
+ */
+export default function EmailComposer({ proxyBase, apiKey, property, box, label }){
+  const [templates, setTemplates] = useState([]);
+  const [senders, setSenders] = useState([]);
+  const [templateId, setTemplateId] = useState("first-touch");
+  const [senderId, setSenderId] = useState("default");
+  const [recipient, setRecipient] = useState({ name: "", email: "" });
+  const [email, setEmail] = useState(null); // { subject, text, html } of the last render
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [templateDraft, setTemplateDraft] = useState(null);
+  const [senderDraft, setSenderDraft] = useState(null);
+
+  const base = proxyBase.replace(/\/$/, "");
+
+  async function call(path, { method = "GET", body } = {}){
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method, headers: { "Content-Type": "application/json", ...authHeaders(apiKey) }, body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || err?.error || `${path} failed (${res.status})`);
+    }
+    return res;
+  }
+  const json = async (path, opts) => { const res = await call(path, opts); return res.status===204 ? null : res.json(); };
+
+  async function load(){
+    try{
+      const [t, s] = await Promise.all([json("/email-templates"), json("/senders")]);
+      setTemplates(t);
+      setSenders(s);
+    }catch(e){
+      setError(e.message||"Could not load templates");
+    }
+  }
+  useEffect(()=>{ if(proxyBase) load(); },[proxyBase, apiKey]);
+  useEffect(()=>{ setEmail(null); },[templateId, senderId, property]);
+
+  const request = (format, template = templateId) => ({ ...property, template, sender: senderId, recipient, format });
+
+  async function run(what, fn){
+    try{
+      setError("");
+      if(!property.reviews.length) throw new Error("Fetch reviews first.");
+      setBusy(what);
+      await fn();
+    }catch(e){
+      setError(e.message||`${what} failed`);
+    }finally{
+      setBusy("");
+    }
+  }
+
+  const render = async (template) => {
+    const out = await json("/email", { method: "POST", body: request("json", template) });
+    setEmail(out);
+    return out;
+  };
+
+  const preview = () => run("preview", () => render());
+  const copyPlain = () => run("copy", async () => {
+    const e = email || await render();
+    await copyText(`Subject: ${e.subject}\n\n${e.text}`);
+    alert("Email copied.");
+  });
+  const copyRich = () => run("copy", async () => {
+    const e = email || await render();
+    await copyHtml(e.html, e.text);
+    alert(`Email copied as HTML. Subject: ${e.subject}`);
+  });
+  const downloadEml = () => run("eml", async () => {
+    const res = await call("/email", { method: "POST", body: request("eml") });
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "email.eml";
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 10000);
+  });
+
+  async function editTemplate(){
+    try{
+      const t = await json(`/email-templates/${encodeURIComponent(templateId)}`);
+      setTemplateDraft({ ...t, name: t.builtIn ? `${t.name} (copy)` : t.name });
+    }catch(e){
+      setError(e.message||"Could not open the template");
+    }
+  }
+
+  async function saveTemplate(asNew){
+    try{
+      setError("");
+      const { name, description, subject, body, quotesPerCategory } = templateDraft;
+      const payload = { name, description, subject, body, quotesPerCategory: Number(quotesPerCategory) };
+      const saved = asNew
+        ? await json("/email-templates", { method: "POST", body: payload })
+        : await json(`/email-templates/${encodeURIComponent(templateDraft.id)}`, { method: "PUT", body: payload });
+      await load();
+      setTemplateId(saved.id);
+      setTemplateDraft(null);
+    }catch(e){
+      setError(e.message||"Could not save the template");
+    }
+  }
+
+  async function removeTemplate(){
+    if(!confirm(`Delete the template “${templateDraft.name}”?`)) return;
+    try{
+      await json(`/email-templates/${encodeURIComponent(templateDraft.id)}`, { method: "DELETE" });
+      setTemplateDraft(null);
+      setTemplateId("first-touch");
+      load();
+    }catch(e){
+      setError(e.message||"Could not delete the template");
+    }
+  }
+
+  // Unsaved edits preview against the fetched property without touching the saved template
+  const previewDraft = () => run("preview", () => render({
+    name: templateDraft.name, subject: templateDraft.subject, body: templateDraft.body, quotesPerCategory: Number(templateDraft.quotesPerCategory)
+  }));
+
+  async function saveSender(asNew){
+    try{
+      setError("");
+      const { id, builtIn, createdAt, updatedAt, ...payload } = senderDraft;
+      const saved = asNew || !id
+        ? await json("/senders", { method: "POST", body: payload })
+        : await json(`/senders/${encodeURIComponent(id)}`, { method: "PUT", body: payload });
+      await load();
+      setSenderId(saved.id);
+      setSenderDraft(null);
+    }catch(e){
+      setError(e.message||"Could not save the sender");
+    }
+  }
+
+  async function removeSender(){
+    if(!confirm(`Delete the sender profile “${senderDraft.name}”?`)) return;
+    try{
+      await json(`/senders/${encodeURIComponent(senderDraft.id)}`, { method: "DELETE" });
+      setSenderDraft(null);
+      setSenderId("default");
+      load();
+    }catch(e){
+      setError(e.message||"Could not delete the sender");
+    }
+  }
+
+  const input = {border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13};
+  const btn = {border:"1px solid #e2e8f0",borderRadius:10,padding:"6px 10px",fontSize:13};
+  const field = (draft, setDraft, key, text, props = {}) => (
+    <label key={key} style={{display:"flex",flexDirection:"column",gap:4,...(props.wide ? {gridColumn:"1 / -1"} : {})}}>
+      <span style={label}>{text}</span>
+      {props.rows
+        ? <textarea value={draft[key] ?? ""} onChange={e=>setDraft(d=>({...d,[key]:e.target.value}))} rows={props.rows} style={{...input,fontFamily:props.mono?"monospace":undefined}}/>
+        : <input value={draft[key] ?? ""} onChange={e=>setDraft(d=>({...d,[key]:e.target.value}))} style={input}/>}
+    </label>
+  );
+  const sender = senders.find(s=>s.id===senderId);
+
+  return (
+    <div style={{...box,marginTop:12}}>
+      <div style={{fontWeight:600,marginBottom:8}}>Outreach email</div>
+      {error && <div style={{marginBottom:8,color:"#b91c1c",fontSize:13}}>{error}</div>}
+
+      <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
+        <label style={{display:"flex",flexDirection:"column",gap:4}}>
+          <span style={label}>Template</span>
+          <div style={{display:"flex",gap:6}}>
+            <select value={templateId} onChange={e=>setTemplateId(e.target.value)} style={{...input,flex:1}}>
+              {(templates.length ? templates : [{ id: "first-touch", name: "First touch", builtIn: true }]).map(t=>(
+                <option key={t.id} value={t.id}>{t.name}{t.builtIn ? " (built in)" : ""}</option>
+              ))}
+            </select>
+            <button onClick={editTemplate} style={btn}>Edit…</button>
+          </div>
+        </label>
+        <label style={{display:"flex",flexDirection:"column",gap:4}}>
+          <span style={label}>Sender</span>
+          <div style={{display:"flex",gap:6}}>
+            <select value={senderId} onChange={e=>setSenderId(e.target.value)} style={{...input,flex:1}}>
+              {(senders.length ? senders : [{ id: "default", name: "Default", builtIn: true }]).map(s=>(
+                <option key={s.id} value={s.id}>{s.name}{s.company ? `, ${s.company}` : ""}{s.builtIn ? " (built in)" : ""}</option>
+              ))}
+            </select>
+            <button onClick={()=>setSenderDraft(sender && !sender.builtIn ? sender : { ...BLANK_SENDER })} style={btn}>{sender && !sender.builtIn ? "Edit…" : "New…"}</button>
+          </div>
+        </label>
+        {field(recipient, setRecipient, "name", "Recipient name")}
+        {field(recipient, setRecipient, "email", "Recipient e-mail (for the .eml)")}
+      </div>
+      {templates.find(t=>t.id===templateId)?.description && (
+        <div style={{fontSize:12,color:"#64748b",marginTop:4}}>{templates.find(t=>t.id===templateId).description}</div>
+      )}
+
+      <div style={{display:"flex",gap:8,marginTop:10,flexWrap:"wrap"}}>
+        <button onClick={preview} disabled={!!busy} style={btn}>{busy==="preview" ? "Rendering…" : "Preview"}</button>
+        <button onClick={copyPlain} disabled={!!busy} style={btn}>Copy text</button>
+        <button onClick={copyRich} disabled={!!busy} style={btn}>Copy HTML</button>
+        <button onClick={downloadEml} disabled={!!busy} style={btn}>{busy==="eml" ? "Preparing…" : "Download .eml"}</button>
+      </div>
+
+      {email && (
+        <div style={{marginTop:10,borderTop:"1px solid #e5e7eb",paddingTop:8}}>
+          <div style={{fontSize:13,marginBottom:6}}><span style={label}>Subject</span> {email.subject}</div>
+          <pre style={{whiteSpace:"pre-wrap",fontFamily:"inherit",fontSize:13,margin:0,maxHeight:360,overflowY:"auto"}}>{email.text}</pre>
+        </div>
+      )}
+
+      {templateDraft && (
+        <div style={{marginTop:12,borderTop:"1px solid #e5e7eb",paddingTop:8,display:"grid",gridTemplateColumns:"1fr 120px",gap:8}}>
+          <div style={{fontWeight:600,gridColumn:"1 / -1"}}>{templateDraft.builtIn ? "New template from a built-in" : `Edit “${templateDraft.name}”`}</div>
+          {field(templateDraft, setTemplateDraft, "name", "Name")}
+          <label style={{display:"flex",flexDirection:"column",gap:4}}>
+            <span style={label}>Quotes per category</span>
+            <select value={templateDraft.quotesPerCategory} onChange={e=>setTemplateDraft(d=>({...d,quotesPerCategory:e.target.value}))} style={input}>
+              {[1,2,3,4,5,6,7,8,9,10].map(n=><option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          {field(templateDraft, setTemplateDraft, "description", "Description", { wide: true })}
+          {field(templateDraft, setTemplateDraft, "subject", "Subject", { wide: true })}
+          {field(templateDraft, setTemplateDraft, "body", "Body", { wide: true, rows: 16, mono: true })}
+          <div style={{gridColumn:"1 / -1",fontSize:11,color:"#64748b"}}>Placeholders: {PLACEHOLDERS}</div>
+          <div style={{gridColumn:"1 / -1",display:"flex",gap:8}}>
+            <button onClick={previewDraft} disabled={!!busy} style={btn}>Preview draft</button>
+            {!templateDraft.builtIn && <button onClick={()=>saveTemplate(false)} style={{...btn,background:"black",color:"white"}}>Save</button>}
+            <button onClick={()=>saveTemplate(true)} style={templateDraft.builtIn ? {...btn,background:"black",color:"white"} : btn}>Save as new</button>
+            {!templateDraft.builtIn && <button onClick={removeTemplate} style={{...btn,color:"#b91c1c"}}>Delete</button>}
+            <button onClick={()=>setTemplateDraft(null)} style={btn}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {senderDraft && (
+        <div style={{marginTop:12,borderTop:"1px solid #e5e7eb",paddingTop:8,display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
+          <div style={{fontWeight:600,gridColumn:"1 / -1"}}>{senderDraft.id ? `Edit “${senderDraft.name}”` : "New sender profile"}</div>
+          {field(senderDraft, setSenderDraft, "name", "Name")}
+          {field(senderDraft, setSenderDraft, "title", "Title")}
+          {field(senderDraft, setSenderDraft, "company", "Company")}
+          {field(senderDraft, setSenderDraft, "email", "E-mail")}
+          {field(senderDraft, setSenderDraft, "phone", "Phone")}
+          {field(senderDraft, setSenderDraft, "signature", "Signature (optional – built from the fields above when empty)", { wide: true, rows: 3 })}
+          <div style={{gridColumn:"1 / -1",display:"flex",gap:8}}>
+            <button onClick={()=>saveSender(false)} style={{...btn,background:"black",color:"white"}}>Save</button>
+            {senderDraft.id && <button onClick={()=>saveSender(true)} style={btn}>Save as new</button>}
+            {senderDraft.id && <button onClick={removeSender} style={{...btn,color:"#b91c1c"}}>Delete</button>}
+            <button onClick={()=>setSenderDraft(null)} style={btn}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { httpUrl } from "./config.js";
+
+const day = (iso) => new Date(iso).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+
+/**
+ * One flagged sentence with its provenance (see analyzeReviews() in the proxy's lib/classify.js).
+ * “Full review” expands the review the sentence was cut from, with the sentence highlighted,
+ * and when that text was captured. `children` is the meta line shown after the link.
+ */
+export default function FindingQuote({ q, children }){
+  const [open, setOpen] = useState(false);
+  const url = httpUrl(q.url);
+  const exact = url && q.placeUrl && q.url !== q.placeUrl;
+  const canExpand = q.reviewText && q.reviewText.trim() !== q.sentence;
+  const linkStyle = {color:"#64748b",textDecoration:"underline",marginLeft:6};
+
+  return (
+    <li style={{marginBottom:6,fontSize:14,lineHeight:"20px"}}>
+      “{q.sentence}”
+      {url && <a href={url} target="_blank" rel="noreferrer" title={exact ? "Opens this review" : "Opens the listing – the site has no per-review link"} style={linkStyle}>{exact ? "review" : "source"}</a>}
+      {canExpand && (
+        <button onClick={()=>setOpen(o=>!o)} style={{...linkStyle,border:"none",background:"none",padding:0,cursor:"pointer",fontSize:12}}>
+          {open ? "hide review" : "full review"}
+        </button>
+      )}
+      {children}
+      {open && (
+        <div style={{margin:"4px 0 8px",padding:"8px 10px",background:"#f8fafc",borderLeft:"3px solid #cbd5e1",fontSize:13,color:"#334155",whiteSpace:"pre-wrap"}}>
+          {q.start!=null && q.reviewText.slice(q.start,q.end)===q.sentence ? (<>
+            {q.reviewText.slice(0,q.start)}
+            <mark style={{background:"#fef3c7",padding:0}}>{q.sentence}</mark>
+            {q.reviewText.slice(q.end)}
+          </>) : q.reviewText}
+          {q.scrapedAt && (
+            <div style={{marginTop:6,fontSize:11,color:"#94a3b8",whiteSpace:"normal"}}>
+              Text as captured {day(q.scrapedAt)}{q.lastSeenAt && q.lastSeenAt!==q.scrapedAt ? `, unchanged as of ${day(q.lastSeenAt)}` : ""}
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
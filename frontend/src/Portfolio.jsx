@@ -0,0 +1,192 @@
+import React, { useMemo, useState } from "react";
+import { followJob } from "./jobs.js";
+import { authHeaders } from "./config.js";
+
+const SAMPLE = "name,location,google_url\nThe Reserve,\"Bradenton, FL\",\nLakeside Commons,\"Tampa, FL\",";
+const LEVEL_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
+
+/** Batch mode: a CSV of communities → one portfolio job on the proxy → sortable table + roll-up. */
+export default function Portfolio({ proxyBase, apiKey, taxonomy, sources, box, label }){
+  const [csv, setCsv] = useState("");
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState("");
+  const [progress, setProgress] = useState({});
+  const [rows, setRows] = useState([]);
+  const [result, setResult] = useState(null); // { categories, rows, summary } once done
+  const [jobId, setJobId] = useState(null);
+  const [sort, setSort] = useState({ key: "score", dir: -1 });
+
+  const base = proxyBase.replace(/\/$/, "");
+  const categories = result?.categories || taxonomy.categories;
+
+  async function onFile(e){
+    const file = e.target.files?.[0];
+    if (file) setCsv(await file.text());
+  }
+
+  async function run(){
+    try{
+      setError("");
+      if(!csv.trim()) throw new Error("Paste or upload a CSV first.");
+      setRunning(true);
+      setRows([]);
+      setResult(null);
+      const res = await fetch(`${base}/portfolio`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders(apiKey) },
+        body: JSON.stringify({ csv, sources, taxonomy: taxonomy.id, max: 40 })
+      });
+      const job = await res.json().catch(()=>({}));
+      if(!res.ok) throw new Error(job.message || `/portfolio failed (${res.status})`);
+      setJobId(job.id);
+      setProgress(job.progress || {});
+      const out = await followJob(base, job, {
+        apiKey,
+        onProgress: setProgress,
+        onPartial: ({ items }) => setRows(prev => [...prev.filter(r => !items.some(i => i.index === r.index)), ...items])
+      });
+      setResult(out);
+      setRows(out.rows);
+    }catch(e){
+      setError(e.message||"Portfolio failed");
+    }finally{
+      setRunning(false);
+    }
+  }
+
+  // The CSV is fetched with the key in a header, then saved from a blob
+  async function exportCsv(){
+    try{
+      const res = await fetch(`${base}/portfolio/${jobId}.csv`, { headers: authHeaders(apiKey) });
+      if(!res.ok){
+        const err = await res.json().catch(()=>null);
+        throw new Error(err?.message || `CSV export failed (${res.status})`);
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "portfolio.csv";
+      a.click();
+      setTimeout(()=>URL.revokeObjectURL(url), 10000);
+    }catch(e){
+      setError(e.message||"CSV export failed");
+    }
+  }
+
+  const value = (r, key) => (key.startsWith("cat:") ? r.counts[key.slice(4)] ?? -1 : r[key] ?? -1);
+  const sorted = useMemo(()=>[...rows].sort((a,b)=>{
+    const va = value(a, sort.key), vb = value(b, sort.key);
+    const cmp = typeof va === "string" || typeof vb === "string" ? String(va).localeCompare(String(vb)) : va - vb;
+    return cmp * sort.dir;
+  }),[rows, sort]);
+
+  const th = (key, text) => (
+    <th
+      onClick={()=>setSort(s=>({ key, dir: s.key===key ? -s.dir : (key==="name"||key==="location" ? 1 : -1) }))}
+      style={{textAlign:"left",padding:"6px 8px",cursor:"pointer",whiteSpace:"nowrap",borderBottom:"1px solid #e5e7eb"}}
+    >
+      {text}{sort.key===key ? (sort.dir>0 ? " ▲" : " ▼") : ""}
+    </th>
+  );
+  const td = {padding:"6px 8px",borderBottom:"1px solid #f1f5f9"};
+  const s = result?.summary;
+
+  return (
+    <div style={{...box,marginTop:12}}>
+      <div style={{fontWeight:600,marginBottom:4}}>Portfolio</div>
+      <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>
+        One community per row: <code>name,location</code>, plus optional <code>google_url</code>, <code>apartmentratings_url</code>, <code>apartmentscom_url</code> columns to pin a listing.
+      </div>
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:8}}>
+        <input type="file" accept=".csv,text/csv" onChange={onFile}/>
+        <button onClick={()=>setCsv(SAMPLE)} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"4px 10px",fontSize:12}}>Sample</button>
+      </div>
+      <textarea value={csv} onChange={e=>setCsv(e.target.value)} rows={5} placeholder={SAMPLE} style={{width:"100%",boxSizing:"border-box",border:"1px solid #cbd5e1",borderRadius:8,padding:8,fontFamily:"monospace",fontSize:12}}/>
+      <div style={{display:"flex",gap:8,marginTop:8}}>
+        <button onClick={run} disabled={running} style={{background:"black",color:"white",borderRadius:10,padding:"8px 12px"}}>{running?"Running…":"Analyze portfolio"}</button>
+        {result && jobId && (
+          <button onClick={exportCsv} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Export CSV</button>
+        )}
+      </div>
+      {error && <div style={{marginTop:8,color:"#b91c1c"}}>{error}</div>}
+
+      {running && (
+        <div style={{fontSize:12,color:"#64748b",marginTop:8}}>
+          {Object.values(progress).filter(p=>p.status==="ok"||p.status==="failed").length} of {Object.keys(progress).length} done
+          {Object.values(progress).filter(p=>p.status==="running").map(p=>(
+            <div key={p.label}>{p.label}: {p.phase}</div>
+          ))}
+        </div>
+      )}
+
+      {s && (
+        <div style={{display:"grid",gridTemplateColumns:"repeat(4, 1fr)",gap:8,marginTop:12}}>
+          <div style={{...box,padding:12}}>
+            <div style={label}>Portfolio risk</div>
+            <div style={{fontWeight:700,fontSize:22,color:LEVEL_COLORS[s.level]}}>{s.score} <span style={{fontSize:12}}>{s.level}</span></div>
+          </div>
+          <div style={{...box,padding:12}}>
+            <div style={label}>Properties</div>
+            <div style={{fontWeight:700,fontSize:22}}>{s.succeeded}{s.failed ? <span style={{fontSize:12,color:"#b91c1c"}}> +{s.failed} failed</span> : null}</div>
+          </div>
+          <div style={{...box,padding:12}}>
+            <div style={label}>Reviews / findings</div>
+            <div style={{fontWeight:700,fontSize:22}}>{s.reviews} / {s.findings}</div>
+          </div>
+          <div style={{...box,padding:12}}>
+            <div style={label}>Highest risk</div>
+            <div style={{fontWeight:600,fontSize:13}}>{s.highest ? `${s.highest.name} (${s.highest.score})` : "–"}</div>
+          </div>
+          <div style={{gridColumn:"1 / -1",fontSize:12,color:"#475569"}}>
+            {categories.map(c=>{
+              const b = s.byCategory[c.key];
+              return b && (
+                <div key={c.key}>
+                  {c.label}: {b.mentions} mentions, avg score {b.averageScore}{b.top ? ` – worst: ${b.top.name} (${b.top.score})` : ""}
+                </div>
+              );
+            })}
+            <div>
+              Levels: {Object.entries(s.levels).map(([lvl,n])=>`${n} ${lvl}`).join(" · ")}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {rows.length>0 && (
+        <div style={{overflowX:"auto",marginTop:12}}>
+          <table style={{borderCollapse:"collapse",fontSize:13,width:"100%"}}>
+            <thead>
+              <tr>
+                {th("name","Property")}
+                {th("location","Location")}
+                {th("reviewCount","Reviews")}
+                {th("findings","Findings")}
+                {th("score","Risk")}
+                {categories.map(c=><React.Fragment key={c.key}>{th(`cat:${c.key}`, c.label)}</React.Fragment>)}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(r=>(
+                <tr key={r.index}>
+                  <td style={td}>{r.name}</td>
+                  <td style={td}>{r.location}</td>
+                  {r.status==="failed" ? (
+                    <td colSpan={3+categories.length} style={{...td,color:"#b91c1c"}} title={r.error||""}>failed{r.error ? `: ${r.error}` : ""}</td>
+                  ) : (
+                    <>
+                      <td style={td}>{r.reviewCount}</td>
+                      <td style={td}>{r.findings}</td>
+                      <td style={{...td,fontWeight:600,color:LEVEL_COLORS[r.level]}}>{r.score}</td>
+                      {categories.map(c=><td key={c.key} style={td} title={`score ${r.categoryScores[c.key] ?? 0}`}>{r.counts[c.key] ?? 0}</td>)}
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { authHeaders } from "./config.js";
+
+const FILTERS = [["team","Team"],["mine","Mine"],["saved","Saved"]];
+const RISK_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
+
+const ago = (iso) => {
+  const min = Math.round((Date.now() - Date.parse(iso)) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  if (min < 60 * 24) return `${Math.round(min / 60)} h ago`;
+  return new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+};
+
+/**
+ * The workspace's search history (GET /history) – every property anyone on the team pulled,
+ * newest first. Clicking one reopens it from stored reviews without scraping; the star saves
+ * it for you. `refresh` changes whenever a new search finished.
+ */
+export default function RecentProperties({ proxyBase, apiKey, activeId, refresh, onOpen, box, label }){
+  const [filter, setFilter] = useState("team");
+  const [q, setQ] = useState("");
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState("");
+
+  const base = proxyBase.replace(/\/$/, "");
+
+  async function call(path, { method = "GET", body } = {}){
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method, headers: { "Content-Type": "application/json", ...authHeaders(apiKey) }, body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || err?.error || `${path} failed (${res.status})`);
+    }
+    return res.status===204 ? null : res.json();
+  }
+
+  async function load(){
+    try{
+      setError("");
+      const params = new URLSearchParams({ limit: "50" });
+      if (filter !== "team") params.set(filter, "1");
+      if (q.trim()) params.set("q", q.trim());
+      setEntries(await call(`/history?${params}`));
+    }catch(e){
+      setEntries([]);
+      setError(e.message||"Could not load the history");
+    }
+  }
+  useEffect(()=>{
+    if(!proxyBase) return;
+    const t = setTimeout(load, q ? 250 : 0);
+    return () => clearTimeout(t);
+  },[proxyBase, apiKey, filter, q, refresh]);
+
+  async function toggleSaved(e, h){
+    e.stopPropagation();
+    try{
+      const next = await call(`/history/${encodeURIComponent(h.id)}`, { method: "PUT", body: { saved: !h.saved } });
+      setEntries(list => filter === "saved" && !next.saved ? list.filter(x => x.id !== h.id) : list.map(x => x.id === h.id ? next : x));
+    }catch(err){
+      setError(err.message||"Could not save");
+    }
+  }
+
+  return (
+    <div style={{...box,padding:12,position:"sticky",top:16,maxHeight:"calc(100vh - 32px)",overflowY:"auto"}}>
+      <div style={{fontWeight:600,marginBottom:8}}>Recent properties</div>
+      <div style={{display:"flex",gap:4,marginBottom:8}}>
+        {FILTERS.map(([f,text])=>(
+          <button key={f} onClick={()=>setFilter(f)} style={{flex:1,borderRadius:8,padding:"4px 6px",fontSize:12,border:"1px solid #e2e8f0",background:filter===f?"#0f172a":"white",color:filter===f?"white":"inherit"}}>{text}</button>
+        ))}
+      </div>
+      <input value={q} onChange={e=>setQ(e.target.value)} placeholder="Filter by name or city" style={{width:"100%",boxSizing:"border-box",border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13,marginBottom:8}}/>
+      {error && <div style={{fontSize:12,color:"#b91c1c",marginBottom:8}}>{error}</div>}
+      {!entries.length && !error && (
+        <div style={{...label,color:"#94a3b8"}}>{filter==="saved" ? "Nothing saved yet – star a search to keep it here." : "No searches yet."}</div>
+      )}
+      {entries.map(h=>(
+        <div key={h.id} onClick={()=>onOpen(h.id)} title="Reopen without scraping"
+          style={{padding:"8px 6px",borderRadius:8,cursor:"pointer",background:h.id===activeId?"#f1f5f9":"transparent",borderBottom:"1px solid #f1f5f9"}}>
+          <div style={{display:"flex",gap:6,alignItems:"flex-start"}}>
+            <div style={{flex:1,minWidth:0}}>
+              <div style={{fontSize:13,fontWeight:600,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{h.property.name}</div>
+              <div style={{fontSize:12,color:"#64748b"}}>{h.property.location}</div>
+            </div>
+            <button onClick={e=>toggleSaved(e,h)} title={h.saved ? "Saved – click to remove" : "Save"} style={{border:"none",background:"none",cursor:"pointer",fontSize:16,lineHeight:"16px",padding:0,color:h.saved?"#ca8a04":"#cbd5e1"}}>
+              {h.saved ? "★" : "☆"}
+            </button>
+          </div>
+          <div style={{fontSize:11,color:"#94a3b8",marginTop:2}}>
+            {h.ranBy?.name || "unknown"} · {ago(h.ranAt)} · {h.reviewCount} reviews
+            {h.risk && <span style={{color:RISK_COLORS[h.risk.level],marginLeft:4}}>· risk {h.risk.score}</span>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
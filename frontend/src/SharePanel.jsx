@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_PROXY_BASE, authHeaders } from "./config.js";
+import { copyText } from "./clipboard.js";
+
+const EXPIRY = [["","Never"],[7,"7 days"],[30,"30 days"],[90,"90 days"]];
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : "–");
+
+/**
+ * Read-only links to the current analysis (POST /shares) and the rep's existing links with
+ * their view counts. The link opens this app's SharedReport view (?share=<id>).
+ * `property` is the POST /shares property part ({ name, location, reviews, taxonomy, compare? }).
+ */
+export default function SharePanel({ proxyBase, apiKey, property, box, label }){
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState("");
+
+  const base = proxyBase.replace(/\/$/, "");
+  const linkFor = (id) => {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set("share", id);
+    return url.toString();
+  };
+
+  async function call(path, { method = "GET", body } = {}){
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method, headers: { "Content-Type": "application/json", ...authHeaders(apiKey) }, body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || err?.error || `${path} failed (${res.status})`);
+    }
+    return res.status===204 ? null : res.json();
+  }
+
+  async function load(){
+    try{
+      setShares(await call("/shares"));
+    }catch(e){
+      setError(e.message||"Could not load shared links");
+    }
+  }
+  useEffect(()=>{ if(proxyBase) load(); },[proxyBase, apiKey]);
+
+  async function create(){
+    try{
+      setError("");
+      if(!property.reviews.length) throw new Error("Fetch reviews first.");
+      setCreating(true);
+      const s = await call("/shares", { method: "POST", body: { ...property, expiresInDays } });
+      setCreated(s);
+      await copyText(linkFor(s.id));
+      load();
+    }catch(e){
+      setError(e.message||"Could not create the link");
+    }finally{
+      setCreating(false);
+    }
+  }
+
+  async function withdraw(s){
+    if(!confirm(`Withdraw the link for ${s.property.name}? Anyone who has it will see “does not exist”.`)) return;
+    try{
+      await call(`/shares/${encodeURIComponent(s.id)}`, { method: "DELETE" });
+      if(created?.id===s.id) setCreated(null);
+      load();
+    }catch(e){
+      setError(e.message||"Could not withdraw the link");
+    }
+  }
+
+  const input = {border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13};
+  const btn = {border:"1px solid #e2e8f0",borderRadius:10,padding:"4px 10px",fontSize:12};
+  const td = {padding:"4px 8px",borderBottom:"1px solid #f1f5f9",textAlign:"left",fontSize:12};
+
+  return (
+    <div style={{...box,marginTop:12}}>
+      <div style={{fontWeight:600,marginBottom:4}}>Share a read-only link</div>
+      <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>
+        Saves this analysis as a snapshot the prospect can open in a browser – no PDF attachment needed. The link is copied to your clipboard.
+      </div>
+      {error && <div style={{marginBottom:8,color:"#b91c1c",fontSize:13}}>{error}</div>}
+      {base !== DEFAULT_PROXY_BASE && (
+        <div style={{marginBottom:8,color:"#a16207",fontSize:13}}>Shared links always load from {DEFAULT_PROXY_BASE}; links made against this proxy will not open for prospects.</div>
+      )}
+      <div style={{display:"flex",gap:8,alignItems:"end"}}>
+        <label style={{display:"flex",flexDirection:"column",gap:4}}>
+          <span style={label}>Expires after</span>
+          <select value={expiresInDays} onChange={e=>setExpiresInDays(e.target.value)} style={input}>
+            {EXPIRY.map(([v,t])=><option key={t} value={v}>{t}</option>)}
+          </select>
+        </label>
+        <button onClick={create} disabled={creating} style={{...btn,padding:"6px 12px",background:"black",color:"white"}}>{creating ? "Saving…" : "Create link"}</button>
+      </div>
+      {created && (
+        <div style={{marginTop:8,fontSize:13}}>
+          Copied: <a href={linkFor(created.id)} target="_blank" rel="noreferrer">{linkFor(created.id)}</a>
+        </div>
+      )}
+
+      {shares.length>0 && (
+        <div style={{overflowX:"auto",marginTop:12}}>
+          <table style={{borderCollapse:"collapse",width:"100%"}}>
+            <thead>
+              <tr>
+                {["Property","Created","Expires","Views","Last opened",""].map(h=><th key={h} style={{...td,fontWeight:600,borderBottom:"1px solid #e5e7eb"}}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {shares.map(s=>(
+                <tr key={s.id} style={s.expired ? {color:"#94a3b8"} : undefined}>
+                  <td style={td}>{s.property.name}<span style={{color:"#64748b"}}>, {s.property.location}</span></td>
+                  <td style={td}>{when(s.createdAt)}</td>
+                  <td style={td}>{s.expired ? "expired" : s.expiresAt ? when(s.expiresAt) : "never"}</td>
+                  <td style={{...td,fontWeight:s.views?600:400}}>{s.views}</td>
+                  <td style={td}>{when(s.lastViewedAt)}</td>
+                  <td style={{...td,whiteSpace:"nowrap"}}>
+                    <button onClick={()=>copyText(linkFor(s.id))} style={btn}>Copy link</button>
+                    <button onClick={()=>withdraw(s)} style={{...btn,color:"#b91c1c",marginLeft:4}}>Withdraw</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={load} style={{...btn,marginTop:6}}>Refresh views</button>
+        </div>
+      )}
+    </div>
+  );
+}
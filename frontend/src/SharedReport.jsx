@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from "react";
+import TrendChart from "./TrendChart.jsx";
+import Comparison from "./Comparison.jsx";
+import FindingQuote from "./FindingQuote.jsx";
+
+const RISK_COLORS = { low: "#15803d", moderate: "#a16207", elevated: "#c2410c", high: "#b91c1c" };
+
+const day = (iso) => new Date(iso).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+/**
+ * The read-only page a prospect opens from a rep's link (?share=<id>): the snapshot the rep
+ * saved with POST /shares, from GET /shares/:id. Nothing here can fetch, edit or re-share.
+ */
+export default function SharedReport({ id, proxyBase }){
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState("");
+  const requested = useRef(false);
+
+  useEffect(()=>{
+    // once per page load – every GET counts as a view (StrictMode runs effects twice in dev)
+    if(requested.current) return;
+    requested.current = true;
+    const base = proxyBase.replace(/\/$/, "");
+    fetch(`${base}/shares/${encodeURIComponent(id)}`)
+      .then(async res=>{
+        const body = await res.json().catch(()=>null);
+        if(!res.ok) throw new Error(body?.message || `This report could not be loaded (${res.status})`);
+        setShare(body);
+        document.title = `${body.property.name} – review summary`;
+      })
+      .catch(e=>setError(e.message||"This report could not be loaded"));
+  },[id, proxyBase]);
+
+  const box={border:"1px solid #e5e7eb",borderRadius:12,padding:16,background:"white"};
+  const page = (children) => (
+    <div style={{minHeight:"100vh",background:"#f8fafc",color:"#0f172a"}}>
+      <div style={{maxWidth:960,margin:"0 auto",padding:16}}>{children}</div>
+    </div>
+  );
+
+  if(error) return page(<div style={{...box,color:"#b91c1c"}}>{error}</div>);
+  if(!share) return page(<div style={{color:"#64748b"}}>Loading report…</div>);
+
+  const { property, analysis, comparison, sources } = share;
+  const { categories, counts, findings, risk } = analysis;
+  const labelOf = Object.fromEntries(categories.map(c=>[c.key,c.label]));
+
+  return page(<>
+    <div style={{fontSize:12,color:"#64748b",letterSpacing:1,textTransform:"uppercase"}}>VIDISKY · resident review summary</div>
+    <h1 style={{fontWeight:700,margin:"4px 0"}}>{property.name}</h1>
+    <div style={{color:"#475569",marginBottom:4}}>{property.location}</div>
+    <div style={{fontSize:12,color:"#64748b",marginBottom:12}}>
+      {share.reviewCount} public reviews from {Object.values(sources).map(s=>s.label).join(", ") || "–"} · snapshot of {day(share.createdAt)}
+      {share.expiresAt && ` · link valid until ${day(share.expiresAt)}`}
+    </div>
+
+    <div style={{display:"grid",gridTemplateColumns:`repeat(${categories.length}, 1fr)`,gap:8}}>
+      {categories.map(c=>{
+        const cr = risk?.byCategory[c.key];
+        return (
+          <div key={c.key} style={{...box,padding:12}}>
+            <div style={{fontSize:12,color:"#64748b"}}>{c.label}</div>
+            <div style={{fontWeight:700,fontSize:22}}>{counts[c.key]||0}</div>
+            {cr && <div style={{fontSize:12,color:RISK_COLORS[cr.level]}}>score {cr.score} · {cr.level}</div>}
+          </div>
+        );
+      })}
+    </div>
+
+    <div style={{...box,marginTop:16}}>
+      {risk && (
+        <div style={{display:"flex",gap:16,alignItems:"flex-start",marginBottom:12}}>
+          <div style={{textAlign:"center",minWidth:90}}>
+            <div style={{fontWeight:800,fontSize:36,lineHeight:"40px",color:RISK_COLORS[risk.level]}}>{risk.score}</div>
+            <div style={{fontSize:12,color:"#64748b"}}>risk / 100 · {risk.level}</div>
+          </div>
+          <ul style={{margin:0,paddingLeft:18,fontSize:12,color:"#475569"}}>
+            {risk.explanation.map((line,i)=><li key={i}>{line}</li>)}
+          </ul>
+        </div>
+      )}
+      <TrendChart trends={analysis.trends} categories={categories}/>
+      {comparison && (
+        <Comparison name={property.name} categories={comparison.categories} result={comparison} rows={[]} progress={{}} running={false} error=""/>
+      )}
+
+      <div style={{fontWeight:600,margin:"8px 0"}}>What residents wrote ({counts.total})</div>
+      {!findings.length ? (
+        <div style={{fontSize:13,color:"#64748b"}}>No explicit mentions detected.</div>
+      ) : (
+        <ul style={{margin:"8px 0 0 18px"}}>
+          {findings.map((q,i)=>(
+            <FindingQuote key={i} q={q}>
+              <span style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>
+                {[sources[q.source]?.label || q.source, q.rating!=null && `${q.rating}★`, q.date].filter(Boolean).join(" · ")}
+              </span>
+              <span style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>[{q.categories.map(k=>labelOf[k]||k).join(", ")}]</span>
+            </FindingQuote>
+          ))}
+        </ul>
+      )}
+    </div>
+    <div style={{fontSize:11,color:"#94a3b8",marginTop:12}}>
+      Read-only snapshot. Quotes are from public reviews and link to their source; categories are assigned automatically ({share.taxonomy.name} taxonomy).
+    </div>
+  </>);
+}
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+
+// Terms are edited as comma-separated text; weighted/non-negatable terms keep their settings
+// as long as the phrase itself is left unchanged.
+const termText = (t) => (typeof t === "string" ? t : t.term);
+const splitList = (s) => s.split(",").map(x => x.trim()).filter(Boolean);
+
+function toDraft(taxonomy){
+  return {
+    name: taxonomy.builtIn ? `${taxonomy.name} (copy)` : taxonomy.name,
+    categories: taxonomy.categories.map(c => ({
+      key: c.key,
+      label: c.label,
+      severity: c.severity ?? 3,
+      terms: (c.terms || []).map(termText).join(", "),
+      exclude: (c.exclude || []).join(", "),
+      original: c.terms || []
+    }))
+  };
+}
+
+function fromDraft(draft){
+  return {
+    name: draft.name.trim(),
+    categories: draft.categories.map(c => {
+      const byText = new Map((c.original || []).map(t => [termText(t), t]));
+      return {
+        key: c.key || undefined,
+        label: c.label.trim(),
+        severity: Number(c.severity),
+        terms: splitList(c.terms).map(t => byText.get(t) ?? t),
+        exclude: splitList(c.exclude)
+      };
+    })
+  };
+}
+
+/**
+ * Edits a copy of `taxonomy`. onSave(body, { asNew }) gets the /taxonomies request body;
+ * the built-in default can only be saved as a new taxonomy.
+ */
+export default function TaxonomyEditor({ taxonomy, onSave, onDelete, onCancel, saving, box, label }){
+  const [draft, setDraft] = useState(() => toDraft(taxonomy));
+  const input = {border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13};
+  const setCat = (i, patch) => setDraft(d => ({ ...d, categories: d.categories.map((c,j) => j===i ? { ...c, ...patch } : c) }));
+  const removeCat = (i) => setDraft(d => ({ ...d, categories: d.categories.filter((_,j) => j!==i) }));
+  const addCat = () => setDraft(d => ({ ...d, categories: [...d.categories, { key: "", label: "", severity: 3, terms: "", exclude: "", original: [] }] }));
+
+  return (
+    <div style={{...box,marginTop:12}}>
+      <div style={{fontWeight:600,marginBottom:8}}>{taxonomy.builtIn ? "New taxonomy from the default" : `Edit “${taxonomy.name}”`}</div>
+      <label style={{display:"flex",flexDirection:"column",gap:6,marginBottom:10}}>
+        <span style={label}>Name</span>
+        <input value={draft.name} onChange={e=>setDraft(d=>({...d,name:e.target.value}))} style={input}/>
+      </label>
+
+      {draft.categories.map((c,i)=>(
+        <div key={i} style={{borderTop:"1px solid #e5e7eb",paddingTop:8,marginBottom:8,display:"grid",gridTemplateColumns:"1fr 90px auto",gap:8}}>
+          <label style={{display:"flex",flexDirection:"column",gap:4}}>
+            <span style={label}>Category</span>
+            <input value={c.label} onChange={e=>setCat(i,{label:e.target.value})} placeholder="(e.g., Package theft)" style={input}/>
+          </label>
+          <label style={{display:"flex",flexDirection:"column",gap:4}}>
+            <span style={label}>Severity</span>
+            <select value={c.severity} onChange={e=>setCat(i,{severity:e.target.value})} style={input}>
+              {[1,2,3,4,5].map(n=><option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <button onClick={()=>removeCat(i)} title="Remove category" style={{alignSelf:"end",border:"1px solid #e2e8f0",borderRadius:8,padding:"6px 10px"}}>✕</button>
+          <label style={{display:"flex",flexDirection:"column",gap:4,gridColumn:"1 / -1"}}>
+            <span style={label}>Terms (comma-separated)</span>
+            <textarea value={c.terms} onChange={e=>setCat(i,{terms:e.target.value})} rows={2} style={input}/>
+          </label>
+          <label style={{display:"flex",flexDirection:"column",gap:4,gridColumn:"1 / -1"}}>
+            <span style={label}>Exclude phrases (comma-separated, e.g. “third party”)</span>
+            <input value={c.exclude} onChange={e=>setCat(i,{exclude:e.target.value})} style={input}/>
+          </label>
+        </div>
+      ))}
+
+      <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+        <button onClick={addCat} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Add category</button>
+        {!taxonomy.builtIn && (
+          <button onClick={()=>onSave(fromDraft(draft),{asNew:false})} disabled={saving} style={{background:"black",color:"white",borderRadius:10,padding:"8px 12px"}}>Save</button>
+        )}
+        <button onClick={()=>onSave(fromDraft(draft),{asNew:true})} disabled={saving} style={taxonomy.builtIn ? {background:"black",color:"white",borderRadius:10,padding:"8px 12px"} : {border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Save as new</button>
+        {!taxonomy.builtIn && (
+          <button onClick={onDelete} disabled={saving} style={{border:"1px solid #fecaca",color:"#b91c1c",borderRadius:10,padding:"8px 12px"}}>Delete</button>
+        )}
+        <button onClick={onCancel} style={{border:"1px solid #e2e8f0",borderRadius:10,padding:"8px 12px"}}>Cancel</button>
+      </div>
+    </div>
+  );
+}
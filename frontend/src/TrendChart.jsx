@@ -0,0 +1,59 @@
+import React from "react";
+
+// Plain SVG, no chart library; the PDF report draws the same chart server-side (lib/reportHtml.js)
+const PALETTE = ["#dc2626","#ea580c","#2563eb","#7c3aed","#0d9488","#ca8a04","#db2777","#4b5563"];
+const ARROWS = { rising: "▲", falling: "▼", steady: "▶" };
+const ARROW_COLORS = { rising: "#b91c1c", falling: "#15803d", steady: "#64748b" };
+
+/** Category hits per month/quarter from the proxy's analysis.trends, one line per category. */
+export default function TrendChart({ trends, categories }){
+  if (!trends || trends.periods.length < 2) return null;
+  const periods = trends.periods;
+  const W = 640, H = 180, left = 28, right = 8, top = 8, bottom = 24;
+  const max = Math.max(1, ...periods.flatMap(p => categories.map(c => p.counts[c.key] || 0)));
+  const x = (i) => left + (i * (W - left - right)) / (periods.length - 1);
+  const y = (v) => top + (H - top - bottom) * (1 - v / max);
+  const labelEvery = Math.ceil(periods.length / 8);
+  const unit = trends.granularity === "quarter" ? "quarter" : "month";
+
+  return (
+    <div style={{marginBottom:12}}>
+      <div style={{fontSize:12,color:"#475569",marginBottom:4}}>Mentions per {unit}</div>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{display:"block",maxWidth:W}}>
+        {[0, Math.ceil(max / 2), max].map(v => (
+          <g key={v}>
+            <line x1={left} x2={W-right} y1={y(v)} y2={y(v)} stroke="#e5e7eb"/>
+            <text x={left-4} y={y(v)+4} fontSize="10" textAnchor="end" fill="#94a3b8">{v}</text>
+          </g>
+        ))}
+        {periods.map((p,i) => (i % labelEvery === 0 || i === periods.length-1) && (
+          <text key={p.period} x={x(i)} y={H-6} fontSize="10" textAnchor="middle" fill="#94a3b8">{p.label}{p.partial ? "*" : ""}</text>
+        ))}
+        {categories.map((c,ci) => (
+          <polyline
+            key={c.key}
+            fill="none"
+            stroke={PALETTE[ci % PALETTE.length]}
+            strokeWidth="2"
+            points={periods.map((p,i) => `${x(i)},${y(p.counts[c.key] || 0)}`).join(" ")}
+          />
+        ))}
+      </svg>
+      <div style={{display:"flex",flexWrap:"wrap",gap:12,fontSize:12,marginTop:4}}>
+        {categories.map((c,ci) => {
+          const t = trends.categories[c.key];
+          return (
+            <span key={c.key} title={`Last complete ${unit} vs the one before`}>
+              <span style={{display:"inline-block",width:10,height:10,background:PALETTE[ci % PALETTE.length],marginRight:4,borderRadius:2}}/>
+              {c.label}{" "}
+              {t && <span style={{color:ARROW_COLORS[t.direction]}}>{ARROWS[t.direction]} {t.previous} → {t.current}</span>}
+            </span>
+          );
+        })}
+      </div>
+      <div style={{fontSize:11,color:"#94a3b8",marginTop:2}}>
+        * {unit} in progress{trends.undated ? ` · ${trends.undated} undated mention${trends.undated===1?"":"s"} not charted` : ""}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import { followJob } from "./jobs.js";
+import { authHeaders, httpUrl } from "./config.js";
+
+const SCHEDULES = [[60,"Hourly"],[360,"Every 6 hours"],[1440,"Daily"],[10080,"Weekly"]];
+const STATUS_COLORS = { ok: "#15803d", baseline: "#64748b", failed: "#b91c1c" };
+const DELIVERY_COLORS = { sent: "#15803d", failed: "#b91c1c", skipped: "#94a3b8" };
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : "–");
+const every = (m) => SCHEDULES.find(([v]) => v === m)?.[1] || `Every ${m} min`;
+
+// PUT /watchlist/:id takes the full settings, not a patch
+const settingsOf = (w) => ({
+  name: w.name, location: w.location, sources: w.sources, refs: w.refs, taxonomy: w.taxonomy,
+  alertCategories: w.alertCategories, everyMinutes: w.everyMinutes, webhookUrl: w.webhookUrl, emailTo: w.emailTo, paused: w.paused
+});
+
+/** Saved properties the proxy re-checks on a schedule, and the alerts those checks raised. */
+export default function Watchlist({ proxyBase, apiKey, taxonomy, box, label }){
+  const [watches, setWatches] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [error, setError] = useState("");
+  const [editing, setEditing] = useState(null); // watch id whose settings are open
+  const [draft, setDraft] = useState(null);
+  const [running, setRunning] = useState({}); // { [watchId]: progress }
+
+  const base = proxyBase.replace(/\/$/, "");
+
+  async function call(path, { method = "GET", body } = {}){
+    const res = await fetch(`${base}${path}`, body === undefined ? { method, headers: authHeaders(apiKey) } : {
+      method, headers: { "Content-Type": "application/json", ...authHeaders(apiKey) }, body: JSON.stringify(body)
+    });
+    if(!res.ok){
+      const err = await res.json().catch(()=>null);
+      throw new Error(err?.message || err?.error || `${path} failed (${res.status})`);
+    }
+    return res.status===204 ? null : res.json();
+  }
+
+  async function load(){
+    try{
+      setError("");
+      const [w, a] = await Promise.all([call("/watchlist"), call("/alerts?limit=50")]);
+      setWatches(w);
+      setAlerts(a);
+    }catch(e){
+      setError(e.message||"Could not load the watchlist");
+    }
+  }
+  useEffect(()=>{ if(proxyBase) load(); },[proxyBase, apiKey]);
+
+  async function runNow(w){
+    try{
+      setError("");
+      const job = await call(`/watchlist/${encodeURIComponent(w.id)}/run`, { method: "POST" });
+      setRunning(r => ({ ...r, [w.id]: job.progress || {} }));
+      await followJob(base, job, { apiKey, onProgress: (p) => setRunning(r => ({ ...r, [w.id]: p })) });
+    }catch(e){
+      setError(`${w.name}: ${e.message||"check failed"}`);
+    }finally{
+      setRunning(({ [w.id]: _, ...rest }) => rest);
+      load();
+    }
+  }
+
+  async function save(w, patch){
+    try{
+      setError("");
+      await call(`/watchlist/${encodeURIComponent(w.id)}`, { method: "PUT", body: { ...settingsOf(w), ...patch } });
+      setEditing(null);
+      load();
+    }catch(e){
+      setError(e.message||"Could not save");
+    }
+  }
+
+  async function remove(w){
+    if(!confirm(`Stop watching ${w.name}? Its alerts are deleted too.`)) return;
+    try{
+      await call(`/watchlist/${encodeURIComponent(w.id)}`, { method: "DELETE" });
+      load();
+    }catch(e){
+      setError(e.message||"Could not delete");
+    }
+  }
+
+  const input = {border:"1px solid #cbd5e1",borderRadius:8,padding:6,fontSize:13};
+  const btn = {border:"1px solid #e2e8f0",borderRadius:10,padding:"4px 10px",fontSize:12};
+  const labelOf = Object.fromEntries(taxonomy.categories.map(c=>[c.key,c.label]));
+
+  return (
+    <div style={{...box,marginTop:12}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"baseline"}}>
+        <div style={{fontWeight:600,marginBottom:4}}>Watchlist</div>
+        <button onClick={load} style={btn}>Refresh</button>
+      </div>
+      <div style={{fontSize:12,color:"#64748b",marginBottom:8}}>
+        Add a property with “Watch” on the single-property tab. The proxy re-checks it on its schedule; the first check only records what is already there, later ones alert on new flagged reviews.
+      </div>
+      {error && <div style={{marginBottom:8,color:"#b91c1c"}}>{error}</div>}
+      {!watches.length && <div style={{fontSize:13,color:"#64748b"}}>Nothing watched yet.</div>}
+
+      {watches.map(w=>(
+        <div key={w.id} style={{borderTop:"1px solid #f1f5f9",padding:"8px 0"}}>
+          <div style={{display:"flex",gap:8,alignItems:"baseline",flexWrap:"wrap"}}>
+            <div style={{fontWeight:600,flex:1}}>
+              {w.name}<span style={{fontWeight:400,color:"#64748b"}}>, {w.location}</span>
+              {w.paused && <span style={{fontSize:12,color:"#a16207",marginLeft:6}}>paused</span>}
+            </div>
+            <button onClick={()=>runNow(w)} disabled={!!running[w.id]} style={btn}>{running[w.id] ? "Checking…" : "Check now"}</button>
+            <button onClick={()=>save(w,{ paused: !w.paused })} style={btn}>{w.paused ? "Resume" : "Pause"}</button>
+            <button onClick={()=>{ setEditing(editing===w.id ? null : w.id); setDraft(settingsOf(w)); }} style={btn}>Settings</button>
+            <button onClick={()=>remove(w)} style={{...btn,color:"#b91c1c"}}>Delete</button>
+          </div>
+          <div style={{fontSize:12,color:"#475569",marginTop:2}}>
+            {every(w.everyMinutes)} · alerts on {w.alertCategories.map(k=>labelOf[k]||k).join(", ")}
+            {" · "}last check {when(w.lastRunAt)}
+            {w.lastStatus && <span style={{color:STATUS_COLORS[w.lastStatus]}}> ({w.lastStatus}{w.lastStatus==="ok" ? `, ${w.lastNew} new` : ""})</span>}
+            {" · "}next {w.paused ? "–" : when(w.nextRunAt)}
+          </div>
+          {w.lastError && <div style={{fontSize:12,color:"#b91c1c"}}>{w.lastError}</div>}
+          {running[w.id] && (
+            <div style={{fontSize:12,color:"#64748b"}}>
+              {Object.entries(running[w.id]).map(([k,p])=><span key={k} style={{marginRight:12}}>{k}: {p.phase||"queued"}</span>)}
+            </div>
+          )}
+
+          {editing===w.id && draft && (
+            <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8,marginTop:8}}>
+              <label style={{display:"flex",flexDirection:"column",gap:4}}>
+                <span style={label}>Schedule</span>
+                <select value={draft.everyMinutes} onChange={e=>setDraft(d=>({...d,everyMinutes:Number(e.target.value)}))} style={input}>
+                  {!SCHEDULES.some(([v])=>v===draft.everyMinutes) && <option value={draft.everyMinutes}>{every(draft.everyMinutes)}</option>}
+                  {SCHEDULES.map(([v,t])=><option key={v} value={v}>{t}</option>)}
+                </select>
+              </label>
+              <div style={{display:"flex",flexDirection:"column",gap:4}}>
+                <span style={label}>Alert on</span>
+                <div style={{display:"flex",flexWrap:"wrap",gap:8,fontSize:13}}>
+                  {/* the active taxonomy's categories when the watch uses it, else just its own keys */}
+                  {(w.taxonomy===taxonomy.id ? taxonomy.categories : w.alertCategories.map(k=>({ key: k, label: k }))).map(c=>(
+                    <label key={c.key}>
+                      <input type="checkbox" checked={draft.alertCategories.includes(c.key)} onChange={e=>setDraft(d=>({
+                        ...d, alertCategories: e.target.checked ? [...d.alertCategories, c.key] : d.alertCategories.filter(k=>k!==c.key)
+                      }))}/> {c.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <label style={{display:"flex",flexDirection:"column",gap:4}}>
+                <span style={label}>Webhook URL (optional)</span>
+                <input value={draft.webhookUrl||""} onChange={e=>setDraft(d=>({...d,webhookUrl:e.target.value}))} placeholder="server default" style={input}/>
+              </label>
+              <label style={{display:"flex",flexDirection:"column",gap:4}}>
+                <span style={label}>E-mail to (optional, comma-separated)</span>
+                <input value={draft.emailTo||""} onChange={e=>setDraft(d=>({...d,emailTo:e.target.value}))} placeholder="server default" style={input}/>
+              </label>
+              <div style={{display:"flex",gap:8}}>
+                <button onClick={()=>save(w,draft)} style={{...btn,background:"black",color:"white"}}>Save</button>
+                <button onClick={()=>setEditing(null)} style={btn}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div style={{fontWeight:600,margin:"16px 0 4px"}}>Recent alerts</div>
+      {!alerts.length ? (
+        <div style={{fontSize:13,color:"#64748b"}}>No alerts yet.</div>
+      ) : (
+        <ul style={{margin:"4px 0 0 18px",padding:0}}>
+          {alerts.map(a=>(
+            <li key={a.id} style={{marginBottom:8,fontSize:13}}>
+              <b>{a.property.name}</b> – {Object.values(a.labels).join(", ")}
+              <span style={{color:"#94a3b8",fontSize:12,marginLeft:6}}>
+                {[a.source, a.date, a.rating!=null && `${a.rating}★`, `found ${when(a.createdAt)}`].filter(Boolean).join(" · ")}
+              </span>
+              {httpUrl(a.url) && <a href={httpUrl(a.url)} target="_blank" rel="noreferrer" style={{color:"#64748b",fontSize:12,marginLeft:6}}>source</a>}
+              {a.sentences.map((s,i)=><div key={i} style={{color:"#334155"}}>“{s.sentence}”</div>)}
+              <div style={{fontSize:11}}>
+                {Object.entries(a.delivery||{}).map(([ch,d])=>(
+                  <span key={ch} title={d.error||""} style={{marginRight:8,color:DELIVERY_COLORS[d.status]}}>{ch}: {d.status}</span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+// Clipboard with the textarea + execCommand fallback for browsers/contexts without the async API
+export function copyText(text){
+  return (navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject()).catch(()=>{
+    const ta=document.createElement("textarea");
+    ta.value=text; document.body.appendChild(ta); ta.select();
+    document.execCommand("copy"); document.body.removeChild(ta);
+  });
+}
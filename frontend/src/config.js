@@ -0,0 +1,19 @@
+// Default to your backend URL. Shared report links (?share=) always load from it.
+export const DEFAULT_PROXY_BASE = "https://vidisky-reviews-1.onrender.com";
+
+// The proxy's API key (see backend/lib/auth.js) is kept in this browser so a rep enters it once
+export const API_KEY_STORAGE = "vidisky.apiKey";
+
+// The /history id of the last search on screen, reopened after a reload
+export const LAST_SEARCH_STORAGE = "vidisky.lastSearch";
+
+// Links from scraped data are only rendered when they are http(s) – never javascript: or data:
+export const httpUrl = (url) => {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+export const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
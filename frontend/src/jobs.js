@@ -0,0 +1,46 @@
+import { authHeaders } from "./config.js";
+
+// Follows a proxy background job (POST /jobs, /portfolio) over Server-Sent Events.
+// Resolves with the job result once it is done; rejects when it fails or the stream drops.
+// The stream is read with fetch() rather than EventSource, so the key travels in the
+// Authorization header and never in a URL.
+export async function followJob(base, job, { apiKey = "", onProgress = () => {}, onPartial = () => {} } = {}){
+  const res = await fetch(`${base}${job.links.events}`, { headers: { Accept: "text/event-stream", ...authHeaders(apiKey) } });
+  if(!res.ok || !res.body){
+    const err = await res.json().catch(()=>null);
+    throw new Error(err?.message || `Could not follow the job (${res.status})`);
+  }
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  try{
+    for(;;){
+      const { value, done } = await reader.read();
+      if(done) break;
+      buffer += value;
+      let end;
+      while((end = buffer.indexOf("\n\n")) !== -1){
+        const event = parseEvent(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if(!event) continue;
+        if(event.type === "progress") onProgress(event.data.progress || {});
+        if(event.type === "partial") onPartial(event.data);
+        if(event.type === "done") return event.data.result;
+        if(event.type === "failed") throw new Error(event.data.error || "Job failed");
+      }
+    }
+  }finally{
+    reader.cancel().catch(()=>{});
+  }
+  throw new Error("Lost connection to the proxy");
+}
+
+// "event: <type>\ndata: <json>" → { type, data }; comments (": ping") and blank events → null
+function parseEvent(block){
+  let type = "message";
+  const data = [];
+  for(const line of block.split("\n")){
+    if(line.startsWith("event:")) type = line.slice(6).trim();
+    else if(line.startsWith("data:")) data.push(line.slice(5).trimStart());
+  }
+  return data.length ? { type, data: JSON.parse(data.join("\n")) } : null;
+}
@@ -1,9 +1,16 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import SharedReport from './SharedReport.jsx';
+import { DEFAULT_PROXY_BASE } from './config.js';
+
+// ?share=<id> is a prospect opening a rep's link: the read-only view, nothing else. It always
+// loads from DEFAULT_PROXY_BASE – a link must not pick where the page's content comes from.
+const params = new URLSearchParams(window.location.search);
+const share = params.get('share');
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {share ? <SharedReport id={share} proxyBase={DEFAULT_PROXY_BASE} /> : <App />}
   </React.StrictMode>
 );